@@ -7,9 +7,12 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { COUNT_PATTERN, findPostedDate, parseCount, parsePostedDate } from '../shared/parsing.js';
 
 puppeteer.use(StealthPlugin());
 
+const COUNT_REGEX = new RegExp(COUNT_PATTERN, 'i');
+
 let browser = null;
 
 // Initialize browser with anti-detection measures
@@ -41,20 +44,12 @@ async function getBrowser() {
   }
 }
 
-// Parse metric strings like "2.3M", "171K", "4.2K"
+// Parse metric strings like "2.3M", "171K", "4,5 Mio." or "1.2万",
+// also when the element's text has a label after the count
 function parseMetric(str) {
   if (!str) return 0;
-  const clean = str.replace(/,/g, '').trim();
-  const match = clean.match(/^([\d.]+)([KMB])?$/i);
-  if (!match) return parseInt(clean) || 0;
-
-  const num = parseFloat(match[1]);
-  const suffix = (match[2] || '').toUpperCase();
-
-  if (suffix === 'K') return Math.round(num * 1000);
-  if (suffix === 'M') return Math.round(num * 1000000);
-  if (suffix === 'B') return Math.round(num * 1000000000);
-  return Math.round(num);
+  const count = parseCount(str) ?? parseCount(String(str).match(COUNT_REGEX)?.[0]);
+  return Math.round(count ?? 0);
 }
 
 // Helper to set up page with anti-detection
@@ -106,7 +101,7 @@ async function scrapeTikTokPost(url) {
         views: 0,
         title: '',
         creator: '',
-        postedAt: null
+        dateTexts: []
       };
 
       // Multiple selector strategies for likes
@@ -209,35 +204,10 @@ async function scrapeTikTokPost(url) {
         if (likesMatch) result.likes = likesMatch[1];
       }
 
-      // Extract posted date - look for the first date pattern (video post date)
-      const dateSpans = document.querySelectorAll('span');
-      for (const span of dateSpans) {
-        const text = span.innerText?.trim();
-        if (!text || text.length > 20) continue;
-
-        // Month-day format: anything followed by M-D pattern (like "· 1-20")
-        const mdMatch = text.match(/(\d{1,2})-(\d{1,2})$/);
-        if (mdMatch && text.length < 15) {
-          const month = mdMatch[1];
-          const day = mdMatch[2];
-          const currentYear = new Date().getFullYear();
-          result.postedAt = currentYear + '-' + month + '-' + day;
-          break;
-        }
-        // Relative time: 1w ago, 3d ago, 5h ago
-        const relMatch = text.match(/^(\d+)(h|d|w|m)\s*ago$/i);
-        if (relMatch) {
-          const num = parseInt(relMatch[1]);
-          const unit = relMatch[2].toLowerCase();
-          const now = new Date();
-          if (unit === 'h') now.setHours(now.getHours() - num);
-          else if (unit === 'd') now.setDate(now.getDate() - num);
-          else if (unit === 'w') now.setDate(now.getDate() - num * 7);
-          else if (unit === 'm') now.setMonth(now.getMonth() - num);
-          result.postedAt = now.toISOString().split('T')[0];
-          break;
-        }
-      }
+      // Candidate post dates ("· 1-20", "3d ago", ...), parsed outside the page
+      result.dateTexts = Array.from(document.querySelectorAll('span'))
+        .map((span) => span.innerText?.trim())
+        .filter((text) => text && text.length <= 20);
 
       return result;
     });
@@ -271,7 +241,7 @@ async function scrapeTikTokPost(url) {
       shares: parseMetric(metrics.shares),
       saves: parseMetric(metrics.saves),
       views: parseMetric(metrics.views),
-      postedAt: metrics.postedAt,
+      postedAt: findPostedDate(metrics.dateTexts),
       title: metrics.title,
       creator: metrics.creator,
       image: imageBase64
@@ -446,7 +416,7 @@ async function scrapeInstagramPost(url) {
       likes: parseMetric(metrics.likes),
       comments: parseMetric(metrics.comments),
       views: parseMetric(metrics.views),
-      postedAt: metrics.postedAt,
+      postedAt: parsePostedDate(metrics.postedAt) || metrics.postedAt,
       title: metrics.title,
       creator: metrics.creator,
       image: imageBase64
@@ -0,0 +1,350 @@
+// Parsing what social platforms display: counts like "1.2M", "4,5 Mio." or
+// "3.2万", and post dates like "3d ago", "vor 2 Tagen", "Jan 20" or "1-20".
+// Shared by the app, the scraper server and the MCP server, so it must not
+// import anything.
+
+// Count suffixes, lowercased without a trailing "."
+const COUNT_SUFFIXES = {
+  k: 1e3,
+  mil: 1e3, // es/pt "mil"
+  tsd: 1e3, // de "Tsd."
+  tys: 1e3, // pl "tys."
+  'тыс': 1e3,
+  rb: 1e3, // id "rb"
+  thousand: 1e3,
+  '千': 1e3,
+  '천': 1e3,
+  '万': 1e4,
+  '萬': 1e4,
+  '만': 1e4,
+  lakh: 1e5,
+  m: 1e6, // also es "M."
+  mn: 1e6,
+  mi: 1e6, // pt "mi"
+  mio: 1e6, // de "Mio."
+  mln: 1e6,
+  'млн': 1e6,
+  jt: 1e6, // id "jt"
+  million: 1e6,
+  millions: 1e6,
+  millionen: 1e6,
+  crore: 1e7,
+  '億': 1e8,
+  '亿': 1e8,
+  '억': 1e8,
+  b: 1e9,
+  bn: 1e9,
+  bi: 1e9, // pt "bi"
+  md: 1e9, // fr "Md"
+  mrd: 1e9, // de "Mrd."
+  mld: 1e9,
+  'млрд': 1e9,
+  billion: 1e9,
+};
+
+// Spaces (including no-break ones) and apostrophes only ever group digits
+const GROUPING = /[\s'’]/g;
+
+const COUNT_FORMAT = /^([-−]?)\+?(\d[\d.,\s'’]*?)\s*([^\d\s.,][^\d\s]*?)?\.?$/;
+
+/**
+ * Regex source matching a count as it appears in running text, for capture
+ * groups in larger patterns (use with the "i" flag). Digit grouping by spaces
+ * isn't matched, since it can't be told apart from two numbers.
+ */
+export const COUNT_PATTERN =
+  '\\d[\\d.,]*(?:\\s?(?:[kmb]|mil|mio|mln|mrd|tsd|bn)\\.?(?![a-zà-ÿ])|[万萬만千천億亿억])?';
+
+function getSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find((part) => part.type === 'group')?.value ?? ',',
+    decimal: parts.find((part) => part.type === 'decimal')?.value ?? '.',
+  };
+}
+
+// Digits with "." and "," in either role to a string parseFloat reads
+function normalizeDigits(digits, hasSuffix, locale) {
+  if (locale) {
+    const { group, decimal } = getSeparators(locale);
+    return digits.split(group).join('').replace(decimal, '.');
+  }
+
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  if (lastDot === -1 && lastComma === -1) return digits;
+
+  // Both present: whichever comes last is the decimal separator ("1.234,5", "1,234.5")
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const group = decimal === '.' ? ',' : '.';
+    return digits.split(group).join('').replace(decimal, '.');
+  }
+
+  const separator = lastDot !== -1 ? '.' : ',';
+  const pieces = digits.split(separator);
+  // Repeated ("1.234.567") or three digits after it without a suffix
+  // ("12,345", "1.234"): grouping. Otherwise a decimal ("4,5K", "1.25").
+  if (pieces.length > 2 || (!hasSuffix && pieces[1].length === 3)) return pieces.join('');
+  return pieces.join('.');
+}
+
+/**
+ * Parse a displayed count like "1.2M", "12,345", "4,5K", "1,2 M.", "3 Mio.",
+ * "12 mil" or "3.2万"
+ * @param {string|number} input
+ * @param {Object} options
+ * @param {string} options.locale - Read "." and "," the way this locale does;
+ *   by default they are told apart from the digits around them
+ * @returns {number|null} null when the input isn't a count. Values with a
+ *   suffix are rounded to whole numbers; plain ones keep their decimals.
+ */
+export function parseCount(input, { locale } = {}) {
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+  if (input === null || input === undefined) return null;
+
+  const match = String(input).trim().match(COUNT_FORMAT);
+  if (!match) return null;
+  const [, sign, rawDigits, rawSuffix] = match;
+
+  let multiplier = 1;
+  if (rawSuffix) {
+    multiplier = COUNT_SUFFIXES[rawSuffix.toLowerCase().replace(/\.$/, '')];
+    if (!multiplier) return null;
+  }
+
+  const digits = rawDigits.replace(GROUPING, '').replace(/[.,]+$/, '');
+  const value = parseFloat(normalizeDigits(digits, Boolean(rawSuffix), locale));
+  if (!Number.isFinite(value)) return null;
+
+  const count = multiplier === 1 ? value : Math.round(value * multiplier);
+  return sign ? -count : count;
+}
+
+const HOUR = 1000 * 60 * 60;
+
+// Relative time units: [unit, length in ms (months and years are calendar-based), spellings].
+// A lone "m" is minutes, as in TikTok's "5m ago"; months are "mo".
+const RELATIVE_UNITS = [
+  ['second', 1000, /^(s|secs?|seconds?|sek|sekunden?|segundos?|secondes?|秒|秒钟|초)$/],
+  ['minute', 60 * 1000, /^(m|mins?|minutes?|minuten?|minutos?|分|分钟|分鐘|분)$/],
+  ['hour', HOUR, /^(h|hrs?|hours?|std|stunden?|horas?|heures?|小时|小時|時間|시간)$/],
+  ['day', 24 * HOUR, /^(d|days?|tag|tagen?|t|días?|dias?|jours?|j|天|日|일)$/],
+  ['week', 7 * 24 * HOUR, /^(w|wks?|weeks?|wochen?|wo|sem|semanas?|semaines?|周|週|週間|주)$/],
+  ['month', null, /^(mo|mos|months?|monate?n?|mes|meses|mois|个月|個月|か月|ヶ月|개월)$/],
+  ['year', null, /^(y|yrs?|years?|jahre?n?|años?|anos?|ans?|年|년)$/],
+];
+
+const RELATIVE_FORMATS = [
+  /^(\d+)\s*([^\d\s]+?)\.?\s+ago$/, // en "3 days ago", "3d ago"
+  /^(?:vor|hace|il y a|há|ha)\s+(\d+)\s*([^\d\s]+?)\.?$/, // de, es, fr, pt
+  /^(\d+)\s*([^\d\s]+?)\s*(?:前|전)$/, // zh, ja, ko
+  // Bare "5h", "2d", "3w". Not "5m", which among page texts is a count ("5M") as often as not.
+  /^(\d+)\s?([hdw])$/,
+];
+
+const RELATIVE_DAYS = [
+  [0, /^(just now|now|today|gerade eben|jetzt|heute|ahora|hoy|à l'instant|aujourd'hui|agora|hoje|刚刚|今天|今日|방금|오늘)$/],
+  [1, /^(yesterday|gestern|ayer|hier|ontem|昨天|昨日|어제)$/],
+];
+
+/**
+ * Parse a relative time like "5h ago", "5h", "3 days ago", "vor 2 Tagen",
+ * "hace 3 días", "il y a 2 jours", "há 1 semana", "2天前" or "yesterday"
+ * @param {string} text
+ * @param {Date} now
+ * @returns {Date|null} null when the text isn't a relative time
+ */
+export function parseRelativeDate(text, now = new Date()) {
+  if (!text) return null;
+  const normalized = String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/^(?:an?|one)\s+/, '1 ');
+
+  for (const [days, regex] of RELATIVE_DAYS) {
+    if (regex.test(normalized)) return new Date(now.getTime() - days * 24 * HOUR);
+  }
+
+  for (const format of RELATIVE_FORMATS) {
+    const match = normalized.match(format);
+    if (!match) continue;
+    const amount = parseInt(match[1], 10);
+    const unit = RELATIVE_UNITS.find(([, , spellings]) => spellings.test(match[2]));
+    if (!unit) return null;
+
+    const [name, length] = unit;
+    const date = new Date(now);
+    if (name === 'month') date.setMonth(date.getMonth() - amount);
+    else if (name === 'year') date.setFullYear(date.getFullYear() - amount);
+    else date.setTime(date.getTime() - amount * length);
+    return date;
+  }
+  return null;
+}
+
+// Locales whose month names are recognized, e.g. "Jan 20", "3. März", "20 de enero"
+const MONTH_LOCALES = ['en', 'de', 'es', 'fr', 'pt', 'it', 'nl'];
+
+let monthNames = null;
+
+// Month names and abbreviations, lowercased without a trailing ".", to month index
+function getMonthNames() {
+  if (!monthNames) {
+    monthNames = new Map();
+    for (const locale of MONTH_LOCALES) {
+      for (const style of ['long', 'short']) {
+        const format = new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' });
+        for (let month = 0; month < 12; month++) {
+          const name = format.format(new Date(Date.UTC(2020, month, 15))).toLowerCase().replace(/\.$/, '');
+          if (!monthNames.has(name)) monthNames.set(name, month);
+        }
+      }
+    }
+  }
+  return monthNames;
+}
+
+function getMonthIndex(word) {
+  const names = getMonthNames();
+  const name = word.toLowerCase().replace(/\.$/, '');
+  if (names.has(name)) return names.get(name);
+  // Abbreviations Intl doesn't produce, like "Sept"
+  if (name.length < 3) return null;
+  for (const [known, month] of names) {
+    if (known.startsWith(name)) return month;
+  }
+  return null;
+}
+
+// Whether a locale writes the day before the month ("20/01" rather than "01/20")
+function isDayFirst(locale) {
+  const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2020, 0, 20)));
+  return parts.findIndex((part) => part.type === 'day') < parts.findIndex((part) => part.type === 'month');
+}
+
+/**
+ * Local midnight on a calendar date. Dates shown without a year are the most
+ * recent one not in the future: "12-28" seen in January is last December.
+ * @returns {Date|null} null for dates that don't exist, like Feb 30
+ */
+function calendarDate(year, month, day, now) {
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  const fullYear = year === null ? now.getFullYear() : year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month, day);
+  if (date.getMonth() !== month) return null;
+  // A day's slack for time zones between the platform and us
+  if (year === null && date - now > 24 * HOUR) date.setFullYear(fullYear - 1);
+  return date;
+}
+
+const WORD = '[a-zà-ÿ]+\\.?';
+const CALENDAR_FORMATS = [
+  // "2025-01-20", "2025-1-20" (TikTok for older posts)
+  [/(?:^|\D)(\d{4})-(\d{1,2})-(\d{1,2})$/, ([, y, m, d]) => [y, m - 1, d]],
+  // "1-20", "· 1-20" (TikTok for this year's posts)
+  [/(?:^|[^\d-])(\d{1,2})-(\d{1,2})$/, ([, m, d]) => [null, m - 1, d]],
+  // "2025年1月20日", "1月20日"
+  [/(?:(\d{4})年)?(\d{1,2})月(\d{1,2})日/, ([, y, m, d]) => [y ?? null, m - 1, d]],
+  // "2025년 1월 20일"
+  [/(?:(\d{4})년\s*)?(\d{1,2})월\s*(\d{1,2})일/, ([, y, m, d]) => [y ?? null, m - 1, d]],
+  // "20.01.2025", "20.01." (day first wherever dots are used)
+  [/(?:^|\D)(\d{1,2})\.(\d{1,2})\.(\d{2,4})?$/, ([, d, m, y]) => [y ?? null, m - 1, d]],
+  // "01/20/2025", "20/01/25", "1/20"; see resolveSlashDate
+  [/(?:^|\D)(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/, null],
+  // "20 January 2025", "3. März", "20 de enero de 2025", "1er janvier"
+  [
+    new RegExp(`(?:^|\\D)(\\d{1,2})(?:\\.|st|nd|rd|th|er)?\\s*(?:de\\s+)?(${WORD}),?(?:\\s+(?:de\\s+)?(\\d{4}))?$`),
+    ([, d, name, y]) => [y ?? null, getMonthIndex(name), d],
+  ],
+  // "Jan 20", "January 20, 2025"
+  [
+    new RegExp(`(?:^|[^a-zà-ÿ])(${WORD})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?(?:\\s+(\\d{4}))?$`),
+    ([, name, d, y]) => [y ?? null, getMonthIndex(name), d],
+  ],
+];
+
+// "a/b" dates: the locale's order, unless one side can only be a day
+function resolveSlashDate([, a, b, y], locale) {
+  const [first, second] = [Number(a), Number(b)];
+  const dayFirst = first > 12 || (second <= 12 && locale ? isDayFirst(locale) : false);
+  return dayFirst ? [y ?? null, second - 1, first] : [y ?? null, first - 1, second];
+}
+
+// Dates in the calendar, as opposed to relative times
+function parseCalendarDate(text, now, locale) {
+  for (const [format, read] of CALENDAR_FORMATS) {
+    const match = text.match(format);
+    if (!match) continue;
+    const [year, month, day] = read ? read(match) : resolveSlashDate(match, locale);
+    if (month === null) continue;
+    const date = calendarDate(year === null ? null : Number(year), Number(month), Number(day), now);
+    if (date) return date;
+  }
+  return null;
+}
+
+// An ISO timestamp with a time, which already says exactly when
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Resolve a post date however it's shown: an ISO timestamp, a calendar date in
+ * any of several languages and orders ("1-20", "Jan 20", "20 de enero de 2025",
+ * "20.01.2025", "1月20日"), or a relative time ("3d ago", "vor 2 Tagen")
+ * @param {string|Date} input
+ * @param {Object} options
+ * @param {Date} options.now - What relative times and missing years are counted from
+ * @param {string} options.locale - Decides whether "01/02" is January or February
+ * @returns {Date|null} null when no date can be read
+ */
+export function resolvePostDate(input, { now = new Date(), locale } = {}) {
+  if (!input) return null;
+  if (input instanceof Date) return isNaN(input) ? null : input;
+
+  const text = String(input).trim();
+  if (ISO_TIMESTAMP.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+  return (
+    parseRelativeDate(text, now) ||
+    parseCalendarDate(text.toLowerCase().replace(/,$/, ''), now, locale)
+  );
+}
+
+function toDateString(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a post date as shown on a page, for storing with the post
+ * @param {string} text
+ * @param {Object} options - As for resolvePostDate
+ * @returns {string|null} ISO timestamps as given, relative times as an ISO
+ *   timestamp, calendar dates as "YYYY-MM-DD"
+ */
+export function parsePostedDate(text, options = {}) {
+  if (!text) return null;
+  const trimmed = String(text).trim();
+  if (ISO_TIMESTAMP.test(trimmed)) return isNaN(Date.parse(trimmed)) ? null : trimmed;
+
+  const relative = parseRelativeDate(trimmed, options.now);
+  if (relative) return relative.toISOString();
+  const date = resolvePostDate(trimmed, options);
+  return date ? toDateString(date) : null;
+}
+
+/**
+ * The first post date among candidate texts, e.g. every short span on a page
+ * @param {Array<string>} texts
+ * @param {Object} options - As for resolvePostDate
+ * @returns {string|null}
+ */
+export function findPostedDate(texts, options = {}) {
+  for (const text of texts || []) {
+    const date = parsePostedDate(text, options);
+    if (date) return date;
+  }
+  return null;
+}
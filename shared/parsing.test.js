@@ -0,0 +1,213 @@
+// Fixtures for the shared parser: what platforms display, and what it should
+// read as. Dates are read as of noon on Jan 25, 2025, local time.
+
+import { describe, expect, it } from 'vitest';
+import {
+  findPostedDate,
+  parseCount,
+  parsePostedDate,
+  parseRelativeDate,
+  resolvePostDate,
+} from './parsing.js';
+
+const NOW = new Date(2025, 0, 25, 12);
+const HOUR = 1000 * 60 * 60;
+const DAY = 24 * HOUR;
+
+const ago = (ms) => new Date(NOW.getTime() - ms);
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+describe('parseCount', () => {
+  it.each([
+    // Plain numbers and thousands grouping
+    ['42', 42],
+    ['1.25', 1.25],
+    ['12,345', 12345],
+    ['1.234', 1234],
+    ['1,234,567', 1234567],
+    ['1.234.567', 1234567],
+    ['1,234.5', 1234.5],
+    ['12 345', 12345],
+    ['1 234 567', 1234567],
+    ["1'234", 1234],
+    ['+17', 17],
+    ['-3', -3],
+    // Decimal commas
+    ['1.234,5', 1234.5],
+    ['4,5K', 4500],
+    ['2,3 mil', 2300],
+    // Suffixes
+    ['1.2M', 1200000],
+    ['1.2k', 1200],
+    ['3B', 3000000000],
+    ['3 Mio.', 3000000],
+    ['4,5 Mio.', 4500000],
+    ['12 mil', 12000],
+    ['1,2 M.', 1200000],
+    ['1,5 mi', 1500000],
+    ['2 Mrd.', 2000000000],
+    ['1,2 Md', 1200000000],
+    ['3 Tsd.', 3000],
+    ['3.2万', 32000],
+    ['1.5萬', 15000],
+    ['2.1억', 210000000],
+    ['12.3 млн', 12300000],
+  ])('reads %j as %d', (input, expected) => {
+    expect(parseCount(input)).toBe(expected);
+  });
+
+  it.each([
+    ['', null],
+    ['abc', null],
+    ['12 apples', null],
+    ['1.2X', null],
+    [null, null],
+    [undefined, null],
+    [NaN, null],
+    [Infinity, null],
+  ])('rejects %j', (input, expected) => {
+    expect(parseCount(input)).toBe(expected);
+  });
+
+  it('passes numbers through', () => {
+    expect(parseCount(1234.5)).toBe(1234.5);
+  });
+
+  it.each([
+    ['1.234', 'de', 1234],
+    ['1,234', 'de', 1.234],
+    ['1,234', 'en', 1234],
+    ['1.234', 'en', 1.234],
+  ])('reads %j the way %s does', (input, locale, expected) => {
+    expect(parseCount(input, { locale })).toBe(expected);
+  });
+});
+
+describe('parseRelativeDate', () => {
+  it.each([
+    ['just now', 0],
+    ['today', 0],
+    ['yesterday', DAY],
+    ['gestern', DAY],
+    ['5h ago', 5 * HOUR],
+    ['5h', 5 * HOUR],
+    ['an hour ago', HOUR],
+    ['1m ago', 60 * 1000],
+    ['5m ago', 5 * 60 * 1000],
+    ['30 mins ago', 30 * 60 * 1000],
+    ['3d ago', 3 * DAY],
+    ['2d', 2 * DAY],
+    ['3 days ago', 3 * DAY],
+    ['2w ago', 14 * DAY],
+    ['2w', 14 * DAY],
+    ['3w', 21 * DAY],
+    ['vor 2 Tagen', 2 * DAY],
+    ['vor 5 Std.', 5 * HOUR],
+    ['hace 3 días', 3 * DAY],
+    ['il y a 2 jours', 2 * DAY],
+    ['há 1 semana', 7 * DAY],
+    ['2天前', 2 * DAY],
+    ['3時間前', 3 * HOUR],
+    ['2일 전', 2 * DAY],
+  ])('reads %j', (text, offset) => {
+    expect(parseRelativeDate(text, NOW)).toEqual(ago(offset));
+  });
+
+  it.each([
+    ['2 months ago', new Date(2024, 10, 25, 12)],
+    ['vor 1 Monat', new Date(2024, 11, 25, 12)],
+    ['1 year ago', new Date(2024, 0, 25, 12)],
+  ])('counts %j in calendar months and years', (text, expected) => {
+    expect(parseRelativeDate(text, NOW)).toEqual(expected);
+  });
+
+  it.each(['', null, 'hello', '2 fortnights ago', '1-20', 'Jan 20', '5m', '5M', '12'])('rejects %j', (text) => {
+    expect(parseRelativeDate(text, NOW)).toBeNull();
+  });
+});
+
+describe('resolvePostDate', () => {
+  it.each([
+    // TikTok: month-day for this year's posts, the full date for older ones
+    ['1-20', day(2025, 1, 20)],
+    ['· 1-20', day(2025, 1, 20)],
+    ['12-28', day(2024, 12, 28)],
+    ['2024-1-20', day(2024, 1, 20)],
+    ['2023-05-07', day(2023, 5, 7)],
+    // Month names
+    ['Jan 20', day(2025, 1, 20)],
+    ['January 20, 2024', day(2024, 1, 20)],
+    ['Sept 3', day(2024, 9, 3)],
+    ['20 de enero de 2024', day(2024, 1, 20)],
+    ['3. März', day(2024, 3, 3)],
+    ['1er janvier', day(2025, 1, 1)],
+    // Numeric
+    ['20.01.2025', day(2025, 1, 20)],
+    ['20.01.', day(2025, 1, 20)],
+    ['1/20', day(2025, 1, 20)],
+    ['20/01/25', day(2025, 1, 20)],
+    ['01/02/2025', day(2025, 1, 2)],
+    ['1月20日', day(2025, 1, 20)],
+    ['2024年1月20日', day(2024, 1, 20)],
+    ['2024년 1월 20일', day(2024, 1, 20)],
+    // Relative
+    ['3d ago', ago(3 * DAY)],
+    ['vor 2 Tagen', ago(2 * DAY)],
+  ])('reads %j', (input, expected) => {
+    expect(resolvePostDate(input, { now: NOW })).toEqual(expected);
+  });
+
+  it('reads ISO timestamps as given', () => {
+    expect(resolvePostDate('2025-01-20T10:00:00Z', { now: NOW })).toEqual(
+      new Date('2025-01-20T10:00:00Z')
+    );
+  });
+
+  it('reads slashed dates in the locale\'s order', () => {
+    expect(resolvePostDate('01/02/2025', { now: NOW, locale: 'de' })).toEqual(day(2025, 2, 1));
+    expect(resolvePostDate('01/02/2025', { now: NOW, locale: 'en-US' })).toEqual(day(2025, 1, 2));
+  });
+
+  it('passes dates through', () => {
+    const date = day(2025, 1, 20);
+    expect(resolvePostDate(date, { now: NOW })).toBe(date);
+    expect(resolvePostDate(new Date(NaN), { now: NOW })).toBeNull();
+  });
+
+  it.each(['', 'Follow', 'Feb 30', '2-30', '13.13.2025'])('rejects %j', (input) => {
+    expect(resolvePostDate(input, { now: NOW })).toBeNull();
+  });
+});
+
+describe('parsePostedDate', () => {
+  it.each([
+    ['2025-01-20T10:00:00Z', '2025-01-20T10:00:00Z'],
+    ['3d ago', ago(3 * DAY).toISOString()],
+    ['1-20', '2025-01-20'],
+    ['· 12-28', '2024-12-28'],
+    ['2024-1-20', '2024-01-20'],
+    ['Jan 20', '2025-01-20'],
+    ['20.01.2025', '2025-01-20'],
+    ['', null],
+    ['nonsense', null],
+    ['2025-13-45T00:00:00Z', null],
+  ])('reads %j as %j', (text, expected) => {
+    expect(parsePostedDate(text, { now: NOW })).toBe(expected);
+  });
+});
+
+describe('findPostedDate', () => {
+  it.each([
+    // Span texts from TikTok video pages
+    [['Follow', '12.3K', '4,5 Mio.', '· 1-20', 'Share'], '2025-01-20'],
+    [['creator', '234', '1.2M', 'original sound', '2023-5-7'], '2023-05-07'],
+    [['Folgen', '3,2 Tsd.', 'vor 2 Tagen'], ago(2 * DAY).toISOString()],
+    [['12-28', '1-20'], '2024-12-28'],
+    [['Follow', '5M', '12.3K', '5h'], ago(5 * HOUR).toISOString()],
+    [['Follow', 'Like', 'Share'], null],
+    [[], null],
+    [undefined, null],
+  ])('finds the date in %j', (texts, expected) => {
+    expect(findPostedDate(texts, { now: NOW })).toBe(expected);
+  });
+});
@@ -1,12 +1,22 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import Heatmap from './components/Heatmap';
 import TrendForm from './components/TrendForm';
 import BrandingSettings from './components/BrandingSettings';
 import ExportControls from './components/ExportControls';
 import ExportPreview from './components/ExportPreview';
+import BackupControls from './components/BackupControls';
 import CategoryManager from './components/CategoryManager';
 import LinkImport from './components/LinkImport';
 import ScreenshotImport from './components/ScreenshotImport';
+import CsvImport from './components/CsvImport';
+import CsvExport from './components/CsvExport';
+import BoardSwitcher from './components/BoardSwitcher';
+import SnapshotSettings from './components/SnapshotSettings';
+import TimelineControls from './components/TimelineControls';
+import ComparisonView from './components/ComparisonView';
+import ScoringModelEditor from './components/ScoringModelEditor';
+import RefreshSettings from './components/RefreshSettings';
+import AnomalyInbox from './components/AnomalyInbox';
 import DiscoverPage from './pages/DiscoverPage';
 import {
   getTrends,
@@ -16,32 +26,212 @@ import {
   getCategories,
   saveCategories,
   generateId,
+  subscribeStorageErrors,
+  StorageQuotaError,
+  StorageInitError,
+  getBoards,
+  getActiveBoardId,
+  switchBoard,
+  createBoard,
+  duplicateBoard,
+  renameBoard,
+  deleteBoard,
+  getRefreshSettings,
+  saveRefreshSettings,
+  getRefreshStatus,
+  saveRefreshStatus,
+  getAnomalySettings,
+  saveAnomalySettings,
+  getAnomalyAlerts,
 } from './utils/storage';
-import { saveWeeklySnapshot } from './utils/history';
+import {
+  formatPeriod,
+  getCurrentPeriodKey,
+  getHistory,
+  getNextPeriodKey,
+  getPeriodSnapshot,
+  getPreviousBoards,
+  getTimelineTrends,
+  saveHistorySnapshot,
+} from './utils/history';
+import {
+  recordChange,
+  undo,
+  redo,
+  getUndoState,
+  subscribeUndo,
+  loadUndoHistory,
+} from './utils/undo';
 import { calculateEngagementScore } from './utils/metrics';
+import { getActiveScoringModel, modelRef, rescoreTrends, setActiveScoringModel } from './utils/scoring';
+import { recordMetricSample } from './utils/velocity';
+import { createProvenance } from './utils/provenance';
+import { applyRefreshResults, describeRefreshStatus, startMetricRefresh } from './utils/refresh';
+import { describeAnomaly, getAlertsByTrend, recordAnomalies, updateAnomalyAlerts } from './utils/anomalies';
+import { classifyTrends, LIFECYCLE_STAGES } from './utils/lifecycle';
+import { forecastTrends, getForecastTrends } from './utils/forecast';
 import './App.css';
 
+/**
+ * Undo label for a CategoryManager save
+ * @param {Array} prev
+ * @param {Array} next
+ */
+function describeCategoryChange(prev, next) {
+  if (next.length < prev.length) {
+    const removed = prev.find((c) => !next.some((n) => n.id === c.id));
+    return `Delete category ${removed?.label || ''}`.trim();
+  }
+  if (next.length > prev.length) return `Add category ${next[next.length - 1].label}`;
+  if (prev.map((c) => c.id).join() !== next.map((c) => c.id).join()) {
+    return 'Reorder categories';
+  }
+  return 'Edit categories';
+}
+
 function App() {
-  const [trends, setTrends] = useState([]);
-  const [branding, setBranding] = useState({ title: '', subtitle: '', footerBrand: '', context: '' });
-  const [categories, setCategories] = useState([]);
+  // Storage is hydrated before the first render, so reads are synchronous
+  const [trends, setTrends] = useState(getTrends);
+  const [branding, setBranding] = useState(getBranding);
+  const [categories, setCategories] = useState(getCategories);
+  const [boards, setBoards] = useState(getBoards);
+  const [activeBoardId, setActiveBoardId] = useState(getActiveBoardId);
   const [format, setFormat] = useState('feed');
   const [editingTrend, setEditingTrend] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [showExportPreview, setShowExportPreview] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
   const [activePanel, setActivePanel] = useState('trends');
   const [showLinkImport, setShowLinkImport] = useState(false);
   const [showScreenshotImport, setShowScreenshotImport] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
   const [importedData, setImportedData] = useState(null);
   const [currentView, setCurrentView] = useState('heatmap'); // 'heatmap' or 'discover'
+  const [storageError, setStorageError] = useState(null);
+  const [undoState, setUndoState] = useState(getUndoState);
+  const [timelinePeriod, setTimelinePeriod] = useState(null); // null = live board
+  const [refreshSettings, setRefreshSettings] = useState(getRefreshSettings);
+  const [refreshStatus, setRefreshStatus] = useState(getRefreshStatus);
+  const [anomalySettings, setAnomalySettings] = useState(getAnomalySettings);
+  const [anomalyAlerts, setAnomalyAlerts] = useState(getAnomalyAlerts); // Recorded at startup
+  const [colorMode, setColorMode] = useState('change'); // 'change' or 'lifecycle'
+  const [stageFilter, setStageFilter] = useState(null); // null = every stage
+  const [showForecast, setShowForecast] = useState(false);
+  const [layoutMode, setLayoutMode] = useState('squarified'); // 'squarified' or 'stable'
+  const [categoryLayout, setCategoryLayout] = useState('bands'); // 'bands' or 'nested'
+  const [renderMode, setRenderMode] = useState('treemap');
+  const [minBlockSize, setMinBlockSize] = useState('small'); // Key of MIN_BLOCK_SIZES
+  const [overflowLegend, setOverflowLegend] = useState(false);
   const heatmapRef = useRef(null);
+  const refresherRef = useRef(null);
+  const refreshHandlersRef = useRef(null);
 
-  // Load from localStorage on mount
+  // Surface failed writes (e.g. storage quota reached) instead of losing them silently
   useEffect(() => {
+    return subscribeStorageErrors((error) => {
+      setStorageError(
+        error instanceof StorageQuotaError || error instanceof StorageInitError
+          ? error.message
+          : 'Could not save your changes. Please try again.'
+      );
+    });
+  }, []);
+
+  useEffect(() => subscribeUndo(setUndoState), []);
+
+  // Boards
+  const reloadBoard = async () => {
+    await loadUndoHistory();
+    setBoards(getBoards());
+    setActiveBoardId(getActiveBoardId());
     setTrends(getTrends());
     setBranding(getBranding());
     setCategories(getCategories());
-  }, []);
+    setShowForm(false);
+    setEditingTrend(null);
+    setImportedData(null);
+    setTimelinePeriod(null);
+    setRefreshSettings(getRefreshSettings());
+    setRefreshStatus(getRefreshStatus());
+    setAnomalySettings(getAnomalySettings());
+    setAnomalyAlerts(recordAnomalies(getTrends()));
+  };
+
+  const handleSwitchBoard = async (boardId) => {
+    await switchBoard(boardId);
+    await reloadBoard();
+  };
+
+  const handleCreateBoard = async (name) => {
+    const board = await createBoard(name);
+    await handleSwitchBoard(board.id);
+  };
+
+  const handleDuplicateBoard = async (boardId, name) => {
+    const board = await duplicateBoard(boardId, name);
+    if (board) await handleSwitchBoard(board.id);
+  };
+
+  const handleRenameBoard = async (boardId, name) => {
+    await renameBoard(boardId, name);
+    setBoards(getBoards());
+  };
+
+  const handleDeleteBoard = async (boardId) => {
+    await deleteBoard(boardId);
+    await reloadBoard();
+  };
+
+  // Every change to the trends is saved to history, and the new period is
+  // checked for anomalies
+  const saveSnapshot = (updated) => {
+    saveHistorySnapshot(updated);
+    setAnomalyAlerts(recordAnomalies(updated));
+  };
+
+  // Undo / redo
+  const applyHistoryStep = (step) => {
+    if (!step) return;
+
+    if (step.kind === 'trends') {
+      setTrends(step.value);
+      saveTrends(step.value);
+      saveSnapshot(step.value);
+      setShowForm(false);
+      setEditingTrend(null);
+    } else if (step.kind === 'categories') {
+      setCategories(step.value);
+      saveCategories(step.value);
+    } else if (step.kind === 'branding') {
+      setBranding(step.value);
+      saveBranding(step.value);
+    }
+  };
+
+  const handleUndo = () => applyHistoryStep(undo({ trends, categories, branding }));
+  const handleRedo = () => applyHistoryStep(redo({ trends, categories, branding }));
+
+  // Cmd/Ctrl+Z to undo, Cmd/Ctrl+Shift+Z or Ctrl+Y to redo.
+  // Text fields keep their own native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      const target = e.target;
+      if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   // Handlers
   const handleSaveTrend = (trend) => {
@@ -51,9 +241,10 @@ function App() {
     } else {
       updated = [...trends, trend];
     }
+    recordChange('trends', `${editingTrend ? 'Edit' : 'Add'} "${trend.name}"`, trends, updated);
     setTrends(updated);
     saveTrends(updated);
-    saveWeeklySnapshot(updated);
+    saveSnapshot(updated);
     setShowForm(false);
     setEditingTrend(null);
     setImportedData(null);
@@ -61,8 +252,11 @@ function App() {
 
   const handleDeleteTrend = (id) => {
     const updated = trends.filter((t) => t.id !== id);
+    const removed = trends.find((t) => t.id === id);
+    recordChange('trends', `Delete "${removed?.name}"`, trends, updated);
     setTrends(updated);
     saveTrends(updated);
+    saveHistorySnapshot(updated);
     setShowForm(false);
     setEditingTrend(null);
   };
@@ -74,11 +268,18 @@ function App() {
   };
 
   const handleBrandingSave = (newBranding) => {
+    recordChange('branding', 'Edit branding', branding, newBranding);
     setBranding(newBranding);
     saveBranding(newBranding);
   };
 
   const handleCategoriesSave = (newCategories) => {
+    recordChange(
+      'categories',
+      describeCategoryChange(categories, newCategories),
+      categories,
+      newCategories
+    );
     setCategories(newCategories);
     saveCategories(newCategories);
   };
@@ -93,7 +294,7 @@ function App() {
 
   // Handle screenshot import (with metrics)
   const handleScreenshotImport = (data) => {
-    const newTrend = {
+    const newTrend = recordMetricSample({
       id: generateId(),
       name: data.name,
       category: data.suggestedCategory || categories[0]?.id,
@@ -103,25 +304,51 @@ function App() {
       sourceUrl: data.sourceUrl || '',
       platform: data.platform || '',
       metrics: data.metrics || null,
-    };
+      metricProvenance: data.metricProvenance || null,
+      scoringModel: data.scoringModel || null,
+      postedAt: data.postedAt || null,
+    });
     const updated = [...trends, newTrend];
+    recordChange('trends', `Add "${newTrend.name}"`, trends, updated);
     setTrends(updated);
     saveTrends(updated);
-    saveWeeklySnapshot(updated);
+    saveSnapshot(updated);
     setShowScreenshotImport(false);
   };
 
+  // Handle spreadsheet import (already merged with the current trends)
+  const handleCsvImport = (imported) => {
+    const updated = imported.map((trend) => recordMetricSample(trend));
+    recordChange('trends', 'Import spreadsheet', trends, updated);
+    setTrends(updated);
+    saveTrends(updated);
+    saveSnapshot(updated);
+    setShowCsvImport(false);
+  };
+
+  // Switch the board to a scoring model and re-score trends that have metrics
+  const handleApplyScoringModel = (model) => {
+    setActiveScoringModel(model);
+    const updated = rescoreTrends(trends, model);
+    recordChange('trends', `Apply scoring model "${model.name}" v${model.version}`, trends, updated);
+    setTrends(updated);
+    saveTrends(updated);
+    saveSnapshot(updated);
+  };
+
   // Handle add trend from suggestions/discover
   const handleAddFromSuggestion = (suggestionData) => {
     // Calculate size from metrics if available
     let size = 50;
+    let scoringModel = null;
     if (suggestionData.popularity) {
       size = suggestionData.popularity; // Spotify popularity is already 0-100
     } else if (suggestionData.metrics) {
       size = calculateEngagementScore(suggestionData.metrics, suggestionData.platform || 'unknown');
+      scoringModel = modelRef(getActiveScoringModel(), 'engagement');
     }
 
-    const newTrend = {
+    const newTrend = recordMetricSample({
       id: generateId(),
       name: suggestionData.name,
       category: suggestionData.category,
@@ -131,16 +358,112 @@ function App() {
       sourceUrl: suggestionData.sourceUrl || '',
       platform: suggestionData.source || '',
       metrics: suggestionData.metrics || null,
-    };
+      metricProvenance: suggestionData.metrics ? createProvenance(suggestionData.metrics, 'api') : null,
+      scoringModel,
+    });
     const updated = [...trends, newTrend];
+    recordChange('trends', `Add "${newTrend.name}"`, trends, updated);
+    setTrends(updated);
+    saveTrends(updated);
+    saveSnapshot(updated);
+  };
+
+  // Background metric refresh. The worker lives as long as the app; its
+  // messages go through a ref so they always see the current board.
+  const handleRefreshStatus = (id, status) => {
+    // A run that started on another board
+    if (!trends.some((t) => t.id === id)) return;
+
+    const entry = { ...getRefreshStatus()[id], ...status };
+    if (status.state === 'ok') entry.lastSuccess = status.at;
+    if (status.state !== 'running') saveRefreshStatus({ ...getRefreshStatus(), [id]: entry });
+    setRefreshStatus((current) => ({ ...current, [id]: entry }));
+  };
+
+  const handleRefreshResults = (results) => {
+    const updated = applyRefreshResults(trends, results);
+    const count = updated.filter((t, i) => t !== trends[i]).length;
+    if (count === 0) return;
+
+    recordChange('trends', `Refresh metrics for ${count} trend${count === 1 ? '' : 's'}`, trends, updated);
     setTrends(updated);
     saveTrends(updated);
-    saveWeeklySnapshot(updated);
+    saveSnapshot(updated);
+  };
+
+  const handleRefreshSettingsChange = (settings) => {
+    setRefreshSettings(settings);
+    saveRefreshSettings(settings);
+  };
+
+  // Anomaly alerts
+  const handleAnomalySettingsChange = (settings) => {
+    setAnomalySettings(settings);
+    saveAnomalySettings(settings);
+    setAnomalyAlerts(recordAnomalies(trends, settings));
+  };
+
+  const handleAnomalyUpdate = (ids, changes) => {
+    setAnomalyAlerts(updateAnomalyAlerts(ids, changes));
   };
 
+  useEffect(() => {
+    const refresher = startMetricRefresh({
+      onStatus: (id, status) => refreshHandlersRef.current.onStatus(id, status),
+      onResults: (results) => refreshHandlersRef.current.onResults(results),
+    });
+    refresherRef.current = refresher;
+    return () => refresher.stop();
+  }, []);
+
+  useEffect(() => {
+    refreshHandlersRef.current = { onStatus: handleRefreshStatus, onResults: handleRefreshResults };
+  });
+
+  useEffect(() => {
+    refresherRef.current.update(trends, refreshSettings, getRefreshStatus());
+  }, [trends, refreshSettings]);
+
   // Calculate scale to fit preview
   const previewScale = format === 'story' ? 0.35 : 0.4;
 
+  // Time-lapse: render a stored period instead of the live board
+  const shownPeriod = timelinePeriod && getPeriodSnapshot(timelinePeriod) ? timelinePeriod : null;
+  // getHistory() hands back the same object until a snapshot, merge or board
+  // switch changes it, so history passes only rerun when they have to
+  const history = getHistory();
+  const lifecycle = useMemo(() => classifyTrends(trends, history), [trends, history]);
+  const allForecasts = useMemo(
+    () => (showForecast ? forecastTrends(trends, history) : null),
+    [showForecast, trends, history]
+  );
+
+  // Next period's forecast, drawn as a ghost of the live board
+  const forecasts = shownPeriod ? null : allForecasts;
+  const forecastKey = forecasts ? getNextPeriodKey(getCurrentPeriodKey()) : null;
+  const forecastPeriod = forecastKey && formatPeriod(forecastKey);
+  const heatmapTrends = shownPeriod
+    ? getTimelineTrends(shownPeriod, trends)
+    : forecasts
+      ? getForecastTrends(trends, forecasts)
+      : trends;
+
+  const alertsByTrend = getAlertsByTrend(anomalyAlerts);
+  const unreadAlerts = anomalyAlerts.filter((alert) => !alert.read && !alert.dismissed).length;
+
+  const stageCounts = {};
+  lifecycle.forEach(({ stage }) => {
+    stageCounts[stage] = (stageCounts[stage] || 0) + 1;
+  });
+  // Stable layouts follow on from the periods before the one shown
+  const previousBoards =
+    layoutMode === 'stable'
+      ? getPreviousBoards(shownPeriod || forecastKey || getCurrentPeriodKey(), trends)
+      : null;
+
+  // Past and forecast boards are drawn without stages; they describe the board as it is now
+  const heatmapStages = colorMode === 'lifecycle' && !shownPeriod && !forecasts ? lifecycle : null;
+
   // Render Discover page as full screen
   if (currentView === 'discover') {
     return (
@@ -159,13 +482,40 @@ function App() {
         <div className="sidebar-header">
           <div className="sidebar-header-top">
             <h1>Culture Heatmap</h1>
-            <button
-              className="btn-discover"
-              onClick={() => setCurrentView('discover')}
-            >
-              Discover ↗
-            </button>
+            <div className="sidebar-header-actions">
+              <div className="undo-controls">
+                <button
+                  onClick={handleUndo}
+                  disabled={!undoState.undoLabel}
+                  title={undoState.undoLabel ? `Undo ${undoState.undoLabel} (⌘Z)` : 'Nothing to undo'}
+                >
+                  ↶
+                </button>
+                <button
+                  onClick={handleRedo}
+                  disabled={!undoState.redoLabel}
+                  title={undoState.redoLabel ? `Redo ${undoState.redoLabel} (⇧⌘Z)` : 'Nothing to redo'}
+                >
+                  ↷
+                </button>
+              </div>
+              <button
+                className="btn-discover"
+                onClick={() => setCurrentView('discover')}
+              >
+                Discover ↗
+              </button>
+            </div>
           </div>
+          <BoardSwitcher
+            boards={boards}
+            activeBoardId={activeBoardId}
+            onSwitch={handleSwitchBoard}
+            onCreate={handleCreateBoard}
+            onDuplicate={handleDuplicateBoard}
+            onRename={handleRenameBoard}
+            onDelete={handleDeleteBoard}
+          />
         </div>
 
         <nav className="sidebar-nav">
@@ -187,6 +537,25 @@ function App() {
           >
             Branding
           </button>
+          <button
+            className={activePanel === 'history' ? 'active' : ''}
+            onClick={() => setActivePanel('history')}
+          >
+            History
+          </button>
+          <button
+            className={activePanel === 'scoring' ? 'active' : ''}
+            onClick={() => setActivePanel('scoring')}
+          >
+            Scoring
+          </button>
+          <button
+            className={activePanel === 'alerts' ? 'active' : ''}
+            onClick={() => setActivePanel('alerts')}
+          >
+            Alerts
+            {unreadAlerts > 0 && <span className="nav-count">{unreadAlerts}</span>}
+          </button>
           <button
             className={activePanel === 'export' ? 'active' : ''}
             onClick={() => setActivePanel('export')}
@@ -195,10 +564,24 @@ function App() {
           </button>
         </nav>
 
+        {storageError && (
+          <div className="storage-error">
+            <span>{storageError}</span>
+            <button onClick={() => setStorageError(null)}>×</button>
+          </div>
+        )}
+
         <div className="sidebar-content">
           {activePanel === 'trends' && (
             <div className="trends-panel">
-              {showScreenshotImport ? (
+              {showCsvImport ? (
+                <CsvImport
+                  trends={trends}
+                  categories={categories}
+                  onImport={handleCsvImport}
+                  onCancel={() => setShowCsvImport(false)}
+                />
+              ) : showScreenshotImport ? (
                 <ScreenshotImport
                   categories={categories}
                   onImport={handleScreenshotImport}
@@ -248,13 +631,45 @@ function App() {
                     >
                       🔗 Link
                     </button>
+                    <button
+                      className="btn-import"
+                      onClick={() => setShowCsvImport(true)}
+                    >
+                      📄 CSV
+                    </button>
                   </div>
+                  {trends.length > 0 && (
+                    <div className="stage-filter">
+                      <button
+                        type="button"
+                        className={stageFilter === null ? 'active' : ''}
+                        onClick={() => setStageFilter(null)}
+                      >
+                        All {trends.length}
+                      </button>
+                      {Object.entries(LIFECYCLE_STAGES).map(([id, stage]) => (
+                        <button
+                          key={id}
+                          type="button"
+                          className={stageFilter === id ? 'active' : ''}
+                          onClick={() => setStageFilter(stageFilter === id ? null : id)}
+                          title={stage.description}
+                          disabled={!stageCounts[id]}
+                        >
+                          <span className={`lifecycle-dot lifecycle-${id}`} />
+                          {stage.label} {stageCounts[id] || 0}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   <div className="trend-list-grouped">
                     {categories
                       .filter((category) => category.enabled !== false)
                       .map((category) => {
                         const categoryTrends = trends.filter(
-                          (t) => t.category === category.id
+                          (t) =>
+                            t.category === category.id &&
+                            (!stageFilter || lifecycle.get(t.id).stage === stageFilter)
                         );
                         if (categoryTrends.length === 0) return null;
                         return (
@@ -270,12 +685,30 @@ function App() {
                                   onClick={() => handleTrendClick(trend)}
                                 >
                                   <div className="trend-item-info">
+                                    <span
+                                      className={`lifecycle-dot lifecycle-${lifecycle.get(trend.id).stage}`}
+                                      title={`${LIFECYCLE_STAGES[lifecycle.get(trend.id).stage].label}: ${lifecycle.get(trend.id).reason}`}
+                                    />
                                     <span className="trend-name">{trend.name}</span>
                                     {trend.metrics && (
                                       <span className="trend-metrics-badge">
                                         📊
                                       </span>
                                     )}
+                                    {alertsByTrend.has(trend.id) && (
+                                      <span
+                                        className={`anomaly-badge anomaly-${alertsByTrend.get(trend.id)[0].direction}`}
+                                        title={alertsByTrend.get(trend.id).map(describeAnomaly).join('\n')}
+                                      >
+                                        {alertsByTrend.get(trend.id)[0].direction === 'spike' ? '▲' : '▼'}
+                                      </span>
+                                    )}
+                                    {refreshStatus[trend.id] && (
+                                      <span
+                                        className={`refresh-dot refresh-${refreshStatus[trend.id].state}`}
+                                        title={describeRefreshStatus(refreshStatus[trend.id])}
+                                      />
+                                    )}
                                   </div>
                                   <div className="trend-item-stats">
                                     <span className="trend-size">{trend.size}</span>
@@ -311,13 +744,65 @@ function App() {
             <BrandingSettings branding={branding} onSave={handleBrandingSave} />
           )}
 
+          {activePanel === 'history' && (
+            <>
+              <SnapshotSettings key={activeBoardId} onCompare={() => setShowComparison(true)} />
+              <RefreshSettings
+                trends={trends}
+                settings={refreshSettings}
+                status={refreshStatus}
+                onChange={handleRefreshSettingsChange}
+                onRefresh={(ids) => refresherRef.current.refresh(ids)}
+              />
+            </>
+          )}
+
+          {activePanel === 'scoring' && (
+            <ScoringModelEditor
+              key={activeBoardId}
+              trends={trends}
+              onApply={handleApplyScoringModel}
+            />
+          )}
+
+          {activePanel === 'alerts' && (
+            <AnomalyInbox
+              alerts={anomalyAlerts}
+              trends={trends}
+              settings={anomalySettings}
+              onSettingsChange={handleAnomalySettingsChange}
+              onUpdate={handleAnomalyUpdate}
+              onOpenTrend={handleTrendClick}
+            />
+          )}
+
           {activePanel === 'export' && (
             <ExportControls
               format={format}
               onFormatChange={setFormat}
+              colorMode={colorMode}
+              onColorModeChange={setColorMode}
+              layoutMode={layoutMode}
+              onLayoutModeChange={setLayoutMode}
+              categoryLayout={categoryLayout}
+              onCategoryLayoutChange={setCategoryLayout}
+              renderMode={renderMode}
+              onRenderModeChange={setRenderMode}
+              minBlockSize={minBlockSize}
+              onMinBlockSizeChange={setMinBlockSize}
+              overflowLegend={overflowLegend}
+              onOverflowLegendChange={setOverflowLegend}
               onPreview={() => setShowExportPreview(true)}
             />
           )}
+
+          {activePanel === 'export' && (
+            <CsvExport trends={trends} categories={categories} />
+          )}
+
+          {activePanel === 'export' && (
+            <BackupControls onRestored={reloadBoard} />
+          )}
         </div>
       </aside>
 
@@ -333,17 +818,40 @@ function App() {
           >
             <Heatmap
               ref={heatmapRef}
-              trends={trends}
+              trends={heatmapTrends}
               categories={categories}
               branding={branding}
               format={format}
-              onTrendClick={handleTrendClick}
+              onTrendClick={shownPeriod || forecasts ? undefined : handleTrendClick}
               scale={previewScale}
+              animate
+              stages={heatmapStages}
+              forecastPeriod={forecastPeriod}
+              layoutMode={layoutMode}
+              categoryLayout={categoryLayout}
+              previousBoards={previousBoards}
+              renderMode={renderMode}
+              minBlockSize={minBlockSize}
+              overflowLegend={overflowLegend}
             />
           </div>
+          <TimelineControls value={shownPeriod} onChange={setTimelinePeriod} />
+          {!shownPeriod && trends.length > 0 && (
+            <button
+              type="button"
+              className={`timeline-live forecast-toggle${forecasts ? ' active' : ''}`}
+              onClick={() => setShowForecast(!showForecast)}
+            >
+              {forecasts ? 'Back to live' : 'Next period forecast'}
+            </button>
+          )}
           <p className="preview-label">
-            Preview ({format === 'story' ? '1080×1920' : '1080×1350'}) — Click a
-            trend to edit
+            Preview ({format === 'story' ? '1080×1920' : '1080×1350'}) —{' '}
+            {shownPeriod
+              ? 'Showing a past snapshot'
+              : forecasts
+                ? `Forecast for ${forecastPeriod}: ${forecasts.size} of ${trends.length} trends have enough history to project`
+                : 'Click a trend to edit'}
           </p>
         </div>
       </main>
@@ -351,13 +859,37 @@ function App() {
       {/* Export Preview Modal */}
       {showExportPreview && (
         <ExportPreview
-          trends={trends}
+          trends={forecasts ? heatmapTrends : trends}
           categories={categories}
           branding={branding}
           format={format}
+          stages={colorMode === 'lifecycle' && !forecasts ? lifecycle : null}
+          forecastPeriod={forecastPeriod}
+          layoutMode={layoutMode}
+          categoryLayout={categoryLayout}
+          previousBoards={previousBoards}
+          renderMode={renderMode}
+          minBlockSize={minBlockSize}
+          overflowLegend={overflowLegend}
           onClose={() => setShowExportPreview(false)}
         />
       )}
+
+      {/* Period comparison report */}
+      {showComparison && (
+        <ComparisonView
+          trends={trends}
+          categories={categories}
+          branding={branding}
+          format={format}
+          layoutMode={layoutMode}
+          categoryLayout={categoryLayout}
+          renderMode={renderMode}
+          minBlockSize={minBlockSize}
+          overflowLegend={overflowLegend}
+          onClose={() => setShowComparison(false)}
+        />
+      )}
     </div>
   );
 }
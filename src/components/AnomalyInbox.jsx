@@ -0,0 +1,92 @@
+import { SENSITIVITY_LEVELS, describeAnomaly } from '../utils/anomalies';
+import { formatMetric } from '../utils/metrics';
+import { formatPeriod } from '../utils/history';
+
+export default function AnomalyInbox({ alerts, trends, settings, onSettingsChange, onUpdate, onOpenTrend }) {
+  const open = alerts.filter((alert) => !alert.dismissed);
+  const unread = open.filter((alert) => !alert.read);
+
+  const handleOpen = (alert) => {
+    if (!alert.read) onUpdate([alert.id], { read: true });
+    const trend = trends.find((t) => t.id === alert.trendId);
+    if (trend) onOpenTrend(trend);
+  };
+
+  return (
+    <div className="snapshot-settings anomaly-inbox">
+      <h3>Alerts</h3>
+      <p className="backup-hint">
+        Trends whose size or metrics moved far more than usual since the previous snapshot period.
+      </p>
+
+      <div className="form-group">
+        <label>Sensitivity</label>
+        <select
+          value={settings.sensitivity}
+          onChange={(e) => onSettingsChange({ ...settings, sensitivity: e.target.value })}
+        >
+          {Object.entries(SENSITIVITY_LEVELS).map(([id, level]) => (
+            <option key={id} value={id}>
+              {level.label}
+            </option>
+          ))}
+        </select>
+        <span className="hint">
+          Flags moves of at least {SENSITIVITY_LEVELS[settings.sensitivity]?.zScore}× a trend&apos;s
+          usual swing. Trends need a few periods of history first.
+        </span>
+      </div>
+
+      {open.length === 0 ? (
+        <p className="anomaly-empty">No alerts.</p>
+      ) : (
+        <>
+          <div className="anomaly-actions">
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => onUpdate(unread.map((alert) => alert.id), { read: true })}
+              disabled={unread.length === 0}
+            >
+              Mark All Read
+            </button>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => onUpdate(open.map((alert) => alert.id), { dismissed: true })}
+            >
+              Dismiss All
+            </button>
+          </div>
+
+          <ul className="snapshot-list anomaly-list">
+            {open.map((alert) => (
+              <li key={alert.id} className={alert.read ? '' : 'unread'}>
+                <span className={`anomaly-badge anomaly-${alert.direction}`}>
+                  {alert.direction === 'spike' ? '▲' : '▼'}
+                </span>
+                <button
+                  type="button"
+                  className="anomaly-open"
+                  onClick={() => handleOpen(alert)}
+                  title={`${formatMetric(alert.previous)} → ${formatMetric(alert.value)}`}
+                >
+                  <span className="anomaly-name">{alert.trendName}</span>
+                  <span className="anomaly-description">{describeAnomaly(alert)}</span>
+                </button>
+                <span className="dims">{formatPeriod(alert.period)}</span>
+                <button
+                  type="button"
+                  onClick={() => onUpdate([alert.id], { dismissed: true })}
+                  title="Dismiss"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import { useRef, useState } from 'react';
+import {
+  BackupError,
+  downloadBackup,
+  parseBackup,
+  previewRestore,
+  restoreBackup,
+} from '../utils/backup';
+
+export default function BackupControls({ onRestored }) {
+  const fileInputRef = useRef(null);
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const reset = () => {
+    setBackup(null);
+    setPreview(null);
+    setMode('merge');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setError(null);
+    setStatus(null);
+    try {
+      await downloadBackup();
+    } catch (err) {
+      console.error('Backup failed:', err);
+      setError('Could not create the backup. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updatePreview = async (nextBackup, nextMode) => {
+    setPreview(await previewRestore(nextBackup, nextMode));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    setStatus(null);
+    try {
+      const parsed = parseBackup(await file.text());
+      setBackup(parsed);
+      await updatePreview(parsed, mode);
+    } catch (err) {
+      reset();
+      setError(err instanceof BackupError ? err.message : 'Could not read this backup file.');
+    }
+  };
+
+  const handleModeChange = async (nextMode) => {
+    setMode(nextMode);
+    if (backup) await updatePreview(backup, nextMode);
+  };
+
+  const handleRestore = async () => {
+    if (mode === 'replace' && !confirm('Replace all boards, trends and history with this backup?')) {
+      return;
+    }
+
+    setBusy(true);
+    const ok = await restoreBackup(backup, mode);
+    setBusy(false);
+
+    if (ok) {
+      reset();
+      setStatus('Backup restored.');
+      onRestored();
+    }
+  };
+
+  return (
+    <div className="backup-controls">
+      <h3>Backup</h3>
+      <p className="backup-hint">
+        Save every board, trend, snapshot and image to a single file, or restore one.
+      </p>
+
+      <button onClick={handleDownload} className="btn-secondary" disabled={busy}>
+        Download Backup
+      </button>
+
+      <label className="backup-file">
+        <span>Restore from file…</span>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileChange}
+        />
+      </label>
+
+      {error && <div className="import-error">{error}</div>}
+      {status && <div className="backup-status">{status}</div>}
+
+      {preview && (
+        <div className="backup-preview">
+          {preview.exportedAt && (
+            <div className="backup-date">
+              Saved {new Date(preview.exportedAt).toLocaleString()}
+            </div>
+          )}
+
+          <div className="format-selector">
+            <label>
+              <input
+                type="radio"
+                name="restore-mode"
+                checked={mode === 'merge'}
+                onChange={() => handleModeChange('merge')}
+              />
+              <span>Merge</span>
+              <span className="dims">keep existing</span>
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="restore-mode"
+                checked={mode === 'replace'}
+                onChange={() => handleModeChange('replace')}
+              />
+              <span>Replace</span>
+              <span className="dims">overwrite all</span>
+            </label>
+          </div>
+
+          <ul className="backup-summary">
+            {preview.boards.map((board) => (
+              <li key={board.id}>
+                <strong>{board.name}</strong>
+                <span className={`backup-badge ${board.status}`}>{board.status}</span>
+                <div className="backup-counts">
+                  +{board.trendsAdded} new, {board.trendsUpdated} updated
+                  {board.trendsRemoved > 0 && `, −${board.trendsRemoved} removed`}
+                  {' · '}
+                  {board.snapshotsAdded + board.snapshotsUpdated} snapshots
+                </div>
+                {board.settingsReplaced.length > 0 && (
+                  <div className="backup-counts">
+                    Replaces its {board.settingsReplaced.join(', ')}
+                  </div>
+                )}
+              </li>
+            ))}
+            {preview.removedBoards.map((name) => (
+              <li key={`removed-${name}`}>
+                <strong>{name}</strong>
+                <span className="backup-badge removed">removed</span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="backup-counts">
+            {preview.images} images · {preview.watchlistKeywords} watchlist keywords
+          </div>
+
+          <div className="form-actions">
+            <button onClick={reset} className="btn-secondary" disabled={busy}>
+              Cancel
+            </button>
+            <button onClick={handleRestore} className="btn-primary" disabled={busy}>
+              {busy ? 'Restoring…' : 'Restore'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
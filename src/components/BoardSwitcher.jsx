@@ -0,0 +1,99 @@
+import { useState } from 'react';
+
+export default function BoardSwitcher({
+  boards,
+  activeBoardId,
+  onSwitch,
+  onCreate,
+  onDuplicate,
+  onRename,
+  onDelete,
+}) {
+  // null | 'create' | 'duplicate' | 'rename'
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+
+  const activeBoard = boards.find((b) => b.id === activeBoardId);
+
+  const startEdit = (nextMode) => {
+    setMode(nextMode);
+    if (nextMode === 'rename') setName(activeBoard?.name || '');
+    else if (nextMode === 'duplicate') setName(`${activeBoard?.name || 'Board'} copy`);
+    else setName('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    if (mode === 'create') onCreate(name);
+    if (mode === 'duplicate') onDuplicate(activeBoardId, name);
+    if (mode === 'rename') onRename(activeBoardId, name);
+    setMode(null);
+    setName('');
+  };
+
+  const handleDelete = () => {
+    if (boards.length <= 1) return;
+    if (confirm(`Delete "${activeBoard?.name}" and all of its trends and history?`)) {
+      onDelete(activeBoardId);
+    }
+  };
+
+  return (
+    <div className="board-switcher">
+      {mode ? (
+        <form className="board-name-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') setMode(null);
+            }}
+            placeholder="Board name"
+            autoFocus
+          />
+          <button type="submit">
+            {mode === 'rename' ? 'Save' : 'Create'}
+          </button>
+          <button type="button" onClick={() => setMode(null)}>
+            ×
+          </button>
+        </form>
+      ) : (
+        <>
+          <select
+            value={activeBoardId}
+            onChange={(e) => onSwitch(e.target.value)}
+          >
+            {boards.map((board) => (
+              <option key={board.id} value={board.id}>
+                {board.name}
+              </option>
+            ))}
+          </select>
+          <div className="board-actions">
+            <button onClick={() => startEdit('create')} title="New board">
+              +
+            </button>
+            <button onClick={() => startEdit('duplicate')} title="Duplicate board">
+              ⧉
+            </button>
+            <button onClick={() => startEdit('rename')} title="Rename board">
+              ✎
+            </button>
+            <button
+              className="delete"
+              onClick={handleDelete}
+              disabled={boards.length <= 1}
+              title="Delete board"
+            >
+              ×
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { calculateBubbleLayout } from '../utils/layout';
+import { getTrendColors } from '../utils/colors';
+import { describeStage, getStageColor } from '../utils/lifecycle';
+
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const LABEL_SPACE = 24; // Above the topmost cluster, for its label
+
+/**
+ * The board as packed bubbles: area by size, clustered by category
+ */
+export default function BubbleChart({ trends, categories, width, height, onTrendClick, stages = null, ghost = false }) {
+  const { bubbles, groups } = calculateBubbleLayout(trends, categories, width, height - LABEL_SPACE);
+
+  return (
+    <div style={{ position: 'absolute', top: LABEL_SPACE, left: 0, width, height: height - LABEL_SPACE }}>
+      {/* Category clusters */}
+      {groups.map(({ category, x, y, r }) => (
+        <div
+          key={category.id}
+          style={{
+            position: 'absolute',
+            left: x - r,
+            top: y - r,
+            width: r * 2,
+            height: r * 2,
+            borderRadius: '50%',
+            border: '1px dashed #333',
+            boxSizing: 'border-box',
+          }}
+        >
+          <span style={{
+            position: 'absolute',
+            top: -LABEL_SPACE + 2,
+            left: 0,
+            right: 0,
+            textAlign: 'center',
+            fontFamily: FONT,
+            fontSize: '14px',
+            fontWeight: 600,
+            color: '#00FF66',
+            letterSpacing: '0.12em',
+            textTransform: 'uppercase',
+            whiteSpace: 'nowrap',
+          }}>
+            {category.label}
+          </span>
+        </div>
+      ))}
+
+      {/* Bubbles */}
+      {bubbles.map((bubble) => {
+        const colors = getTrendColors(bubble.change, getStageColor(stages, bubble.id));
+        const nameFontSize = Math.min(Math.max(bubble.r / 4, 9), 26);
+
+        return (
+          <div
+            key={bubble.id}
+            onClick={() => onTrendClick && onTrendClick(bubble)}
+            title={describeStage(stages, bubble.id)}
+            style={{
+              position: 'absolute',
+              left: bubble.x - bubble.r,
+              top: bubble.y - bubble.r,
+              width: bubble.r * 2,
+              height: bubble.r * 2,
+              borderRadius: '50%',
+              backgroundColor: colors.fill,
+              backgroundImage: bubble.image ? `url(${bubble.image})` : undefined,
+              backgroundSize: 'cover',
+              backgroundPosition: bubble.imagePosition || 'center center',
+              boxShadow: bubble.image ? `inset 0 0 0 ${Math.max(bubble.r / 12, 2)}px ${colors.fill}` : undefined,
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: 4,
+              overflow: 'hidden',
+              cursor: onTrendClick ? 'pointer' : 'default',
+              opacity: ghost ? 0.55 : 1,
+              outline: ghost ? '2px dashed rgba(255,255,255,0.6)' : undefined,
+            }}
+          >
+            {bubble.r > 14 && (
+              <span style={{
+                maxWidth: '85%',
+                fontFamily: FONT,
+                fontSize: nameFontSize,
+                fontWeight: 700,
+                color: '#000000',
+                backgroundColor: bubble.image ? colors.label : undefined,
+                padding: bubble.image ? '2px 6px' : 0,
+                lineHeight: 1.1,
+                textAlign: 'center',
+                textTransform: 'uppercase',
+                letterSpacing: '-0.02em',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+              }}>
+                {bubble.name}
+              </span>
+            )}
+            {bubble.r > 40 && (
+              <span style={{
+                fontFamily: FONT,
+                fontSize: Math.max(nameFontSize * 0.6, 10),
+                fontWeight: 700,
+                color: '#000000',
+                backgroundColor: bubble.image ? colors.label : undefined,
+                padding: bubble.image ? '2px 6px' : 0,
+              }}>
+                {ghost ? '~' : ''}{bubble.change > 0 ? '+' : ''}{bubble.change.toFixed(0)}%
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import Heatmap from './Heatmap';
+import { formatPeriod, getAvailablePeriods, getPreviousBoards, getTimelineTrends } from '../utils/history';
+import { comparePeriods, formatComparisonReport } from '../utils/comparison';
+
+const HEATMAP_SCALE = 0.3;
+
+function TrendList({ title, items, render }) {
+  if (items.length === 0) return null;
+  return (
+    <div className="comparison-list">
+      <span className="comparison-list-title">{title}</span>
+      <ul>
+        {items.map((item) => (
+          <li key={item.id}>{render(item)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function Delta({ value, suffix = '' }) {
+  const rounded = Math.round(value);
+  return (
+    <span className={`comparison-delta ${rounded >= 0 ? 'positive' : 'negative'}`}>
+      {rounded > 0 ? '+' : ''}
+      {rounded}
+      {suffix}
+    </span>
+  );
+}
+
+export default function ComparisonView({
+  trends,
+  categories,
+  branding,
+  format,
+  layoutMode = 'squarified',
+  categoryLayout = 'bands',
+  renderMode = 'treemap',
+  minBlockSize = 'off',
+  overflowLegend = false,
+  onClose,
+}) {
+  const periods = getAvailablePeriods();
+  const [toPeriod, setToPeriod] = useState(periods[0] || '');
+  const [fromPeriod, setFromPeriod] = useState(periods[1] || periods[0] || '');
+  const [copied, setCopied] = useState(false);
+
+  const report = comparePeriods(fromPeriod, toPeriod, categories);
+  const height = format === 'story' ? 1920 : 1350;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatComparisonReport(report, branding));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const periodSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {periods.map((key) => (
+        <option key={key} value={key}>
+          {formatPeriod(key)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="export-preview-overlay" onClick={onClose}>
+      <div className="comparison-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="export-preview-header">
+          <h2>Compare Periods</h2>
+          {periods.length > 1 && (
+            <div className="comparison-periods">
+              {periodSelect(fromPeriod, setFromPeriod)}
+              <span>→</span>
+              {periodSelect(toPeriod, setToPeriod)}
+            </div>
+          )}
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        {periods.length < 2 ? (
+          <p className="comparison-empty">Save snapshots in at least two periods to compare them.</p>
+        ) : (
+          <div className="comparison-body">
+            <div className="comparison-report">
+              {report && (
+                <>
+                  <div className="comparison-totals">
+                    <span>
+                      <strong>{report.totals.entered}</strong> entered
+                    </span>
+                    <span>
+                      <strong>{report.totals.exited}</strong> dropped off
+                    </span>
+                    <span>
+                      <strong>{report.totals.continuing}</strong> continuing
+                    </span>
+                    <button className="btn-secondary" onClick={handleCopy}>
+                      {copied ? 'Copied' : 'Copy Report'}
+                    </button>
+                  </div>
+
+                  {report.categories.length === 0 && (
+                    <p className="comparison-empty">No differences between these periods.</p>
+                  )}
+
+                  {report.categories.map((section) => (
+                    <section key={section.category.id} className="comparison-category">
+                      <h3>{section.category.label}</h3>
+                      <TrendList
+                        title="Entered"
+                        items={section.entered}
+                        render={(t) => (
+                          <>
+                            {t.name} <span className="dims">size {t.size}</span>
+                          </>
+                        )}
+                      />
+                      <TrendList
+                        title="Dropped off"
+                        items={section.exited}
+                        render={(t) => (
+                          <>
+                            {t.name} <span className="dims">was {t.size}</span>
+                          </>
+                        )}
+                      />
+                      <TrendList
+                        title="Size movers"
+                        items={section.sizeMovers}
+                        render={(t) => (
+                          <>
+                            {t.name} <span className="dims">{t.previousSize} → {t.size}</span>{' '}
+                            <Delta value={t.sizeDelta} />
+                          </>
+                        )}
+                      />
+                      <TrendList
+                        title="Momentum movers"
+                        items={section.changeMovers}
+                        render={(t) => (
+                          <>
+                            {t.name}{' '}
+                            <span className="dims">
+                              {Math.round(t.previousChange)}% → {Math.round(t.change ?? 0)}%
+                            </span>{' '}
+                            <Delta value={t.changeDelta} suffix=" pts" />
+                          </>
+                        )}
+                      />
+                    </section>
+                  ))}
+                </>
+              )}
+            </div>
+
+            <div className="comparison-heatmaps">
+              {[fromPeriod, toPeriod].map((period, i) => (
+                <div key={`${i}-${period}`} className="comparison-heatmap">
+                  <span className="comparison-heatmap-label">{formatPeriod(period)}</span>
+                  <div
+                    className="preview-wrapper"
+                    style={{ width: 1080 * HEATMAP_SCALE, height: height * HEATMAP_SCALE }}
+                  >
+                    <Heatmap
+                      trends={getTimelineTrends(period, trends)}
+                      categories={categories}
+                      branding={branding}
+                      format={format}
+                      scale={HEATMAP_SCALE}
+                      layoutMode={layoutMode}
+                      categoryLayout={categoryLayout}
+                      renderMode={renderMode}
+                      minBlockSize={minBlockSize}
+                      overflowLegend={overflowLegend}
+                      previousBoards={layoutMode === 'stable' ? getPreviousBoards(period, trends) : null}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { formatPeriod, getAvailablePeriods, getPeriodSnapshot } from '../utils/history';
+import { downloadDelimited, trendsToDelimited } from '../utils/csv';
+
+export default function CsvExport({ trends, categories }) {
+  const [delimiter, setDelimiter] = useState(',');
+  const [period, setPeriod] = useState('');
+
+  const periods = getAvailablePeriods();
+  const selectedPeriod = periods.includes(period) ? period : periods[0] || '';
+
+  const exportCurrent = () => {
+    downloadDelimited(
+      trendsToDelimited(trends, categories, delimiter),
+      `culture-heatmap-${new Date().toISOString().slice(0, 10)}`,
+      delimiter
+    );
+  };
+
+  const exportPeriod = () => {
+    const snapshot = getPeriodSnapshot(selectedPeriod);
+    if (!snapshot) return;
+    downloadDelimited(
+      trendsToDelimited(snapshot.trends, categories, delimiter),
+      `culture-heatmap-${selectedPeriod.replace(':', '')}`,
+      delimiter
+    );
+  };
+
+  return (
+    <div className="csv-export">
+      <h3>Spreadsheet</h3>
+
+      <div className="format-selector">
+        <label>
+          <input
+            type="radio"
+            name="csv-delimiter"
+            checked={delimiter === ','}
+            onChange={() => setDelimiter(',')}
+          />
+          <span>CSV</span>
+          <span className="dims">.csv</span>
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="csv-delimiter"
+            checked={delimiter === '\t'}
+            onChange={() => setDelimiter('\t')}
+          />
+          <span>TSV</span>
+          <span className="dims">.tsv</span>
+        </label>
+      </div>
+
+      <button className="btn-secondary" onClick={exportCurrent} disabled={trends.length === 0}>
+        Export Current Trends
+      </button>
+
+      {periods.length > 0 && (
+        <div className="csv-export-row">
+          <select value={selectedPeriod} onChange={(e) => setPeriod(e.target.value)}>
+            {periods.map((key) => (
+              <option key={key} value={key}>
+                {formatPeriod(key)}
+              </option>
+            ))}
+          </select>
+          <button className="btn-secondary" onClick={exportPeriod}>
+            Export Snapshot
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import { useMemo, useRef, useState } from 'react';
+import {
+  TREND_FIELDS,
+  diffImport,
+  guessMapping,
+  mapRows,
+  parseDelimited,
+} from '../utils/csv';
+
+export default function CsvImport({ trends, categories, onImport, onCancel }) {
+  const fileInputRef = useRef(null);
+  const [text, setText] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+
+  const loadText = (value) => {
+    setText(value);
+    setError(null);
+
+    const result = parseDelimited(value);
+    if (result.headers.length === 0 || result.rows.length === 0) {
+      setParsed(null);
+      setError('Expected a header row followed by at least one trend.');
+      return;
+    }
+    setParsed(result);
+    setMapping(guessMapping(result.headers));
+  };
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    loadText(await file.text());
+  };
+
+  const diff = useMemo(() => {
+    if (!parsed) return null;
+    return diffImport(trends, mapRows(parsed.rows, mapping, categories));
+  }, [parsed, mapping, trends, categories]);
+
+  const missingRequired = TREND_FIELDS.filter((f) => f.required && !(mapping[f.key] >= 0));
+  const canImport = diff && missingRequired.length === 0 && (diff.added.length > 0 || diff.updated.length > 0);
+
+  const reset = () => {
+    setText('');
+    setParsed(null);
+    setMapping({});
+    setError(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  return (
+    <div className="csv-import">
+      <div className="link-import-header">
+        <h3>Import Spreadsheet</h3>
+        <button type="button" className="btn-back-small" onClick={onCancel}>
+          ← Back
+        </button>
+      </div>
+
+      {!parsed ? (
+        <>
+          <label className="backup-file">
+            <span>Choose a .csv or .tsv file…</span>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+              onChange={handleFileSelect}
+            />
+          </label>
+
+          <div className="form-group">
+            <label>Or paste rows (with a header row)</label>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={'name,category,size,change\nBarbiecore,aesthetics,72,15'}
+              rows={6}
+            />
+          </div>
+
+          {error && <div className="import-error">{error}</div>}
+
+          <button
+            className="btn-fetch"
+            onClick={() => loadText(text)}
+            disabled={!text.trim()}
+          >
+            Map Columns
+          </button>
+        </>
+      ) : (
+        <>
+          <div className="csv-mapping">
+            {TREND_FIELDS.map((field) => (
+              <div key={field.key} className="csv-mapping-row">
+                <span>
+                  {field.label}
+                  {field.required && <span className="required"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.key] ?? -1}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [field.key]: Number(e.target.value) })
+                  }
+                >
+                  <option value={-1}>— Skip —</option>
+                  {parsed.headers.map((header, i) => (
+                    <option key={i} value={i}>
+                      {header || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {missingRequired.length > 0 ? (
+            <div className="import-error">
+              Map a column to {missingRequired.map((f) => f.label).join(' and ')}.
+            </div>
+          ) : (
+            <div className="csv-diff">
+              <div className="csv-diff-summary">
+                <span className="added">+{diff.added.length} new</span>
+                <span className="updated">{diff.updated.length} updated</span>
+                <span>{diff.unchanged.length} unchanged</span>
+                {diff.invalid.length > 0 && (
+                  <span className="invalid">{diff.invalid.length} skipped</span>
+                )}
+              </div>
+
+              <ul className="csv-diff-list">
+                {diff.added.map((trend) => (
+                  <li key={trend.id} className="added">
+                    + {trend.name}
+                    <span className="dims">
+                      {categories.find((c) => c.id === trend.category)?.label} · {trend.size}
+                    </span>
+                  </li>
+                ))}
+                {diff.updated.map(({ before, after, fields }) => (
+                  <li key={before.id} className="updated">
+                    ~ {before.name}
+                    <span className="dims">
+                      {fields
+                        .map((key) =>
+                          key === 'size' || key === 'change'
+                            ? `${key} ${before[key]} → ${after[key]}`
+                            : key
+                        )
+                        .join(', ')}
+                    </span>
+                  </li>
+                ))}
+                {diff.invalid.map((row) => (
+                  <li key={`line-${row.line}`} className="invalid">
+                    Line {row.line}: {row.errors.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn-secondary" onClick={reset}>
+              Start Over
+            </button>
+            <button
+              type="button"
+              className="btn-primary"
+              disabled={!canImport}
+              onClick={() => onImport(diff.result)}
+            >
+              Import {diff ? diff.added.length + diff.updated.length : 0} Trends
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
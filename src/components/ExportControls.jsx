@@ -1,4 +1,23 @@
-export default function ExportControls({ format, onFormatChange, onPreview }) {
+import { RENDER_MODES } from './renderModes';
+import { MIN_BLOCK_SIZES } from '../utils/layout';
+
+export default function ExportControls({
+  format,
+  onFormatChange,
+  colorMode,
+  onColorModeChange,
+  layoutMode,
+  onLayoutModeChange,
+  categoryLayout,
+  onCategoryLayoutChange,
+  renderMode,
+  onRenderModeChange,
+  minBlockSize,
+  onMinBlockSizeChange,
+  overflowLegend,
+  onOverflowLegendChange,
+  onPreview,
+}) {
   return (
     <div className="export-controls">
       <h3>Export</h3>
@@ -28,6 +47,132 @@ export default function ExportControls({ format, onFormatChange, onPreview }) {
         </label>
       </div>
 
+      <h3>Chart</h3>
+      <div className="format-selector">
+        {RENDER_MODES.map((mode) => (
+          <label key={mode.id}>
+            <input
+              type="radio"
+              name="renderMode"
+              value={mode.id}
+              checked={renderMode === mode.id}
+              onChange={() => onRenderModeChange(mode.id)}
+            />
+            <span>{mode.label}</span>
+            <span className="dims">{mode.hint}</span>
+          </label>
+        ))}
+      </div>
+
+      <h3>Colors</h3>
+      <div className="format-selector">
+        <label>
+          <input
+            type="radio"
+            name="colorMode"
+            value="change"
+            checked={colorMode === 'change'}
+            onChange={() => onColorModeChange('change')}
+          />
+          <span>Rising / Falling</span>
+          <span className="dims">By change</span>
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="colorMode"
+            value="lifecycle"
+            checked={colorMode === 'lifecycle'}
+            onChange={() => onColorModeChange('lifecycle')}
+          />
+          <span>Lifecycle Stage</span>
+          <span className="dims">Emerging → Declining</span>
+        </label>
+      </div>
+
+      {renderMode === 'treemap' && (
+        <>
+          <h3>Layout</h3>
+          <div className="format-selector">
+            <label>
+              <input
+                type="radio"
+                name="layoutMode"
+                value="squarified"
+                checked={layoutMode === 'squarified'}
+                onChange={() => onLayoutModeChange('squarified')}
+              />
+              <span>Squarified</span>
+              <span className="dims">Largest first</span>
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="layoutMode"
+                value="stable"
+                checked={layoutMode === 'stable'}
+                onChange={() => onLayoutModeChange('stable')}
+              />
+              <span>Stable</span>
+              <span className="dims">Keeps positions</span>
+            </label>
+          </div>
+
+          <h3>Categories</h3>
+          <div className="format-selector">
+            <label>
+              <input
+                type="radio"
+                name="categoryLayout"
+                value="bands"
+                checked={categoryLayout === 'bands'}
+                onChange={() => onCategoryLayoutChange('bands')}
+              />
+              <span>Stacked Bands</span>
+              <span className="dims">Full width</span>
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="categoryLayout"
+                value="nested"
+                checked={categoryLayout === 'nested'}
+                onChange={() => onCategoryLayoutChange('nested')}
+              />
+              <span>Nested Treemap</span>
+              <span className="dims">Categories as blocks</span>
+            </label>
+          </div>
+
+          <h3>Smallest Block</h3>
+          <div className="format-selector">
+            {Object.entries(MIN_BLOCK_SIZES).map(([id, { label, hint }]) => (
+              <label key={id}>
+                <input
+                  type="radio"
+                  name="minBlockSize"
+                  value={id}
+                  checked={minBlockSize === id}
+                  onChange={() => onMinBlockSizeChange(id)}
+                />
+                <span>{label}</span>
+                <span className="dims">{hint}</span>
+              </label>
+            ))}
+            <label>
+              <input
+                type="checkbox"
+                checked={overflowLegend}
+                disabled={minBlockSize === 'off'}
+                onChange={(e) => onOverflowLegendChange(e.target.checked)}
+              />
+              <span>List folded trends</span>
+              <span className="dims">In footer</span>
+            </label>
+          </div>
+        </>
+      )}
+
       <button onClick={onPreview} className="btn-preview">
         Preview Full Size
       </button>
@@ -1,9 +1,42 @@
 import { useState } from 'react';
-import { toPng } from 'html-to-image';
+import { flushSync } from 'react-dom';
+import { toCanvas, toPng } from 'html-to-image';
 import Heatmap from './Heatmap';
+import { getAvailablePeriods, getPreviousBoards, getTimelineTrends } from '../utils/history';
+import {
+  DEFAULT_TIMELAPSE_OPTIONS,
+  TIMELAPSE_FORMATS,
+  TIMELAPSE_TRANSITIONS,
+  createTimelapse,
+  downloadBlob,
+  isFormatSupported,
+} from '../utils/timelapse';
 
-export default function ExportPreview({ trends, categories, branding, format, onClose }) {
+function getInitialTimelapseOptions() {
+  const format = TIMELAPSE_FORMATS.find((f) => isFormatSupported(f.id));
+  return { ...DEFAULT_TIMELAPSE_OPTIONS, format: format.id };
+}
+
+export default function ExportPreview({
+  trends,
+  categories,
+  branding,
+  format,
+  stages = null,
+  forecastPeriod = null,
+  layoutMode = 'squarified',
+  categoryLayout = 'bands',
+  previousBoards = null,
+  renderMode = 'treemap',
+  minBlockSize = 'off',
+  overflowLegend = false,
+  onClose,
+}) {
   const [exporting, setExporting] = useState(false);
+  const [mode, setMode] = useState('image'); // 'image' or 'timelapse'
+  const [timelapse, setTimelapse] = useState(getInitialTimelapseOptions);
+  const [progress, setProgress] = useState(null);
+  const [capturePeriod, setCapturePeriod] = useState(null);
 
   const dimensions = {
     feed: { width: 1080, height: 1350 },
@@ -11,6 +44,17 @@ export default function ExportPreview({ trends, categories, branding, format, on
   };
   const { width, height } = dimensions[format];
 
+  const periods = getAvailablePeriods().reverse();
+  const captureOptions = {
+    width,
+    height,
+    pixelRatio: 1,
+    style: {
+      transform: 'scale(1)',
+      transformOrigin: 'top left',
+    },
+  };
+
   const handleExport = async () => {
     setExporting(true);
     const node = document.getElementById('export-preview-heatmap');
@@ -20,15 +64,7 @@ export default function ExportPreview({ trends, categories, branding, format, on
     }
 
     try {
-      const dataUrl = await toPng(node, {
-        width,
-        height,
-        pixelRatio: 1,
-        style: {
-          transform: 'scale(1)',
-          transformOrigin: 'top left',
-        },
-      });
+      const dataUrl = await toPng(node, captureOptions);
 
       const link = document.createElement('a');
       link.download = `culture-heatmap-${format}-${Date.now()}.png`;
@@ -41,13 +77,71 @@ export default function ExportPreview({ trends, categories, branding, format, on
     setExporting(false);
   };
 
+  const handleTimelapseExport = async () => {
+    const node = document.getElementById('export-preview-heatmap');
+    if (!node || periods.length === 0) return;
+
+    setExporting(true);
+    try {
+      // Render each period into the preview and capture it
+      const captures = [];
+      for (let i = 0; i < periods.length; i++) {
+        setProgress(`Capturing ${i + 1} of ${periods.length}…`);
+        flushSync(() => setCapturePeriod(periods[i]));
+        captures.push({ period: periods[i], canvas: await toCanvas(node, captureOptions) });
+      }
+      setCapturePeriod(null);
+
+      const isGif = timelapse.format === 'gif';
+      setProgress(isGif ? 'Encoding…' : 'Recording…');
+      const blob = await createTimelapse(captures, timelapse, {
+        width,
+        height,
+        branding,
+        onProgress: (value) => {
+          setProgress(`${isGif ? 'Encoding' : 'Recording'} ${Math.round(value * 100)}%`);
+        },
+      });
+
+      const extension = TIMELAPSE_FORMATS.find((f) => f.id === timelapse.format).extension;
+      downloadBlob(blob, `culture-heatmap-${format}-timelapse-${Date.now()}.${extension}`);
+    } catch (err) {
+      console.error('Time-lapse export failed:', err);
+      alert(err.message || 'Export failed. Please try again.');
+    }
+    setCapturePeriod(null);
+    setProgress(null);
+    setExporting(false);
+  };
+
+  const updateTimelapse = (changes) => setTimelapse((current) => ({ ...current, ...changes }));
+
+  const shownTrends = capturePeriod ? getTimelineTrends(capturePeriod, trends) : trends;
+  const timelapseLabel = TIMELAPSE_FORMATS.find((f) => f.id === timelapse.format).label;
+
   return (
-    <div className="export-preview-overlay" onClick={onClose}>
+    <div className="export-preview-overlay" onClick={exporting ? undefined : onClose}>
       <div className="export-preview-modal" onClick={(e) => e.stopPropagation()}>
         <div className="export-preview-header">
           <h2>Export Preview</h2>
           <span className="export-dims">{width} × {height}</span>
-          <button className="close-btn" onClick={onClose}>×</button>
+          <div className="export-mode-tabs">
+            <button
+              className={mode === 'image' ? 'active' : ''}
+              onClick={() => setMode('image')}
+              disabled={exporting}
+            >
+              Image
+            </button>
+            <button
+              className={mode === 'timelapse' ? 'active' : ''}
+              onClick={() => setMode('timelapse')}
+              disabled={exporting}
+            >
+              Time-lapse
+            </button>
+          </div>
+          <button className="close-btn" onClick={onClose} disabled={exporting}>×</button>
         </div>
 
         <div className="export-preview-content">
@@ -68,27 +162,142 @@ export default function ExportPreview({ trends, categories, branding, format, on
               }}
             >
               <Heatmap
-                trends={trends}
+                trends={shownTrends}
                 categories={categories}
                 branding={branding}
                 format={format}
                 scale={1}
+                stages={capturePeriod ? null : stages}
+                forecastPeriod={capturePeriod ? null : forecastPeriod}
+                layoutMode={layoutMode}
+                categoryLayout={categoryLayout}
+                renderMode={renderMode}
+                minBlockSize={minBlockSize}
+                overflowLegend={overflowLegend}
+                previousBoards={
+                  capturePeriod && layoutMode === 'stable'
+                    ? getPreviousBoards(capturePeriod, trends)
+                    : previousBoards
+                }
               />
             </div>
           </div>
         </div>
 
+        {mode === 'timelapse' && (
+          <div className="timelapse-options">
+            {periods.length === 0 ? (
+              <p className="timelapse-hint">Save a few snapshots to build a time-lapse.</p>
+            ) : (
+              <>
+                <div className="format-selector">
+                  {TIMELAPSE_FORMATS.map((option) => (
+                    <label key={option.id}>
+                      <input
+                        type="radio"
+                        name="timelapse-format"
+                        checked={timelapse.format === option.id}
+                        disabled={!isFormatSupported(option.id)}
+                        onChange={() => updateTimelapse({ format: option.id })}
+                      />
+                      <span>{option.label}</span>
+                      <span className="dims">
+                        {isFormatSupported(option.id) ? option.hint : 'not supported here'}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="timelapse-row">
+                  <label>
+                    Seconds per period
+                    <input
+                      type="number"
+                      min="0.2"
+                      max="10"
+                      step="0.1"
+                      value={timelapse.frameDuration}
+                      onChange={(e) => updateTimelapse({ frameDuration: Number(e.target.value) })}
+                    />
+                  </label>
+                  <label>
+                    Transition
+                    <select
+                      value={timelapse.transition}
+                      onChange={(e) => updateTimelapse({ transition: e.target.value })}
+                    >
+                      {TIMELAPSE_TRANSITIONS.map((option) => (
+                        <option key={option.id} value={option.id}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {timelapse.transition !== 'cut' && (
+                    <label>
+                      Seconds
+                      <input
+                        type="number"
+                        min="0.1"
+                        max="3"
+                        step="0.1"
+                        value={timelapse.transitionDuration}
+                        onChange={(e) =>
+                          updateTimelapse({ transitionDuration: Number(e.target.value) })
+                        }
+                      />
+                    </label>
+                  )}
+                </div>
+
+                <div className="timelapse-row">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={timelapse.intro}
+                      onChange={(e) => updateTimelapse({ intro: e.target.checked })}
+                    />
+                    Intro card
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={timelapse.outro}
+                      onChange={(e) => updateTimelapse({ outro: e.target.checked })}
+                    />
+                    Outro card
+                  </label>
+                  <span className="timelapse-hint">
+                    {periods.length} period{periods.length === 1 ? '' : 's'}
+                  </span>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         <div className="export-preview-footer">
-          <button className="btn-secondary" onClick={onClose}>
+          {progress && <span className="export-progress">{progress}</span>}
+          <button className="btn-secondary" onClick={onClose} disabled={exporting}>
             Cancel
           </button>
-          <button
-            className="btn-export"
-            onClick={handleExport}
-            disabled={exporting}
-          >
-            {exporting ? 'Exporting...' : 'Download PNG'}
-          </button>
+          {mode === 'image' ? (
+            <button
+              className="btn-export"
+              onClick={handleExport}
+              disabled={exporting}
+            >
+              {exporting ? 'Exporting...' : 'Download PNG'}
+            </button>
+          ) : (
+            <button
+              className="btn-export"
+              onClick={handleTimelapseExport}
+              disabled={exporting || periods.length === 0}
+            >
+              {exporting ? 'Exporting...' : `Download ${timelapseLabel}`}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,10 +1,33 @@
 import { forwardRef } from 'react';
-import TrendBlock from './TrendBlock';
-import { calculateLayout } from '../utils/layout';
+import { getRenderMode } from './renderModes';
+import { useTreemapLayout } from './treemapLayout';
 import { RISING_COLOR, FALLING_COLOR } from '../utils/colors';
+import { LIFECYCLE_STAGES } from '../utils/lifecycle';
+
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+
+// Footer list of the trends folded into "+N more" blocks, one line per category
+const FOLDED_LINE_HEIGHT = 22;
+const FOLDED_PADDING = 14;
 
 const Heatmap = forwardRef(function Heatmap(
-  { trends, categories, branding, format, onTrendClick, scale = 1 },
+  {
+    trends,
+    categories,
+    branding,
+    format,
+    onTrendClick,
+    scale = 1,
+    animate = false,
+    stages = null,
+    forecastPeriod = null,
+    layoutMode = 'squarified',
+    categoryLayout = 'bands',
+    previousBoards = null,
+    renderMode = 'treemap',
+    minBlockSize = 'off',
+    overflowLegend = false,
+  },
   ref
 ) {
   const dimensions = {
@@ -14,44 +37,39 @@ const Heatmap = forwardRef(function Heatmap(
 
   const { width, height } = dimensions[format] || dimensions.feed;
   const headerHeight = format === 'story' ? 140 : 120;
-  const footerHeight = format === 'story' ? 90 : 80;
-  const contentHeight = height - headerHeight - footerHeight;
-
-  // Group trends by category
-  const grouped = {};
-  trends.forEach((item) => {
-    if (!grouped[item.category]) grouped[item.category] = [];
-    grouped[item.category].push(item);
-  });
+  const legendRowHeight = format === 'story' ? 90 : 80;
 
-  // Filter enabled categories
-  const sortedCategories = categories
-    .filter((cat) => cat.enabled !== false && grouped[cat.id] && grouped[cat.id].length > 0)
-    .sort((a, b) => a.order - b.order);
+  const mode = getRenderMode(renderMode);
+  const View = mode.component;
 
-  // Only count enabled categories for scaling
-  const enabledTrends = trends.filter((t) => {
-    const cat = categories.find((c) => c.id === t.category);
-    return cat && cat.enabled !== false;
+  // The footer grows to list folded trends, taking the room from the board
+  const foldedHeight = (sections) => {
+    const lines = sections.filter((section) => section.folded.length > 0).length;
+    return lines > 0 ? lines * FOLDED_LINE_HEIGHT + FOLDED_PADDING : 0;
+  };
+  const treemap = useTreemapLayout(trends, categories, {
+    enabled: mode.id === 'treemap',
+    width: width - 60,
+    height: height - headerHeight - legendRowHeight,
+    layoutMode,
+    categoryLayout,
+    previousBoards,
+    minBlockSize,
+    reserve: overflowLegend ? foldedHeight : null,
   });
-  const totalSize = enabledTrends.reduce((sum, t) => sum + t.size, 0);
-
-  let currentY = headerHeight;
-  const categoryHeaderHeight = 50;
+  const folded = overflowLegend && treemap
+    ? treemap.sections.filter((section) => section.folded.length > 0)
+    : [];
+  const footerHeight = legendRowHeight + (treemap?.reserved || 0);
+  const contentHeight = height - headerHeight - footerHeight;
 
-  const sections = sortedCategories.map((cat) => {
-    const catItems = grouped[cat.id];
-    const catSize = catItems.reduce((sum, t) => sum + t.size, 0);
-    const catHeight = (catSize / totalSize) * contentHeight;
-    const section = {
-      category: cat,
-      items: catItems,
-      y: currentY,
-      height: catHeight,
-    };
-    currentY += catHeight;
-    return section;
-  });
+  // stages (trend id -> lifecycle stage) switches blocks and legend to lifecycle colors
+  const legend = stages
+    ? Object.values(LIFECYCLE_STAGES).map(({ label, color }) => ({ label: label.toUpperCase(), color }))
+    : [
+        { label: 'RISING', color: RISING_COLOR },
+        { label: 'FALLING', color: FALLING_COLOR },
+      ];
 
   return (
     <div
@@ -77,8 +95,10 @@ const Heatmap = forwardRef(function Heatmap(
           height: headerHeight,
           backgroundColor: '#000000',
           display: 'flex',
+          flexDirection: 'column',
           alignItems: 'center',
           justifyContent: 'center',
+          gap: 8,
           borderBottom: '1px solid #222',
         }}
       >
@@ -94,57 +114,45 @@ const Heatmap = forwardRef(function Heatmap(
         }}>
           {branding.title}
         </h1>
+        {forecastPeriod && (
+          <span style={{
+            fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
+            fontSize: '16px',
+            fontWeight: 600,
+            color: '#888',
+            letterSpacing: '0.12em',
+            textTransform: 'uppercase',
+          }}>
+            Forecast · {forecastPeriod}
+          </span>
+        )}
       </div>
 
       {/* Content */}
-      {sections.map(({ category, items, y, height: sectionHeight }) => {
-        const contentH = sectionHeight - categoryHeaderHeight;
-        const layouts = calculateLayout(items, width - 60, contentH, 6);
-
-        return (
-          <div
-            key={category.id}
-            style={{
-              position: 'absolute',
-              top: y,
-              left: 30,
-              right: 30,
-              height: sectionHeight,
-            }}
-          >
-            {/* Category label */}
-            <div style={{
-              height: categoryHeaderHeight,
-              display: 'flex',
-              alignItems: 'center',
-              borderBottom: '1px solid #333',
-            }}>
-              <span style={{
-                fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-                fontSize: '16px',
-                fontWeight: 600,
-                color: '#00FF66',
-                letterSpacing: '0.12em',
-                textTransform: 'uppercase',
-              }}>
-                {category.label}
-              </span>
-            </div>
-
-            {/* Blocks */}
-            <div style={{ position: 'relative', height: contentH }}>
-              {layouts.map((layout) => (
-                <TrendBlock
-                  key={layout.id}
-                  item={layout}
-                  style={layout}
-                  onClick={onTrendClick}
-                />
-              ))}
-            </div>
-          </div>
-        );
-      })}
+      <div
+        style={{
+          position: 'absolute',
+          top: headerHeight,
+          left: 30,
+          width: width - 60,
+          height: contentHeight,
+        }}
+      >
+        <View
+          trends={trends}
+          categories={categories}
+          width={width - 60}
+          height={contentHeight}
+          onTrendClick={onTrendClick}
+          animate={animate}
+          stages={stages}
+          ghost={Boolean(forecastPeriod)}
+          layoutMode={layoutMode}
+          categoryLayout={categoryLayout}
+          previousBoards={previousBoards}
+          sections={treemap?.sections}
+        />
+      </div>
 
       {/* Footer */}
       <div
@@ -155,64 +163,88 @@ const Heatmap = forwardRef(function Heatmap(
           right: 0,
           height: footerHeight,
           padding: '0 30px',
-          display: 'flex',
-          justifyContent: 'space-between',
-          alignItems: 'center',
           backgroundColor: '#000000',
           borderTop: '1px solid #222',
         }}
       >
-        {/* Legend */}
-        <div style={{ display: 'flex', alignItems: 'center', gap: 32 }}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-            <div style={{ width: 16, height: 16, backgroundColor: RISING_COLOR, borderRadius: 2 }} />
-            <span style={{
-              fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-              fontSize: '14px',
-              fontWeight: 600,
-              color: '#ffffff',
-              letterSpacing: '0.05em',
-            }}>
-              RISING
-            </span>
-          </div>
-          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-            <div style={{ width: 16, height: 16, backgroundColor: FALLING_COLOR, borderRadius: 2 }} />
-            <span style={{
-              fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-              fontSize: '14px',
-              fontWeight: 600,
-              color: '#ffffff',
-              letterSpacing: '0.05em',
-            }}>
-              FALLING
-            </span>
+        {/* Trends folded into "+N more" blocks */}
+        {folded.length > 0 && (
+          <div style={{ paddingTop: FOLDED_PADDING }}>
+            {folded.map(({ category, folded: trendsFolded }) => (
+              <div
+                key={category.id}
+                style={{
+                  height: FOLDED_LINE_HEIGHT,
+                  lineHeight: `${FOLDED_LINE_HEIGHT}px`,
+                  fontFamily: FONT,
+                  fontSize: '13px',
+                  fontWeight: 500,
+                  color: '#888',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                <span style={{ fontWeight: 600, color: '#00FF66', letterSpacing: '0.12em', textTransform: 'uppercase' }}>
+                  {category.label} +{trendsFolded.length}
+                </span>
+                {'  '}
+                {trendsFolded
+                  .map((trend) => `${trend.name} ${trend.change > 0 ? '+' : ''}${trend.change.toFixed(0)}%`)
+                  .join(' · ')}
+              </div>
+            ))}
           </div>
-          {branding.context && (
-            <>
-              <div style={{ width: 1, height: 20, backgroundColor: '#333' }} />
-              <span style={{
-                fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-                fontSize: '13px',
-                fontWeight: 400,
-                color: '#888',
-              }}>
-                {branding.context}
-              </span>
-            </>
-          )}
-        </div>
+        )}
 
-        {/* Brand */}
-        <span style={{
-          fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-          fontSize: '22px',
-          fontWeight: 600,
-          color: '#ffffff',
-          letterSpacing: '0.02em',
+        <div style={{
+          height: legendRowHeight,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
         }}>
-          {branding.footerBrand}
-        </span>
+          {/* Legend */}
+          <div style={{ display: 'flex', alignItems: 'center', gap: stages ? 24 : 32 }}>
+            {legend.map(({ label, color }) => (
+              <div key={label} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                <div style={{ width: 16, height: 16, backgroundColor: color, borderRadius: 2 }} />
+                <span style={{
+                  fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
+                  fontSize: '14px',
+                  fontWeight: 600,
+                  color: '#ffffff',
+                  letterSpacing: '0.05em',
+                }}>
+                  {label}
+                </span>
+              </div>
+            ))}
+            {branding.context && (
+              <>
+                <div style={{ width: 1, height: 20, backgroundColor: '#333' }} />
+                <span style={{
+                  fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
+                  fontSize: '13px',
+                  fontWeight: 400,
+                  color: '#888',
+                }}>
+                  {branding.context}
+                </span>
+              </>
+            )}
+          </div>
+
+          {/* Brand */}
+          <span style={{
+            fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
+            fontSize: '22px',
+            fontWeight: 600,
+            color: '#ffffff',
+            letterSpacing: '0.02em',
+          }}>
+            {branding.footerBrand}
+          </span>
+        </div>
       </div>
     </div>
   );
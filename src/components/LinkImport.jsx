@@ -1,11 +1,12 @@
 import { useState, useRef } from 'react';
 import Tesseract from 'tesseract.js';
 import { detectPlatform, suggestCategory, extractTrendName } from '../utils/platforms';
-import { parseMetricsFromDescription, extractMetricsFromText, formatMetric, parseMetricString, calculateAttentionScore, getPostAge, calculateMomentumFromAge } from '../utils/metrics';
+import { parseMetricsFromDescription, extractMetricsWithConfidence, formatMetric, parseMetricString, calculateAttentionScore, getPostAge, calculateMomentumFromAge } from '../utils/metrics';
 import { isYouTubeConfigured, getYouTubeMetricsFromUrl, extractChannelInfo, getYouTubeChannelFromUrl } from '../utils/youtube';
+import { SCRAPER_API } from '../utils/metricSources';
+import { createProvenance, reconcileProvenance } from '../utils/provenance';
 
 const MICROLINK_API = 'https://api.microlink.io';
-const SCRAPER_API = import.meta.env.VITE_SCRAPER_API || 'http://localhost:3001/api/scrape';
 
 function formatNumber(num) {
   if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
@@ -30,6 +31,8 @@ export default function LinkImport({ categories, onImport, onCancel }) {
     comments: '',
     followers: '',
   });
+  // Values the manual fields were filled with, and where they came from
+  const [captured, setCaptured] = useState(null);
   const [manualPostedAt, setManualPostedAt] = useState('');
   const [customImage, setCustomImage] = useState(null);
   const fileInputRef = useRef(null);
@@ -50,6 +53,7 @@ export default function LinkImport({ categories, onImport, onCancel }) {
     setError('');
     setPreview(null);
     setCustomImage(null);
+    setCaptured(null);
 
     try {
       const detected = detectPlatform(postUrl);
@@ -77,6 +81,7 @@ export default function LinkImport({ categories, onImport, onCancel }) {
                   comments: 0,
                   followers: channelData.metrics.followers || 0,
                 },
+                metricProvenance: createProvenance(channelData.metrics, 'api'),
                 channel: channelData.title,
                 isChannel: true,
               });
@@ -93,6 +98,7 @@ export default function LinkImport({ categories, onImport, onCancel }) {
                 url: ytData.url,
                 platform: detected,
                 metrics: ytData.metrics,
+                metricProvenance: createProvenance(ytData.metrics, 'api'),
                 channel: ytData.channel,
               });
               setLoading(false);
@@ -128,10 +134,12 @@ export default function LinkImport({ categories, onImport, onCancel }) {
               url: postUrl,
               platform: detected,
               metrics: metrics,
+              metricProvenance: createProvenance(metrics, 'scraper'),
               profileUrl: profileUrl.trim() || null,
               postedAt: scraperResult.postedAt,
               channel: scraperResult.creator,
             });
+            setCaptured({ metrics, provenance: createProvenance(metrics, 'scraper') });
 
             setManualMetrics({
               views: metrics.views ? formatMetric(metrics.views) : '',
@@ -169,11 +177,13 @@ export default function LinkImport({ categories, onImport, onCancel }) {
           url: data.url || postUrl,
           platform: detected,
           metrics: hasMetrics ? parsedMetrics : null,
+          metricProvenance: hasMetrics ? createProvenance(parsedMetrics, 'description') : null,
           profileUrl: profileUrl.trim() || null,
         });
 
         // Pre-fill manual metrics if we found any
         if (hasMetrics) {
+          setCaptured({ metrics: parsedMetrics, provenance: createProvenance(parsedMetrics, 'description') });
           setManualMetrics({
             views: parsedMetrics.views ? formatMetric(parsedMetrics.views) : '',
             likes: parsedMetrics.likes ? formatMetric(parsedMetrics.likes) : '',
@@ -212,8 +222,9 @@ export default function LinkImport({ categories, onImport, onCancel }) {
       const text = result.data.text;
       console.log('OCR Text:', text);
 
-      const metrics = extractMetricsFromText(text);
+      const { metrics, confidence } = extractMetricsWithConfidence(text);
       console.log('Extracted Metrics:', metrics);
+      setCaptured({ metrics, provenance: createProvenance(metrics, 'ocr', { confidence }) });
 
       setManualMetrics({
         views: metrics.views ? formatMetric(metrics.views) : '',
@@ -249,20 +260,28 @@ export default function LinkImport({ categories, onImport, onCancel }) {
 
     // Use API metrics, or manual metrics if entered
     let metrics = preview.metrics || null;
+    let metricProvenance = preview.metricProvenance || null;
 
     const hasManualMetrics = manualMetrics.views || manualMetrics.likes ||
                              manualMetrics.comments || manualMetrics.followers;
 
     if (hasManualMetrics) {
+      // Fields still showing a captured value keep its exact number
+      const fieldValue = (key) =>
+        captured?.metrics[key] && manualMetrics[key] === formatMetric(captured.metrics[key])
+          ? captured.metrics[key]
+          : parseMetricString(manualMetrics[key]) || 0;
       metrics = {
-        views: parseMetricString(manualMetrics.views) || 0,
-        likes: parseMetricString(manualMetrics.likes) || 0,
-        comments: parseMetricString(manualMetrics.comments) || 0,
-        followers: parseMetricString(manualMetrics.followers) || 0,
+        views: fieldValue('views'),
+        likes: fieldValue('likes'),
+        comments: fieldValue('comments'),
+        followers: fieldValue('followers'),
       };
+      metricProvenance = reconcileProvenance(metrics, captured?.metrics, captured?.provenance);
     } else if (!metrics) {
       const parsedMetrics = parseMetricsFromDescription(preview.description);
       metrics = Object.keys(parsedMetrics).length > 0 ? parsedMetrics : null;
+      metricProvenance = metrics && createProvenance(parsedMetrics, 'description');
     }
 
     // Use manual date if provided, otherwise use scraped date
@@ -281,6 +300,7 @@ export default function LinkImport({ categories, onImport, onCancel }) {
       platform: platform?.platform || null,
       suggestedCategory: suggestedCategoryId,
       metrics,
+      metricProvenance,
       postedAt: finalPostedAt,
       calculatedMomentum: momentum,
     });
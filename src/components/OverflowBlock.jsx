@@ -0,0 +1,74 @@
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const NAME_LINE_HEIGHT = 18;
+
+/**
+ * A category's "+N more" block: the trends too small for a readable block of
+ * their own, listed by name where there's room
+ */
+export default function OverflowBlock({ item, style, animate = false, ghost = false }) {
+  const isMedium = style.width > 140 && style.height > 90;
+  const labelHeight = isMedium ? 40 : 28;
+  // Names fill whatever room is left under the label
+  const nameLines = Math.max(Math.floor((style.height - labelHeight - 16) / NAME_LINE_HEIGHT), 0);
+  const names = item.overflow.slice(0, nameLines);
+  const hidden = item.overflow.length - names.length;
+
+  return (
+    <div
+      title={item.overflow.map((t) => t.name).join(', ')}
+      style={{
+        position: 'absolute',
+        left: style.x,
+        top: style.y,
+        width: style.width,
+        height: style.height,
+        padding: isMedium ? 12 : 6,
+        boxSizing: 'border-box',
+        overflow: 'hidden',
+        backgroundColor: '#111',
+        border: '2px dashed #444',
+        transition: animate
+          ? 'left 0.8s ease, top 0.8s ease, width 0.8s ease, height 0.8s ease'
+          : undefined,
+        opacity: ghost ? 0.55 : 1,
+      }}
+    >
+      <div style={{
+        fontFamily: FONT,
+        fontSize: isMedium ? '22px' : '15px',
+        fontWeight: 700,
+        color: '#ffffff',
+        lineHeight: 1.1,
+        textTransform: 'uppercase',
+        letterSpacing: '-0.02em',
+        whiteSpace: 'nowrap',
+      }}>
+        {item.name}
+      </div>
+
+      {names.length > 0 && (
+        <div style={{ marginTop: 8 }}>
+          {names.map((trend, i) => (
+            <div
+              key={trend.id}
+              style={{
+                fontFamily: FONT,
+                fontSize: '13px',
+                fontWeight: 600,
+                lineHeight: `${NAME_LINE_HEIGHT}px`,
+                color: '#888',
+                textTransform: 'uppercase',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+              }}
+            >
+              {/* The last line counts what didn't fit instead of naming one more */}
+              {i === names.length - 1 && hidden > 0 ? `+${hidden + 1} others` : trend.name}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
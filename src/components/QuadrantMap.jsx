@@ -0,0 +1,150 @@
+import { getTrendColors } from '../utils/colors';
+import { describeStage, getStageColor } from '../utils/lifecycle';
+
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const AXIS_SPACE = 36; // Left and bottom, for the axis titles
+const MIN_CHANGE_RANGE = 20; // Boards that barely move still get a readable spread
+
+// Attention is split at the board's median size, momentum at no change
+const QUADRANTS = [
+  { id: 'hot', label: 'HOT', note: 'High attention · rising', right: true, top: true },
+  { id: 'cooling', label: 'COOLING', note: 'High attention · falling', right: false, top: true },
+  { id: 'emerging', label: 'EMERGING', note: 'Low attention · rising', right: true, top: false },
+  { id: 'fading', label: 'FADING', note: 'Low attention · falling', right: false, top: false },
+];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * The board as a quadrant map: attention (size) up, momentum (change) across
+ */
+export default function QuadrantMap({ trends, categories, width, height, onTrendClick, stages = null, ghost = false }) {
+  const enabled = new Set(categories.filter((cat) => cat.enabled !== false).map((cat) => cat.id));
+  const points = trends.filter((t) => enabled.has(t.category));
+
+  const plotWidth = width - AXIS_SPACE;
+  const plotHeight = height - AXIS_SPACE;
+  const changeRange = Math.max(MIN_CHANGE_RANGE, ...points.map((t) => Math.abs(t.change))) * 1.1;
+  const maxSize = Math.max(...points.map((t) => t.size), 1) * 1.1;
+  const splitSize = points.length ? median(points.map((t) => t.size)) : maxSize / 2;
+
+  const x = (change) => AXIS_SPACE + ((change + changeRange) / (2 * changeRange)) * plotWidth;
+  const y = (size) => plotHeight - (size / maxSize) * plotHeight;
+
+  return (
+    <>
+      {/* Quadrant labels */}
+      {QUADRANTS.map((quadrant) => (
+        <div
+          key={quadrant.id}
+          style={{
+            position: 'absolute',
+            left: quadrant.right ? x(0) + 16 : AXIS_SPACE + 16,
+            top: quadrant.top ? 12 : y(splitSize) + 12,
+            fontFamily: FONT,
+            color: '#333',
+          }}
+        >
+          <div style={{ fontSize: '40px', fontWeight: 700, letterSpacing: '-0.02em' }}>{quadrant.label}</div>
+          <div style={{ fontSize: '14px', fontWeight: 500, color: '#444' }}>{quadrant.note}</div>
+        </div>
+      ))}
+
+      {/* Axes and quadrant lines */}
+      <div style={{ position: 'absolute', left: x(0), top: 0, width: 1, height: plotHeight, backgroundColor: '#333' }} />
+      <div style={{ position: 'absolute', left: AXIS_SPACE, top: y(splitSize), width: plotWidth, height: 1, backgroundColor: '#333' }} />
+      <div style={{ position: 'absolute', left: AXIS_SPACE, top: 0, width: 1, height: plotHeight, backgroundColor: '#555' }} />
+      <div style={{ position: 'absolute', left: AXIS_SPACE, top: plotHeight, width: plotWidth, height: 1, backgroundColor: '#555' }} />
+
+      <span style={{
+        position: 'absolute',
+        left: AXIS_SPACE,
+        right: 0,
+        top: plotHeight + 10,
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontFamily: FONT,
+        fontSize: '13px',
+        fontWeight: 600,
+        color: '#888',
+        letterSpacing: '0.12em',
+      }}>
+        <span>−{Math.round(changeRange)}%</span>
+        <span>MOMENTUM →</span>
+        <span>+{Math.round(changeRange)}%</span>
+      </span>
+      <span style={{
+        position: 'absolute',
+        left: AXIS_SPACE / 2,
+        top: plotHeight / 2,
+        transform: 'translate(-50%, -50%) rotate(-90deg)',
+        fontFamily: FONT,
+        fontSize: '13px',
+        fontWeight: 600,
+        color: '#888',
+        letterSpacing: '0.12em',
+        whiteSpace: 'nowrap',
+      }}>
+        ATTENTION →
+      </span>
+
+      {/* Trends, largest underneath so small ones stay visible */}
+      {[...points]
+        .sort((a, b) => b.size - a.size)
+        .map((trend) => {
+          const colors = getTrendColors(trend.change, getStageColor(stages, trend.id));
+          const r = 6 + Math.sqrt(trend.size) * 1.6;
+          const cx = x(trend.change);
+          const cy = y(trend.size);
+          // Names sit on the side facing the middle, so edge points stay inside
+          const labelLeft = cx < AXIS_SPACE + plotWidth / 2;
+
+          return (
+            <div
+              key={trend.id}
+              onClick={() => onTrendClick && onTrendClick(trend)}
+              title={describeStage(stages, trend.id)}
+              style={{
+                position: 'absolute',
+                left: cx - r,
+                top: cy - r,
+                width: r * 2,
+                height: r * 2,
+                cursor: onTrendClick ? 'pointer' : 'default',
+                opacity: ghost ? 0.55 : 1,
+              }}
+            >
+              <div style={{
+                width: '100%',
+                height: '100%',
+                borderRadius: '50%',
+                backgroundColor: colors.fill,
+                border: ghost ? '2px dashed rgba(255,255,255,0.6)' : '2px solid #000',
+                boxSizing: 'border-box',
+              }} />
+              <span style={{
+                position: 'absolute',
+                top: '50%',
+                [labelLeft ? 'left' : 'right']: r * 2 + 6,
+                transform: 'translateY(-50%)',
+                fontFamily: FONT,
+                fontSize: '13px',
+                fontWeight: 700,
+                color: '#000000',
+                backgroundColor: colors.label,
+                padding: '2px 6px',
+                textTransform: 'uppercase',
+                whiteSpace: 'nowrap',
+              }}>
+                {trend.name}
+              </span>
+            </div>
+          );
+        })}
+    </>
+  );
+}
@@ -0,0 +1,135 @@
+import { getTrendColors } from '../utils/colors';
+import { describeStage, getStageColor } from '../utils/lifecycle';
+
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const HEADER_HEIGHT = 44;
+const MAX_ROW_HEIGHT = 56;
+const RANK_WIDTH = 40;
+const CHANGE_WIDTH = 90;
+
+/**
+ * The board as ranked bars: each category's trends largest first, bar length
+ * by size against the board's largest trend
+ */
+export default function RankedBars({ trends, categories, width, height, onTrendClick, stages = null, ghost = false }) {
+  const sections = categories
+    .filter((cat) => cat.enabled !== false)
+    .sort((a, b) => a.order - b.order)
+    .map((category) => ({
+      category,
+      items: trends
+        .filter((t) => t.category === category.id)
+        .sort((a, b) => b.size - a.size),
+    }))
+    .filter((section) => section.items.length > 0);
+
+  const rowCount = sections.reduce((sum, section) => sum + section.items.length, 0);
+  const rowHeight = Math.min(
+    MAX_ROW_HEIGHT,
+    (height - sections.length * HEADER_HEIGHT) / Math.max(rowCount, 1)
+  );
+  const maxSize = Math.max(...trends.map((t) => t.size), 1);
+  const barSpace = width - RANK_WIDTH - CHANGE_WIDTH;
+  const nameFontSize = Math.min(Math.max(rowHeight * 0.4, 9), 22);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column' }}>
+      {sections.map(({ category, items }) => (
+        <div key={category.id}>
+          {/* Category label */}
+          <div style={{
+            height: HEADER_HEIGHT,
+            display: 'flex',
+            alignItems: 'center',
+            borderBottom: '1px solid #333',
+          }}>
+            <span style={{
+              fontFamily: FONT,
+              fontSize: '16px',
+              fontWeight: 600,
+              color: '#00FF66',
+              letterSpacing: '0.12em',
+              textTransform: 'uppercase',
+            }}>
+              {category.label}
+            </span>
+          </div>
+
+          {items.map((item, i) => {
+            const colors = getTrendColors(item.change, getStageColor(stages, item.id));
+
+            return (
+              <div
+                key={item.id}
+                onClick={() => onTrendClick && onTrendClick(item)}
+                title={describeStage(stages, item.id)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  height: rowHeight,
+                  cursor: onTrendClick ? 'pointer' : 'default',
+                  opacity: ghost ? 0.55 : 1,
+                }}
+              >
+                <span style={{
+                  width: RANK_WIDTH,
+                  fontFamily: FONT,
+                  fontSize: nameFontSize * 0.8,
+                  fontWeight: 600,
+                  color: '#666',
+                }}>
+                  {i + 1}
+                </span>
+
+                {/* Bar, with the name on a label so it reads past a short bar */}
+                <div style={{ position: 'relative', width: barSpace, height: Math.max(rowHeight - 6, 2) }}>
+                  <div style={{
+                    width: Math.max((item.size / maxSize) * barSpace, 2),
+                    height: '100%',
+                    backgroundColor: colors.fill,
+                    outline: ghost ? '2px dashed rgba(255,255,255,0.6)' : undefined,
+                    outlineOffset: ghost ? -2 : undefined,
+                  }} />
+                  {rowHeight >= 14 && (
+                    <span style={{
+                      position: 'absolute',
+                      top: '50%',
+                      left: 6,
+                      transform: 'translateY(-50%)',
+                      maxWidth: barSpace - 12,
+                      fontFamily: FONT,
+                      fontSize: nameFontSize,
+                      fontWeight: 700,
+                      color: '#000000',
+                      backgroundColor: colors.label,
+                      padding: '2px 6px',
+                      lineHeight: 1.1,
+                      textTransform: 'uppercase',
+                      letterSpacing: '-0.02em',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    }}>
+                      {item.name}
+                    </span>
+                  )}
+                </div>
+
+                <span style={{
+                  width: CHANGE_WIDTH,
+                  textAlign: 'right',
+                  fontFamily: FONT,
+                  fontSize: nameFontSize * 0.9,
+                  fontWeight: 700,
+                  color: colors.label,
+                }}>
+                  {ghost ? '~' : ''}{item.change > 0 ? '+' : ''}{item.change.toFixed(0)}%
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { REFRESH_INTERVALS, describeRefreshStatus, getRefreshableTrends } from '../utils/refresh';
+
+export default function RefreshSettings({ trends, settings, status, onChange, onRefresh }) {
+  const refreshable = getRefreshableTrends(trends);
+  const failed = refreshable.filter((trend) => status[trend.id]?.state === 'error');
+  const running = refreshable.some((trend) => status[trend.id]?.state === 'running');
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="snapshot-settings refresh-settings">
+      <h3>Metric Refresh</h3>
+      <p className="backup-hint">
+        Re-fetch metrics for trends with a YouTube, TikTok or Instagram link. Each refresh adds a
+        metric sample and re-scores the trend.
+      </p>
+
+      <label className="refresh-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        <span>Refresh automatically</span>
+      </label>
+
+      <div className="form-group">
+        <label>Every</label>
+        <select
+          value={settings.intervalHours}
+          onChange={(e) => update({ intervalHours: Number(e.target.value) })}
+          disabled={!settings.enabled}
+        >
+          {REFRESH_INTERVALS.map((hours) => (
+            <option key={hours} value={hours}>
+              {hours === 1 ? '1 hour' : `${hours} hours`}
+            </option>
+          ))}
+        </select>
+        <span className="hint">
+          {refreshable.length} of {trends.length} trend{trends.length === 1 ? '' : 's'} can be
+          refreshed
+        </span>
+      </div>
+
+      <button
+        type="button"
+        className="btn-secondary"
+        onClick={() => onRefresh(null)}
+        disabled={refreshable.length === 0 || running}
+      >
+        {running ? 'Refreshing…' : 'Refresh Now'}
+      </button>
+
+      {refreshable.length > 0 && (
+        <ul className="snapshot-list refresh-list">
+          {refreshable.map((trend) => {
+            const entry = status[trend.id];
+            return (
+              <li key={trend.id}>
+                <span className={`refresh-dot refresh-${entry?.state || 'never'}`} />
+                <span className="refresh-name">{trend.name}</span>
+                <span className="dims">
+                  {entry ? describeRefreshStatus(entry) : 'Not refreshed yet'}
+                </span>
+                {entry?.state === 'error' && (
+                  <button type="button" onClick={() => onRefresh([trend.id])} title="Retry">
+                    ↻
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {failed.length > 1 && (
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => onRefresh(failed.map((trend) => trend.id))}
+          disabled={running}
+        >
+          Retry {failed.length} Failed
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import {
+  SCORING_PLATFORMS,
+  WEIGHT_FIELDS,
+  getActiveScoringModel,
+  getLatestScoringModels,
+  getModelWeights,
+  getScoringModel,
+  getScoringModelVersions,
+  previewRescore,
+  saveScoringModel,
+} from '../utils/scoring';
+import { PLATFORMS } from '../utils/platforms';
+
+const GROUP_LABELS = {
+  attention: 'Attention score',
+  engagement: 'Engagement score',
+  momentum: 'Momentum',
+  velocity: 'Velocity',
+  confidence: 'Metric confidence',
+};
+
+const toDraft = (model) => ({
+  id: model.id,
+  name: model.name,
+  weights: structuredClone(model.weights || {}),
+  platforms: structuredClone(model.platforms || {}),
+});
+
+const sameModel = (draft, model) =>
+  draft.name === model.name &&
+  JSON.stringify(draft.weights) === JSON.stringify(model.weights || {}) &&
+  JSON.stringify(draft.platforms) === JSON.stringify(model.platforms || {});
+
+const platformLabel = (id) => (id === 'unknown' ? 'Other' : PLATFORMS[id]?.name || id);
+
+export default function ScoringModelEditor({ trends, onApply }) {
+  const [active, setActive] = useState(getActiveScoringModel);
+  const [selected, setSelected] = useState(active);
+  const [draft, setDraft] = useState(() => toDraft(active));
+  const [platform, setPlatform] = useState(''); // '' = all platforms
+
+  const models = getLatestScoringModels();
+  const versions = getScoringModelVersions()
+    .filter((m) => m.id === selected.id)
+    .sort((a, b) => b.version - a.version);
+  const isDirty = !sameModel(draft, selected);
+  const isDefault = selected.id === 'default';
+
+  const draftModel = { ...draft, version: selected.version };
+  const preview = previewRescore(trends, draftModel);
+  const changed = preview.filter((p) => p.size !== p.trend.size || p.change !== p.trend.change);
+
+  const select = (model) => {
+    setSelected(model);
+    setDraft(toDraft(model));
+  };
+
+  const setWeight = (group, key, value) => {
+    setDraft((current) => {
+      const next = structuredClone(current);
+      const target = platform
+        ? ((next.platforms[platform] ??= {})[group] ??= {})
+        : (next.weights[group] ??= {});
+      if (value === '') {
+        delete target[key];
+      } else {
+        target[key] = Number(value);
+      }
+      return next;
+    });
+  };
+
+  const handleSave = () => {
+    const saved = saveScoringModel(draft);
+    select(saved);
+  };
+
+  const handleApply = () => {
+    onApply(selected);
+    setActive(selected);
+  };
+
+  // Platform fields show their own override, with the all-platform value as a placeholder
+  const inherited = getModelWeights({ ...draft, platforms: {} });
+
+  return (
+    <div className="scoring-editor">
+      <h3>Scoring Model</h3>
+      <p className="backup-hint">
+        Board uses <strong>{active.name} v{active.version}</strong>. Saving a model keeps its
+        earlier versions.
+      </p>
+
+      <div className="form-group">
+        <label>Model</label>
+        <div className="scoring-select-row">
+          <select
+            value={selected.id}
+            onChange={(e) => select(models.find((m) => m.id === e.target.value))}
+          >
+            {models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={selected.version}
+            onChange={(e) => select(getScoringModel(selected.id, Number(e.target.value)))}
+            disabled={versions.length < 2}
+          >
+            {versions.map((m) => (
+              <option key={m.version} value={m.version}>
+                v{m.version}
+                {m.createdAt ? ` · ${new Date(m.createdAt).toLocaleDateString()}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Name</label>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+      </div>
+
+      <div className="form-group">
+        <label>Weights for</label>
+        <select value={platform} onChange={(e) => setPlatform(e.target.value)}>
+          <option value="">All platforms</option>
+          {SCORING_PLATFORMS.map((id) => (
+            <option key={id} value={id}>
+              {platformLabel(id)}
+            </option>
+          ))}
+        </select>
+        {platform && <span className="hint">Leave a field blank to use the all-platform value</span>}
+      </div>
+
+      {Object.entries(WEIGHT_FIELDS).map(([group, fields]) => (
+        <details key={group} className="scoring-group">
+          <summary>{GROUP_LABELS[group]}</summary>
+          {fields.map(({ key, label }) => {
+            const own = platform
+              ? draft.platforms[platform]?.[group]?.[key]
+              : draft.weights[group]?.[key];
+            return (
+              <label key={key} className="scoring-field">
+                <span>{label}</span>
+                <input
+                  type="number"
+                  step="any"
+                  value={own ?? (platform ? '' : inherited[group][key])}
+                  placeholder={String(platform ? inherited[group][key] : '')}
+                  onChange={(e) => setWeight(group, key, e.target.value)}
+                />
+              </label>
+            );
+          })}
+        </details>
+      ))}
+
+      <div className="scoring-actions">
+        <button
+          className="btn-secondary"
+          onClick={() => setDraft(toDraft(selected))}
+          disabled={!isDirty}
+        >
+          Reset
+        </button>
+        <button className="btn-primary" onClick={handleSave} disabled={!isDirty}>
+          {isDefault ? 'Save as New Model' : 'Save New Version'}
+        </button>
+      </div>
+
+      <div className="scoring-preview">
+        <div className="scoring-preview-header">
+          <span>
+            Re-score preview: {changed.length} of {preview.length} trends with metrics change
+          </span>
+        </div>
+        {changed.length > 0 && (
+          <ul>
+            {changed.map(({ trend, size, change }) => (
+              <li key={trend.id}>
+                <span className="scoring-preview-name">{trend.name}</span>
+                <span className="dims">
+                  size {trend.size} → <strong>{size}</strong>
+                </span>
+                {change !== trend.change && (
+                  <span className="dims">
+                    {Math.round(trend.change)}% → <strong>{Math.round(change)}%</strong>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <button
+          className="btn-primary"
+          onClick={handleApply}
+          disabled={isDirty}
+          title={isDirty ? 'Save your changes first' : undefined}
+        >
+          Apply {selected.name} v{selected.version} to Board
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,11 @@
 import { useState, useRef } from 'react';
 import Tesseract from 'tesseract.js';
-import {
-  extractMetricsFromText,
-  calculateEngagementScore,
-  formatMetric,
-  parseMetricString,
-} from '../utils/metrics';
+import { calculateMomentumFromAge, extractMetricsWithConfidence, extractPostedDate, formatMetric, getPostAge, parseMetricString } from '../utils/metrics';
 import { detectPlatform, suggestCategory } from '../utils/platforms';
+import { getActiveScoringModel, modelRef, scoreTrend } from '../utils/scoring';
+import { createProvenance, reconcileProvenance } from '../utils/provenance';
+
+const METRIC_FIELDS = ['likes', 'comments', 'shares', 'saves', 'views', 'followers'];
 
 export default function ScreenshotImport({ categories, onImport, onCancel }) {
   const [image, setImage] = useState(null);
@@ -14,6 +13,7 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
   const [loading, setLoading] = useState(false);
   const [ocrProgress, setOcrProgress] = useState(0);
   const [extractedMetrics, setExtractedMetrics] = useState(null);
+  const [extractedProvenance, setExtractedProvenance] = useState(null);
   const [manualEntry, setManualEntry] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
@@ -25,6 +25,7 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
     saves: '',
     views: '',
     followers: '',
+    postedAt: '',
   });
   const fileInputRef = useRef(null);
 
@@ -71,7 +72,8 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
       console.log('OCR Text:', text);
 
       // Extract metrics from OCR text
-      const metrics = extractMetricsFromText(text);
+      const { metrics, confidence } = extractMetricsWithConfidence(text);
+      const postedAt = extractPostedDate(text);
       console.log('Extracted Metrics:', metrics);
 
       // Detect platform from any URL in the text
@@ -79,6 +81,7 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
       const detectedPlatform = urlMatch ? detectPlatform(`https://${urlMatch[1]}`) : null;
 
       setExtractedMetrics(metrics);
+      setExtractedProvenance(createProvenance(metrics, 'ocr', { confidence }));
       setFormData((prev) => ({
         ...prev,
         platform: detectedPlatform?.platform || prev.platform,
@@ -88,6 +91,7 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
         saves: metrics.saves ? formatMetric(metrics.saves) : '',
         views: metrics.views ? formatMetric(metrics.views) : '',
         followers: metrics.followers ? formatMetric(metrics.followers) : '',
+        postedAt: postedAt || prev.postedAt,
       }));
     } catch (error) {
       console.error('OCR Error:', error);
@@ -97,18 +101,24 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
     }
   };
 
-  const handleImport = () => {
-    const metrics = {
-      likes: parseMetricString(formData.likes),
-      comments: parseMetricString(formData.comments),
-      shares: parseMetricString(formData.shares),
-      saves: parseMetricString(formData.saves),
-      views: parseMetricString(formData.views),
-      followers: parseMetricString(formData.followers),
-    };
+  // Fields still showing the extracted value keep its exact number and OCR provenance;
+  // anything typed or corrected is a manual entry
+  const metrics = Object.fromEntries(
+    METRIC_FIELDS.map((key) => [
+      key,
+      extractedMetrics?.[key] && formData[key] === formatMetric(extractedMetrics[key])
+        ? extractedMetrics[key]
+        : parseMetricString(formData[key]),
+    ])
+  );
+  const metricProvenance = reconcileProvenance(metrics, extractedMetrics, extractedProvenance);
+  const platform = formData.platform || 'unknown';
+  const model = getActiveScoringModel();
+  const scoringModel = modelRef(model, 'engagement');
+  // Engagement score, pulled towards neutral when values were guessed
+  const scored = scoreTrend({ platform, metrics, metricProvenance, scoringModel }, model);
 
-    const platform = formData.platform || 'unknown';
-    const engagementScore = calculateEngagementScore(metrics, platform);
+  const handleImport = () => {
     const suggestedCategoryId = suggestCategory(formData.url || `https://${platform}.com`, categories);
 
     onImport({
@@ -117,8 +127,12 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
       sourceUrl: formData.url,
       platform,
       metrics,
-      size: engagementScore,
-      change: 0, // Will be calculated from historical data
+      metricProvenance,
+      size: scored?.size ?? 50,
+      scoringModel,
+      postedAt: formData.postedAt || null,
+      // A guess from the post's age until metric samples give a growth rate
+      change: formData.postedAt ? calculateMomentumFromAge(formData.postedAt, metrics) : 0,
       suggestedCategory: suggestedCategoryId,
     });
   };
@@ -134,18 +148,7 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
   ];
 
   const hasMetrics = formData.likes || formData.comments || formData.shares || formData.saves || formData.views || formData.followers;
-  const calculatedSize = hasMetrics
-    ? calculateEngagementScore(
-        {
-          likes: parseMetricString(formData.likes),
-          comments: parseMetricString(formData.comments),
-          shares: parseMetricString(formData.shares),
-          saves: parseMetricString(formData.saves),
-          views: parseMetricString(formData.views),
-        },
-        formData.platform || 'unknown'
-      )
-    : 0;
+  const calculatedSize = hasMetrics ? scored?.size ?? 0 : 0;
 
   return (
     <div className="screenshot-import" onPaste={handlePaste}>
@@ -308,6 +311,18 @@ export default function ScreenshotImport({ categories, onImport, onCancel }) {
             </div>
           </div>
 
+          <div className="form-group">
+            <label>Date Posted <span className="optional">(optional)</span></label>
+            <input
+              type="date"
+              value={formData.postedAt ? formData.postedAt.split('T')[0] : ''}
+              onChange={(e) => setFormData({ ...formData, postedAt: e.target.value })}
+            />
+            {formData.postedAt && (
+              <span className="hint">Posted {getPostAge(formData.postedAt).ageText.toLowerCase()}</span>
+            )}
+          </div>
+
           {hasMetrics && (
             <div className="calculated-score">
               <span className="score-label">Calculated Attention Score:</span>
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { getSnapshotSettings, saveSnapshotSettings } from '../utils/storage';
+import {
+  clearHistory,
+  deletePeriodSnapshots,
+  formatPeriod,
+  getBaselinePeriodKey,
+  getHistory,
+} from '../utils/history';
+
+const GRANULARITIES = [
+  { id: 'hourly', label: 'Hourly' },
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly', hint: 'ISO weeks' },
+  { id: 'custom', label: 'Custom' },
+];
+
+export default function SnapshotSettings({ onCompare }) {
+  const [settings, setSettings] = useState(getSnapshotSettings);
+  // Bumped after deletes so the list re-reads history
+  const [, setVersion] = useState(0);
+
+  const history = getHistory(settings);
+  const periods = Object.keys(history).sort().reverse();
+  const baselinePeriod = getBaselinePeriodKey();
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveSnapshotSettings(next);
+  };
+
+  const updateBaseline = (changes) => update({ baseline: { ...settings.baseline, ...changes } });
+
+  const handleDelete = async (period) => {
+    if (!confirm(`Delete all snapshots saved in ${formatPeriod(period)}?`)) return;
+    await deletePeriodSnapshots(period);
+    setVersion((v) => v + 1);
+  };
+
+  const handleClear = async () => {
+    if (!confirm('Delete the entire snapshot history for this board?')) return;
+    await clearHistory();
+    setVersion((v) => v + 1);
+  };
+
+  return (
+    <div className="snapshot-settings">
+      <h3>Snapshots</h3>
+      <p className="backup-hint">
+        Every save is kept. Periods group saves for comparisons and show the latest one.
+      </p>
+
+      <div className="format-selector">
+        {GRANULARITIES.map((option) => (
+          <label key={option.id}>
+            <input
+              type="radio"
+              name="granularity"
+              checked={settings.granularity === option.id}
+              onChange={() => update({ granularity: option.id })}
+            />
+            <span>{option.label}</span>
+            {option.id === 'custom' ? (
+              <span className="dims">
+                every{' '}
+                <input
+                  type="number"
+                  min="1"
+                  max="720"
+                  value={settings.customHours}
+                  onChange={(e) => update({ customHours: Math.max(1, Number(e.target.value) || 1) })}
+                  className="snapshot-hours"
+                />{' '}
+                h
+              </span>
+            ) : (
+              option.hint && <span className="dims">{option.hint}</span>
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div className="form-group">
+        <label>Compare changes against</label>
+        <select
+          value={settings.baseline?.type || 'previous'}
+          onChange={(e) => updateBaseline({ type: e.target.value })}
+        >
+          <option value="previous">Previous period</option>
+          <option value="periodsAgo">Periods ago…</option>
+          <option value="fixed">A fixed period…</option>
+        </select>
+
+        {settings.baseline?.type === 'periodsAgo' && (
+          <input
+            type="number"
+            min="1"
+            value={settings.baseline.count || 1}
+            onChange={(e) => updateBaseline({ count: Math.max(1, Number(e.target.value) || 1) })}
+          />
+        )}
+
+        {settings.baseline?.type === 'fixed' && (
+          <select
+            value={settings.baseline.period || ''}
+            onChange={(e) => updateBaseline({ period: e.target.value })}
+          >
+            <option value="">Choose a period</option>
+            {periods.map((period) => (
+              <option key={period} value={period}>
+                {formatPeriod(period)}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <span className="hint">
+          {baselinePeriod ? `Currently ${formatPeriod(baselinePeriod)}` : 'No earlier snapshot yet'}
+        </span>
+      </div>
+
+      {periods.length > 0 && (
+        <>
+          <ul className="snapshot-list">
+            {periods.map((period) => (
+              <li key={period} className={period === baselinePeriod ? 'baseline' : ''}>
+                <span>{formatPeriod(period)}</span>
+                <span className="dims">
+                  {history[period].saves} save{history[period].saves === 1 ? '' : 's'}
+                </span>
+                <button type="button" onClick={() => handleDelete(period)} title="Delete period">
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          {periods.length > 1 && (
+            <button type="button" className="btn-secondary" onClick={onCompare}>
+              Compare Periods
+            </button>
+          )}
+          <button type="button" className="btn-danger" onClick={handleClear}>
+            Clear History
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import { formatPeriod, getAvailablePeriods } from '../utils/history';
+
+const FRAME_DURATION = 1200;
+
+/**
+ * Scrubber over stored periods, oldest first. The last stop is the live board,
+ * reported as `null`.
+ */
+export default function TimelineControls({ value, onChange }) {
+  const [playing, setPlaying] = useState(false);
+
+  const periods = getAvailablePeriods().reverse();
+  const liveIndex = periods.length;
+  const index = value === null ? liveIndex : Math.max(0, periods.indexOf(value));
+  const nextPeriod = periods[index + 1] || null;
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      onChange(nextPeriod);
+      if (!nextPeriod) setPlaying(false);
+    }, FRAME_DURATION);
+    return () => clearTimeout(timer);
+  }, [playing, value, nextPeriod, onChange]);
+
+  if (periods.length === 0) return null;
+
+  const handlePlay = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Restart from the oldest snapshot when starting at the live board
+    if (index >= liveIndex) onChange(periods[0]);
+    setPlaying(true);
+  };
+
+  const handleScrub = (e) => {
+    const next = Number(e.target.value);
+    setPlaying(false);
+    onChange(next >= liveIndex ? null : periods[next]);
+  };
+
+  return (
+    <div className="timeline-controls">
+      <button
+        type="button"
+        className="timeline-play"
+        onClick={handlePlay}
+        title={playing ? 'Pause' : 'Play history'}
+      >
+        {playing ? '❚❚' : '▶'}
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={liveIndex}
+        value={index}
+        onChange={handleScrub}
+        className="timeline-slider"
+      />
+      <span className="timeline-label">
+        {value === null ? 'Live' : formatPeriod(value)}
+      </span>
+      {value !== null && (
+        <button
+          type="button"
+          className="timeline-live"
+          onClick={() => {
+            setPlaying(false);
+            onChange(null);
+          }}
+        >
+          Back to live
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import TrendBlock from './TrendBlock';
+import OverflowBlock from './OverflowBlock';
+import { getCategoryHeaderHeight } from './treemapLayout';
+
+// Sections and blocks glide between layouts when sizes change (time-lapse playback)
+const LAYOUT_TRANSITION = 'left 0.8s ease, top 0.8s ease, width 0.8s ease, height 0.8s ease';
+
+/**
+ * The board as treemaps: one per category, either stacked as bands or nested
+ * inside a treemap of the categories. Laid out by useTreemapLayout(), in Heatmap.
+ */
+export default function TreemapView({
+  sections = [],
+  onTrendClick,
+  animate = false,
+  stages = null,
+  ghost = false,
+  categoryLayout = 'bands',
+}) {
+  const nested = categoryLayout === 'nested';
+  const categoryHeaderHeight = getCategoryHeaderHeight(categoryLayout);
+
+  return (
+    <>
+      {sections.map(({ category, x, y, width: sectionWidth, height: sectionHeight, layouts }) => {
+        const contentH = Math.max(sectionHeight - categoryHeaderHeight, 0);
+
+        return (
+          <div
+            key={category.id}
+            style={{
+              position: 'absolute',
+              top: y,
+              left: x,
+              width: sectionWidth,
+              height: sectionHeight,
+              outline: nested ? '1px solid #333' : undefined,
+              overflow: nested ? 'hidden' : undefined,
+              transition: animate ? LAYOUT_TRANSITION : undefined,
+            }}
+          >
+            {/* Category label */}
+            <div style={{
+              height: categoryHeaderHeight,
+              display: 'flex',
+              alignItems: 'center',
+              padding: nested ? '0 10px' : undefined,
+              borderBottom: '1px solid #333',
+              overflow: 'hidden',
+            }}>
+              <span style={{
+                fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
+                fontSize: nested ? '13px' : '16px',
+                fontWeight: 600,
+                color: '#00FF66',
+                letterSpacing: '0.12em',
+                textTransform: 'uppercase',
+                whiteSpace: 'nowrap',
+              }}>
+                {category.label}
+              </span>
+            </div>
+
+            {/* Blocks */}
+            <div
+              style={{
+                position: 'relative',
+                height: contentH,
+                transition: animate ? LAYOUT_TRANSITION : undefined,
+              }}
+            >
+              {layouts.map((layout) =>
+                layout.overflow ? (
+                  <OverflowBlock
+                    key={layout.id}
+                    item={layout}
+                    style={layout}
+                    animate={animate}
+                    ghost={ghost}
+                  />
+                ) : (
+                  <TrendBlock
+                    key={layout.id}
+                    item={layout}
+                    style={layout}
+                    onClick={onTrendClick}
+                    animate={animate}
+                    stage={stages?.get(layout.id)}
+                    ghost={ghost}
+                  />
+                )
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -1,38 +1,133 @@
-import { getColor, RISING_COLOR, FALLING_COLOR } from '../utils/colors';
+import { useEffect, useState } from 'react';
+import { getReadableTextColor, getTrendColors, isReadable } from '../utils/colors';
+import { getRegionColors, sampleImage } from '../utils/imageTone';
+import { LIFECYCLE_STAGES } from '../utils/lifecycle';
+import { fitText, measureText } from '../utils/textFit';
 
-export default function TrendBlock({ item, style, onClick }) {
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const NAME_FONT = { weight: 700, letterSpacing: -0.02 };
+const LINE_HEIGHT = 1.1;
+const MIN_FONT_SIZE = 10;
+const MAX_FONT_SIZE = 40;
+const NAME_HEIGHT_SHARE = 0.22; // Largest name font as a share of the block's height
+const MAX_NAME_LINES = 3;
+
+// Position, size and color ease between layouts; hover scale stays snappy
+const ANIMATED_TRANSITION = [
+  'left 0.8s ease',
+  'top 0.8s ease',
+  'width 0.8s ease',
+  'height 0.8s ease',
+  'background-color 0.8s ease',
+  'transform 0.15s ease',
+].join(', ');
+
+export default function TrendBlock({ item, style, onClick, animate = false, stage = null, ghost = false }) {
   const isLarge = style.width > 200 && style.height > 150;
   const isMedium = style.width > 100 && style.height > 70;
-  const isTiny = style.width < 80 || style.height < 50;
-  const hasImage = item.image && item.image.length > 0;
+  const hasImage = Boolean(item.image && item.image.length > 0);
 
-  // Calculate font size based on block size - Zora style
-  const nameFontSize = isLarge ? '28px' : isMedium ? '18px' : '12px';
-  const changeFontSize = isLarge ? '16px' : isMedium ? '13px' : '10px';
-
-  // Border/padding proportional to block size
+  // Border, insets and label padding step up with block size - Zora style
   const borderSize = isLarge ? 8 : isMedium ? 5 : 3;
+  const inset = isLarge ? 12 : isMedium ? 8 : 4;
+  const namePadding = isLarge ? [6, 12] : isMedium ? [4, 8] : [2, 5];
+  const changePadding = isLarge ? [4, 10] : isMedium ? [3, 7] : [2, 5];
+  const changeFontSize = isLarge ? 16 : isMedium ? 13 : 10;
 
   // Image fills the entire inner area
   const imageWidth = style.width - (borderSize * 2);
   const imageHeight = style.height - (borderSize * 2);
 
+  // Lifecycle mode colors by stage instead of by change
+  const colors = getTrendColors(item.change, stage && LIFECYCLE_STAGES[stage.stage].color);
+
+  // The image's colors, once sampled, decide whether labels need a solid background
+  const [tone, setTone] = useState(null);
+  useEffect(() => {
+    if (!hasImage) return undefined;
+    let current = true;
+    sampleImage(item.image).then((sampled) => {
+      if (current) setTone({ src: item.image, sampled });
+    });
+    return () => {
+      current = false;
+    };
+  }, [hasImage, item.image]);
+  const sampled = hasImage && tone?.src === item.image ? tone.sampled : null;
+
+  // Change % along the bottom, when the block has room for it under a name
+  const changeText = `${ghost ? '~' : ''}${item.change > 0 ? '+' : ''}${item.change.toFixed(0)}%`;
+  const changeBox = {
+    width: measureText(changeText, changeFontSize) + changePadding[1] * 2,
+    height: changeFontSize * 1.2 + changePadding[0] * 2,
+  };
+
+  // Largest name that fits, leaving room for the change when there is any
+  const fitName = (reserve) =>
+    fitText(item.name, {
+      width: imageWidth - inset * 2 - namePadding[1] * 2,
+      height: imageHeight - inset * 2 - namePadding[0] * 2 - reserve,
+      minSize: MIN_FONT_SIZE,
+      maxSize: Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, imageHeight * NAME_HEIGHT_SHARE)),
+      lineHeight: LINE_HEIGHT,
+      maxLines: MAX_NAME_LINES,
+      font: NAME_FONT,
+    });
+  const changeReserve = changeBox.height + inset;
+  const roomForChange =
+    changeBox.width <= imageWidth - inset * 2 &&
+    imageHeight - inset * 2 - namePadding[0] * 2 - changeReserve >= MIN_FONT_SIZE * LINE_HEIGHT;
+  const nameWithChange = roomForChange ? fitName(changeReserve) : null;
+  // A full name beats showing the change under a cut-short one
+  const nameAlone = !nameWithChange || nameWithChange.truncated ? fitName(0) : null;
+  const showChange = Boolean(nameWithChange) && !(nameWithChange.truncated && !nameAlone.truncated);
+  const name = showChange ? nameWithChange : nameAlone;
+
+  // Labels sit straight on the block when the text reads against what's under
+  // it, and on a solid background otherwise (or until the image is sampled)
+  const underLabel = (region) => {
+    if (!hasImage) return [colors.fill];
+    return sampled
+      ? getRegionColors(sampled, { width: imageWidth, height: imageHeight }, region, item.imagePosition)
+      : [];
+  };
+  const nameSolid = !isReadable(colors.label, underLabel({
+    x: inset,
+    y: inset,
+    width: name.width + namePadding[1] * 2,
+    height: name.height + namePadding[0] * 2,
+  }), name.fontSize);
+  const changeSolid = !isReadable(colors.label, underLabel({
+    x: inset,
+    y: imageHeight - inset - changeBox.height,
+    ...changeBox,
+  }), changeFontSize);
+  const labelColors = (solid) =>
+    solid
+      ? { color: getReadableTextColor(colors.label), backgroundColor: colors.label }
+      : { color: colors.label };
+
   return (
     <div
       onClick={() => onClick && onClick(item)}
+      title={stage ? `${LIFECYCLE_STAGES[stage.stage].label}: ${stage.reason}` : undefined}
       style={{
         position: 'absolute',
         left: style.x,
         top: style.y,
         width: style.width,
         height: style.height,
-        backgroundColor: getColor(item.change),
+        backgroundColor: colors.fill,
         padding: borderSize,
         boxSizing: 'border-box',
         overflow: 'hidden',
         cursor: onClick ? 'pointer' : 'default',
-        transition: 'transform 0.15s ease',
+        transition: animate ? ANIMATED_TRANSITION : 'transform 0.15s ease',
         borderRadius: '0px',
+        // Forecast blocks are drawn as outlines of what may come
+        opacity: ghost ? 0.55 : 1,
+        outline: ghost ? '2px dashed rgba(255,255,255,0.6)' : undefined,
+        outlineOffset: ghost ? -2 : undefined,
       }}
       onMouseEnter={(e) => {
         if (onClick) e.currentTarget.style.transform = 'scale(1.02)';
@@ -50,6 +145,7 @@ export default function TrendBlock({ item, style, onClick }) {
           borderRadius: '0px',
           overflow: 'hidden',
           backgroundColor: hasImage ? 'transparent' : 'rgba(255,255,255,0.05)',
+          transition: animate ? 'width 0.8s ease, height 0.8s ease' : undefined,
         }}
       >
         {/* Background image */}
@@ -69,45 +165,49 @@ export default function TrendBlock({ item, style, onClick }) {
           />
         )}
 
-        {/* Name - TOP LEFT, color matches border (green=rising, red=falling) */}
+        {/* Name - TOP LEFT, color matches border (green=rising, red=falling, or the stage) */}
         <div
+          title={name.truncated ? item.name : undefined}
           style={{
             position: 'absolute',
-            top: isLarge ? 12 : isMedium ? 8 : 4,
-            left: isLarge ? 12 : isMedium ? 8 : 4,
-            fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-            fontSize: nameFontSize,
+            top: inset,
+            left: inset,
+            fontFamily: FONT,
+            fontSize: `${name.fontSize}px`,
             fontWeight: 700,
-            color: '#000000',
-            backgroundColor: item.change >= 0 ? RISING_COLOR : FALLING_COLOR,
-            padding: isLarge ? '6px 12px' : isMedium ? '4px 8px' : '2px 5px',
-            lineHeight: 1.1,
+            padding: `${namePadding[0]}px ${namePadding[1]}px`,
+            lineHeight: LINE_HEIGHT,
             textTransform: 'uppercase',
             letterSpacing: '-0.02em',
+            whiteSpace: 'nowrap',
             zIndex: 10,
+            ...labelColors(nameSolid),
           }}
         >
-          {item.name}
+          {name.lines.map((line, i) => (
+            <div key={i}>{line}</div>
+          ))}
         </div>
 
         {/* Change % - BOTTOM LEFT, color matches border */}
-        {!isTiny && (
+        {showChange && (
           <div
             style={{
               position: 'absolute',
-              bottom: isLarge ? 12 : isMedium ? 8 : 4,
-              left: isLarge ? 12 : isMedium ? 8 : 4,
-              fontFamily: "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif",
-              fontSize: changeFontSize,
+              bottom: inset,
+              left: inset,
+              fontFamily: FONT,
+              fontSize: `${changeFontSize}px`,
               fontWeight: 700,
-              color: '#000000',
-              backgroundColor: item.change >= 0 ? RISING_COLOR : FALLING_COLOR,
-              padding: isLarge ? '4px 10px' : isMedium ? '3px 7px' : '2px 5px',
+              lineHeight: 1.2,
+              padding: `${changePadding[0]}px ${changePadding[1]}px`,
               zIndex: 10,
               letterSpacing: '-0.5px',
+              whiteSpace: 'nowrap',
+              ...labelColors(changeSolid),
             }}
           >
-            {item.change > 0 ? '+' : ''}{item.change.toFixed(0)}%
+            {changeText}
           </div>
         )}
       </div>
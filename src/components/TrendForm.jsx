@@ -1,7 +1,49 @@
 import { useState, useEffect, useRef } from 'react';
 import { generateId } from '../utils/storage';
-import { getPreviousWeekTrend, calculateChange } from '../utils/history';
-import { calculateAttentionScore, formatMetric, getPostAge } from '../utils/metrics';
+import { getBaselineTrend, calculateChange, formatPeriod, getTrendHistory } from '../utils/history';
+import { formatMetric, getPostAge } from '../utils/metrics';
+import { getActiveScoringModel, modelRef, scoreTrend } from '../utils/scoring';
+import {
+  SAMPLE_METRICS,
+  appendMetricSample,
+  calculateVelocity,
+  recordMetricSample,
+} from '../utils/velocity';
+import { describeProvenance, reconcileProvenance } from '../utils/provenance';
+import { describeForecast, forecastTrend } from '../utils/forecast';
+import TrendIdentity from './TrendIdentity';
+import TrendHistoryChart from './TrendHistoryChart';
+
+// Metrics from the form's inputs, over any it doesn't show (shares, saves)
+const toMetrics = (input, base = null) => ({
+  ...base,
+  views: Number(input.views) || 0,
+  likes: Number(input.likes) || 0,
+  comments: Number(input.comments) || 0,
+  followers: Number(input.followers) || 0,
+});
+
+// Function to calculate size and momentum from metrics, using the board's scoring model.
+// Scores the trend as it would be saved: momentum from growth since its earlier
+// samples, and edited values counting as manual entries. `origin` is the trend
+// being edited or the imported data.
+function calculateFromMetrics(metricsInput, sourceUrl, origin = null) {
+  const metricsObj = toMetrics(metricsInput, origin?.metrics);
+
+  const hasMetrics = metricsObj.views > 0 || metricsObj.likes > 0 || metricsObj.followers > 0;
+  if (!hasMetrics) return null;
+
+  return scoreTrend({
+    sourceUrl,
+    platform: origin?.platform,
+    metrics: metricsObj,
+    metricSamples: appendMetricSample(origin?.metricSamples, metricsObj),
+    metricProvenance: reconcileProvenance(metricsObj, origin?.metrics, origin?.metricProvenance, null),
+    scoringModel: { score: 'attention' },
+  });
+}
+
+const METRIC_LABELS = { views: 'Views', followers: 'Followers', likes: 'Likes', comments: 'Comments' };
 
 export default function TrendForm({
   trend,
@@ -22,6 +64,7 @@ export default function TrendForm({
     sourceUrl: '',
     notes: '',
     postedAt: null,
+    aliases: [],
   });
   const [metrics, setMetrics] = useState({
     views: '',
@@ -29,64 +72,16 @@ export default function TrendForm({
     comments: '',
     followers: '',
   });
-  const [previousWeek, setPreviousWeek] = useState(null);
+  const [baselineTrend, setBaselineTrend] = useState(null);
   const [autoCalculate, setAutoCalculate] = useState(false);
   const [autoSize, setAutoSize] = useState(false);
 
-  // Function to calculate size and momentum from metrics
-  const calculateFromMetrics = (metricsInput) => {
-    const metricsObj = {
-      views: Number(metricsInput.views) || 0,
-      likes: Number(metricsInput.likes) || 0,
-      comments: Number(metricsInput.comments) || 0,
-      followers: Number(metricsInput.followers) || 0,
-    };
-
-    const hasMetrics = metricsObj.views > 0 || metricsObj.likes > 0 || metricsObj.followers > 0;
-    if (!hasMetrics) return null;
-
-    const calculatedSize = calculateAttentionScore(metricsObj);
-
-    // Calculate "momentum" based on performance vs audience
-    let calculatedChange = 0;
-
-    if (metricsObj.followers > 0) {
-      if (metricsObj.views > 0) {
-        // REELS/VIDEOS: views vs followers
-        // views > followers = viral (positive)
-        // views < followers = underperforming (negative)
-        const viralityRatio = metricsObj.views / metricsObj.followers;
-        calculatedChange = Math.round((viralityRatio - 1) * 100);
-        // Cap at reasonable range
-        calculatedChange = Math.max(-90, Math.min(900, calculatedChange));
-      } else if (metricsObj.likes > 0) {
-        // IMAGE POSTS (no views): likes vs followers
-        // Good engagement is ~3-10% of followers liking
-        // likes/followers > 0.05 (5%) = doing well (positive)
-        // likes/followers < 0.02 (2%) = underperforming (negative)
-        const likeRatio = metricsObj.likes / metricsObj.followers;
-        // Scale: 3% = 0, 10% = +100, 1% = -50
-        calculatedChange = Math.round((likeRatio - 0.03) * 2000);
-        calculatedChange = Math.max(-90, Math.min(500, calculatedChange));
-      }
-    } else if (metricsObj.views > 0 && metricsObj.likes > 0) {
-      // No follower data - use engagement rate
-      const engagementRate = (metricsObj.likes / metricsObj.views) * 100;
-      // Good engagement is 3-10%, 5% = baseline
-      calculatedChange = Math.round((engagementRate - 5) * 15);
-      calculatedChange = Math.max(-90, Math.min(300, calculatedChange));
-    }
-
-    console.log('Calculated:', { size: calculatedSize, change: calculatedChange, metrics: metricsObj });
-    return { size: calculatedSize, change: calculatedChange };
-  };
-
   // Handle metric input change - recalculate immediately
   const handleMetricChange = (field, value) => {
     const newMetrics = { ...metrics, [field]: value };
     setMetrics(newMetrics);
 
-    const calculated = calculateFromMetrics(newMetrics);
+    const calculated = calculateFromMetrics(newMetrics, formData.sourceUrl, trend || importedData);
     if (calculated) {
       setFormData((prev) => ({
         ...prev,
@@ -110,6 +105,7 @@ export default function TrendForm({
         sourceUrl: trend.sourceUrl || '',
         notes: trend.notes || '',
         postedAt: trend.postedAt || null,
+        aliases: trend.aliases || [],
       });
       if (trend.metrics) {
         setMetrics({
@@ -119,8 +115,8 @@ export default function TrendForm({
           followers: trend.metrics.followers || '',
         });
       }
-      const prevData = getPreviousWeekTrend(trend.name);
-      setPreviousWeek(prevData);
+      const prevData = getBaselineTrend(trend);
+      setBaselineTrend(prevData);
     } else if (importedData) {
       const importedMetrics = importedData.metrics ? {
         views: importedData.metrics.views || '',
@@ -132,7 +128,7 @@ export default function TrendForm({
       setMetrics(importedMetrics);
 
       // Calculate size/change from metrics if available
-      const calculated = calculateFromMetrics(importedMetrics);
+      const calculated = calculateFromMetrics(importedMetrics, importedData.sourceUrl, importedData);
 
       // Use time-decay momentum if available, otherwise use calculated
       const momentum = importedData.calculatedMomentum !== null && importedData.calculatedMomentum !== undefined
@@ -149,6 +145,7 @@ export default function TrendForm({
         sourceUrl: importedData.sourceUrl || '',
         notes: '',
         postedAt: importedData.postedAt || null,
+        aliases: [],
       });
 
       if (calculated) {
@@ -159,14 +156,14 @@ export default function TrendForm({
 
   // Auto-calculate change when size changes and we have previous data
   useEffect(() => {
-    if (autoCalculate && previousWeek && formData.size) {
-      const calculatedChange = calculateChange(formData.size, previousWeek.size);
+    if (autoCalculate && baselineTrend && formData.size) {
+      const calculatedChange = calculateChange(formData.size, baselineTrend.size);
       setFormData((prev) => ({
         ...prev,
         change: Math.round(calculatedChange * 10) / 10,
       }));
     }
-  }, [formData.size, previousWeek, autoCalculate]);
+  }, [formData.size, baselineTrend, autoCalculate]);
 
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
@@ -188,34 +185,62 @@ export default function TrendForm({
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    const metricsObj = {
-      views: Number(metrics.views) || 0,
-      likes: Number(metrics.likes) || 0,
-      comments: Number(metrics.comments) || 0,
-      followers: Number(metrics.followers) || 0,
-    };
+    // Values edited since they were captured count as manual entries
+    const origin = trend || importedData;
+
+    const metricsObj = toMetrics(metrics, origin?.metrics);
     // Only include metrics if at least one value is set
     const hasMetrics = Object.values(metricsObj).some((v) => v > 0);
 
-    onSave({
+    // Record the scoring model when size came from metrics; manual sizes have none
+    const size = Number(formData.size);
+    let scoringModel = null;
+    if (autoSize && hasMetrics) {
+      scoringModel = modelRef(getActiveScoringModel());
+    } else if (trend && size === trend.size) {
+      scoringModel = trend.scoringModel ?? null;
+    }
+
+    // Remember the old name when a trend is renamed
+    const name = formData.name.trim();
+    let aliases = formData.aliases.filter((alias) => alias.toLowerCase() !== name.toLowerCase());
+    if (trend && trend.name !== name && !aliases.includes(trend.name)) {
+      aliases = [...aliases, trend.name];
+    }
+
+    // Fields the form doesn't edit, such as the platform, stay as they were
+    const edited = {
+      ...trend,
       id: trend?.id || generateId(),
-      name: formData.name,
+      name,
+      aliases,
       category: formData.category,
-      size: Number(formData.size),
+      size,
       change: Number(formData.change),
       image: formData.image,
       imagePosition: formData.imagePosition,
       sourceUrl: formData.sourceUrl,
       notes: formData.notes,
       metrics: hasMetrics ? metricsObj : null,
+      metricProvenance: hasMetrics
+        ? reconcileProvenance(metricsObj, origin?.metrics, origin?.metricProvenance)
+        : null,
+      metricSamples: trend?.metricSamples || [],
+      scoringModel,
       postedAt: formData.postedAt,
-    });
+    };
+
+    // Only changed metrics are sampled, so other edits don't add a sample
+    const metricsChanged = SAMPLE_METRICS.some(
+      (key) => (edited.metrics?.[key] || 0) !== (trend?.metrics?.[key] || 0)
+    );
+    onSave(metricsChanged ? recordMetricSample(edited) : edited);
   };
 
   const handleAutoCalculateToggle = () => {
     setAutoCalculate(!autoCalculate);
-    if (!autoCalculate && previousWeek) {
-      const calculatedChange = calculateChange(formData.size, previousWeek.size);
+    if (!autoCalculate && baselineTrend) {
+      const calculatedChange = calculateChange(formData.size, baselineTrend.size);
       setFormData((prev) => ({
         ...prev,
         change: Math.round(calculatedChange * 10) / 10,
@@ -223,6 +248,37 @@ export default function TrendForm({
     }
   };
 
+  // Where each metric value came from; values edited here become manual entries
+  const metricOrigin = trend || importedData;
+  const provenance = reconcileProvenance(
+    toMetrics(metrics),
+    metricOrigin?.metrics,
+    metricOrigin?.metricProvenance,
+    null
+  );
+  const lowConfidence = Object.keys(provenance).filter((key) => provenance[key].confidence === 'low');
+
+  const renderProvenance = (key) => {
+    const entry = provenance[key];
+    if (!entry) return null;
+    return (
+      <span
+        className={`metric-provenance confidence-${entry.confidence}`}
+        title={entry.at ? `Captured ${new Date(entry.at).toLocaleString()}` : 'Edited, not saved yet'}
+      >
+        {describeProvenance(entry)}
+      </span>
+    );
+  };
+
+  // Growth since the trend's last metric samples
+  const velocity = calculateVelocity(trend?.metricSamples);
+  const velocityMetric = trend?.metricSamples?.some((sample) => sample.views > 0) ? 'views' : 'likes';
+
+  // Next period's size and change, projected from the trend's history
+  const identity = trend && { ...trend, aliases: formData.aliases };
+  const forecast = identity && forecastTrend(identity, getTrendHistory(identity));
+
   // Research links
   const searchName = formData.name || trend?.name || '';
   const searchLinks = searchName ? [
@@ -282,13 +338,35 @@ export default function TrendForm({
         </select>
       </div>
 
-      {/* Previous week indicator */}
-      {previousWeek && (
+      {trend && (
+        <TrendIdentity
+          trendId={trend.id}
+          aliases={formData.aliases}
+          onAliasesChange={(aliases) => setFormData({ ...formData, aliases })}
+          onLinksChange={() => setBaselineTrend(getBaselineTrend({ ...trend, aliases: formData.aliases }))}
+        />
+      )}
+
+      {/* Baseline period indicator */}
+      {baselineTrend && (
         <div className="previous-week-info">
-          <span className="prev-label">Last week:</span>
-          <span className="prev-size">Size {previousWeek.size}</span>
-          <span className={`prev-change ${previousWeek.change >= 0 ? 'positive' : 'negative'}`}>
-            {previousWeek.change >= 0 ? '+' : ''}{previousWeek.change}%
+          <span className="prev-label">{formatPeriod(baselineTrend.period)}:</span>
+          <span className="prev-size">Size {baselineTrend.size}</span>
+          <span className={`prev-change ${baselineTrend.change >= 0 ? 'positive' : 'negative'}`}>
+            {baselineTrend.change >= 0 ? '+' : ''}{baselineTrend.change}%
+          </span>
+        </div>
+      )}
+
+      {/* Size, change and metrics over every stored period */}
+      {trend && <TrendHistoryChart trend={identity} forecast={forecast} />}
+
+      {forecast && (
+        <div className="previous-week-info forecast-info" title={`From ${forecast.basis} periods of history, ~80% range`}>
+          <span className="prev-label">{formatPeriod(forecast.period)} forecast:</span>
+          <span className="prev-size">Size {describeForecast(forecast, 'size')}</span>
+          <span className={`prev-change ${forecast.change >= 0 ? 'positive' : 'negative'}`}>
+            {describeForecast(forecast, 'change')}
           </span>
         </div>
       )}
@@ -333,6 +411,7 @@ export default function TrendForm({
               onChange={(e) => handleMetricChange('views', e.target.value)}
               placeholder="600000"
             />
+            {renderProvenance('views')}
           </div>
           <div className="metric-input">
             <label>Followers</label>
@@ -342,6 +421,7 @@ export default function TrendForm({
               onChange={(e) => handleMetricChange('followers', e.target.value)}
               placeholder="123000"
             />
+            {renderProvenance('followers')}
           </div>
           <div className="metric-input">
             <label>Likes</label>
@@ -351,6 +431,7 @@ export default function TrendForm({
               onChange={(e) => handleMetricChange('likes', e.target.value)}
               placeholder="20000"
             />
+            {renderProvenance('likes')}
           </div>
           <div className="metric-input">
             <label>Comments</label>
@@ -360,13 +441,39 @@ export default function TrendForm({
               onChange={(e) => handleMetricChange('comments', e.target.value)}
               placeholder="380"
             />
+            {renderProvenance('comments')}
           </div>
         </div>
+        {lowConfidence.length > 0 && (
+          <div className="metrics-confidence-warning">
+            {lowConfidence.map((key) => METRIC_LABELS[key]).join(', ')}{' '}
+            {lowConfidence.length === 1 ? 'was' : 'were'} guessed from the screenshot and count for
+            less in the score. Check against the post.
+          </div>
+        )}
         {autoSize && (
           <div className="auto-size-preview">
             Calculated attention: <strong>{formData.size}</strong>
           </div>
         )}
+        {velocity && (
+          <div className="velocity-info">
+            <span className="velocity-label">Velocity:</span>
+            <span>
+              {formatMetric(Math.round(velocity.rates[velocityMetric]))} {velocityMetric}/h
+            </span>
+            {velocity.acceleration && (
+              <span
+                className={`velocity-trend ${velocity.acceleration[velocityMetric] >= 0 ? 'positive' : 'negative'}`}
+              >
+                {velocity.acceleration[velocityMetric] >= 0 ? '▲ Accelerating' : '▼ Slowing'}
+              </span>
+            )}
+            <span className="velocity-span">
+              over {velocity.hours < 48 ? `${Math.round(velocity.hours)}h` : `${Math.round(velocity.hours / 24)}d`}
+            </span>
+          </div>
+        )}
       </div>
 
       <div className="form-row">
@@ -383,18 +490,23 @@ export default function TrendForm({
             onChange={(e) => setFormData({ ...formData, size: e.target.value })}
             disabled={autoSize}
           />
+          {!autoSize && trend?.scoringModel && Number(formData.size) === trend.size && (
+            <span className="change-hint">
+              Scored with {trend.scoringModel.name} v{trend.scoringModel.version}
+            </span>
+          )}
         </div>
 
         <div className="form-group">
           <label>
             Momentum %
             {autoSize && <span className="auto-badge">Auto</span>}
-            {!autoSize && previousWeek && (
+            {!autoSize && baselineTrend && (
               <button
                 type="button"
                 className={`btn-auto-calc ${autoCalculate ? 'active' : ''}`}
                 onClick={handleAutoCalculateToggle}
-                title="Auto-calculate from last week's size"
+                title="Auto-calculate from the baseline period's size"
               >
                 Auto
               </button>
@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { formatPeriod, getTrendTimeline } from '../utils/history';
+import { formatMetric } from '../utils/metrics';
+
+const WIDTH = 300;
+const HEIGHT = 110;
+const PADDING = { top: 18, right: 10, bottom: 18, left: 10 };
+
+const BASE_SERIES = [
+  { id: 'size', label: 'Size', read: (entry) => entry.size },
+  { id: 'change', label: 'Change', read: (entry) => entry.change },
+];
+
+const METRIC_LABELS = {
+  views: 'Views',
+  likes: 'Likes',
+  comments: 'Comments',
+  shares: 'Shares',
+  saves: 'Saves',
+  followers: 'Followers',
+};
+
+function formatValue(seriesId, value) {
+  if (seriesId === 'size') return String(Math.round(value));
+  if (seriesId === 'change') return `${value > 0 ? '+' : ''}${Math.round(value)}%`;
+  return formatMetric(value);
+}
+
+function labelAnchor(x) {
+  if (x < WIDTH * 0.15) return 'start';
+  if (x > WIDTH * 0.85) return 'end';
+  return 'middle';
+}
+
+export default function TrendHistoryChart({ trend, forecast = null }) {
+  const [seriesId, setSeriesId] = useState('size');
+
+  const timeline = getTrendTimeline(trend);
+  if (timeline.length === 0) return null;
+
+  // Offer every metric that was recorded in at least one period
+  const metricKeys = Object.keys(METRIC_LABELS).filter((key) =>
+    timeline.some((point) => point.entry?.metrics?.[key] > 0)
+  );
+  const series = [
+    ...BASE_SERIES,
+    ...metricKeys.map((key) => ({
+      id: key,
+      label: METRIC_LABELS[key],
+      read: (entry) => entry.metrics?.[key] || null,
+    })),
+  ];
+  const active = series.find((s) => s.id === seriesId) || series[0];
+
+  const values = timeline.map((point) => {
+    const value = point.entry ? active.read(point.entry) : null;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  });
+  const known = values.filter((v) => v !== null);
+
+  // Next period's projection, drawn past the last point with its band
+  const lastIndex = values.length - 1;
+  const projection =
+    forecast && values[lastIndex] !== null
+      ? active.id === 'size'
+        ? { value: forecast.size, low: forecast.low, high: forecast.high }
+        : active.id === 'change'
+          ? { value: forecast.change, low: forecast.changeLow, high: forecast.changeHigh }
+          : null
+      : null;
+  const slots = timeline.length + (projection ? 1 : 0);
+  const bounds = projection ? [...known, projection.low, projection.high] : known;
+
+  const min = known.length ? Math.min(...known) : 0;
+  const max = known.length ? Math.max(...known) : 0;
+  const low = bounds.length ? Math.min(...bounds) : 0;
+  const high = bounds.length ? Math.max(...bounds) : 0;
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (i) =>
+    PADDING.left + (slots > 1 ? (i / (slots - 1)) * innerWidth : innerWidth / 2);
+  const y = (v) =>
+    high === low ? PADDING.top + innerHeight / 2 : PADDING.top + ((high - v) / (high - low)) * innerHeight;
+
+  // Break the line wherever the trend was missing
+  let path = '';
+  values.forEach((value, i) => {
+    if (value === null) return;
+    path += `${i > 0 && values[i - 1] !== null ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`;
+  });
+
+  const peakIndex = values.indexOf(max);
+  const troughIndex = values.indexOf(min);
+  const showExtremes = known.length > 1 && max !== min;
+
+  return (
+    <div className="trend-history">
+      <div className="trend-history-header">
+        <label>History</label>
+        <div className="trend-history-series">
+          {series.map((s) => (
+            <button
+              key={s.id}
+              type="button"
+              className={s.id === active.id ? 'active' : ''}
+              onClick={() => setSeriesId(s.id)}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg
+        className="trend-history-chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`${active.label} over ${timeline.length} periods`}
+      >
+        {active.id === 'change' && low < 0 && high > 0 && (
+          <line
+            className="trend-history-zero"
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(0)}
+            y2={y(0)}
+          />
+        )}
+
+        {timeline.map((point, i) =>
+          point.event ? (
+            <g key={`event-${point.period}`} className={`trend-history-event ${point.event}`}>
+              <line x1={x(i)} x2={x(i)} y1={PADDING.top - 6} y2={HEIGHT - PADDING.bottom + 4} />
+              <text x={x(i)} y={HEIGHT - 4} textAnchor={labelAnchor(x(i))}>
+                {point.event === 'added' ? 'added' : 'removed'}
+              </text>
+              <title>
+                {point.event === 'added' ? 'Added' : 'Removed'} in {formatPeriod(point.period)}
+              </title>
+            </g>
+          ) : null
+        )}
+
+        {path && <path className="trend-history-line" d={path} />}
+
+        {projection && (
+          <g className="trend-history-forecast">
+            <polygon
+              className="trend-history-band"
+              points={[
+                [x(lastIndex), y(values[lastIndex])],
+                [x(slots - 1), y(projection.high)],
+                [x(slots - 1), y(projection.low)],
+              ]
+                .map((point) => point.map((n) => n.toFixed(1)).join(','))
+                .join(' ')}
+            />
+            <line
+              x1={x(lastIndex)}
+              y1={y(values[lastIndex])}
+              x2={x(slots - 1)}
+              y2={y(projection.value)}
+            />
+            <circle cx={x(slots - 1)} cy={y(projection.value)} r="2.5">
+              <title>
+                {`Forecast for ${formatPeriod(forecast.period)}: ${formatValue(active.id, projection.value)} ` +
+                  `(${formatValue(active.id, projection.low)} to ${formatValue(active.id, projection.high)})`}
+              </title>
+            </circle>
+          </g>
+        )}
+
+        {values.map((value, i) =>
+          value === null ? null : (
+            <circle key={timeline[i].period} className="trend-history-point" cx={x(i)} cy={y(value)} r="2">
+              <title>
+                {formatPeriod(timeline[i].period)}: {formatValue(active.id, value)}
+              </title>
+            </circle>
+          )
+        )}
+
+        {showExtremes && (
+          <>
+            <circle className="trend-history-peak" cx={x(peakIndex)} cy={y(max)} r="3.5" />
+            <text
+              className="trend-history-annotation"
+              x={x(peakIndex)}
+              y={y(max) - 7}
+              textAnchor={labelAnchor(x(peakIndex))}
+            >
+              peak {formatValue(active.id, max)}
+            </text>
+            <circle className="trend-history-trough" cx={x(troughIndex)} cy={y(min)} r="3.5" />
+            <text
+              className="trend-history-annotation"
+              x={x(troughIndex)}
+              y={y(min) + 13}
+              textAnchor={labelAnchor(x(troughIndex))}
+            >
+              low {formatValue(active.id, min)}
+            </text>
+          </>
+        )}
+      </svg>
+
+      <div className="trend-history-axis">
+        <span>{formatPeriod(timeline[0].period)}</span>
+        <span>
+          {known.length} of {timeline.length} period{timeline.length === 1 ? '' : 's'}
+        </span>
+        <span>
+          {projection
+            ? `${formatPeriod(forecast.period)} (forecast)`
+            : formatPeriod(timeline[timeline.length - 1].period)}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import {
+  formatPeriod,
+  getTrendSeries,
+  getMergedSeries,
+  mergeTrendSeries,
+  resolveTrendId,
+  unmergeTrendSeries,
+} from '../utils/history';
+
+export default function TrendIdentity({ trendId, aliases, onAliasesChange, onLinksChange }) {
+  const [selected, setSelected] = useState('');
+  const [error, setError] = useState(null);
+
+  const ownId = resolveTrendId(trendId);
+  const merged = getMergedSeries(trendId);
+  const candidates = getTrendSeries().filter((series) => series.id !== ownId);
+
+  const handleMerge = async () => {
+    if (!selected) return;
+    const ok = await mergeTrendSeries(selected, trendId);
+    setError(ok ? null : 'That series already includes this trend.');
+    setSelected('');
+    onLinksChange();
+  };
+
+  const handleUnmerge = async (id) => {
+    await unmergeTrendSeries(id);
+    setSelected('');
+    onLinksChange();
+  };
+
+  return (
+    <div className="trend-identity">
+      {aliases.length > 0 && (
+        <div className="form-group">
+          <label>Also known as</label>
+          <div className="alias-list">
+            {aliases.map((alias) => (
+              <span key={alias} className="alias-chip">
+                {alias}
+                <button
+                  type="button"
+                  onClick={() => onAliasesChange(aliases.filter((a) => a !== alias))}
+                  title="Remove alias"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {merged.length > 0 && (
+        <div className="form-group">
+          <label>Merged history</label>
+          <div className="alias-list">
+            {merged.map((series) => (
+              <span key={series.id} className="alias-chip">
+                {series.names.join(' / ') || series.id}
+                <button
+                  type="button"
+                  onClick={() => handleUnmerge(series.id)}
+                  title="Unlink this history"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {candidates.length > 0 && (
+        <div className="form-group">
+          <label>Link history</label>
+          <div className="identity-merge">
+            <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+              <option value="">Same trend as…</option>
+              {candidates.map((series) => (
+                <option key={series.id} value={series.id}>
+                  {series.names.join(' / ')} ({series.periods.length} periods, last {formatPeriod(series.periods[series.periods.length - 1])})
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={handleMerge}
+              disabled={!selected}
+            >
+              Merge
+            </button>
+          </div>
+          <span className="hint">Treat an older series as this trend's history</span>
+          {error && <span className="identity-error">{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// Render modes for the board image. Each draws the board's trends into the
+// area between the header and footer; add an entry here to offer another.
+
+import TreemapView from './TreemapView';
+import BubbleChart from './BubbleChart';
+import RankedBars from './RankedBars';
+import QuadrantMap from './QuadrantMap';
+
+export const RENDER_MODES = [
+  { id: 'treemap', label: 'Treemap', hint: 'Size as area', component: TreemapView },
+  { id: 'bubbles', label: 'Bubbles', hint: 'Packed by category', component: BubbleChart },
+  { id: 'bars', label: 'Ranked Bars', hint: 'Per category', component: RankedBars },
+  { id: 'quadrant', label: 'Quadrant', hint: 'Attention × momentum', component: QuadrantMap },
+];
+
+/**
+ * Look up a render mode, falling back to the treemap
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getRenderMode(id) {
+  return RENDER_MODES.find((mode) => mode.id === id) || RENDER_MODES[0];
+}
@@ -0,0 +1,79 @@
+// Treemap board layout. Heatmap works it out, since its footer can list the
+// trends folded into "+N more" blocks, and TreemapView draws it.
+
+import { useMemo } from 'react';
+import { calculateBoardLayout, getStableLayoutHint, MIN_BLOCK_SIZES } from '../utils/layout';
+
+const LAYOUT_PASSES = 3;
+
+/**
+ * Height of each category's label in the treemap
+ * @param {'bands'|'nested'} categoryLayout
+ * @returns {number}
+ */
+export function getCategoryHeaderHeight(categoryLayout) {
+  // Nested categories carry a slimmer label inside their own rectangle
+  return categoryLayout === 'nested' ? 32 : 50;
+}
+
+/**
+ * Lay out the board as treemaps, leaving room for whatever lists its folded
+ * trends
+ * @param {Array} trends
+ * @param {Array} categories
+ * @param {Object} options
+ * @param {boolean} options.enabled - false when the board is drawn another way
+ * @param {number} options.width
+ * @param {number} options.height - Height available before anything is reserved
+ * @param {'squarified'|'stable'} options.layoutMode
+ * @param {'bands'|'nested'} options.categoryLayout
+ * @param {Array|null} options.previousBoards - From getPreviousBoards(), for the stable mode
+ * @param {string} options.minBlockSize - Key of MIN_BLOCK_SIZES
+ * @param {function|null} options.reserve - Height to take off the board for a layout's
+ *   sections, e.g. for a list of their folded trends
+ * @returns {{ sections: Array, height: number, reserved: number } | null}
+ *   null when not enabled
+ */
+export function useTreemapLayout(
+  trends,
+  categories,
+  { enabled, width, height, layoutMode, categoryLayout, previousBoards, minBlockSize, reserve }
+) {
+  const sectionHeader = getCategoryHeaderHeight(categoryLayout);
+  const layoutOptions = useMemo(
+    () => ({ width, height, sectionHeader, padding: 6, categoryLayout }),
+    [width, height, sectionHeader, categoryLayout]
+  );
+  // The stable layout starts from where trends sat in earlier periods. Laying
+  // those out again is costly, so it only happens when they or the board's
+  // shape change (getPreviousBoards() keeps handing back the same boards).
+  const hint = useMemo(
+    () =>
+      enabled && layoutMode === 'stable' && previousBoards
+        ? getStableLayoutHint(previousBoards, categories, layoutOptions)
+        : null,
+    [enabled, layoutMode, previousBoards, categories, layoutOptions]
+  );
+
+  if (!enabled) return null;
+
+  const layoutBoard = (boardHeight) =>
+    calculateBoardLayout(trends, categories, {
+      ...layoutOptions,
+      height: boardHeight,
+      mode: layoutMode,
+      minBlockArea: (MIN_BLOCK_SIZES[minBlockSize] || MIN_BLOCK_SIZES.off).area,
+      hint,
+    });
+
+  // A smaller board can fold more trends and need more room reserved, so
+  // settle over a few passes
+  let sections = layoutBoard(height);
+  let reserved = 0;
+  for (let pass = 0; reserve && pass < LAYOUT_PASSES && reserve(sections) > reserved; pass++) {
+    reserved = reserve(sections);
+    sections = layoutBoard(height - reserved);
+  }
+
+  return { sections, height: height - reserved, reserved };
+}
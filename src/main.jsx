@@ -2,9 +2,22 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { getTrends, initStorage } from './utils/storage'
+import { loadUndoHistory } from './utils/undo'
+import { recordAnomalies } from './utils/anomalies'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Load IndexedDB data into memory before the first render. Storage reports
+// its own failures to the app; anything else still shouldn't leave a blank page.
+initStorage()
+  // Without its undo history the app still works
+  .then(() => loadUndoHistory().catch((error) => console.error('Failed to load undo history:', error)))
+  // Anomalies since the last visit reach the inbox before the app reads it
+  .then(() => recordAnomalies(getTrends()))
+  .catch((error) => console.error('Failed to load saved data:', error))
+  .then(() => {
+    createRoot(document.getElementById('root')).render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
@@ -0,0 +1,54 @@
+// In-memory IndexedDB and localStorage for tests of the storage layer
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, vi } from 'vitest';
+
+/**
+ * A localStorage stand-in
+ * @param {Object} entries - Items it starts with
+ */
+export function memoryStorage(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+/**
+ * Give every test in the file an empty database
+ */
+export function setupFakeStorage() {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    vi.stubGlobal('localStorage', memoryStorage());
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+}
+
+/**
+ * Load the app's modules afresh and read the database back, the way a page
+ * load would. Modules imported after this share its storage.
+ * @returns {Promise<Object>} The storage module
+ */
+export async function reloadStorage() {
+  vi.resetModules();
+  const storage = await import('../utils/storage');
+  await storage.initStorage();
+  return storage;
+}
+
+/**
+ * Text of an image URL
+ * @param {string} src
+ */
+export async function readImage(src) {
+  return (await fetch(src)).text();
+}
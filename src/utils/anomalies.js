@@ -0,0 +1,187 @@
+// Anomaly detection: flags trends whose size or metrics move far outside their
+// own recent variance from one history period to the next, and keeps the
+// board's alerts inbox
+
+import { getTrendHistories } from './history';
+import { getAnomalyAlerts, getAnomalySettings, saveAnomalyAlerts } from './storage';
+
+export const ANOMALY_FIELDS = ['size', 'views', 'likes', 'comments', 'shares', 'saves', 'followers'];
+
+// zScore: how many of the trend's usual swings a move has to be.
+// minRatio: how big it has to be regardless, so steady series don't flag noise.
+export const SENSITIVITY_LEVELS = {
+  low: { label: 'Low', zScore: 4, minRatio: 2 },
+  medium: { label: 'Medium', zScore: 3, minRatio: 1.5 },
+  high: { label: 'High', zScore: 2, minRatio: 1.25 },
+};
+
+const WINDOW = 8; // Earlier changes the latest one is compared against
+const MIN_CHANGES = 3;
+const MIN_SPREAD = Math.log(1.1); // Series that barely move still have some spread
+const MAX_ALERTS = 200;
+
+const FIELD_LABELS = {
+  size: 'Size',
+  views: 'Views',
+  likes: 'Likes',
+  comments: 'Comments',
+  shares: 'Shares',
+  saves: 'Saves',
+  followers: 'Followers',
+};
+
+/**
+ * Compare the latest change in a series with the changes before it. Changes
+ * are measured as log ratios, so doubling and halving are equally far from flat.
+ * @param {Array<number>} values - Oldest first
+ * @param {Object} level - A SENSITIVITY_LEVELS entry
+ * @returns {{ direction: 'spike'|'drop', ratio: number, zScore: number } | null}
+ */
+export function detectSeriesAnomaly(values, level) {
+  const points = values.filter((value) => value > 0);
+  const changes = points.slice(1).map((value, i) => Math.log(value / points[i]));
+  if (changes.length < MIN_CHANGES + 1) return null;
+
+  const latest = changes[changes.length - 1];
+  const previous = changes.slice(-WINDOW - 1, -1);
+  const mean = previous.reduce((sum, change) => sum + change, 0) / previous.length;
+  const variance = previous.reduce((sum, change) => sum + (change - mean) ** 2, 0) / previous.length;
+  const zScore = (latest - mean) / Math.max(Math.sqrt(variance), MIN_SPREAD);
+  const ratio = Math.exp(latest);
+
+  if (Math.abs(zScore) < level.zScore) return null;
+  if (ratio < level.minRatio && ratio > 1 / level.minRatio) return null;
+  // A smaller rise than usual isn't a spike, nor a slower fall a drop
+  if (ratio > 1 !== zScore > 0) return null;
+
+  return { direction: ratio > 1 ? 'spike' : 'drop', ratio, zScore };
+}
+
+function fieldValue(entry, field) {
+  return field === 'size' ? entry.size : entry.metrics?.[field];
+}
+
+/**
+ * Anomalies in each trend's latest history period
+ * @param {Array} trends
+ * @param {Object} settings - From getAnomalySettings()
+ * @returns {{ alerts: Array, checked: Object }} checked maps trend id to the
+ *   period that was checked
+ */
+export function detectAnomalies(trends, settings = getAnomalySettings()) {
+  const level = SENSITIVITY_LEVELS[settings.sensitivity] || SENSITIVITY_LEVELS.medium;
+  const at = new Date().toISOString();
+  const alerts = [];
+  const checked = {};
+
+  const histories = getTrendHistories(trends);
+  trends.forEach((trend, i) => {
+    const history = histories[i];
+    if (history.length === 0) return;
+    const latest = history[history.length - 1];
+    checked[trend.id] = latest.period;
+
+    ANOMALY_FIELDS.forEach((field) => {
+      // Only entries that have the field, so a gap isn't read as a collapse
+      const series = history.filter((entry) => fieldValue(entry, field) > 0);
+      if (series[series.length - 1] !== latest) return;
+
+      const anomaly = detectSeriesAnomaly(series.map((entry) => fieldValue(entry, field)), level);
+      if (!anomaly) return;
+
+      alerts.push({
+        id: `${trend.id}:${field}:${latest.period}`,
+        trendId: trend.id,
+        trendName: trend.name,
+        field,
+        period: latest.period,
+        value: fieldValue(latest, field),
+        previous: fieldValue(series[series.length - 2], field),
+        ...anomaly,
+        at,
+        read: false,
+        dismissed: false,
+      });
+    });
+  });
+
+  return { alerts, checked };
+}
+
+/**
+ * Check the board for anomalies and update its alerts inbox. New alerts are
+ * added; unread ones for a period that no longer looks anomalous (after an
+ * edit or a sensitivity change) are withdrawn.
+ * @param {Array} trends
+ * @param {Object} settings - Defaults to the board's
+ * @returns {Array} The inbox, newest first
+ */
+export function recordAnomalies(trends, settings = getAnomalySettings()) {
+  const { alerts: detected, checked } = detectAnomalies(trends, settings);
+  const current = getAnomalyAlerts();
+  const detectedIds = new Set(detected.map((alert) => alert.id));
+  const knownIds = new Set(current.map((alert) => alert.id));
+
+  const kept = current
+    .filter(
+      (alert) =>
+        alert.read ||
+        alert.dismissed ||
+        checked[alert.trendId] !== alert.period ||
+        detectedIds.has(alert.id)
+    )
+    .map((alert) => {
+      // Keep the latest numbers for alerts that are still open
+      const update = detected.find((d) => d.id === alert.id);
+      return update ? { ...alert, value: update.value, ratio: update.ratio, zScore: update.zScore } : alert;
+    });
+  const added = detected.filter((alert) => !knownIds.has(alert.id));
+  const alerts = [...added, ...kept].slice(0, MAX_ALERTS);
+
+  const changed =
+    alerts.length !== current.length || alerts.some((alert, i) => alert !== current[i]);
+  if (changed) saveAnomalyAlerts(alerts);
+  return changed ? alerts : current;
+}
+
+/**
+ * Update alerts in the inbox
+ * @param {Array|null} ids - null for every alert
+ * @param {Object} changes - e.g. { read: true } or { dismissed: true }
+ * @returns {Array} The updated inbox
+ */
+export function updateAnomalyAlerts(ids, changes) {
+  const alerts = getAnomalyAlerts().map((alert) =>
+    ids === null || ids.includes(alert.id) ? { ...alert, ...changes } : alert
+  );
+  saveAnomalyAlerts(alerts);
+  return alerts;
+}
+
+/**
+ * Open (not dismissed) alerts by trend id
+ * @param {Array} alerts
+ * @returns {Map<string, Array>}
+ */
+export function getAlertsByTrend(alerts) {
+  const byTrend = new Map();
+  alerts
+    .filter((alert) => !alert.dismissed)
+    .forEach((alert) => {
+      if (!byTrend.has(alert.trendId)) byTrend.set(alert.trendId, []);
+      byTrend.get(alert.trendId).push(alert);
+    });
+  return byTrend;
+}
+
+/**
+ * One-line description, e.g. "Views ×3.2" or "Followers down 64%"
+ * @param {Object} alert
+ * @returns {string}
+ */
+export function describeAnomaly(alert) {
+  const label = FIELD_LABELS[alert.field] || alert.field;
+  if (alert.ratio >= 2) return `${label} ×${alert.ratio.toFixed(1)}`;
+  const percent = Math.round(Math.abs(alert.ratio - 1) * 100);
+  return `${label} ${alert.direction === 'spike' ? 'up' : 'down'} ${percent}%`;
+}
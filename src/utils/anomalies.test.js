@@ -0,0 +1,96 @@
+// Anomaly detection and the alerts inbox
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+import { SENSITIVITY_LEVELS, describeAnomaly, detectSeriesAnomaly, getAlertsByTrend } from './anomalies';
+
+setupFakeStorage();
+
+const { medium } = SENSITIVITY_LEVELS;
+
+describe('detectSeriesAnomaly', () => {
+  it('flags a jump far outside the usual changes', () => {
+    const spike = detectSeriesAnomaly([100, 110, 120, 130, 140, 420], medium);
+    expect(spike.direction).toBe('spike');
+    expect(spike.ratio).toBeCloseTo(3);
+    expect(detectSeriesAnomaly([100, 105, 110, 115, 120, 40], medium)).toMatchObject({ direction: 'drop' });
+  });
+
+  it('ignores swings the series usually makes', () => {
+    expect(detectSeriesAnomaly([100, 300, 90, 280, 100, 300], medium)).toBeNull();
+  });
+
+  it('ignores small moves in steady series, unless sensitivity is high', () => {
+    const series = [100, 100, 100, 100, 100, 130];
+    expect(detectSeriesAnomaly(series, medium)).toBeNull();
+    expect(detectSeriesAnomaly(series, SENSITIVITY_LEVELS.high)).toMatchObject({ direction: 'spike' });
+  });
+
+  it('does not call a slower rise a drop', () => {
+    expect(detectSeriesAnomaly([100, 200, 400, 800, 1600, 1700], medium)).toBeNull();
+  });
+
+  it('needs a few changes to compare with, skipping gaps', () => {
+    expect(detectSeriesAnomaly([100, 110, 120, 400], medium)).toBeNull();
+    expect(detectSeriesAnomaly([100, 0, 110, 120, 130, 140, 420], medium)).not.toBeNull();
+  });
+});
+
+describe('alerts inbox', () => {
+  let anomalies;
+  let storage;
+
+  // One weekly snapshot per size, ending in the current week
+  async function saveWeeks(sizes, extra = {}) {
+    const history = await import('./history');
+    sizes.forEach((size, i) => {
+      vi.setSystemTime(new Date(2025, 0, 15 - 7 * (sizes.length - 1 - i)));
+      history.saveHistorySnapshot([{ id: 'a', name: 'Saturn', category: 'sounds', size, change: 0, ...extra }]);
+    });
+  }
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    storage = await reloadStorage();
+    anomalies = await import('./anomalies');
+    return () => vi.useRealTimers();
+  });
+
+  it('records new alerts once and keeps them across a reload', async () => {
+    await saveWeeks([20, 22, 24, 26, 28, 84]);
+    const trends = [{ id: 'a', name: 'Saturn', size: 84 }];
+
+    const [alert] = anomalies.recordAnomalies(trends);
+    expect(alert).toMatchObject({ trendId: 'a', field: 'size', value: 84, previous: 28, read: false });
+    expect(anomalies.recordAnomalies(trends)).toHaveLength(1);
+    expect(describeAnomaly(alert)).toBe('Size ×3.0');
+
+    await reloadStorage();
+    expect((await import('./storage')).getAnomalyAlerts()).toEqual([alert]);
+  });
+
+  it('withdraws unread alerts that no longer hold, but not read ones', async () => {
+    await saveWeeks([20, 22, 24, 26, 28, 84]);
+    const trends = [{ id: 'a', name: 'Saturn' }];
+    anomalies.recordAnomalies(trends);
+
+    expect(anomalies.recordAnomalies(trends, { sensitivity: 'low' })).toHaveLength(1); // ×3 still clears "low"
+    await saveWeeks([30]); // Fixed the typo this week
+    expect(anomalies.recordAnomalies(trends)).toEqual([]);
+
+    await saveWeeks([84]);
+    const [alert] = anomalies.recordAnomalies(trends);
+    anomalies.updateAnomalyAlerts([alert.id], { read: true });
+    await saveWeeks([30]);
+    expect(anomalies.recordAnomalies(trends)).toEqual([expect.objectContaining({ id: alert.id, read: true })]);
+  });
+
+  it('groups open alerts by trend', async () => {
+    await saveWeeks([20, 22, 24, 26, 28, 84]);
+    const [alert] = anomalies.recordAnomalies([{ id: 'a', name: 'Saturn' }]);
+    expect(getAlertsByTrend(storage.getAnomalyAlerts()).get('a')).toEqual([alert]);
+
+    const dismissed = anomalies.updateAnomalyAlerts(null, { dismissed: true });
+    expect(getAlertsByTrend(dismissed).size).toBe(0);
+  });
+});
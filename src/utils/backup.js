@@ -0,0 +1,291 @@
+// Full project backup and restore as a single portable JSON file
+
+import { dumpData, restoreData } from './storage';
+
+export const BACKUP_FORMAT = 'culture-heatmap-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Thrown when a backup file cannot be read or has an unsupported schema
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Decode a data URL into a Blob
+ * @param {string} dataUrl
+ * @returns {Promise<Blob>}
+ */
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+/**
+ * Bundle every board, the watchlist, preferences and all images into one object
+ * @returns {Promise<Object>}
+ */
+export async function createBackup() {
+  const data = await dumpData();
+
+  const assets = {};
+  for (const [key, blob] of Object.entries(data.images)) {
+    assets[key] = await blobToDataUrl(blob);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    boards: data.boards,
+    watchlist: data.watchlist,
+    preferences: data.preferences,
+    assets,
+  };
+}
+
+/**
+ * Create a backup and download it as a .json file
+ */
+export async function downloadBackup() {
+  const backup = await createBackup();
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = `culture-heatmap-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  return backup;
+}
+
+/**
+ * Parse and validate a backup file's text
+ * @param {string} text
+ * @returns {Object} The backup
+ * @throws {BackupError}
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new BackupError('This file is not valid JSON.');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new BackupError('This file is not a Culture Heatmap backup.');
+  }
+  if (typeof backup.version !== 'number' || backup.version < 1) {
+    throw new BackupError('The backup is missing its schema version.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new BackupError(
+      `This backup was made by a newer version (schema v${backup.version}). Update the app to restore it.`
+    );
+  }
+  if (!Array.isArray(backup.boards) || backup.boards.length === 0) {
+    throw new BackupError('The backup does not contain any boards.');
+  }
+
+  backup.boards.forEach((board, i) => {
+    if (!board || typeof board.id !== 'string' || typeof board.name !== 'string') {
+      throw new BackupError(`Board #${i + 1} is missing an id or name.`);
+    }
+    if (!Array.isArray(board.trends) || !Array.isArray(board.snapshots)) {
+      throw new BackupError(`Board "${board.name}" is missing its trends or history.`);
+    }
+    board.trends.forEach((trend) => {
+      if (!trend || typeof trend.id !== 'string' || typeof trend.name !== 'string') {
+        throw new BackupError(`Board "${board.name}" contains a trend without an id or name.`);
+      }
+    });
+  });
+
+  return { ...backup, assets: backup.assets || {} };
+}
+
+/**
+ * Convert a parsed backup into the dumpData() shape
+ * @param {Object} backup
+ * @returns {Promise<Object>}
+ */
+async function backupToData(backup) {
+  const images = {};
+  for (const [key, dataUrl] of Object.entries(backup.assets)) {
+    images[key] = await dataUrlToBlob(dataUrl);
+  }
+
+  return {
+    boards: backup.boards,
+    watchlist: backup.watchlist || null,
+    preferences: backup.preferences || null,
+    images,
+  };
+}
+
+/**
+ * Snapshots saved before every save was kept are identified by their week
+ * @param {Object} snapshot
+ */
+function snapshotId(snapshot) {
+  return snapshot.id || snapshot.week;
+}
+
+// Scoring model versions are immutable, so a model id plus version identifies one
+function modelVersionKey(model) {
+  return `${model.id}@${model.version}`;
+}
+
+/**
+ * Merge items by id; incoming items replace current ones in place and new
+ * ones are appended
+ * @param {Array} current
+ * @param {Array} incoming
+ * @param {function} getId
+ */
+function mergeById(current = [], incoming = [], getId = (item) => item.id) {
+  const incomingById = new Map(incoming.map((item) => [getId(item), item]));
+  const currentIds = new Set(current.map(getId));
+  return [
+    ...current.map((item) => incomingById.get(getId(item)) || item),
+    ...incoming.filter((item) => !currentIds.has(getId(item))),
+  ];
+}
+
+/**
+ * Merge incoming data into current data. Boards, trends, categories and weeks
+ * that exist in both are taken from the backup; everything else is kept.
+ * @param {Object} current
+ * @param {Object} incoming
+ */
+function mergeData(current, incoming) {
+  const boards = current.boards.map((board) => {
+    const match = incoming.boards.find((b) => b.id === board.id);
+    if (!match) return board;
+    return {
+      ...board,
+      name: match.name,
+      branding: match.branding || board.branding,
+      categories: match.categories ? mergeById(board.categories || [], match.categories) : board.categories,
+      trendLinks: match.trendLinks ? { ...board.trendLinks, ...match.trendLinks } : board.trendLinks,
+      snapshotSettings: match.snapshotSettings || board.snapshotSettings,
+      scoringModels: match.scoringModels
+        ? {
+            versions: mergeById(board.scoringModels?.versions, match.scoringModels.versions, modelVersionKey),
+            active: match.scoringModels.active,
+          }
+        : board.scoringModels,
+      refreshSettings: match.refreshSettings || board.refreshSettings,
+      anomalySettings: match.anomalySettings || board.anomalySettings,
+      trends: mergeById(board.trends, match.trends),
+      snapshots: mergeById(board.snapshots, match.snapshots, snapshotId),
+    };
+  });
+  const newBoards = incoming.boards.filter((b) => !current.boards.some((c) => c.id === b.id));
+
+  let watchlist = current.watchlist;
+  if (incoming.watchlist) {
+    watchlist = {
+      ...(current.watchlist || {}),
+      keywords: mergeById(current.watchlist?.keywords, incoming.watchlist.keywords, (k) => k.term),
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+
+  return {
+    boards: [...boards, ...newBoards],
+    watchlist,
+    preferences: current.preferences || incoming.preferences,
+    images: { ...current.images, ...incoming.images },
+  };
+}
+
+// Fields of a backed up board that aren't settings
+const BOARD_FIELDS = ['id', 'name', 'createdAt', 'trends', 'snapshots'];
+
+/**
+ * Names of the settings a backed up board carries, e.g. ['branding', 'snapshot settings']
+ * @param {Object} board
+ * @returns {Array<string>}
+ */
+function describeBoardSettings(board) {
+  return Object.keys(board)
+    .filter((key) => !BOARD_FIELDS.includes(key) && board[key] != null)
+    .map((key) => key.replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`));
+}
+
+/**
+ * Describe what a restore would change, without writing anything
+ * @param {Object} backup - From parseBackup()
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object>} { boards: [{ name, status, trendsAdded, trendsUpdated, trendsRemoved, snapshotsAdded, snapshotsUpdated, settingsReplaced }], removedBoards: string[], watchlistKeywords }
+ */
+export async function previewRestore(backup, mode) {
+  const current = await dumpData();
+
+  const boards = backup.boards.map((board) => {
+    const existing = current.boards.find((b) => b.id === board.id);
+    const currentTrendIds = new Set((existing?.trends || []).map((t) => t.id));
+    const currentSnapshots = new Set((existing?.snapshots || []).map(snapshotId));
+    const incomingTrendIds = new Set(board.trends.map((t) => t.id));
+
+    return {
+      id: board.id,
+      name: board.name,
+      status: existing ? 'updated' : 'new',
+      trendsAdded: board.trends.filter((t) => !currentTrendIds.has(t.id)).length,
+      trendsUpdated: board.trends.filter((t) => currentTrendIds.has(t.id)).length,
+      trendsRemoved: mode === 'replace'
+        ? [...currentTrendIds].filter((id) => !incomingTrendIds.has(id)).length
+        : 0,
+      snapshotsAdded: board.snapshots.filter((s) => !currentSnapshots.has(snapshotId(s))).length,
+      snapshotsUpdated: board.snapshots.filter((s) => currentSnapshots.has(snapshotId(s))).length,
+      settingsReplaced: existing ? describeBoardSettings(board) : [],
+    };
+  });
+
+  const removedBoards = mode === 'replace'
+    ? current.boards.filter((b) => !backup.boards.some((i) => i.id === b.id)).map((b) => b.name)
+    : [];
+
+  return {
+    exportedAt: backup.exportedAt || null,
+    boards,
+    removedBoards,
+    watchlistKeywords: backup.watchlist?.keywords?.length || 0,
+    images: Object.keys(backup.assets).length,
+  };
+}
+
+/**
+ * Restore a backup, either merged into the current data or replacing it
+ * @param {Object} backup - From parseBackup()
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<boolean>}
+ */
+export async function restoreBackup(backup, mode) {
+  const incoming = await backupToData(backup);
+  const data = mode === 'replace' ? incoming : mergeData(await dumpData(), incoming);
+  return restoreData(data, { keepSettings: mode === 'merge' });
+}
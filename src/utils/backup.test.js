@@ -0,0 +1,156 @@
+// Backup files: validation, and restoring them into an in-memory IndexedDB
+
+import { describe, expect, it } from 'vitest';
+import { readImage, reloadStorage, setupFakeStorage } from '../test/storage';
+import { BACKUP_FORMAT, BACKUP_VERSION, BackupError, parseBackup } from './backup';
+
+const IMAGE = 'data:text/plain;base64,aW1hZ2U='; // "image"
+
+setupFakeStorage();
+
+function makeBackup(boards, extra = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: '2025-01-20T10:00:00.000Z',
+    boards: boards.map((board) => ({ branding: null, categories: null, snapshots: [], ...board })),
+    assets: {},
+    ...extra,
+  };
+}
+
+// The default board with two local trends and some preferences
+async function loadLocalData() {
+  const storage = await reloadStorage();
+  await storage.saveTrends([
+    { id: 'a', name: 'Local A', size: 10, change: 1 },
+    { id: 'b', name: 'Local B', size: 20, change: 2 },
+  ]);
+  await storage.saveBranding({ ...storage.DEFAULT_BRANDING, title: 'LOCAL' });
+  await storage.saveSetting('preferences', { theme: 'dark' });
+  return { storage, backup: await import('./backup') };
+}
+
+describe('parseBackup', () => {
+  it('reads a valid backup', () => {
+    const backup = makeBackup([{ id: 'default', name: 'Main', trends: [] }]);
+    expect(parseBackup(JSON.stringify(backup)).boards).toHaveLength(1);
+  });
+
+  it.each([
+    ['not json', 'not valid JSON'],
+    [JSON.stringify({ format: 'other' }), 'not a Culture Heatmap backup'],
+    [JSON.stringify({ format: BACKUP_FORMAT }), 'missing its schema version'],
+    [JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 }), 'newer version'],
+    [JSON.stringify(makeBackup([])), 'does not contain any boards'],
+    [JSON.stringify(makeBackup([{ id: 'x', name: 'X', trends: [{ name: 'No id' }] }])), 'without an id'],
+  ])('rejects %s', (text, message) => {
+    expect(() => parseBackup(text)).toThrow(BackupError);
+    expect(() => parseBackup(text)).toThrow(message);
+  });
+});
+
+describe('restoreBackup', () => {
+  const incoming = makeBackup(
+    [
+      {
+        id: 'default',
+        name: 'Main',
+        branding: { title: 'FROM BACKUP' },
+        trends: [
+          { id: 'b', name: 'Backup B', size: 30, change: 3, imageKey: 'b' },
+          { id: 'c', name: 'Backup C', size: 40, change: 4 },
+        ],
+      },
+      { id: 'other', name: 'Other', trends: [{ id: 'd', name: 'Backup D' }] },
+    ],
+    { assets: { b: IMAGE } }
+  );
+
+  it('merges into the current data, taking shared trends from the backup', async () => {
+    const { backup } = await loadLocalData();
+    expect(await backup.restoreBackup(parseBackup(JSON.stringify(incoming)), 'merge')).toBe(true);
+
+    const storage = await reloadStorage();
+    expect(storage.getTrends().map((t) => t.name)).toEqual(['Local A', 'Backup B', 'Backup C']);
+    expect(await readImage(storage.getTrends()[1].image)).toBe('image');
+    expect(storage.getBranding()).toEqual({ title: 'FROM BACKUP' });
+    expect(storage.getBoards().map((b) => b.id)).toEqual(['default', 'other']);
+  });
+
+  it('keeps settings the backup does not carry when merging', async () => {
+    const { backup } = await loadLocalData();
+    await backup.restoreBackup(parseBackup(JSON.stringify(incoming)), 'merge');
+
+    const storage = await reloadStorage();
+    expect(storage.getSetting('preferences')).toEqual({ theme: 'dark' });
+  });
+
+  it('keeps the undo history when merging', async () => {
+    const { storage, backup } = await loadLocalData();
+    const undo = await import('./undo');
+    undo.recordChange('trends', 'Delete Local A', storage.getTrends(), storage.getTrends().slice(1));
+    await undo.loadUndoHistory();
+    await backup.restoreBackup(parseBackup(JSON.stringify(incoming)), 'merge');
+
+    await reloadStorage();
+    const reloaded = await import('./undo');
+    await reloaded.loadUndoHistory();
+    expect(reloaded.getUndoState().undoLabel).toBe('Delete Local A');
+  });
+
+  it('keeps anomaly alerts when merging', async () => {
+    const { storage, backup } = await loadLocalData();
+    const alerts = [{ id: 'a:size:2025-W03', trendId: 'a', field: 'size', read: false, dismissed: false }];
+    await storage.saveAnomalyAlerts(alerts);
+    await backup.restoreBackup(parseBackup(JSON.stringify(incoming)), 'merge');
+
+    expect((await reloadStorage()).getAnomalyAlerts()).toEqual(alerts);
+  });
+
+  it('replaces everything when asked to', async () => {
+    const { backup } = await loadLocalData();
+    await backup.restoreBackup(parseBackup(JSON.stringify(incoming)), 'replace');
+
+    const storage = await reloadStorage();
+    expect(storage.getTrends().map((t) => t.name)).toEqual(['Backup B', 'Backup C']);
+    expect(storage.getSetting('preferences', null)).toBeNull();
+  });
+});
+
+describe('previewRestore', () => {
+  it('counts what a merge would change and names the settings it replaces', async () => {
+    const { backup } = await loadLocalData();
+    const preview = await backup.previewRestore(
+      parseBackup(JSON.stringify(makeBackup([
+        { id: 'default', name: 'Main', branding: { title: 'X' }, trends: [{ id: 'b', name: 'B' }] },
+        { id: 'other', name: 'Other', categories: [], trends: [] },
+      ]))),
+      'merge'
+    );
+
+    expect(preview.boards).toEqual([
+      expect.objectContaining({
+        status: 'updated',
+        trendsAdded: 0,
+        trendsUpdated: 1,
+        trendsRemoved: 0,
+        settingsReplaced: ['branding'],
+      }),
+      expect.objectContaining({ status: 'new', settingsReplaced: [] }),
+    ]);
+    expect(preview.removedBoards).toEqual([]);
+  });
+
+  it('counts the trends and boards a replace would remove', async () => {
+    const { storage, backup } = await loadLocalData();
+    await storage.createBoard('Extra');
+    const preview = await backup.previewRestore(
+      parseBackup(JSON.stringify(makeBackup([{ id: 'default', name: 'Main', trends: [{ id: 'b', name: 'B' }] }]))),
+      'replace'
+    );
+
+    expect(preview.boards[0].trendsRemoved).toBe(1);
+    expect(preview.removedBoards).toEqual(['Extra']);
+  });
+});
@@ -20,3 +20,80 @@ export const getColor = (change) => {
 // Legend colors - Zora-inspired
 export const RISING_COLOR = '#00FF66';
 export const FALLING_COLOR = '#FF00FF';
+
+/**
+ * Fill and label colors for a trend: by its change, or all in one stage color
+ * when the board is colored by lifecycle
+ * @param {number} change
+ * @param {string|null} stageColor
+ * @returns {{ fill: string, label: string }}
+ */
+export const getTrendColors = (change, stageColor = null) => ({
+  fill: stageColor || getColor(change),
+  label: stageColor || (change >= 0 ? RISING_COLOR : FALLING_COLOR),
+});
+
+// WCAG contrast minimums; bold text from 19px counts as large
+export const MIN_TEXT_CONTRAST = 4.5;
+export const MIN_LARGE_TEXT_CONTRAST = 3;
+const LARGE_BOLD_TEXT = 19;
+
+/**
+ * Parse a hex (#rgb or #rrggbb) or rgb() color
+ * @param {string} color
+ * @returns {{ r: number, g: number, b: number } | null}
+ */
+export const parseColor = (color) => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map((d) => d + d).join('') : hex[1];
+    const value = parseInt(digits, 16);
+    return { r: value >> 16, g: (value >> 8) & 255, b: value & 255 };
+  }
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+  return rgb ? { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) } : null;
+};
+
+const linearChannel = (value) => {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+const getLuminance = (color) => {
+  const { r, g, b } = typeof color === 'string' ? parseColor(color) : color;
+  return 0.2126 * linearChannel(r) + 0.7152 * linearChannel(g) + 0.0722 * linearChannel(b);
+};
+
+/**
+ * WCAG contrast ratio between two colors, from 1 (none) to 21
+ * @param {string|{ r: number, g: number, b: number }} a
+ * @param {string|{ r: number, g: number, b: number }} b
+ * @returns {number}
+ */
+export const getContrastRatio = (a, b) => {
+  const [lighter, darker] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Whether text reads well enough over every one of the colors under it
+ * @param {string} textColor
+ * @param {Array} backgrounds - Colors the text sits on
+ * @param {number} fontSize - Bold text, px
+ * @returns {boolean}
+ */
+export const isReadable = (textColor, backgrounds, fontSize) => {
+  const minimum = fontSize >= LARGE_BOLD_TEXT ? MIN_LARGE_TEXT_CONTRAST : MIN_TEXT_CONTRAST;
+  return backgrounds.length > 0
+    && backgrounds.every((background) => getContrastRatio(textColor, background) >= minimum);
+};
+
+/**
+ * Black or white, whichever reads better on a background
+ * @param {string} background
+ * @returns {string}
+ */
+export const getReadableTextColor = (background) =>
+  getContrastRatio(background, '#000000') >= getContrastRatio(background, '#ffffff')
+    ? '#000000'
+    : '#ffffff';
@@ -0,0 +1,145 @@
+// Period-over-period comparison reports (entered, exited and moved trends)
+
+import { getTrendLinks } from './storage';
+import { formatPeriod, getPeriodSnapshot, getSeriesId, resolveTrendId } from './history';
+
+/**
+ * Index a snapshot's entries by series id, so renamed and merged trends line up
+ * @param {Array} entries
+ * @param {Object} links
+ * @returns {Map<string, Object>}
+ */
+function indexBySeries(entries, links) {
+  const index = new Map();
+  entries.forEach((entry) => {
+    const id = resolveTrendId(getSeriesId(entry), links);
+    if (!index.has(id)) index.set(id, entry);
+  });
+  return index;
+}
+
+const bySize = (a, b) => b.size - a.size;
+
+/**
+ * Compare two periods' snapshots
+ * @param {string} fromKey - Earlier period
+ * @param {string} toKey - Later period
+ * @param {Array} categories - Board categories, for grouping and order
+ * @param {{ moverLimit?: number }} options - How many movers to list per category
+ * @returns {{ from: string, to: string, totals: Object, categories: Array } | null}
+ *   null when either period has no snapshot
+ */
+export function comparePeriods(fromKey, toKey, categories, { moverLimit = 3 } = {}) {
+  const fromSnapshot = getPeriodSnapshot(fromKey);
+  const toSnapshot = getPeriodSnapshot(toKey);
+  if (!fromSnapshot || !toSnapshot) return null;
+
+  const links = getTrendLinks();
+  const before = indexBySeries(fromSnapshot.trends, links);
+  const after = indexBySeries(toSnapshot.trends, links);
+
+  const entered = [];
+  const exited = [];
+  const moved = [];
+
+  after.forEach((entry, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      entered.push({ ...entry, id });
+      return;
+    }
+    moved.push({
+      ...entry,
+      id,
+      previousName: previous.name,
+      previousSize: previous.size,
+      previousChange: previous.change ?? 0,
+      sizeDelta: entry.size - previous.size,
+      changeDelta: (entry.change ?? 0) - (previous.change ?? 0),
+    });
+  });
+
+  before.forEach((entry, id) => {
+    if (!after.has(id)) exited.push({ ...entry, id });
+  });
+
+  const topMovers = (items, field) =>
+    items
+      .filter((item) => item[field] !== 0)
+      .sort((a, b) => Math.abs(b[field]) - Math.abs(a[field]))
+      .slice(0, moverLimit);
+
+  // Known categories in board order, then anything no longer on the board
+  const ordered = [...categories].sort((a, b) => a.order - b.order);
+  const known = new Set(ordered.map((cat) => cat.id));
+  const orphaned = [...entered, ...exited, ...moved]
+    .map((item) => item.category)
+    .filter((id, i, all) => !known.has(id) && all.indexOf(id) === i)
+    .map((id) => ({ id, label: id || 'Uncategorized' }));
+
+  const sections = [...ordered, ...orphaned]
+    .map((category) => {
+      const inCategory = (item) => item.category === category.id;
+      const movedHere = moved.filter(inCategory);
+      return {
+        category,
+        entered: entered.filter(inCategory).sort(bySize),
+        exited: exited.filter(inCategory).sort(bySize),
+        sizeMovers: topMovers(movedHere, 'sizeDelta'),
+        changeMovers: topMovers(movedHere, 'changeDelta'),
+      };
+    })
+    .filter(
+      (section) =>
+        section.entered.length ||
+        section.exited.length ||
+        section.sizeMovers.length ||
+        section.changeMovers.length
+    );
+
+  return {
+    from: fromKey,
+    to: toKey,
+    totals: { entered: entered.length, exited: exited.length, continuing: moved.length },
+    categories: sections,
+  };
+}
+
+const signed = (value, suffix = '') => `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(Math.round(value))}${suffix}`;
+
+/**
+ * Plain-text version of a comparison, for pasting into a newsletter draft
+ * @param {Object} report - From comparePeriods
+ * @param {Object} branding
+ * @returns {string}
+ */
+export function formatComparisonReport(report, branding) {
+  const lines = [
+    `${branding.title}: ${formatPeriod(report.from)} → ${formatPeriod(report.to)}`,
+    `${report.totals.entered} entered · ${report.totals.exited} dropped off · ${report.totals.continuing} continuing`,
+  ];
+
+  report.categories.forEach((section) => {
+    lines.push('', section.category.label.toUpperCase());
+    if (section.entered.length) {
+      lines.push(`New: ${section.entered.map((t) => t.name).join(', ')}`);
+    }
+    if (section.exited.length) {
+      lines.push(`Dropped off: ${section.exited.map((t) => t.name).join(', ')}`);
+    }
+    if (section.sizeMovers.length) {
+      lines.push(
+        `Biggest size moves: ${section.sizeMovers.map((t) => `${t.name} ${signed(t.sizeDelta)}`).join(', ')}`
+      );
+    }
+    if (section.changeMovers.length) {
+      lines.push(
+        `Biggest momentum moves: ${section.changeMovers
+          .map((t) => `${t.name} ${signed(t.changeDelta, ' pts')}`)
+          .join(', ')}`
+      );
+    }
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,79 @@
+// Period-over-period comparison reports
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+
+setupFakeStorage();
+
+const CATEGORIES = [
+  { id: 'memes', label: 'Memes', order: 2 },
+  { id: 'sounds', label: 'Sounds', order: 1 },
+];
+
+describe('comparePeriods', () => {
+  let comparison;
+  let history;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await reloadStorage();
+    history = await import('./history');
+    comparison = await import('./comparison');
+
+    vi.setSystemTime(new Date(2025, 0, 8)); // 2025-W02
+    history.saveHistorySnapshot([
+      { id: 'a', name: 'APT.', category: 'sounds', size: 90, change: 10 },
+      { id: 'b', name: 'Demure', category: 'memes', size: 40, change: 5 },
+      { id: 'c', name: 'Old Dance', category: 'dances', size: 20, change: -5 },
+    ]);
+    vi.setSystemTime(new Date(2025, 0, 15)); // 2025-W03
+    history.saveHistorySnapshot([
+      { id: 'a', name: 'APT. (remix)', category: 'sounds', size: 70, change: 30 },
+      { id: 'b', name: 'Demure', category: 'memes', size: 40, change: 5 },
+      { id: 'd', name: 'Saturn', category: 'sounds', size: 60, change: 0 },
+    ]);
+    vi.useRealTimers();
+  });
+
+  it('sorts trends into entered, dropped off and moved, by category', () => {
+    const report = comparison.comparePeriods('2025-W02', '2025-W03', CATEGORIES);
+
+    expect(report.totals).toEqual({ entered: 1, exited: 1, continuing: 2 });
+    expect(report.categories.map((s) => s.category.id)).toEqual(['sounds', 'dances']);
+
+    const [sounds, dances] = report.categories;
+    expect(sounds.entered.map((t) => t.name)).toEqual(['Saturn']);
+    expect(sounds.sizeMovers).toEqual([
+      expect.objectContaining({ name: 'APT. (remix)', previousName: 'APT.', sizeDelta: -20, changeDelta: 20 }),
+    ]);
+    expect(dances).toMatchObject({ category: { label: 'dances' }, exited: [{ name: 'Old Dance' }] });
+  });
+
+  it('lines up merged series', async () => {
+    await history.mergeTrendSeries('c', 'd');
+    const report = comparison.comparePeriods('2025-W02', '2025-W03', CATEGORIES);
+    expect(report.totals).toEqual({ entered: 0, exited: 0, continuing: 3 });
+  });
+
+  it('needs a snapshot in both periods', () => {
+    expect(comparison.comparePeriods('2025-W01', '2025-W03', CATEGORIES)).toBeNull();
+  });
+
+  it('writes a plain-text report', () => {
+    const report = comparison.comparePeriods('2025-W02', '2025-W03', CATEGORIES);
+    const text = comparison.formatComparisonReport(report, { title: 'CULTURE' });
+
+    expect(text.split('\n')).toEqual([
+      'CULTURE: 2025-W02 → 2025-W03',
+      '1 entered · 1 dropped off · 2 continuing',
+      '',
+      'SOUNDS',
+      'New: Saturn',
+      'Biggest size moves: APT. (remix) −20',
+      'Biggest momentum moves: APT. (remix) +20 pts',
+      '',
+      'DANCES',
+      'Dropped off: Old Dance',
+    ]);
+  });
+});
@@ -0,0 +1,309 @@
+// CSV / TSV import and export of trends
+
+import { parseCount } from '../../shared/parsing';
+import { generateId } from './storage';
+import { createProvenance } from './provenance';
+
+const METRIC_FIELDS = ['views', 'likes', 'comments', 'shares', 'saves', 'followers'];
+
+// Trend fields a spreadsheet column can be mapped to, with header aliases
+// used to guess the mapping
+export const TREND_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'trend', 'trend name', 'title'] },
+  { key: 'category', label: 'Category', required: true, aliases: ['category', 'cat', 'type'] },
+  { key: 'size', label: 'Size', aliases: ['size', 'score', 'attention'] },
+  { key: 'change', label: 'Change %', aliases: ['change', 'change %', 'momentum', 'delta'] },
+  { key: 'sourceUrl', label: 'Source URL', aliases: ['sourceurl', 'source url', 'url', 'link', 'source'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comment'] },
+  ...METRIC_FIELDS.map((key) => ({
+    key,
+    label: key.charAt(0).toUpperCase() + key.slice(1),
+    metric: true,
+    aliases: [key, key.replace(/s$/, '')],
+  })),
+];
+
+/**
+ * Guess the delimiter of a spreadsheet export from its first line
+ * @param {string} text
+ * @returns {',' | '\t' | ';'}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', '\t', ';'].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV/TSV text into rows of cells. Handles quoted cells with embedded
+ * delimiters, quotes and line breaks.
+ * @param {string} text
+ * @param {string} delimiter - Detected when omitted
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const char = src[i];
+
+    if (inQuotes) {
+      if (char === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ''));
+  const [headers = [], ...body] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows: body };
+}
+
+/**
+ * Guess which column feeds each trend field from the header names
+ * @param {string[]} headers
+ * @returns {Object} field key -> column index (or -1 when unmapped)
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map((h) => h.toLowerCase().replace(/[_-]/g, ' ').trim());
+  const mapping = {};
+  TREND_FIELDS.forEach((field) => {
+    mapping[field.key] = normalized.findIndex((h) => field.aliases.includes(h));
+  });
+  return mapping;
+}
+
+/**
+ * Find a category by id or label (case-insensitive)
+ * @param {string} value
+ * @param {Array} categories
+ */
+function findCategory(value, categories) {
+  const needle = value.trim().toLowerCase();
+  return categories.find(
+    (c) => c.id.toLowerCase() === needle || c.label.toLowerCase() === needle
+  );
+}
+
+/**
+ * Parse a numeric cell, allowing "1.2M", "12,400", "4,5K" and "+35%"
+ * @param {string} value
+ * @returns {number | null} null when the cell is not a number
+ */
+function parseNumberCell(value) {
+  return parseCount(value.trim().replace(/%$/, ''));
+}
+
+/**
+ * Turn parsed rows into trends using a column mapping, validating each row
+ * @param {string[][]} rows
+ * @param {Object} mapping - From guessMapping()
+ * @param {Array} categories - Current board categories
+ * @returns {Array<{ line: number, trend: Object | null, errors: string[] }>}
+ */
+export function mapRows(rows, mapping, categories) {
+  return rows.map((row, i) => {
+    const errors = [];
+    const cell = (key) => (mapping[key] >= 0 ? (row[mapping[key]] ?? '').trim() : '');
+
+    const name = cell('name');
+    if (!name) errors.push('Missing name');
+
+    const categoryValue = cell('category');
+    const category = categoryValue ? findCategory(categoryValue, categories) : null;
+    if (!categoryValue) errors.push('Missing category');
+    else if (!category) errors.push(`Unknown category "${categoryValue}"`);
+
+    const number = (key, fallback) => {
+      const value = cell(key);
+      if (!value) return fallback;
+      const num = parseNumberCell(value);
+      if (num === null) errors.push(`${key} "${value}" is not a number`);
+      return num ?? fallback;
+    };
+
+    // Blank size/change stay null so updates keep the current values
+    const size = number('size', null);
+    if (size !== null && (size < 1 || size > 100)) errors.push('Size must be between 1 and 100');
+    const change = number('change', null);
+
+    const metrics = {};
+    METRIC_FIELDS.forEach((key) => {
+      const value = number(key, 0);
+      if (value > 0) metrics[key] = value;
+    });
+
+    return {
+      // +2: header row and 1-based line numbers
+      line: i + 2,
+      errors,
+      trend: errors.length
+        ? null
+        : {
+            name,
+            category: category.id,
+            size: size === null ? null : Math.round(size),
+            // One decimal, as entered in the app, so exported sheets import unchanged
+            change: change === null ? null : Math.round(change * 10) / 10,
+            sourceUrl: cell('sourceUrl'),
+            notes: cell('notes'),
+            metrics: Object.keys(metrics).length ? metrics : null,
+          },
+    };
+  });
+}
+
+/**
+ * Dry-run an import: work out which trends would be added or updated
+ * (matched by name or alias) without saving anything
+ * @param {Array} trends - Current trends
+ * @param {Array} mappedRows - From mapRows()
+ * @returns {{ added: Array, updated: Array<{ before, after, fields: string[] }>, unchanged: Array, invalid: Array, result: Array }}
+ */
+export function diffImport(trends, mappedRows) {
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+  const invalid = mappedRows.filter((r) => r.errors.length > 0);
+  const result = [...trends];
+
+  mappedRows
+    .filter((r) => r.trend)
+    .forEach(({ trend: incoming }) => {
+      const needle = incoming.name.toLowerCase();
+      const index = result.findIndex((t) =>
+        [t.name, ...(t.aliases || [])].some((name) => name.toLowerCase() === needle)
+      );
+
+      if (index === -1) {
+        const trend = {
+          id: generateId(),
+          image: '',
+          ...incoming,
+          size: incoming.size ?? 50,
+          change: incoming.change ?? 0,
+          metricProvenance: incoming.metrics ? createProvenance(incoming.metrics, 'spreadsheet') : null,
+        };
+        added.push(trend);
+        result.push(trend);
+        return;
+      }
+
+      const before = result[index];
+      // Only values the sheet changes are credited to it
+      const changedMetrics = Object.fromEntries(
+        Object.entries(incoming.metrics || {}).filter(([key, value]) => before.metrics?.[key] !== value)
+      );
+      const after = {
+        ...before,
+        ...incoming,
+        // A row matched by an old name does not rename the trend back
+        name: before.name.toLowerCase() === needle ? incoming.name : before.name,
+        // Keep existing values when the sheet leaves them blank
+        size: incoming.size ?? before.size,
+        change: incoming.change ?? before.change,
+        sourceUrl: incoming.sourceUrl || before.sourceUrl || '',
+        notes: incoming.notes || before.notes || '',
+        metrics: incoming.metrics ? { ...before.metrics, ...incoming.metrics } : before.metrics ?? null,
+        metricProvenance: Object.keys(changedMetrics).length
+          ? { ...before.metricProvenance, ...createProvenance(changedMetrics, 'spreadsheet') }
+          : before.metricProvenance ?? null,
+      };
+      const fields = ['name', 'category', 'size', 'change', 'sourceUrl', 'notes'].filter(
+        (key) => (before[key] ?? '') !== (after[key] ?? '')
+      );
+      if (JSON.stringify(before.metrics ?? null) !== JSON.stringify(after.metrics ?? null)) {
+        fields.push('metrics');
+      }
+
+      if (fields.length) {
+        updated.push({ before, after, fields });
+        result[index] = after;
+      } else {
+        unchanged.push(before);
+      }
+    });
+
+  return { added, updated, unchanged, invalid, result };
+}
+
+/**
+ * Serialize rows to CSV/TSV, quoting cells where needed
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export function toDelimited(headers, rows, delimiter = ',') {
+  const escape = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [headers, ...rows].map((row) => row.map(escape).join(delimiter)).join('\n');
+}
+
+/**
+ * Serialize trends with the same columns the importer understands
+ * @param {Array} trends
+ * @param {Array} categories - Used to write category labels
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export function trendsToDelimited(trends, categories, delimiter = ',') {
+  const headers = TREND_FIELDS.map((f) => f.key);
+  const rows = trends.map((trend) =>
+    TREND_FIELDS.map(({ key, metric }) => {
+      if (metric) return trend.metrics?.[key] || '';
+      if (key === 'category') {
+        return categories.find((c) => c.id === trend.category)?.label || trend.category;
+      }
+      return trend[key] ?? '';
+    })
+  );
+  return toDelimited(headers, rows, delimiter);
+}
+
+/**
+ * Download text as a .csv or .tsv file
+ * @param {string} text
+ * @param {string} filename - Without extension
+ * @param {string} delimiter
+ */
+export function downloadDelimited(text, filename, delimiter = ',') {
+  const isTsv = delimiter === '\t';
+  const blob = new Blob([text], { type: isTsv ? 'text/tab-separated-values' : 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = `${filename}.${isTsv ? 'tsv' : 'csv'}`;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,115 @@
+// CSV / TSV import and export of trends
+
+import { describe, expect, it } from 'vitest';
+import {
+  detectDelimiter,
+  diffImport,
+  guessMapping,
+  mapRows,
+  parseDelimited,
+  trendsToDelimited,
+} from './csv';
+
+const CATEGORIES = [
+  { id: 'sounds', label: 'SOUNDS', order: 1 },
+  { id: 'memes', label: 'MEMES', order: 2 },
+];
+
+const TRENDS = [
+  {
+    id: '1',
+    name: 'APT.',
+    category: 'sounds',
+    size: 95,
+    change: 12.4,
+    image: '',
+    sourceUrl: 'https://example.com/apt',
+    notes: 'Says "hi", twice',
+    metrics: { views: 1200000, likes: 4500 },
+  },
+  { id: '2', name: 'Very Demure', category: 'memes', size: 38, change: -42.7, image: '', sourceUrl: '', notes: '', metrics: null },
+];
+
+function importText(text, trends = TRENDS) {
+  const { headers, rows } = parseDelimited(text);
+  return diffImport(trends, mapRows(rows, guessMapping(headers), CATEGORIES));
+}
+
+describe('parseDelimited', () => {
+  it.each([
+    ['name,category\nA,sounds', ','],
+    ['name\tcategory\nA\tsounds', '\t'],
+    ['name;category\nA;sounds', ';'],
+    ['name\nA', ','],
+  ])('detects the delimiter of %j', (text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+
+  it('reads quoted cells with delimiters, quotes and line breaks', () => {
+    const text = '﻿name,notes\r\n"A, B","He said ""hi""\non two lines"\r\n\r\nC,\n';
+    expect(parseDelimited(text)).toEqual({
+      headers: ['name', 'notes'],
+      rows: [['A, B', 'He said "hi"\non two lines'], ['C', '']],
+    });
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches header aliases in any case and spelling', () => {
+    const mapping = guessMapping(['Trend Name', 'CAT', 'momentum', 'source_url', 'View']);
+    expect(mapping).toMatchObject({ name: 0, category: 1, change: 2, sourceUrl: 3, views: 4, size: -1 });
+  });
+});
+
+describe('mapRows', () => {
+  const mapping = guessMapping(['name', 'category', 'size', 'change', 'views']);
+
+  it('reads numbers like "1.2M", "12,400" and "+35%"', () => {
+    const [{ trend, errors }] = mapRows([['A', 'Sounds', '72.6', '+35.25%', '1.2M']], mapping, CATEGORIES);
+    expect(errors).toEqual([]);
+    expect(trend).toMatchObject({ category: 'sounds', size: 73, change: 35.3, metrics: { views: 1200000 } });
+  });
+
+  it('leaves blank size and change for updates to fill in', () => {
+    const [{ trend }] = mapRows([['A', 'memes', '', '', '']], mapping, CATEGORIES);
+    expect(trend).toMatchObject({ size: null, change: null, metrics: null });
+  });
+
+  it('reports every problem with a row, by line', () => {
+    const [, row] = mapRows(
+      [['A', 'sounds', '', '', ''], ['', 'podcasts', '150', 'lots', '']],
+      mapping,
+      CATEGORIES
+    );
+    expect(row).toEqual({
+      line: 3,
+      trend: null,
+      errors: [
+        'Missing name',
+        'Unknown category "podcasts"',
+        'Size must be between 1 and 100',
+        'change "lots" is not a number',
+      ],
+    });
+  });
+});
+
+describe('diffImport', () => {
+  it('adds new trends and updates existing ones by name', () => {
+    const diff = importText('name,category,size,change\nvery demure,memes,40,\nSaturn,sounds,,\n');
+
+    expect(diff.updated).toHaveLength(1);
+    expect(diff.updated[0].fields).toEqual(['name', 'size']);
+    expect(diff.updated[0].after).toMatchObject({ id: '2', size: 40, change: -42.7 });
+    expect(diff.added).toEqual([expect.objectContaining({ name: 'Saturn', size: 50, change: 0 })]);
+    expect(diff.result.map((t) => t.name)).toEqual(['APT.', 'very demure', 'Saturn']);
+  });
+
+  it.each([',', '\t'])('finds nothing to change in its own export (%j)', (delimiter) => {
+    const diff = importText(trendsToDelimited(TRENDS, CATEGORIES, delimiter));
+    expect(diff.invalid).toEqual([]);
+    expect(diff.added).toEqual([]);
+    expect(diff.updated).toEqual([]);
+    expect(diff.unchanged).toEqual(TRENDS);
+  });
+});
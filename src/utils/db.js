@@ -0,0 +1,208 @@
+// IndexedDB wrapper used by the storage layer
+
+const DB_NAME = 'culture-heatmap';
+const DB_VERSION = 2;
+
+export const STORES = {
+  trends: 'trends',
+  snapshots: 'snapshots',
+  images: 'images',
+  settings: 'settings',
+};
+
+/**
+ * Thrown when the browser refuses a write because the storage quota is used up
+ */
+export class StorageQuotaError extends Error {
+  constructor(message = 'Browser storage is full. Remove some images or old snapshots and try again.') {
+    super(message);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+/**
+ * Reported when the database can't be opened or loaded at startup (private
+ * browsing, a blocked upgrade, no space left)
+ */
+export class StorageInitError extends Error {
+  constructor(message = 'Could not open browser storage. Changes made now will not be saved.') {
+    super(message);
+    this.name = 'StorageInitError';
+  }
+}
+
+let dbPromise = null;
+
+function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+function wrapError(error) {
+  if (isQuotaError(error)) return new StorageQuotaError();
+  return error || new Error('IndexedDB request failed');
+}
+
+/**
+ * Open (and create/upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.trends)) {
+        db.createObjectStore(STORES.trends, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.snapshots)) {
+        db.createObjectStore(STORES.snapshots, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.images)) {
+        db.createObjectStore(STORES.images);
+      }
+      if (!db.objectStoreNames.contains(STORES.settings)) {
+        db.createObjectStore(STORES.settings);
+      }
+
+      // v2: records are grouped per board
+      const tx = request.transaction;
+      [STORES.trends, STORES.snapshots].forEach((name) => {
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains('boardId')) {
+          store.createIndex('boardId', 'boardId');
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(wrapError(request.error));
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function} callback - Receives the object store(s); its return value is resolved
+ * @returns {Promise<any>}
+ */
+export async function withTransaction(storeNames, mode, callback) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    let tx;
+    try {
+      tx = db.transaction(storeNames, mode);
+    } catch (error) {
+      reject(wrapError(error));
+      return;
+    }
+
+    const stores = Array.isArray(storeNames)
+      ? storeNames.map((name) => tx.objectStore(name))
+      : tx.objectStore(storeNames);
+
+    let result;
+    try {
+      result = callback(stores);
+    } catch (error) {
+      tx.abort();
+      reject(wrapError(error));
+      return;
+    }
+
+    tx.oncomplete = () => {
+      // Requests resolve to their result once the transaction commits
+      resolve(result instanceof IDBRequest ? result.result : result);
+    };
+    tx.onerror = () => reject(wrapError(tx.error));
+    tx.onabort = () => reject(wrapError(tx.error));
+  });
+}
+
+/**
+ * Get a single record
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ */
+export function getRecord(storeName, key) {
+  return withTransaction(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName
+ */
+export function getAllRecords(storeName) {
+  return withTransaction(storeName, 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Get every record whose index matches a value
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {IDBValidKey} value
+ */
+export function getAllByIndex(storeName, indexName, value) {
+  return withTransaction(storeName, 'readonly', (store) => store.index(indexName).getAll(value));
+}
+
+/**
+ * Get every key/value pair in a store (for stores with out-of-line keys)
+ * @param {string} storeName
+ * @returns {Promise<Object>}
+ */
+export async function getAllEntries(storeName) {
+  const [keysRequest, valuesRequest] = await withTransaction(storeName, 'readonly', (store) => [
+    store.getAllKeys(),
+    store.getAll(),
+  ]);
+
+  const entries = {};
+  keysRequest.result.forEach((key, i) => {
+    entries[key] = valuesRequest.result[i];
+  });
+  return entries;
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {any} value
+ * @param {IDBValidKey} key - Only for stores with out-of-line keys
+ */
+export function putRecord(storeName, value, key) {
+  return withTransaction(storeName, 'readwrite', (store) =>
+    key === undefined ? store.put(value) : store.put(value, key)
+  );
+}
+
+/**
+ * Delete a record
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ */
+export function deleteRecord(storeName, key) {
+  return withTransaction(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName
+ */
+export function clearStore(storeName) {
+  return withTransaction(storeName, 'readwrite', (store) => store.clear());
+}
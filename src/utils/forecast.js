@@ -0,0 +1,129 @@
+// Forecasting: projects each trend's size and change one period ahead from its
+// snapshot history, with an uncertainty band
+
+import { calculateChange, getCurrentPeriodKey, getNextPeriodKey, getTrendHistories } from './history';
+
+// Holt's linear smoothing on log size, with a damped slope so a run of growth
+// doesn't project without limit
+const ALPHA = 0.5; // Weight of the latest level
+const BETA = 0.3; // Weight of the latest slope
+const PHI = 0.9; // Slope damping
+const MIN_PERIODS = 3;
+const BAND_Z = 1.28; // Band covers ~80% of one-step errors
+const MIN_SPREAD = 0.05; // Log error floor, so steady series still get a band
+
+const SIZE_RANGE = [1, 100];
+
+const clampSize = (size) => Math.min(SIZE_RANGE[1], Math.max(SIZE_RANGE[0], size));
+
+/**
+ * Project a series one step ahead
+ * @param {Array<number>} values - Oldest first; non-positive values are skipped
+ * @returns {{ value: number, low: number, high: number } | null} null with too few points
+ */
+export function forecastSeries(values) {
+  const points = values.filter((value) => value > 0).map(Math.log);
+  if (points.length < MIN_PERIODS) return null;
+
+  let level = points[0];
+  let slope = points[1] - points[0];
+  const errors = [];
+  for (let i = 1; i < points.length; i++) {
+    const predicted = level + PHI * slope;
+    // The second point sets the starting slope, so it can't be a miss
+    if (i > 1) errors.push(points[i] - predicted);
+    const previousLevel = level;
+    level = ALPHA * points[i] + (1 - ALPHA) * predicted;
+    slope = BETA * (level - previousLevel) + (1 - BETA) * PHI * slope;
+  }
+
+  const spread = Math.max(
+    Math.sqrt(errors.reduce((sum, error) => sum + error ** 2, 0) / errors.length),
+    MIN_SPREAD
+  );
+  const projected = level + PHI * slope;
+
+  return {
+    value: Math.exp(projected),
+    low: Math.exp(projected - BAND_Z * spread),
+    high: Math.exp(projected + BAND_Z * spread),
+  };
+}
+
+/**
+ * Project a trend's size and change for the next period
+ * @param {Object} trend
+ * @param {Array} history - From getTrendHistory(trend), oldest first
+ * @returns {Object|null} { period, size, low, high, change, changeLow, changeHigh, basis },
+ *   null until the trend has a few periods of history
+ */
+export function forecastTrend(trend, history) {
+  const currentKey = getCurrentPeriodKey();
+  const sizes = history.map((entry) => entry.size);
+  const last = history[history.length - 1];
+  // The board's size stands for the current period, saved or not
+  if (last?.period === currentKey) sizes[sizes.length - 1] = trend.size;
+  else sizes.push(trend.size);
+
+  const projection = forecastSeries(sizes);
+  if (!projection || !(trend.size > 0)) return null;
+
+  const size = clampSize(projection.value);
+  const low = clampSize(projection.low);
+  const high = clampSize(projection.high);
+
+  return {
+    period: getNextPeriodKey(currentKey),
+    size: Math.round(size),
+    low: Math.round(low),
+    high: Math.round(high),
+    change: Math.round(calculateChange(size, trend.size)),
+    changeLow: Math.round(calculateChange(low, trend.size)),
+    changeHigh: Math.round(calculateChange(high, trend.size)),
+    basis: sizes.filter((value) => value > 0).length,
+  };
+}
+
+/**
+ * Forecasts for every trend on the board that has enough history
+ * @param {Array} trends
+ * @param {Object|null} history - From getHistory(); read here when not given
+ * @returns {Map<string, Object>} By trend id
+ */
+export function forecastTrends(trends, history = null) {
+  const histories = getTrendHistories(trends, null, history);
+  const forecasts = new Map();
+  trends.forEach((trend, i) => {
+    const forecast = forecastTrend(trend, histories[i]);
+    if (forecast) forecasts.set(trend.id, forecast);
+  });
+  return forecasts;
+}
+
+/**
+ * The board as forecast for the next period, ready to render. Trends without
+ * a forecast keep their size and show no change.
+ * @param {Array} trends
+ * @param {Map<string, Object>} forecasts - From forecastTrends()
+ * @returns {Array}
+ */
+export function getForecastTrends(trends, forecasts) {
+  return trends.map((trend) => {
+    const forecast = forecasts.get(trend.id);
+    return forecast
+      ? { ...trend, size: forecast.size, change: forecast.change }
+      : { ...trend, change: 0 };
+  });
+}
+
+/**
+ * Range text for a forecast, e.g. "54 (48–61)" or "+8% (−3% to +19%)"
+ * @param {Object} forecast
+ * @param {'size'|'change'} field
+ * @returns {string}
+ */
+export function describeForecast(forecast, field) {
+  if (field === 'size') return `${forecast.size} (${forecast.low}–${forecast.high})`;
+  const percent = (value) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value)}%`;
+  return `${percent(forecast.change)} (${percent(forecast.changeLow)} to ${percent(forecast.changeHigh)})`;
+}
@@ -0,0 +1,115 @@
+// Forecasts of next period's size and change
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+import { describeForecast, forecastSeries, forecastTrend, getForecastTrends } from './forecast';
+
+setupFakeStorage();
+
+const NOW = new Date(2025, 0, 15, 14, 30); // 2025-W03
+
+describe('forecastSeries', () => {
+  it('needs three points, skipping gaps', () => {
+    expect(forecastSeries([10, 20])).toBeNull();
+    expect(forecastSeries([10, 0, 20])).toBeNull();
+  });
+
+  it('holds a flat series, with a narrow band', () => {
+    const { value, low, high } = forecastSeries([50, 50, 50]);
+    expect(value).toBeCloseTo(50);
+    expect(low).toBeCloseTo(46.9, 1);
+    expect(high).toBeCloseTo(53.3, 1);
+  });
+
+  it('damps growth and decline', () => {
+    expect(forecastSeries([10, 20, 40]).value).toBeCloseTo(63.1, 1); // Not 80
+    expect(forecastSeries([80, 60, 45]).value).toBeCloseTo(37.2, 1);
+  });
+
+  it('widens the band for an erratic series', () => {
+    const { low, high } = forecastSeries([10, 30, 20, 40, 25]);
+    expect(low).toBeLessThan(20);
+    expect(high).toBeGreaterThan(200);
+  });
+});
+
+describe('forecastTrend', () => {
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    await reloadStorage();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const history = [
+    { period: '2025-W01', size: 10 },
+    { period: '2025-W02', size: 20 },
+  ];
+
+  it('projects the next period from the board size', () => {
+    expect(forecastTrend({ size: 40 }, history)).toEqual({
+      period: '2025-W04',
+      size: 63,
+      low: 52,
+      high: 77,
+      change: 58,
+      changeLow: 29,
+      changeHigh: 93,
+      basis: 3,
+    });
+  });
+
+  it("uses the board size over this period's snapshot", () => {
+    const saved = [...history, { period: '2025-W03', size: 25 }];
+    expect(forecastTrend({ size: 40 }, saved)).toEqual(forecastTrend({ size: 40 }, history));
+  });
+
+  it('keeps sizes on the 1–100 scale', () => {
+    const doubling = [{ period: '2024-W52', size: 10 }, { period: '2025-W01', size: 20 }, { period: '2025-W02', size: 40 }];
+    expect(forecastTrend({ size: 80 }, doubling)).toMatchObject({ size: 100, high: 100 });
+  });
+
+  it('needs history and a size', () => {
+    expect(forecastTrend({ size: 40 }, history.slice(1))).toBeNull();
+    expect(forecastTrend({ size: 0 }, history)).toBeNull();
+  });
+
+  it('forecasts each trend from the history it is given', async () => {
+    const { forecastTrends } = await import('./forecast');
+    const trends = [{ id: 'a', name: 'A', size: 40 }, { id: 'b', name: 'B', size: 40 }];
+    const grouped = {
+      '2025-W01': { timestamp: '2025-01-01', trends: [{ id: 'a', size: 10 }] },
+      '2025-W02': { timestamp: '2025-01-08', trends: [{ id: 'a', size: 20 }] },
+    };
+
+    const forecasts = forecastTrends(trends, grouped);
+    expect([...forecasts.keys()]).toEqual(['a']);
+    expect(forecasts.get('a').size).toBe(63);
+    expect(forecastTrends(trends).size).toBe(0); // Nothing saved yet
+  });
+});
+
+describe('getForecastTrends', () => {
+  it('shows forecasts and holds trends without one', () => {
+    const trends = [{ id: 'a', size: 40, change: 5 }, { id: 'b', size: 30, change: 5 }];
+    const forecasts = new Map([['a', { size: 63, change: 58 }]]);
+    expect(getForecastTrends(trends, forecasts)).toEqual([
+      { id: 'a', size: 63, change: 58 },
+      { id: 'b', size: 30, change: 0 },
+    ]);
+  });
+});
+
+describe('describeForecast', () => {
+  const forecast = { size: 54, low: 48, high: 61, change: 8, changeLow: -3, changeHigh: 0 };
+
+  it.each([
+    ['size', '54 (48–61)'],
+    ['change', '+8% (−3% to 0%)'],
+  ])('describes the %s range', (field, text) => {
+    expect(describeForecast(forecast, field)).toBe(text);
+  });
+});
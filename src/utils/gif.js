@@ -0,0 +1,222 @@
+// Animated GIF (GIF89a) encoding for time-lapse exports
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor(size = 1 << 20) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeShort(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeString(value) {
+    for (let i = 0; i < value.length; i++) this.writeByte(value.charCodeAt(i));
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Reduce a frame to 256 colors. Pixels are bucketed at 5 bits per channel and
+ * the most common buckets become the palette, which suits the heatmap's flat
+ * blocks; photos band a little but stay recognizable.
+ * @param {ImageData} imageData
+ * @returns {{ palette: Uint8Array, indices: Uint8Array }}
+ */
+function quantize({ data }) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const buckets = new Uint16Array(data.length / 4);
+
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    const bucket = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    buckets[p] = bucket;
+    counts[bucket]++;
+    sums[bucket * 3] += data[i];
+    sums[bucket * 3 + 1] += data[i + 1];
+    sums[bucket * 3 + 2] += data[i + 2];
+  }
+
+  const used = [];
+  for (let bucket = 0; bucket < counts.length; bucket++) {
+    if (counts[bucket]) used.push(bucket);
+  }
+  used.sort((a, b) => counts[b] - counts[a]);
+
+  const colors = used.slice(0, 256);
+  const palette = new Uint8Array(256 * 3);
+  colors.forEach((bucket, i) => {
+    for (let c = 0; c < 3; c++) {
+      palette[i * 3 + c] = Math.round(sums[bucket * 3 + c] / counts[bucket]);
+    }
+  });
+
+  // Nearest palette entry per bucket, filled in as buckets are seen
+  const lookup = new Int16Array(32768).fill(-1);
+  const indices = new Uint8Array(buckets.length);
+
+  for (let p = 0; p < buckets.length; p++) {
+    const bucket = buckets[p];
+    if (lookup[bucket] < 0) {
+      const r = sums[bucket * 3] / counts[bucket];
+      const g = sums[bucket * 3 + 1] / counts[bucket];
+      const b = sums[bucket * 3 + 2] / counts[bucket];
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let i = 0; i < colors.length; i++) {
+        const dr = palette[i * 3] - r;
+        const dg = palette[i * 3 + 1] - g;
+        const db = palette[i * 3 + 2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+      lookup[bucket] = best;
+    }
+    indices[p] = lookup[bucket];
+  }
+
+  return { palette, indices };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices
+ * @param {ByteWriter} out
+ */
+function writeImageData(indices, out) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const bytes = new ByteWriter(indices.length);
+  let buffer = 0;
+  let bits = 0;
+
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.writeByte(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = value;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) bytes.writeByte(buffer & 0xff);
+
+  const data = bytes.toUint8Array();
+  out.writeByte(minCodeSize);
+  for (let i = 0; i < data.length; i += 255) {
+    const chunk = data.subarray(i, i + 255);
+    out.writeByte(chunk.length);
+    out.writeBytes(chunk);
+  }
+  out.writeByte(0);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<{ imageData: ImageData, delay: number }>} frames - Delay in ms
+ * @param {{ loop?: boolean }} options
+ * @returns {Blob}
+ */
+export function encodeGif(frames, { loop = true } = {}) {
+  const { width, height } = frames[0].imageData;
+  const out = new ByteWriter();
+
+  out.writeString('GIF89a');
+  out.writeShort(width);
+  out.writeShort(height);
+  out.writeBytes([0x00, 0x00, 0x00]); // No global color table
+
+  if (loop) {
+    out.writeBytes([0x21, 0xff, 0x0b]);
+    out.writeString('NETSCAPE2.0');
+    out.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]); // Repeat forever
+  }
+
+  frames.forEach(({ imageData, delay }) => {
+    const { palette, indices } = quantize(imageData);
+
+    // Graphic control extension: frame delay in hundredths of a second
+    out.writeBytes([0x21, 0xf9, 0x04, 0x00]);
+    out.writeShort(Math.max(2, Math.round(delay / 10)));
+    out.writeBytes([0x00, 0x00]);
+
+    // Image descriptor with a 256-entry local color table
+    out.writeByte(0x2c);
+    out.writeShort(0);
+    out.writeShort(0);
+    out.writeShort(width);
+    out.writeShort(height);
+    out.writeByte(0x87);
+    out.writeBytes(palette);
+
+    writeImageData(indices, out);
+  });
+
+  out.writeByte(0x3b);
+  return new Blob([out.toUint8Array()], { type: 'image/gif' });
+}
@@ -0,0 +1,125 @@
+// Animated GIF encoding, checked by decoding the file again
+
+import { describe, expect, it } from 'vitest';
+import { encodeGif } from './gif';
+
+// A frame of the given size, colored pixel by pixel
+function makeFrame(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    data.set([...colorAt(p % width, Math.floor(p / width)), 255], p * 4);
+  }
+  return { width, height, data };
+}
+
+// Standard GIF LZW decoder, as a browser reads the image data
+function decompress(bytes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let position = 0;
+  const output = [];
+
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, position++) {
+      code |= ((bytes[position >> 3] >> (position & 7)) & 1) << i;
+    }
+    return code;
+  };
+
+  for (;;) {
+    const code = read();
+    if (code === clearCode) {
+      table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+      codeSize = minCodeSize + 1;
+      previous = null;
+      continue;
+    }
+    if (code === endCode) return output;
+
+    const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+    output.push(...entry);
+    if (previous !== null && table.length < 4096) {
+      table.push([...table[previous], entry[0]]);
+      if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = code;
+  }
+}
+
+// Screen size, loop flag and every frame's delay and RGB pixels
+async function decodeGif(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const short = (at) => bytes[at] | (bytes[at + 1] << 8);
+  const gif = { header: String.fromCharCode(...bytes.subarray(0, 6)), width: short(6), height: short(8), loops: false, frames: [] };
+  let at = 13;
+  let delay = null;
+
+  const subBlocks = () => {
+    const parts = [];
+    while (bytes[at] !== 0) {
+      parts.push(...bytes.subarray(at + 1, at + 1 + bytes[at]));
+      at += bytes[at] + 1;
+    }
+    at++;
+    return parts;
+  };
+
+  while (bytes[at] !== 0x3b) {
+    if (bytes[at] === 0x21) {
+      const label = bytes[at + 1];
+      at += 2;
+      const data = subBlocks();
+      if (label === 0xf9) delay = (data[1] | (data[2] << 8)) * 10;
+      if (label === 0xff) gif.loops = true;
+    } else {
+      const palette = bytes.subarray(at + 10, at + 10 + 768);
+      at += 10 + 768;
+      const minCodeSize = bytes[at++];
+      const indices = decompress(subBlocks(), minCodeSize);
+      const pixels = indices.map((i) => [...palette.subarray(i * 3, i * 3 + 3)]);
+      gif.frames.push({ delay, pixels });
+    }
+  }
+  return gif;
+}
+
+describe('encodeGif', () => {
+  it('writes a looping GIF89a with each frame and its delay', async () => {
+    const quadrants = makeFrame(8, 6, (x, y) => (x < 4 ? [255, 0, 0] : y < 3 ? [0, 255, 0] : [0, 0, 255]));
+    const gif = await decodeGif(encodeGif([
+      { imageData: quadrants, delay: 500 },
+      { imageData: makeFrame(8, 6, () => [16, 32, 48]), delay: 40 },
+    ]));
+
+    expect(gif).toMatchObject({ header: 'GIF89a', width: 8, height: 6, loops: true });
+    expect(gif.frames.map((f) => f.delay)).toEqual([500, 40]);
+    expect(gif.frames[0].pixels[0]).toEqual([255, 0, 0]);
+    expect(gif.frames[0].pixels[5]).toEqual([0, 255, 0]);
+    expect(gif.frames[0].pixels[47]).toEqual([0, 0, 255]);
+    expect(gif.frames[1].pixels).toHaveLength(48);
+  });
+
+  it('keeps every pixel through a full code table', async () => {
+    // 200 colors that quantize exactly, in an order that compresses badly
+    const colors = Array.from({ length: 200 }, (_, i) => [(i % 32) * 8, Math.floor(i / 32) * 8, 64]);
+    let seed = 1;
+    const pick = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return colors[seed % colors.length];
+    };
+    const expected = [];
+    const frame = makeFrame(100, 100, () => {
+      const color = pick();
+      expected.push(color);
+      return color;
+    });
+
+    const gif = await decodeGif(encodeGif([{ imageData: frame, delay: 100 }], { loop: false }));
+    expect(gif.loops).toBe(false);
+    expect(gif.frames[0].pixels).toEqual(expected);
+  });
+});
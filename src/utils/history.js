@@ -1,6 +1,15 @@
 // Historical tracking utilities
 
-const HISTORY_KEY = 'culture-heatmap-history';
+import {
+  getSnapshots,
+  saveSnapshot,
+  deleteSnapshot,
+  clearSnapshots,
+  getTrendLinks,
+  saveTrendLinks,
+  getSnapshotSettings,
+  generateId,
+} from './storage';
 
 /**
  * Get ISO week number and year from a date
@@ -50,77 +59,312 @@ export function getPreviousWeekKey(weekKey) {
   return `${year}-W${String(week).padStart(2, '0')}`;
 }
 
+const pad = (n) => String(n).padStart(2, '0');
+
+function formatDay(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Periods a stable layout is carried forward through
+const LAYOUT_HISTORY_PERIODS = 6;
+
+// Custom intervals are counted from local midnight on 1 Jan 2000
+const CUSTOM_EPOCH = new Date(2000, 0, 1);
+
 /**
- * Load all history from localStorage
- * @returns {Object}
+ * Get the key of the period a date falls in
+ * @param {Date|string|number} date
+ * @param {Object} settings - { granularity, customHours }, defaults to the board's
+ * @returns {string} "2024-W04" (weekly), "2024-01-22" (daily), "2024-01-22T14" (hourly)
+ *   or "2024-01-22T12:00" (custom, the interval's start)
  */
-export function getHistory() {
-  const stored = localStorage.getItem(HISTORY_KEY);
-  if (stored) {
-    try {
-      return JSON.parse(stored);
-    } catch {
-      return {};
+export function getPeriodKey(date = new Date(), settings = getSnapshotSettings()) {
+  const d = new Date(date);
+
+  switch (settings.granularity) {
+    case 'hourly':
+      return `${formatDay(d)}T${pad(d.getHours())}`;
+    case 'daily':
+      return formatDay(d);
+    case 'custom': {
+      const ms = Math.max(1, Number(settings.customHours) || 1) * 3600000;
+      const index = Math.floor((d - CUSTOM_EPOCH) / ms);
+      const start = new Date(CUSTOM_EPOCH.getTime() + index * ms);
+      return `${formatDay(start)}T${pad(start.getHours())}:${pad(start.getMinutes())}`;
     }
+    default:
+      return getISOWeek(d).key;
   }
-  return {};
 }
 
 /**
- * Save a weekly snapshot
- * @param {Array} trends - Current trends
- * @param {string} weekKey - Optional week key (defaults to current week)
+ * Get the start of a period from its key (any granularity)
+ * @param {string} key
+ * @returns {Date | null}
  */
-export function saveWeeklySnapshot(trends, weekKey = null) {
-  const history = getHistory();
-  const key = weekKey || getISOWeek().key;
+export function getPeriodStart(key) {
+  const week = key.match(/^(\d{4})-W(\d{2})$/);
+  if (week) {
+    // Monday of ISO week 1 is the Monday on or before 4 January
+    const jan4 = new Date(Number(week[1]), 0, 4);
+    const monday = new Date(jan4);
+    monday.setDate(jan4.getDate() - ((jan4.getDay() + 6) % 7) + (Number(week[2]) - 1) * 7);
+    return monday;
+  }
+
+  const time = key.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2})(?::(\d{2}))?)?$/);
+  if (!time) return null;
+  const [, y, m, d, h = 0, min = 0] = time;
+  return new Date(Number(y), Number(m) - 1, Number(d), Number(h), Number(min));
+}
+
+/**
+ * Get the key of the period before another
+ * @param {string} key
+ * @param {Object} settings
+ * @returns {string | null}
+ */
+export function getPreviousPeriodKey(key, settings = getSnapshotSettings()) {
+  const start = getPeriodStart(key);
+  if (!start) return null;
+  return getPeriodKey(new Date(start.getTime() - 1), settings);
+}
+
+/**
+ * Get the key of the period after another
+ * @param {string} key
+ * @param {Object} settings
+ * @returns {string | null}
+ */
+export function getNextPeriodKey(key, settings = getSnapshotSettings()) {
+  const start = getPeriodStart(key);
+  if (!start) return null;
+
+  const next = new Date(start);
+  switch (settings.granularity) {
+    case 'hourly':
+      next.setHours(next.getHours() + 1);
+      break;
+    case 'daily':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'custom':
+      next.setTime(start.getTime() + Math.max(1, Number(settings.customHours) || 1) * 3600000);
+      break;
+    default:
+      next.setDate(next.getDate() + 7);
+  }
+  return getPeriodKey(next, settings);
+}
+
+/**
+ * Key of the period we are in now
+ * @returns {string}
+ */
+export function getCurrentPeriodKey() {
+  return getPeriodKey(new Date());
+}
+
+/**
+ * Human-readable label for a period key
+ * @param {string} key
+ * @returns {string}
+ */
+export function formatPeriod(key) {
+  if (/^\d{4}-W\d{2}$/.test(key)) return key;
+  const start = getPeriodStart(key);
+  if (!start) return key;
+
+  const day = start.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  if (!key.includes('T')) return day;
+  return `${day} ${pad(start.getHours())}:${pad(start.getMinutes())}`;
+}
+
+/**
+ * When a snapshot was taken. Snapshots from before every save was kept may
+ * only know their week.
+ * @param {Object} snapshot
+ * @returns {number}
+ */
+function snapshotTime(snapshot) {
+  const time = Date.parse(snapshot.timestamp);
+  if (!Number.isNaN(time)) return time;
+  return snapshot.week ? getPeriodStart(snapshot.week)?.getTime() ?? 0 : 0;
+}
+
+// Sorted and grouped snapshots and earlier boards, rebuilt only when the
+// stored snapshots change. Storage replaces its snapshots object on every
+// save, delete and board switch, so the object's identity says whether the
+// cache is current. Merges reset it too, as they change which entries match.
+const snapshotCache = { source: null, sorted: [], histories: new Map(), previousBoards: new Map() };
+
+function getSnapshotCache() {
+  const source = getSnapshots();
+  if (snapshotCache.source !== source) {
+    snapshotCache.source = source;
+    snapshotCache.sorted = Object.values(source).sort((a, b) => snapshotTime(a) - snapshotTime(b));
+    snapshotCache.histories.clear();
+    snapshotCache.previousBoards.clear();
+  }
+  return snapshotCache;
+}
+
+/**
+ * Every saved snapshot, oldest first. Shared: don't mutate.
+ * @returns {Array<{ id: string, timestamp: string, trends: Array }>}
+ */
+export function getAllSnapshots() {
+  return getSnapshotCache().sorted;
+}
 
-  history[key] = {
+/**
+ * Load history grouped by period (period key -> latest snapshot in that period).
+ * The same object comes back until the history changes, so it can be memoized
+ * on; don't mutate it.
+ * @param {Object} settings - Defaults to the board's granularity
+ * @returns {Object} Each snapshot also has its period `key` and the number of `saves`
+ */
+export function getHistory(settings = getSnapshotSettings()) {
+  const { sorted, histories } = getSnapshotCache();
+  const settingsKey = `${settings.granularity}:${settings.customHours}`;
+  if (!histories.has(settingsKey)) {
+    const history = {};
+    sorted.forEach((snapshot) => {
+      const key = getPeriodKey(snapshotTime(snapshot), settings);
+      const saves = (history[key]?.saves || 0) + 1;
+      history[key] = { ...snapshot, key, saves };
+    });
+    histories.set(settingsKey, history);
+  }
+  return histories.get(settingsKey);
+}
+
+/**
+ * Save a snapshot of the current trends. Every save is kept; periods show the
+ * latest save within them.
+ * @param {Array} trends - Current trends
+ */
+export function saveHistorySnapshot(trends) {
+  saveSnapshot({
+    id: generateId(),
     trends: trends.map((t) => ({
       id: t.id,
       name: t.name,
       category: t.category,
       size: t.size,
       change: t.change,
+      ...(t.metrics && { metrics: t.metrics }),
     })),
     timestamp: new Date().toISOString(),
-  };
+  });
 
-  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-  return history;
+  return getHistory();
 }
 
 /**
- * Get a specific week's snapshot
- * @param {string} weekKey
+ * Get a specific period's snapshot
+ * @param {string} periodKey
  * @returns {Object | null}
  */
-export function getWeekSnapshot(weekKey) {
+export function getPeriodSnapshot(periodKey) {
   const history = getHistory();
-  return history[weekKey] || null;
+  return history[periodKey] || null;
 }
 
 /**
- * Get the previous week's data for a specific trend (by name)
- * @param {string} trendName
- * @param {string} currentWeekKey
- * @returns {Object | null}
+ * Series id of a snapshot entry. Entries saved without an id are grouped by name.
+ * @param {Object} entry
+ * @returns {string}
  */
-export function getPreviousWeekTrend(trendName, currentWeekKey = null) {
-  const key = currentWeekKey || getISOWeek().key;
-  const prevKey = getPreviousWeekKey(key);
-  if (!prevKey) return null;
+export function getSeriesId(entry) {
+  return entry.id || `name:${entry.name.toLowerCase()}`;
+}
 
-  const snapshot = getWeekSnapshot(prevKey);
+/**
+ * Follow merge links to the id a series is tracked under now
+ * @param {string} id
+ * @param {Object} links - Defaults to the active board's links
+ * @returns {string}
+ */
+export function resolveTrendId(id, links = getTrendLinks()) {
+  let current = id;
+  const seen = new Set();
+  while (links[current] && !seen.has(current)) {
+    seen.add(current);
+    current = links[current];
+  }
+  return current;
+}
+
+/**
+ * Whether a snapshot entry belongs to a trend. Saved trends are matched by
+ * identity (including merged series); names and aliases are only compared for
+ * entries without an id and for trends that have not been saved yet.
+ * @param {Object} entry
+ * @param {Object|string} trend - Trend, or just a name
+ * @param {Object} links
+ */
+function matchesTrend(entry, trend, links) {
+  const ref = typeof trend === 'string' ? { name: trend } : trend;
+
+  if (ref.id && resolveTrendId(getSeriesId(entry), links) === resolveTrendId(ref.id, links)) {
+    return true;
+  }
+  if (ref.id && entry.id) return false;
+
+  const names = [ref.name, ...(ref.aliases || [])]
+    .filter(Boolean)
+    .map((name) => name.toLowerCase());
+  return names.includes(entry.name.toLowerCase());
+}
+
+/**
+ * Get the period changes are measured against, per the board's baseline setting:
+ * the previous saved period, N periods back, or a fixed period. When the target
+ * period has no snapshot, the closest earlier one is used.
+ * @param {string} currentKey - Defaults to the current period
+ * @returns {string | null}
+ */
+export function getBaselinePeriodKey(currentKey = null) {
+  const settings = getSnapshotSettings();
+  const current = currentKey || getPeriodKey(new Date(), settings);
+  const { baseline } = settings;
+  const periods = Object.keys(getHistory(settings)).sort().reverse();
+
+  if (baseline?.type === 'fixed' && baseline.period) {
+    return periods.includes(baseline.period) ? baseline.period : null;
+  }
+
+  const steps = baseline?.type === 'periodsAgo' ? Math.max(1, Number(baseline.count) || 1) : 1;
+  let target = current;
+  for (let i = 0; i < steps && target; i++) {
+    target = getPreviousPeriodKey(target, settings);
+  }
+  if (!target) return null;
+
+  return periods.find((key) => key <= target) || null;
+}
+
+/**
+ * Get a trend's data in the baseline period
+ * @param {Object|string} trend - Trend (matched by identity) or a name
+ * @param {string} currentKey - Defaults to the current period
+ * @returns {Object | null} The snapshot entry, plus the `period` it came from
+ */
+export function getBaselineTrend(trend, currentKey = null) {
+  const period = getBaselinePeriodKey(currentKey);
+  if (!period) return null;
+
+  const snapshot = getPeriodSnapshot(period);
   if (!snapshot) return null;
 
-  return snapshot.trends.find(
-    (t) => t.name.toLowerCase() === trendName.toLowerCase()
-  ) || null;
+  const links = getTrendLinks();
+  const entry = snapshot.trends.find((t) => matchesTrend(t, trend, links));
+  return entry ? { ...entry, period } : null;
 }
 
 /**
- * Calculate change percentage from previous week
+ * Calculate change percentage from the baseline
  * @param {number} currentSize
  * @param {number} previousSize
  * @returns {number}
@@ -136,66 +380,247 @@ export function calculateChange(currentSize, previousSize) {
  * @returns {number}
  */
 export function autoCalculateChange(trend) {
-  const prevTrend = getPreviousWeekTrend(trend.name);
+  const prevTrend = getBaselineTrend(trend);
   if (!prevTrend) return trend.change || 0;
 
   return calculateChange(trend.size, prevTrend.size);
 }
 
 /**
- * Get trend history over multiple weeks
- * @param {string} trendName
- * @param {number} weeks - Number of weeks to look back
- * @returns {Array}
+ * Get trend history over stored periods
+ * @param {Object|string} trend - Trend (matched by identity) or a name
+ * @param {number|null} periods - Only look back this many periods; all stored periods by default
+ * @returns {Array} Oldest first
  */
-export function getTrendHistory(trendName, weeks = 4) {
-  const history = getHistory();
-  const results = [];
-  let currentKey = getISOWeek().key;
-
-  for (let i = 0; i < weeks; i++) {
-    const snapshot = history[currentKey];
-    if (snapshot) {
-      const trend = snapshot.trends.find(
-        (t) => t.name.toLowerCase() === trendName.toLowerCase()
-      );
-      if (trend) {
-        results.push({
-          week: currentKey,
-          ...trend,
-          timestamp: snapshot.timestamp,
-        });
-      }
+export function getTrendHistory(trend, periods = null) {
+  return getTrendHistories([trend], periods)[0];
+}
+
+/**
+ * getTrendHistory for several trends, reading the history once
+ * @param {Array} trends
+ * @param {number|null} periods
+ * @param {Object|null} history - From getHistory(); read here when not given
+ * @returns {Array<Array>} One history per trend, in the same order
+ */
+export function getTrendHistories(trends, periods = null, history = null) {
+  const settings = getSnapshotSettings();
+  const grouped = history || getHistory(settings);
+  const links = getTrendLinks();
+
+  let earliest = null;
+  if (periods) {
+    earliest = getPeriodKey(new Date(), settings);
+    for (let i = 1; i < periods && earliest; i++) {
+      earliest = getPreviousPeriodKey(earliest, settings);
     }
-    currentKey = getPreviousWeekKey(currentKey);
-    if (!currentKey) break;
   }
 
-  return results.reverse();
+  const keys = Object.keys(grouped)
+    .sort()
+    .filter((key) => !earliest || key >= earliest);
+
+  return trends.map((trend) =>
+    keys.reduce((results, key) => {
+      const entry = grouped[key].trends.find((t) => matchesTrend(t, trend, links));
+      if (entry) {
+        results.push({ period: key, ...entry, timestamp: grouped[key].timestamp });
+      }
+      return results;
+    }, [])
+  );
 }
 
 /**
- * Get all available week keys in history (sorted newest first)
+ * Every stored period from a trend's first appearance on, including periods it
+ * was missing from. `event` marks where it was added (or came back) and removed.
+ * @param {Object|string} trend - Trend (matched by identity) or a name
+ * @returns {Array<{ period: string, timestamp: string, entry: Object|null, event: 'added'|'removed'|null }>}
+ */
+export function getTrendTimeline(trend) {
+  const history = getHistory();
+  const links = getTrendLinks();
+  const keys = Object.keys(history).sort();
+  const timeline = [];
+  let present = false;
+
+  keys.forEach((key, i) => {
+    const entry = history[key].trends.find((t) => matchesTrend(t, trend, links)) || null;
+    if (!entry && timeline.length === 0) return;
+
+    let event = null;
+    // Trends in the very first snapshot predate the history rather than being added
+    if (entry && !present && i > 0) event = 'added';
+    if (!entry && present) event = 'removed';
+    present = Boolean(entry);
+
+    timeline.push({ period: key, timestamp: history[key].timestamp, entry, event });
+  });
+
+  return timeline;
+}
+
+/**
+ * Get all period keys in history (sorted newest first)
  * @returns {string[]}
  */
-export function getAvailableWeeks() {
+export function getAvailablePeriods() {
   const history = getHistory();
   return Object.keys(history).sort().reverse();
 }
 
 /**
- * Delete a week's snapshot
- * @param {string} weekKey
+ * Trends as they stood in a period, ready to render. Entries take their
+ * series id so merged and renamed trends keep one block across periods, and
+ * borrow images from the matching current trend (snapshots don't store them).
+ * @param {string} periodKey
+ * @param {Array} currentTrends
+ * @returns {Array}
  */
-export function deleteWeekSnapshot(weekKey) {
+export function getTimelineTrends(periodKey, currentTrends = []) {
+  const snapshot = getPeriodSnapshot(periodKey);
+  if (!snapshot) return [];
+
+  const links = getTrendLinks();
+  const current = new Map(currentTrends.map((t) => [resolveTrendId(t.id, links), t]));
+  const seen = new Set();
+
+  return snapshot.trends.reduce((result, entry) => {
+    const id = resolveTrendId(getSeriesId(entry), links);
+    if (seen.has(id)) return result;
+    seen.add(id);
+
+    const trend = current.get(id);
+    result.push({
+      ...entry,
+      id,
+      change: entry.change ?? 0,
+      image: trend?.image,
+      imagePosition: trend?.imagePosition,
+    });
+    return result;
+  }, []);
+}
+
+/**
+ * Boards from the periods before one, ready to render. Stable layouts are
+ * carried forward through these. Kept per period until the history or the
+ * current trends change, so the same array comes back across renders.
+ * @param {string} periodKey - The period being shown (not included)
+ * @param {Array} currentTrends
+ * @param {number} count - How many periods to look back
+ * @returns {Array<Array>} Oldest first
+ */
+export function getPreviousBoards(periodKey, currentTrends = [], count = LAYOUT_HISTORY_PERIODS) {
+  const { previousBoards } = getSnapshotCache();
+  const { granularity, customHours } = getSnapshotSettings();
+  const cacheKey = `${granularity}:${customHours}:${periodKey}:${count}`;
+  const cached = previousBoards.get(cacheKey);
+  if (cached?.currentTrends === currentTrends) return cached.boards;
+
+  const boards = getAvailablePeriods()
+    .filter((key) => key < periodKey)
+    .slice(0, count)
+    .reverse()
+    .map((key) => getTimelineTrends(key, currentTrends));
+  previousBoards.set(cacheKey, { currentTrends, boards });
+  return boards;
+}
+
+/**
+ * Every series in the history, after merges. Used by the merge tool.
+ * @returns {Array<{ id: string, names: string[], periods: string[] }>} Newest first
+ */
+export function getTrendSeries() {
   const history = getHistory();
-  delete history[weekKey];
-  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  const links = getTrendLinks();
+  const series = new Map();
+
+  Object.keys(history).sort().forEach((period) => {
+    history[period].trends.forEach((entry) => {
+      const id = resolveTrendId(getSeriesId(entry), links);
+      if (!series.has(id)) series.set(id, { id, names: [], periods: [] });
+      const item = series.get(id);
+      if (!item.names.includes(entry.name)) item.names.push(entry.name);
+      if (!item.periods.includes(period)) item.periods.push(period);
+    });
+  });
+
+  return [...series.values()].sort((a, b) =>
+    b.periods[b.periods.length - 1].localeCompare(a.periods[a.periods.length - 1])
+  );
+}
+
+/**
+ * Series that have been merged into a trend
+ * @param {string} trendId
+ * @returns {Array<{ id: string, names: string[] }>}
+ */
+export function getMergedSeries(trendId) {
+  const links = getTrendLinks();
+  const target = resolveTrendId(trendId, links);
+
+  return Object.keys(links)
+    .filter((id) => id !== trendId && resolveTrendId(id, links) === target)
+    .map((id) => {
+      const names = new Set();
+      getAllSnapshots().forEach((snapshot) => {
+        snapshot.trends.forEach((entry) => {
+          if (getSeriesId(entry) === id) names.add(entry.name);
+        });
+      });
+      return { id, names: [...names] };
+    });
+}
+
+/**
+ * Link a historical series to a trend so both are treated as one
+ * @param {string} fromId - Series to merge (see getSeriesId)
+ * @param {string} intoId - Trend id it belongs to
+ * @returns {Promise<boolean>} false if the merge would create a loop
+ */
+export async function mergeTrendSeries(fromId, intoId) {
+  const links = getTrendLinks();
+
+  // Refuse if fromId is already somewhere along intoId's chain
+  let current = intoId;
+  const seen = new Set();
+  while (current && !seen.has(current)) {
+    if (current === fromId) return false;
+    seen.add(current);
+    current = links[current];
+  }
+
+  snapshotCache.source = null;
+  return saveTrendLinks({ ...links, [fromId]: intoId });
+}
+
+/**
+ * Undo a merge
+ * @param {string} fromId
+ * @returns {Promise<boolean>}
+ */
+export function unmergeTrendSeries(fromId) {
+  const { [fromId]: _removed, ...links } = getTrendLinks();
+  snapshotCache.source = null;
+  return saveTrendLinks(links);
+}
+
+/**
+ * Delete every snapshot saved within a period
+ * @param {string} periodKey
+ */
+export function deletePeriodSnapshots(periodKey) {
+  const settings = getSnapshotSettings();
+  const ids = getAllSnapshots()
+    .filter((snapshot) => getPeriodKey(snapshotTime(snapshot), settings) === periodKey)
+    .map((snapshot) => snapshot.id);
+  return Promise.all(ids.map((id) => deleteSnapshot(id)));
 }
 
 /**
  * Clear all history
  */
 export function clearHistory() {
-  localStorage.removeItem(HISTORY_KEY);
+  return clearSnapshots();
 }
@@ -0,0 +1,236 @@
+// Snapshot history: period keys, baselines, and following trends across
+// renames and merges
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+import { formatPeriod, getISOWeek, getPeriodKey, getPeriodStart, getPreviousPeriodKey } from './history';
+
+setupFakeStorage();
+
+const NOW = new Date(2025, 0, 15, 14, 30); // Wednesday of 2025-W03
+
+describe('period keys', () => {
+  it.each([
+    [new Date(2025, 0, 15), '2025-W03'],
+    [new Date(2024, 11, 30), '2025-W01'],
+    [new Date(2021, 0, 3), '2020-W53'],
+  ])('puts %s in ISO week %s', (date, key) => {
+    expect(getISOWeek(date).key).toBe(key);
+  });
+
+  it.each([
+    ['weekly', '2025-W03'],
+    ['daily', '2025-01-15'],
+    ['hourly', '2025-01-15T14'],
+  ])('keys %s periods', (granularity, key) => {
+    expect(getPeriodKey(NOW, { granularity })).toBe(key);
+  });
+
+  it('counts custom intervals from midnight', () => {
+    expect(getPeriodKey(NOW, { granularity: 'custom', customHours: 12 })).toBe('2025-01-15T12:00');
+    expect(getPeriodKey(NOW, { granularity: 'custom', customHours: 6 })).toBe('2025-01-15T12:00');
+    expect(getPeriodKey(NOW, { granularity: 'custom', customHours: 5 })).toBe('2025-01-15T11:00');
+  });
+
+  it.each([
+    ['2025-W03', new Date(2025, 0, 13)],
+    ['2025-W01', new Date(2024, 11, 30)],
+    ['2025-01-15', new Date(2025, 0, 15)],
+    ['2025-01-15T14', new Date(2025, 0, 15, 14)],
+    ['2025-01-15T12:00', new Date(2025, 0, 15, 12)],
+  ])('finds the start of %s', (key, start) => {
+    expect(getPeriodStart(key)).toEqual(start);
+  });
+
+  it.each([
+    ['2025-W03', 'weekly', '2025-W02'],
+    ['2021-W01', 'weekly', '2020-W53'],
+    ['2025-03-01', 'daily', '2025-02-28'],
+    ['2025-01-15T00', 'hourly', '2025-01-14T23'],
+  ])('goes back from %s (%s)', (key, granularity, previous) => {
+    expect(getPreviousPeriodKey(key, { granularity })).toBe(previous);
+  });
+
+  it('labels periods', () => {
+    expect(formatPeriod('2025-W03')).toBe('2025-W03');
+    expect(formatPeriod('2025-01-15T14')).toMatch(/15.*2025 14:00$/);
+    expect(formatPeriod('not a key')).toBe('not a key');
+  });
+});
+
+describe('saved history', () => {
+  let storage;
+  let history;
+
+  // Save a snapshot as if it was taken at a given time
+  function saveAt(date, trends) {
+    vi.setSystemTime(date);
+    history.saveHistorySnapshot(trends);
+    vi.setSystemTime(NOW);
+  }
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    storage = await reloadStorage();
+    history = await import('./history');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps every save and shows the latest in each period', () => {
+    saveAt(new Date(2025, 0, 13, 9), [{ id: 'a', name: 'A', size: 10 }]);
+    saveAt(new Date(2025, 0, 14, 9), [{ id: 'a', name: 'A', size: 20 }]);
+
+    expect(history.getAllSnapshots()).toHaveLength(2);
+    expect(history.getPeriodSnapshot('2025-W03')).toMatchObject({ saves: 2, trends: [{ size: 20 }] });
+    expect(Object.keys(history.getHistory({ granularity: 'daily' }))).toEqual(['2025-01-13', '2025-01-14']);
+  });
+
+  it('returns the same grouped history until a snapshot is saved', () => {
+    saveAt(new Date(2025, 0, 13), [{ id: 'a', name: 'A', size: 10 }]);
+    const grouped = history.getHistory();
+    expect(history.getHistory()).toBe(grouped);
+
+    saveAt(new Date(2025, 0, 14), [{ id: 'a', name: 'A', size: 20 }]);
+    expect(history.getHistory()).not.toBe(grouped);
+  });
+
+  it('regroups saves when the granularity changes', async () => {
+    saveAt(new Date(2025, 0, 15, 9), [{ id: 'a', name: 'A', size: 10 }]);
+    saveAt(new Date(2025, 0, 15, 13), [{ id: 'a', name: 'A', size: 20 }]);
+
+    await storage.saveSnapshotSettings({ granularity: 'hourly' });
+    expect(history.getAvailablePeriods()).toEqual(['2025-01-15T13', '2025-01-15T09']);
+    expect(history.getBaselineTrend({ id: 'a' })).toMatchObject({ size: 20, period: '2025-01-15T13' });
+  });
+
+  it('replays a period with merged series as one block and current images', async () => {
+    saveAt(new Date(2025, 0, 8), [
+      { id: 'a', name: 'Saturn', size: 30 },
+      { id: 'old', name: 'Saturn (sped up)', size: 20 },
+      { id: 'gone', name: 'Gone', size: 10, change: null },
+    ]);
+    await history.mergeTrendSeries('old', 'a');
+
+    const trends = history.getTimelineTrends('2025-W02', [{ id: 'a', name: 'Saturn', image: 'saturn.png' }]);
+    expect(trends).toEqual([
+      expect.objectContaining({ id: 'a', size: 30, image: 'saturn.png' }),
+      expect.objectContaining({ id: 'gone', change: 0, image: undefined }),
+    ]);
+    expect(history.getTimelineTrends('2025-W01')).toEqual([]);
+  });
+
+  it('marks where a trend was added, removed and came back', () => {
+    const a = { id: 'a', name: 'A', size: 10 };
+    const b = { id: 'b', name: 'B', size: 20, metrics: { views: 100 } };
+    saveAt(new Date(2024, 11, 18), [a]); // 2024-W51
+    saveAt(new Date(2024, 11, 25), [a, b]); // 2024-W52
+    saveAt(new Date(2025, 0, 1), [a]); // 2025-W01
+    saveAt(new Date(2025, 0, 8), [a, b]); // 2025-W02
+
+    expect(history.getTrendTimeline(b).map((p) => [p.period, p.event, p.entry?.size])).toEqual([
+      ['2024-W52', 'added', 20],
+      ['2025-W01', 'removed', undefined],
+      ['2025-W02', 'added', 20],
+    ]);
+    expect(history.getTrendTimeline(a).map((p) => p.event)).toEqual([null, null, null, null]);
+    expect(history.getTrendHistory(b, 2)).toEqual([expect.objectContaining({ period: '2025-W02', metrics: { views: 100 } })]);
+  });
+
+  it('hands back the same earlier boards until the history changes', () => {
+    const trends = [{ id: 'a', name: 'A' }];
+    saveAt(new Date(2025, 0, 1), [{ id: 'a', name: 'A', size: 10 }]); // 2025-W01
+    saveAt(new Date(2025, 0, 8), [{ id: 'a', name: 'A', size: 20 }]); // 2025-W02
+
+    const boards = history.getPreviousBoards('2025-W03', trends);
+    expect(boards.map((board) => board[0].size)).toEqual([10, 20]);
+    expect(history.getPreviousBoards('2025-W03', trends)).toBe(boards);
+    expect(history.getPreviousBoards('2025-W02', trends)).toEqual([[expect.objectContaining({ size: 10 })]]);
+    expect(history.getPreviousBoards('2025-W03', [...trends])).not.toBe(boards);
+
+    saveAt(NOW, [{ id: 'a', name: 'A', size: 30 }]);
+    expect(history.getPreviousBoards('2025-W03', trends)).not.toBe(boards);
+  });
+
+  describe('baseline', () => {
+    beforeEach(() => {
+      saveAt(new Date(2025, 0, 1), [{ id: 'a', name: 'A', size: 10 }]); // 2025-W01
+      saveAt(new Date(2025, 0, 8), [{ id: 'a', name: 'A', size: 20 }]); // 2025-W02
+      saveAt(NOW, [{ id: 'a', name: 'A', size: 40 }]); // 2025-W03
+    });
+
+    it('is the previous period by default', () => {
+      expect(history.getBaselinePeriodKey()).toBe('2025-W02');
+      expect(history.autoCalculateChange({ id: 'a', size: 40 })).toBe(100);
+    });
+
+    it('can be several periods back', async () => {
+      await storage.saveSnapshotSettings({ baseline: { type: 'periodsAgo', count: 2 } });
+      expect(history.getBaselinePeriodKey()).toBe('2025-W01');
+      expect(history.autoCalculateChange({ id: 'a', size: 40 })).toBe(300);
+    });
+
+    it('can be a fixed period, while it exists', async () => {
+      await storage.saveSnapshotSettings({ baseline: { type: 'fixed', period: '2025-W01' } });
+      expect(history.getBaselinePeriodKey()).toBe('2025-W01');
+
+      await history.deletePeriodSnapshots('2025-W01');
+      expect(history.getBaselinePeriodKey()).toBeNull();
+      expect(history.autoCalculateChange({ id: 'a', size: 40, change: 7 })).toBe(7);
+    });
+
+    it('falls back to the closest earlier period with a snapshot', async () => {
+      await history.deletePeriodSnapshots('2025-W02');
+      expect(history.getBaselinePeriodKey()).toBe('2025-W01');
+    });
+  });
+
+  describe('trend identity', () => {
+    it('follows a renamed trend by its id', () => {
+      saveAt(new Date(2025, 0, 8), [{ id: 'a', name: 'Old Name', category: 'memes', size: 40 }]);
+      saveAt(NOW, [{ id: 'a', name: 'New Name', category: 'memes', size: 50 }]);
+
+      const trend = { id: 'a', name: 'New Name' };
+      expect(history.getTrendHistory(trend).map((e) => [e.period, e.name])).toEqual([
+        ['2025-W02', 'Old Name'],
+        ['2025-W03', 'New Name'],
+      ]);
+      expect(history.getBaselineTrend(trend).size).toBe(40);
+    });
+
+    it('matches entries saved without an id by name or alias', () => {
+      saveAt(new Date(2025, 0, 8), [{ name: 'Demure', size: 40 }]);
+
+      expect(history.getBaselineTrend({ id: 'x', name: 'demure' })).toMatchObject({ size: 40 });
+      expect(history.getBaselineTrend({ id: 'x', name: 'Very Demure', aliases: ['Demure'] })).not.toBeNull();
+      expect(history.getBaselineTrend({ id: 'x', name: 'Other' })).toBeNull();
+    });
+
+    it('does not match another trend that happens to share a name', () => {
+      saveAt(new Date(2025, 0, 8), [{ id: 'b', name: 'Saturn', size: 40 }]);
+      expect(history.getBaselineTrend({ id: 'a', name: 'Saturn' })).toBeNull();
+    });
+
+    it('treats merged series as one trend until they are unmerged', async () => {
+      saveAt(new Date(2025, 0, 8), [{ id: 'old', name: 'Saturn (sped up)', size: 40 }]);
+      const trend = { id: 'a', name: 'Saturn' };
+
+      await history.mergeTrendSeries('old', 'a');
+      expect(history.getBaselineTrend(trend)).toMatchObject({ id: 'old' });
+      expect(history.getMergedSeries('a')).toEqual([{ id: 'old', names: ['Saturn (sped up)'] }]);
+      expect(history.getTrendSeries().map((s) => s.id)).toEqual(['a']);
+
+      await history.unmergeTrendSeries('old');
+      expect(history.getBaselineTrend(trend)).toBeNull();
+    });
+
+    it('refuses merges that would loop', async () => {
+      expect(await history.mergeTrendSeries('a', 'b')).toBe(true);
+      expect(await history.mergeTrendSeries('b', 'a')).toBe(false);
+      expect(history.resolveTrendId('a')).toBe('b');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// Image tone: a coarse grid of an image's colors, for checking whether text
+// laid over part of it stays readable
+
+const GRID = 16; // Cells across and down
+const MAX_CACHED = 200;
+
+const samples = new Map(); // src -> Promise of the sampled grid
+
+const POSITION_KEYWORDS = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+
+function readImage(src) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    // Without CORS headers the canvas is tainted and can't be read back
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = GRID;
+        canvas.height = GRID;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, GRID, GRID);
+        const { data } = ctx.getImageData(0, 0, GRID, GRID);
+        resolve({
+          width: image.naturalWidth,
+          height: image.naturalHeight,
+          cells: Array.from({ length: GRID * GRID }, (_, i) => ({
+            r: data[i * 4],
+            g: data[i * 4 + 1],
+            b: data[i * 4 + 2],
+          })),
+        });
+      } catch {
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+}
+
+/**
+ * Sample an image into a grid of average colors. Results are cached by src.
+ * @param {string} src
+ * @returns {Promise<{ width: number, height: number, cells: Array } | null>}
+ *   null when the image can't be loaded or read
+ */
+export function sampleImage(src) {
+  if (!samples.has(src)) {
+    if (samples.size >= MAX_CACHED) samples.delete(samples.keys().next().value);
+    samples.set(src, readImage(src));
+  }
+  return samples.get(src);
+}
+
+// object-position as percentages, e.g. 'left top' -> [0, 0]
+function parsePosition(position) {
+  const [first = 'center', second = 'center'] = position.trim().split(/\s+/);
+  // Keywords may come in either order ('top left')
+  const [x, y] = first === 'top' || first === 'bottom' ? [second, first] : [first, second];
+  const toPercent = (value) => POSITION_KEYWORDS[value] ?? (parseFloat(value) || 50);
+  return [toPercent(x), toPercent(y)];
+}
+
+/**
+ * Colors of the image under a region of the box it's drawn in with
+ * object-fit: cover
+ * @param {Object} sampled - From sampleImage()
+ * @param {{ width: number, height: number }} box
+ * @param {{ x: number, y: number, width: number, height: number }} region - Within the box
+ * @param {string} [position='center center'] - The image's object-position
+ * @returns {Array<{ r: number, g: number, b: number }>}
+ */
+export function getRegionColors(sampled, box, region, position = 'center center') {
+  const scale = Math.max(box.width / sampled.width, box.height / sampled.height);
+  const drawnWidth = sampled.width * scale;
+  const drawnHeight = sampled.height * scale;
+  const [positionX, positionY] = parsePosition(position);
+  const offsetX = ((box.width - drawnWidth) * positionX) / 100;
+  const offsetY = ((box.height - drawnHeight) * positionY) / 100;
+
+  const toCell = (value, offset, size) =>
+    Math.min(GRID - 1, Math.max(0, Math.floor(((value - offset) / size) * GRID)));
+  const left = toCell(region.x, offsetX, drawnWidth);
+  const right = toCell(region.x + region.width, offsetX, drawnWidth);
+  const top = toCell(region.y, offsetY, drawnHeight);
+  const bottom = toCell(region.y + region.height, offsetY, drawnHeight);
+
+  const colors = [];
+  for (let row = top; row <= bottom; row++) {
+    for (let col = left; col <= right; col++) colors.push(sampled.cells[row * GRID + col]);
+  }
+  return colors;
+}
@@ -2,7 +2,7 @@
 // Popular APIs: "Instagram Data API", "Instagram Scraper API"
 // Cost: ~$15-30/month depending on usage
 
-const INSTAGRAM_KEY_STORAGE = 'culture-heatmap-instagram-rapidapi';
+export const INSTAGRAM_KEY_STORAGE = 'culture-heatmap-instagram-rapidapi';
 const RAPIDAPI_HOST = 'instagram-scraper-api2.p.rapidapi.com'; // One of the popular IG APIs
 
 /**
@@ -213,3 +213,462 @@ export const calculateLayout = (items, containerWidth, containerHeight, padding
 
   return layouts;
 };
+
+// Stable layout: an ordered treemap that keeps items near where they were.
+// Each rectangle is cut across its longer side; items go to the side their
+// hinted position falls on, and the cut sits where the two sides' areas come
+// closest to even. A small size change moves a cut a little instead of
+// reshuffling the whole category.
+const LOOKAHEAD = 2;
+const LOOKAHEAD_LIMIT = 16; // Larger groups look one level ahead, to keep renders fast
+
+export const calculateStableLayout = (items, containerWidth, containerHeight, padding = 3, hint = null) => {
+  if (!items || items.length === 0) return [];
+
+  const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+  if (totalSize === 0) return [];
+
+  // Items the hint doesn't know start where the squarified layout puts them
+  const fallback = new Map(
+    calculateLayout(items, containerWidth, containerHeight, 0).map((layout) => [
+      layout.id,
+      {
+        x: (layout.x + layout.width / 2) / containerWidth,
+        y: (layout.y + layout.height / 2) / containerHeight,
+      },
+    ])
+  );
+
+  const totalArea = containerWidth * containerHeight;
+  const placed = items.map((item) => {
+    const position = hint?.get(item.id) || fallback.get(item.id);
+    return {
+      ...item,
+      normalizedSize: (item.size / totalSize) * totalArea,
+      hintX: position.x,
+      hintY: position.y,
+    };
+  });
+
+  const layouts = [];
+
+  const sortForCut = (group, vertical) =>
+    [...group].sort((a, b) =>
+      vertical ? a.hintX - b.hintX || a.hintY - b.hintY : a.hintY - b.hintY || a.hintX - b.hintX
+    );
+
+  // Cut a rectangle across its longer side, keeping items in hinted order, at
+  // the point that keeps blocks squarest. Cuts inside each side are looked
+  // ahead a couple of levels; past that only a side's shape counts.
+  function chooseCut(group, width, height, lookahead) {
+    const vertical = width >= height;
+    const sorted = sortForCut(group, vertical);
+    const groupArea = sorted.reduce((sum, item) => sum + item.normalizedSize, 0);
+    const length = vertical ? width : height;
+    const breadth = vertical ? height : width;
+
+    const sideCost = (items, side) => {
+      const ratio = Math.max(side / breadth, breadth / side);
+      if (items.length === 1) return ratio;
+      if (lookahead === 0) return Math.max(1, ratio / items.length);
+      return vertical
+        ? chooseCut(items, side, breadth, lookahead - 1).cost
+        : chooseCut(items, breadth, side, lookahead - 1).cost;
+    };
+
+    let best = null;
+    let area = 0;
+    for (let i = 1; i < sorted.length; i++) {
+      area += sorted[i - 1].normalizedSize;
+      const share = groupArea > 0 ? area / groupArea : i / sorted.length;
+      const cost = Math.max(
+        sideCost(sorted.slice(0, i), length * share),
+        sideCost(sorted.slice(i), length * (1 - share))
+      );
+      if (!best || cost < best.cost) best = { split: i, share, cost };
+    }
+    return { ...best, sorted, vertical };
+  }
+
+  function bisect(group, x, y, width, height) {
+    if (group.length === 1) {
+      const { hintX: _hintX, hintY: _hintY, ...item } = group[0];
+      layouts.push({
+        ...item,
+        x: x + padding / 2,
+        y: y + padding / 2,
+        width: Math.max(width - padding, 0),
+        height: Math.max(height - padding, 0),
+      });
+      return;
+    }
+
+    const lookahead = group.length > LOOKAHEAD_LIMIT ? 1 : LOOKAHEAD;
+    const { sorted, split, share, vertical } = chooseCut(group, width, height, lookahead);
+    if (vertical) {
+      bisect(sorted.slice(0, split), x, y, width * share, height);
+      bisect(sorted.slice(split), x + width * share, y, width * (1 - share), height);
+    } else {
+      bisect(sorted.slice(0, split), x, y, width, height * share);
+      bisect(sorted.slice(split), x, y + height * share, width, height * (1 - share));
+    }
+  }
+
+  bisect(placed, 0, 0, containerWidth, containerHeight);
+  return layouts;
+};
+
+/**
+ * Where each item sits in a layout, as a hint for the next one
+ * @param {Array} layouts - From calculateLayout or calculateStableLayout
+ * @param {number} containerWidth
+ * @param {number} containerHeight
+ * @returns {Map<string, { x: number, y: number }>} Block centers as fractions of the container
+ */
+export function getLayoutHint(layouts, containerWidth, containerHeight) {
+  return new Map(
+    layouts.map((layout) => [
+      layout.id,
+      {
+        x: (layout.x + layout.width / 2) / containerWidth,
+        y: (layout.y + layout.height / 2) / containerHeight,
+      },
+    ])
+  );
+}
+
+// Nested boards: gap between category rectangles
+const CATEGORY_GAP = 12;
+
+// Smallest block a trend gets at export resolution; smaller trends fold into
+// their category's "+N more" block
+export const MIN_BLOCK_SIZES = {
+  off: { label: 'Off', hint: 'Every trend', area: 0 },
+  small: { label: 'Small', hint: '90 × 60', area: 90 * 60 },
+  medium: { label: 'Medium', hint: '140 × 90', area: 140 * 90 },
+  large: { label: 'Large', hint: '200 × 130', area: 200 * 130 },
+};
+const MIN_SIDE_RATIO = 0.5; // Blocks thinner than this share of the minimum's side also fold
+
+const overflowId = (categoryId) => `overflow:${categoryId}`;
+
+/**
+ * A category's trends with the smallest `count` folded into one "+N more" block
+ * @param {Array} items - Largest first
+ * @param {number} count
+ * @param {string} categoryId
+ * @returns {Array}
+ */
+function foldItems(items, count, categoryId) {
+  if (count === 0) return items;
+  const folded = items.slice(items.length - count);
+  const size = folded.reduce((sum, t) => sum + t.size, 0);
+  return [
+    ...items.slice(0, items.length - count),
+    {
+      id: overflowId(categoryId),
+      category: categoryId,
+      name: `+${count} more`,
+      size,
+      change: size > 0 ? folded.reduce((sum, t) => sum + t.change * t.size, 0) / size : 0,
+      overflow: folded,
+    },
+  ];
+}
+
+/**
+ * How many of a category's smallest trends fall short of the minimum area.
+ * Blocks get area in proportion to size, so this needs no layout.
+ * @param {Array} items - Largest first
+ * @param {number} area - The category's block area
+ * @param {number} minArea
+ * @returns {number}
+ */
+function countFolded(items, area, minArea) {
+  const total = items.reduce((sum, t) => sum + t.size, 0);
+  let count = 0;
+  // The largest trend always keeps its own block
+  while (count < items.length - 1 && (items[items.length - 1 - count].size / total) * area < minArea) {
+    count++;
+  }
+  return count;
+}
+
+// Hint keys for category rectangles, kept apart from trend ids
+const categoryHintKey = (id) => `category:${id}`;
+
+/**
+ * Lay out a board: one section per enabled category, each holding a treemap
+ * of its trends. Sections are either stacked full-width bands in category
+ * order with heights by total size, or nested: the categories themselves laid
+ * out as a treemap.
+ * @param {Array} trends
+ * @param {Array} categories
+ * @param {Object} options
+ * @param {number} options.width - Width of the board area
+ * @param {number} options.height - Height of the board area
+ * @param {number} options.top - Where the board area starts
+ * @param {number} options.sectionHeader - Height of each section's label
+ * @param {number} options.padding - Gap around blocks
+ * @param {'squarified'|'stable'} options.mode
+ * @param {'bands'|'nested'} options.categoryLayout
+ * @param {number} options.minBlockArea - Trends that would get less fold into a
+ *   "+N more" block per category; 0 to show every trend
+ * @param {Map|null} options.hint - From getBoardLayoutHint(), for the stable mode
+ * @returns {Array<{ category: Object, items: Array, x: number, y: number, width: number,
+ *   height: number, layouts: Array, folded: Array }>}
+ */
+export function calculateBoardLayout(
+  trends,
+  categories,
+  {
+    width,
+    height,
+    top = 0,
+    sectionHeader = 0,
+    padding = 3,
+    mode = 'squarified',
+    categoryLayout = 'bands',
+    minBlockArea = 0,
+    hint = null,
+  }
+) {
+  const grouped = {};
+  trends.forEach((item) => {
+    if (!grouped[item.category]) grouped[item.category] = [];
+    grouped[item.category].push(item);
+  });
+
+  const sortedCategories = categories
+    .filter((cat) => cat.enabled !== false && grouped[cat.id] && grouped[cat.id].length > 0)
+    .sort((a, b) => a.order - b.order);
+
+  const categorySize = (cat) => grouped[cat.id].reduce((sum, t) => sum + t.size, 0);
+  const totalSize = sortedCategories.reduce((sum, cat) => sum + categorySize(cat), 0);
+
+  let areas;
+  if (categoryLayout === 'nested') {
+    const categoryItems = sortedCategories.map((cat) => ({
+      id: categoryHintKey(cat.id),
+      category: cat,
+      size: categorySize(cat),
+    }));
+    areas = (
+      mode === 'stable'
+        ? calculateStableLayout(categoryItems, width, height, CATEGORY_GAP, hint)
+        : calculateLayout(categoryItems, width, height, CATEGORY_GAP)
+    ).map((area) => ({ ...area, y: area.y + top }));
+  } else {
+    areas = sortedCategories.reduce((bands, cat) => {
+      const previous = bands[bands.length - 1];
+      bands.push({
+        category: cat,
+        x: 0,
+        y: previous ? previous.y + previous.height : top,
+        width,
+        height: (categorySize(cat) / totalSize) * height,
+      });
+      return bands;
+    }, []);
+  }
+
+  const minSide = Math.sqrt(minBlockArea) * MIN_SIDE_RATIO;
+
+  return areas.map(({ category, x, y, width: areaWidth, height: areaHeight }) => {
+    const items = [...grouped[category.id]].sort((a, b) => b.size - a.size);
+    const blocksHeight = Math.max(areaHeight - sectionHeader, 0);
+    const layoutItems = (shown) =>
+      mode === 'stable'
+        ? calculateStableLayout(shown, areaWidth, blocksHeight, padding, hint)
+        : calculateLayout(shown, areaWidth, blocksHeight, padding);
+
+    let count = minBlockArea ? countFolded(items, areaWidth * blocksHeight, minBlockArea) : 0;
+    let layouts = layoutItems(foldItems(items, count, category.id));
+    // Blocks with enough area can still come out as slivers: fold until none is
+    while (
+      minBlockArea &&
+      count < items.length - 1 &&
+      layouts.some((layout) => !layout.overflow && Math.min(layout.width, layout.height) < minSide)
+    ) {
+      count++;
+      layouts = layoutItems(foldItems(items, count, category.id));
+    }
+
+    return {
+      category,
+      items: grouped[category.id],
+      x,
+      y,
+      width: areaWidth,
+      height: areaHeight,
+      layouts,
+      folded: items.slice(items.length - count),
+    };
+  });
+}
+
+/**
+ * Where each trend (and, on nested boards, each category) sits on a board, as
+ * a hint for the next period's layout
+ * @param {Array} sections - From calculateBoardLayout()
+ * @param {Object} options - The options the board was laid out with
+ * @returns {Map<string, { x: number, y: number }>}
+ */
+export function getBoardLayoutHint(sections, { width, height, top = 0, sectionHeader = 0 }) {
+  const categories = sections.map((section) => [
+    categoryHintKey(section.category.id),
+    {
+      x: (section.x + section.width / 2) / width,
+      y: (section.y - top + section.height / 2) / height,
+    },
+  ]);
+  return new Map([
+    ...categories,
+    ...sections.flatMap((section) => [
+      ...getLayoutHint(section.layouts, section.width, section.height - sectionHeader),
+    ]),
+  ]);
+}
+
+/**
+ * Hint for a stable board layout, carried forward through earlier periods so
+ * each period's layout follows from the one before it
+ * @param {Array<Array>} previousBoards - Earlier periods' trends, oldest first
+ * @param {Array} categories
+ * @param {Object} options - As for calculateBoardLayout()
+ * @returns {Map|null}
+ */
+export function getStableLayoutHint(previousBoards, categories, options) {
+  return previousBoards.reduce(
+    (hint, board) =>
+      getBoardLayoutHint(
+        calculateBoardLayout(board, categories, { ...options, mode: 'stable', hint }),
+        options
+      ),
+    null
+  );
+}
+
+// Bubble pack: circles go in largest first, each at the free spot touching an
+// earlier circle that keeps the pack's bounding box closest to the container's
+// shape (nearest the middle on ties). Radii are in units of sqrt(size) until
+// the pack is scaled to fit.
+const PACK_ANGLES = 24; // Spots tried around each placed circle
+const BUBBLE_GAP = 0.3;
+const GROUP_GAP = 1.5;
+
+function packCircles(circles, aspect, gap) {
+  const placed = [];
+  [...circles]
+    .sort((a, b) => b.r - a.r)
+    .forEach((circle) => {
+      if (placed.length === 0) {
+        placed.push({ ...circle, x: 0, y: 0 });
+        return;
+      }
+
+      const bounds = {
+        left: Math.min(...placed.map((p) => p.x - p.r)),
+        right: Math.max(...placed.map((p) => p.x + p.r)),
+        top: Math.min(...placed.map((p) => p.y - p.r)),
+        bottom: Math.max(...placed.map((p) => p.y + p.r)),
+      };
+
+      let best = null;
+      placed.forEach((other) => {
+        const distance = other.r + circle.r + gap;
+        for (let i = 0; i < PACK_ANGLES; i++) {
+          const angle = (i / PACK_ANGLES) * 2 * Math.PI;
+          const x = other.x + Math.cos(angle) * distance;
+          const y = other.y + Math.sin(angle) * distance;
+          // The pack is scaled by its longer side relative to the container
+          const packWidth = Math.max(bounds.right, x + circle.r) - Math.min(bounds.left, x - circle.r);
+          const packHeight = Math.max(bounds.bottom, y + circle.r) - Math.min(bounds.top, y - circle.r);
+          const score = Math.max(packWidth / aspect, packHeight) + Math.hypot(x / aspect, y) * 1e-3;
+          if (best && score >= best.score) continue;
+          const overlaps = placed.some(
+            (p) => Math.hypot(p.x - x, p.y - y) < p.r + circle.r + gap - 1e-6
+          );
+          if (!overlaps) best = { x, y, score };
+        }
+      });
+      placed.push({ ...circle, x: best.x, y: best.y });
+    });
+  return placed;
+}
+
+// Smallest circle around a pack, centered on its bounding box
+function enclose(circles) {
+  const left = Math.min(...circles.map((c) => c.x - c.r));
+  const right = Math.max(...circles.map((c) => c.x + c.r));
+  const top = Math.min(...circles.map((c) => c.y - c.r));
+  const bottom = Math.max(...circles.map((c) => c.y + c.r));
+  const x = (left + right) / 2;
+  const y = (top + bottom) / 2;
+  return { x, y, r: Math.max(...circles.map((c) => Math.hypot(c.x - x, c.y - y) + c.r)) };
+}
+
+/**
+ * Bubble chart: each enabled category's trends packed into a cluster, and the
+ * clusters packed together to fill the container
+ * @param {Array} trends
+ * @param {Array} categories
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ bubbles: Array, groups: Array }} Bubbles are trends with x, y
+ *   (center) and r; groups are { category, x, y, r } around each cluster
+ */
+export function calculateBubbleLayout(trends, categories, width, height) {
+  const aspect = width / height;
+  const clusters = categories
+    .filter((cat) => cat.enabled !== false)
+    .sort((a, b) => a.order - b.order)
+    .map((category) => {
+      const items = trends.filter((t) => t.category === category.id && t.size > 0);
+      if (items.length === 0) return null;
+      const packed = packCircles(
+        items.map((item) => ({ item, r: Math.sqrt(item.size) })),
+        aspect,
+        BUBBLE_GAP
+      );
+      return { category, packed, ...enclose(packed) };
+    })
+    .filter(Boolean);
+  if (clusters.length === 0) return { bubbles: [], groups: [] };
+
+  const placed = packCircles(
+    clusters.map((cluster) => ({ cluster, r: cluster.r })),
+    aspect,
+    GROUP_GAP
+  );
+
+  // Fit the whole pack to the container
+  const bounds = {
+    left: Math.min(...placed.map((c) => c.x - c.r)),
+    right: Math.max(...placed.map((c) => c.x + c.r)),
+    top: Math.min(...placed.map((c) => c.y - c.r)),
+    bottom: Math.max(...placed.map((c) => c.y + c.r)),
+  };
+  const scale = Math.min(width / (bounds.right - bounds.left), height / (bounds.bottom - bounds.top));
+  const offsetX = (width - (bounds.right - bounds.left) * scale) / 2 - bounds.left * scale;
+  const offsetY = (height - (bounds.bottom - bounds.top) * scale) / 2 - bounds.top * scale;
+  const toX = (x) => offsetX + x * scale;
+  const toY = (y) => offsetY + y * scale;
+
+  return {
+    groups: placed.map(({ cluster, x, y, r }) => ({
+      category: cluster.category,
+      x: toX(x),
+      y: toY(y),
+      r: r * scale,
+    })),
+    bubbles: placed.flatMap(({ cluster, x, y }) =>
+      cluster.packed.map((circle) => ({
+        ...circle.item,
+        x: toX(x + circle.x - cluster.x),
+        y: toY(y + circle.y - cluster.y),
+        r: circle.r * scale,
+      }))
+    ),
+  };
+}
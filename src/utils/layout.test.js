@@ -0,0 +1,186 @@
+// Treemap layouts, and keeping blocks in place from one period to the next
+
+import { describe, expect, it } from 'vitest';
+import {
+  calculateBoardLayout,
+  calculateBubbleLayout,
+  calculateLayout,
+  calculateStableLayout,
+  getLayoutHint,
+  getStableLayoutHint,
+} from './layout';
+
+const ITEMS = [
+  { id: 'a', size: 40 },
+  { id: 'b', size: 25 },
+  { id: 'c', size: 15 },
+  { id: 'd', size: 12 },
+  { id: 'e', size: 8 },
+];
+
+const area = (layout) => layout.width * layout.height;
+const byId = (layouts) => new Map(layouts.map((layout) => [layout.id, layout]));
+
+describe.each([
+  ['squarified', (items) => calculateLayout(items, 400, 300, 0)],
+  ['stable', (items, hint) => calculateStableLayout(items, 400, 300, 0, hint)],
+])('%s layout', (_, layout) => {
+  it('fills the container with areas by size', () => {
+    const layouts = layout(ITEMS);
+    expect(layouts).toHaveLength(ITEMS.length);
+    layouts.forEach((block) => {
+      expect(area(block)).toBeCloseTo((block.size / 100) * 400 * 300);
+      expect(block.x).toBeGreaterThanOrEqual(0);
+      expect(block.x + block.width).toBeLessThanOrEqual(400 + 1e-9);
+      expect(block.y + block.height).toBeLessThanOrEqual(300 + 1e-9);
+    });
+  });
+
+  it('lays out nothing for empty or sizeless items', () => {
+    expect(layout([])).toEqual([]);
+    expect(layout([{ id: 'a', size: 0 }])).toEqual([]);
+  });
+});
+
+describe('calculateStableLayout', () => {
+  it('keeps blocks near their hinted positions', () => {
+    const before = calculateStableLayout(ITEMS, 400, 300, 0);
+    const hint = getLayoutHint(before, 400, 300);
+    const grown = ITEMS.map((item) => (item.id === 'e' ? { ...item, size: 9 } : item));
+
+    const after = byId(calculateStableLayout(grown, 400, 300, 0, hint));
+    getLayoutHint([...after.values()], 400, 300).forEach(({ x, y }, id) => {
+      expect(Math.abs(x - hint.get(id).x)).toBeLessThan(0.1);
+      expect(Math.abs(y - hint.get(id).y)).toBeLessThan(0.1);
+    });
+  });
+
+  it('follows the hint rather than the sizes', () => {
+    const items = [{ id: 'big', size: 60 }, { id: 'small', size: 40 }];
+    const hint = new Map([
+      ['big', { x: 0.9, y: 0.5 }],
+      ['small', { x: 0.1, y: 0.5 }],
+    ]);
+    const { big, small } = Object.fromEntries(byId(calculateStableLayout(items, 400, 300, 0, hint)));
+    expect(small.x).toBe(0);
+    expect(big.x).toBeCloseTo(small.width);
+  });
+});
+
+describe('calculateBoardLayout', () => {
+  const categories = [
+    { id: 'memes', order: 2 },
+    { id: 'sounds', order: 1 },
+    { id: 'off', order: 3, enabled: false },
+  ];
+  const trends = [
+    { id: 'a', category: 'memes', size: 30 },
+    { id: 'b', category: 'sounds', size: 60 },
+    { id: 'c', category: 'sounds', size: 30 },
+    { id: 'd', category: 'off', size: 50 },
+  ];
+
+  it('stacks enabled categories in order, with heights by size', () => {
+    const sections = calculateBoardLayout(trends, categories, { width: 400, height: 600, top: 100, sectionHeader: 20 });
+    expect(sections.map((s) => [s.category.id, s.y, s.height])).toEqual([
+      ['sounds', 100, 450],
+      ['memes', 550, 150],
+    ]);
+    expect(sections[0].layouts.map((l) => l.id)).toEqual(['b', 'c']);
+  });
+
+  it('nests categories as a treemap of their own', () => {
+    const sections = calculateBoardLayout(trends, categories, {
+      width: 400,
+      height: 600,
+      top: 100,
+      padding: 0,
+      categoryLayout: 'nested',
+    });
+    expect(sections.map((s) => s.category.id)).toEqual(['sounds', 'memes']);
+    // Category areas are by size, less the gap between them
+    expect(area(sections[0]) / area(sections[1])).toBeGreaterThan(2);
+    sections.forEach((section) => {
+      expect(section.y).toBeGreaterThanOrEqual(100);
+      section.layouts.forEach((block) => {
+        expect(block.x + block.width).toBeLessThanOrEqual(section.width + 1e-9);
+      });
+    });
+  });
+
+  it('folds trends too small to show into a "+N more" block', () => {
+    const small = [
+      { id: 'a', category: 'sounds', size: 80, change: 0 },
+      { id: 'b', category: 'sounds', size: 10, change: 0 },
+      { id: 'c', category: 'sounds', size: 6, change: 10 },
+      { id: 'd', category: 'sounds', size: 4, change: -10 },
+    ];
+    const options = { width: 400, height: 300, padding: 0 };
+
+    const [section] = calculateBoardLayout(small, categories, { ...options, minBlockArea: 90 * 60 });
+    expect(section.folded.map((t) => t.id)).toEqual(['d']);
+    expect(section.layouts.find((l) => l.overflow)).toMatchObject({
+      id: 'overflow:sounds',
+      name: '+1 more',
+      size: 4,
+      change: -10,
+    });
+
+    const [crowded] = calculateBoardLayout(small, categories, { ...options, minBlockArea: 200 * 130 });
+    expect(crowded.folded.map((t) => t.id)).toEqual(['b', 'c', 'd']);
+    expect(crowded.layouts.find((l) => l.overflow)).toMatchObject({ name: '+3 more', size: 20, change: 1 });
+
+    // The largest trend keeps its block, and nothing folds when the minimum is off
+    const [tiny] = calculateBoardLayout(small, categories, { ...options, minBlockArea: 400 * 300 });
+    expect(tiny.layouts.map((l) => l.id)).toEqual(['a', 'overflow:sounds']);
+    expect(calculateBoardLayout(small, categories, options)[0].folded).toEqual([]);
+  });
+
+  it('carries a stable layout forward through earlier boards', () => {
+    const options = { width: 400, height: 600, sectionHeader: 20 };
+    expect(getStableLayoutHint([], categories, options)).toBeNull();
+
+    const hint = getStableLayoutHint([trends, trends], categories, options);
+    expect([...hint.keys()].sort()).toEqual(['a', 'b', 'c', 'category:memes', 'category:sounds']);
+    const sections = calculateBoardLayout(trends, categories, { ...options, mode: 'stable', hint });
+    expect(sections[0].layouts.map((l) => l.id)).toEqual(['b', 'c']);
+  });
+});
+
+describe('calculateBubbleLayout', () => {
+  const categories = [
+    { id: 'sounds', order: 1 },
+    { id: 'memes', order: 2 },
+    { id: 'off', order: 3, enabled: false },
+  ];
+  const trends = [
+    { id: 'a', category: 'sounds', size: 64 },
+    { id: 'b', category: 'sounds', size: 16 },
+    { id: 'c', category: 'memes', size: 36 },
+    { id: 'd', category: 'memes', size: 0 },
+    { id: 'e', category: 'off', size: 50 },
+  ];
+
+  it('packs bubbles by size, apart and inside the container', () => {
+    const { bubbles, groups } = calculateBubbleLayout(trends, categories, 400, 300);
+    expect(bubbles.map((b) => b.id)).toEqual(['a', 'b', 'c']);
+    expect(groups.map((g) => g.category.id)).toEqual(['sounds', 'memes']);
+
+    const { a, b, c } = Object.fromEntries(byId(bubbles));
+    expect(a.r / b.r).toBeCloseTo(2);
+    expect(a.r / c.r).toBeCloseTo(8 / 6);
+    [[a, b], [a, c], [b, c]].forEach(([one, other]) => {
+      expect(Math.hypot(one.x - other.x, one.y - other.y)).toBeGreaterThan(one.r + other.r);
+    });
+    bubbles.forEach(({ x, y, r }) => {
+      expect(x - r).toBeGreaterThanOrEqual(-1e-9);
+      expect(x + r).toBeLessThanOrEqual(400 + 1e-9);
+      expect(y - r).toBeGreaterThanOrEqual(-1e-9);
+      expect(y + r).toBeLessThanOrEqual(300 + 1e-9);
+    });
+  });
+
+  it('has nothing to pack without sized trends', () => {
+    expect(calculateBubbleLayout(trends.slice(3), categories, 400, 300)).toEqual({ bubbles: [], groups: [] });
+  });
+});
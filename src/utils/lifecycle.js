@@ -0,0 +1,128 @@
+// Lifecycle stages: where each trend sits between first appearing and fading
+// out, read from its snapshot history and the age of its post
+
+import { getTrendHistories } from './history';
+import { getPostAge } from './metrics';
+
+export const LIFECYCLE_STAGES = {
+  emerging: {
+    label: 'Emerging',
+    color: '#00CCFF',
+    description: 'New and growing',
+  },
+  peaking: {
+    label: 'Peaking',
+    color: '#00FF66',
+    description: 'Growing fast or at its highest',
+  },
+  saturated: {
+    label: 'Saturated',
+    color: '#FFCC00',
+    description: 'Established, growth has flattened',
+  },
+  declining: {
+    label: 'Declining',
+    color: '#FF00FF',
+    description: 'Shrinking or well off its peak',
+  },
+};
+
+const GROWTH_THRESHOLD = 10; // % change per period that counts as growing or shrinking
+const PEAK_RATIO = 0.95; // Within this of its largest size, a trend is at its peak
+const DECLINE_RATIO = 0.7; // Below this, it's well off its peak
+const NEW_PERIODS = 3; // Trends seen in this few periods can still be emerging
+const NEW_DAYS = 14; // ...if their post is no older than this
+const GROWTH_PERIODS = 2; // Growth is measured over the last few periods
+
+/**
+ * Classify a trend into a lifecycle stage
+ * @param {Object} trend
+ * @param {Array} history - From getTrendHistory(trend), oldest first
+ * @returns {{ stage: string, reason: string }}
+ */
+export function classifyLifecycle(trend, history) {
+  const sizes = history.map((entry) => entry.size).filter((size) => size > 0);
+  // The board may have moved on since the last snapshot
+  if (trend.size > 0 && sizes[sizes.length - 1] !== trend.size) sizes.push(trend.size);
+
+  const current = sizes[sizes.length - 1] || trend.size;
+  const peak = Math.max(current, ...sizes);
+  const fromPeak = peak > 0 ? current / peak : 1;
+
+  // Too little history for a growth rate: fall back to the trend's own change
+  const base = sizes[Math.max(0, sizes.length - 1 - GROWTH_PERIODS)];
+  const growth = sizes.length >= 2 && base > 0
+    ? ((current - base) / base) * 100
+    : trend.change || 0;
+
+  const { daysOld, ageText } = getPostAge(trend.postedAt);
+  // Undated trends are judged on their history alone
+  const isRecent = !trend.postedAt || daysOld <= NEW_DAYS;
+  const periods = history.length;
+  const growthText = `${growth > 0 ? '+' : ''}${Math.round(growth)}%`;
+
+  if (growth <= -GROWTH_THRESHOLD) {
+    return { stage: 'declining', reason: `Down ${growthText.slice(1)} over recent periods` };
+  }
+  if (fromPeak < DECLINE_RATIO) {
+    return {
+      stage: 'declining',
+      reason: `${Math.round((1 - fromPeak) * 100)}% below its peak size`,
+    };
+  }
+  if (periods < 2 && isRecent) {
+    return {
+      stage: 'emerging',
+      reason: trend.postedAt ? `New, posted ${ageText.toLowerCase()}` : 'New, no history yet',
+    };
+  }
+  if (growth > GROWTH_THRESHOLD && periods <= NEW_PERIODS && isRecent) {
+    return {
+      stage: 'emerging',
+      reason: `${growthText} over its first ${periods} periods`,
+    };
+  }
+  if (growth > GROWTH_THRESHOLD) {
+    return { stage: 'peaking', reason: `Still growing, ${growthText} over recent periods` };
+  }
+  if (fromPeak >= PEAK_RATIO && growth > GROWTH_THRESHOLD / 2) {
+    return { stage: 'peaking', reason: `At its largest size so far, ${growthText}` };
+  }
+  return {
+    stage: 'saturated',
+    reason: `Flat at ${growthText} over recent periods, ${Math.round(fromPeak * 100)}% of peak`,
+  };
+}
+
+/**
+ * Lifecycle stage for every trend on the board
+ * @param {Array} trends
+ * @param {Object|null} history - From getHistory(); read here when not given
+ * @returns {Map<string, { stage: string, reason: string }>} By trend id
+ */
+export function classifyTrends(trends, history = null) {
+  const histories = getTrendHistories(trends, null, history);
+  return new Map(trends.map((trend, i) => [trend.id, classifyLifecycle(trend, histories[i])]));
+}
+
+/**
+ * A trend's stage color, for boards colored by lifecycle
+ * @param {Map|null} stages - From classifyTrends(), or null when coloring by change
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function getStageColor(stages, id) {
+  const stage = stages?.get(id);
+  return stage ? LIFECYCLE_STAGES[stage.stage].color : null;
+}
+
+/**
+ * Tooltip for a trend's stage
+ * @param {Map|null} stages
+ * @param {string} id
+ * @returns {string|undefined}
+ */
+export function describeStage(stages, id) {
+  const stage = stages?.get(id);
+  return stage ? `${LIFECYCLE_STAGES[stage.stage].label}: ${stage.reason}` : undefined;
+}
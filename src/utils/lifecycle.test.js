@@ -0,0 +1,77 @@
+// Lifecycle stages, from a trend's size history and the age of its post
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+import { LIFECYCLE_STAGES, classifyLifecycle, describeStage, getStageColor } from './lifecycle';
+
+setupFakeStorage();
+
+const NOW = new Date(2025, 0, 15, 14, 30);
+
+// History entries with these sizes, oldest first
+const sized = (...sizes) => sizes.map((size) => ({ size }));
+
+describe('classifyLifecycle', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it.each([
+    ['new with no history', { size: 30 }, [], 'emerging', 'New, no history yet'],
+    ['growing in its first periods', { size: 40 }, sized(10, 20), 'emerging', '+300% over its first 2 periods'],
+    ['growing for a while', { size: 40 }, sized(5, 5, 10, 20), 'peaking', 'Still growing, +300% over recent periods'],
+    ['edging up to its largest size', { size: 54 }, sized(50, 50, 50, 50), 'peaking', 'At its largest size so far, +8%'],
+    ['flat', { size: 50 }, sized(50, 50, 50, 50), 'saturated', 'Flat at 0% over recent periods, 100% of peak'],
+    ['shrinking', { size: 30 }, sized(50, 40), 'declining', 'Down 40% over recent periods'],
+    ['steady, but well off its peak', { size: 62 }, sized(100, 100, 60, 60), 'declining', '38% below its peak size'],
+  ])('calls a trend %s', (_, trend, history, stage, reason) => {
+    expect(classifyLifecycle(trend, history)).toEqual({ stage, reason });
+  });
+
+  it('uses its own change while there is too little history', () => {
+    expect(classifyLifecycle({ size: 30, change: -20 }, [])).toMatchObject({ stage: 'declining' });
+  });
+
+  it('dates new trends by their post', () => {
+    expect(classifyLifecycle({ size: 30, postedAt: '2025-01-13T14:30:00' }, [])).toEqual({
+      stage: 'emerging',
+      reason: 'New, posted 2d ago',
+    });
+    const old = { size: 40, postedAt: '2024-11-01T12:00:00' };
+    expect(classifyLifecycle(old, sized(10, 20)).stage).toBe('peaking');
+  });
+});
+
+describe('classifyTrends', () => {
+  it('reads each trend from the history it is given', async () => {
+    await reloadStorage();
+    const { classifyTrends } = await import('./lifecycle');
+    const trends = [{ id: 'a', name: 'A', size: 30 }, { id: 'b', name: 'B', size: 30 }];
+    const history = {
+      '2025-W01': { timestamp: '2025-01-01', trends: [{ id: 'a', size: 60 }, { id: 'b', size: 30 }] },
+      '2025-W02': { timestamp: '2025-01-08', trends: [{ id: 'a', size: 50 }, { id: 'b', size: 30 }] },
+    };
+
+    const stages = classifyTrends(trends, history);
+    expect([...stages.keys()]).toEqual(['a', 'b']);
+    expect(stages.get('a').stage).toBe('declining');
+    expect(stages.get('b').stage).toBe('saturated');
+    expect(classifyTrends(trends).get('a').stage).toBe('emerging'); // Nothing saved yet
+  });
+});
+
+describe('stage colors and labels', () => {
+  const stages = new Map([['a', { stage: 'peaking', reason: 'Still growing' }]]);
+
+  it('are given for classified trends only', () => {
+    expect(getStageColor(stages, 'a')).toBe(LIFECYCLE_STAGES.peaking.color);
+    expect(describeStage(stages, 'a')).toBe('Peaking: Still growing');
+    expect(getStageColor(stages, 'b')).toBeNull();
+    expect(describeStage(null, 'a')).toBeUndefined();
+  });
+});
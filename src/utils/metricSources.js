@@ -0,0 +1,108 @@
+// Fetching fresh metrics for a trend from its source URL: the YouTube API,
+// the RapidAPI TikTok/Instagram clients, or the local scraper server
+
+import { detectPlatform } from './platforms';
+import { extractChannelInfo, getYouTubeChannelFromUrl, getYouTubeMetricsFromUrl, isYouTubeConfigured } from './youtube';
+import { getVideoDetails, isTikTokConfigured } from './tiktok';
+import { getPostDetails, isInstagramConfigured } from './instagram';
+
+export const SCRAPER_API = import.meta.env.VITE_SCRAPER_API || 'http://localhost:3001/api/scrape';
+
+// Platforms a trend's metrics can be re-fetched from
+export const REFRESHABLE_PLATFORMS = ['youtube', 'tiktok', 'instagram'];
+
+/**
+ * Thrown when a trend's metrics cannot be fetched
+ */
+export class MetricSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricSourceError';
+  }
+}
+
+/**
+ * Platform to refresh a trend's metrics from
+ * @param {Object} trend
+ * @returns {string|null} null when the trend has no refreshable source
+ */
+export function getRefreshPlatform(trend) {
+  if (!trend.sourceUrl) return null;
+  const platform = detectPlatform(trend.sourceUrl)?.platform || trend.platform;
+  return REFRESHABLE_PLATFORMS.includes(platform) ? platform : null;
+}
+
+/**
+ * Scrape a post through the local Puppeteer server
+ * @param {string} postUrl
+ * @param {string|null} profileUrl - Lets the scraper read the creator's followers
+ * @returns {Promise<Object>} The scraper's response ({ success, metrics, title, ... })
+ * @throws {MetricSourceError}
+ */
+export async function scrapePost(postUrl, profileUrl = null) {
+  let response;
+  try {
+    response = await fetch(SCRAPER_API, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ postUrl, profileUrl }),
+    });
+  } catch {
+    throw new MetricSourceError('The scraper server is not running.');
+  }
+
+  const result = await response.json().catch(() => null);
+  if (!result?.success) {
+    throw new MetricSourceError(result?.error || `The scraper failed (${response.status}).`);
+  }
+  return result;
+}
+
+async function fetchYouTube(trend) {
+  if (!isYouTubeConfigured()) {
+    throw new MetricSourceError('Add a YouTube API key in API settings.');
+  }
+  const data = extractChannelInfo(trend.sourceUrl)
+    ? await getYouTubeChannelFromUrl(trend.sourceUrl)
+    : await getYouTubeMetricsFromUrl(trend.sourceUrl);
+  if (!data?.metrics) throw new MetricSourceError('YouTube returned no data for this URL.');
+
+  const { views = 0, likes = 0, comments = 0, followers = 0 } = data.metrics;
+  return { metrics: { views, likes, comments, followers }, source: 'YouTube API', origin: 'api' };
+}
+
+async function fetchFromApiOrScraper(trend, { isConfigured, getDetails, label }) {
+  if (isConfigured()) {
+    const data = await getDetails(trend.sourceUrl);
+    if (data?.metrics) return { metrics: data.metrics, source: `${label} API`, origin: 'api' };
+  }
+  const result = await scrapePost(trend.sourceUrl, trend.profileUrl || null);
+  return { metrics: result.metrics, source: 'Scraper', origin: 'scraper' };
+}
+
+/**
+ * Fetch a trend's current metrics from its source
+ * @param {Object} trend - Needs sourceUrl; platform and profileUrl are used when set
+ * @returns {Promise<{ metrics: Object, source: string, origin: string }>} origin is
+ *   the METRIC_SOURCES key for the metrics' provenance
+ * @throws {MetricSourceError}
+ */
+export async function fetchTrendMetrics(trend) {
+  const platform = getRefreshPlatform(trend);
+  if (platform === 'youtube') return fetchYouTube(trend);
+  if (platform === 'tiktok') {
+    return fetchFromApiOrScraper(trend, {
+      isConfigured: isTikTokConfigured,
+      getDetails: getVideoDetails,
+      label: 'TikTok',
+    });
+  }
+  if (platform === 'instagram') {
+    return fetchFromApiOrScraper(trend, {
+      isConfigured: isInstagramConfigured,
+      getDetails: getPostDetails,
+      label: 'Instagram',
+    });
+  }
+  throw new MetricSourceError('Metrics can only be refreshed for YouTube, TikTok and Instagram links.');
+}
@@ -1,5 +1,11 @@
 // Metrics extraction and normalization utilities
 
+import { COUNT_PATTERN, findPostedDate, parseCount, resolvePostDate } from '../../shared/parsing';
+import { scoreAttention, scoreEngagement, weightedEngagement } from './scoring';
+
+// Capture group for a count inside a larger pattern
+const COUNT = `(${COUNT_PATTERN})`;
+
 /**
  * Calculate time decay factor based on post age
  * Attention fades fast on social media:
@@ -9,13 +15,14 @@
  * - 1-2 weeks: significant decay (0.3-0.6)
  * - 2+ weeks: deep red / old news (0.1-0.3)
  *
- * @param {string|Date} postedAt - When the content was posted
+ * @param {string|Date} postedAt - When the content was posted, in any form
+ *   resolvePostDate reads ("2025-01-20", "Jan 20", "3d ago", ...)
  * @returns {number} Decay factor between 0.1 and 1.0
  */
 export function calculateTimeDecay(postedAt) {
-  if (!postedAt) return 1.0; // No date = assume fresh
+  const posted = resolvePostDate(postedAt);
+  if (!posted) return 1.0; // No date = assume fresh
 
-  const posted = new Date(postedAt);
   const now = new Date();
   const hoursOld = (now - posted) / (1000 * 60 * 60);
   const daysOld = hoursOld / 24;
@@ -41,13 +48,13 @@ export function calculateTimeDecay(postedAt) {
 
 /**
  * Get a human-readable age string and decay status
- * @param {string|Date} postedAt
+ * @param {string|Date} postedAt - As for calculateTimeDecay
  * @returns {Object} { ageText, decayLevel, daysOld }
  */
 export function getPostAge(postedAt) {
-  if (!postedAt) return { ageText: 'Unknown', decayLevel: 'none', daysOld: 0 };
+  const posted = resolvePostDate(postedAt);
+  if (!posted) return { ageText: 'Unknown', decayLevel: 'none', daysOld: 0 };
 
-  const posted = new Date(postedAt);
   const now = new Date();
   const hoursOld = (now - posted) / (1000 * 60 * 60);
   const daysOld = hoursOld / 24;
@@ -85,31 +92,13 @@ export function getPostAge(postedAt) {
 }
 
 /**
- * Parse metric strings like "747K", "1.2M", "16.4K" into numbers
+ * Parse metric strings like "747K", "1.2M", "16.4K", "4,5 Mio." or "3.2万"
+ * into numbers
  * @param {string} str - The metric string
- * @returns {number}
+ * @returns {number} 0 when the string isn't a count
  */
 export function parseMetricString(str) {
-  if (!str) return 0;
-
-  const cleaned = str.toString().trim().toUpperCase().replace(/,/g, '');
-
-  // Handle K (thousands)
-  if (cleaned.endsWith('K')) {
-    return parseFloat(cleaned.slice(0, -1)) * 1000;
-  }
-
-  // Handle M (millions)
-  if (cleaned.endsWith('M')) {
-    return parseFloat(cleaned.slice(0, -1)) * 1000000;
-  }
-
-  // Handle B (billions)
-  if (cleaned.endsWith('B')) {
-    return parseFloat(cleaned.slice(0, -1)) * 1000000000;
-  }
-
-  return parseFloat(cleaned) || 0;
+  return parseCount(str) ?? 0;
 }
 
 /**
@@ -137,6 +126,18 @@ export function formatMetric(num) {
  * @returns {Object}
  */
 export function extractMetricsFromText(text) {
+  return extractMetricsWithConfidence(text).metrics;
+}
+
+/**
+ * Extract metrics from OCR text, with how each value was found. Labeled
+ * values ("747K likes") are medium confidence; values guessed from the order
+ * of unlabeled numbers are low.
+ * @param {string} text - Raw OCR text
+ * @returns {{ metrics: Object, confidence: Object }}
+ */
+export function extractMetricsWithConfidence(text) {
+  const confidence = {};
   const metrics = {
     views: 0,
     likes: 0,
@@ -146,7 +147,7 @@ export function extractMetricsFromText(text) {
     followers: 0,
   };
 
-  if (!text) return metrics;
+  if (!text) return { metrics, confidence };
 
   // Normalize text
   const normalized = text.toLowerCase().replace(/\s+/g, ' ');
@@ -154,27 +155,27 @@ export function extractMetricsFromText(text) {
   // Common patterns for different platforms
   const patterns = [
     // Views
-    { key: 'views', regex: /([\d.]+[kmb]?)\s*(?:views?|plays?|watches)/i },
-    { key: 'views', regex: /(?:views?|plays?)\s*([\d.]+[kmb]?)/i },
+    { key: 'views', regex: new RegExp(`${COUNT}\\s*(?:views?|plays?|watches)`, 'i') },
+    { key: 'views', regex: new RegExp(`(?:views?|plays?)\\s*${COUNT}`, 'i') },
 
     // Likes
-    { key: 'likes', regex: /([\d.]+[kmb]?)\s*(?:likes?|hearts?|❤️|♥)/i },
-    { key: 'likes', regex: /(?:likes?|❤️|♥)\s*([\d.]+[kmb]?)/i },
+    { key: 'likes', regex: new RegExp(`${COUNT}\\s*(?:likes?|hearts?|❤️|♥)`, 'i') },
+    { key: 'likes', regex: new RegExp(`(?:likes?|❤️|♥)\\s*${COUNT}`, 'i') },
 
     // Comments
-    { key: 'comments', regex: /([\d.]+[kmb]?)\s*(?:comments?|💬)/i },
-    { key: 'comments', regex: /(?:comments?|💬)\s*([\d.]+[kmb]?)/i },
+    { key: 'comments', regex: new RegExp(`${COUNT}\\s*(?:comments?|💬)`, 'i') },
+    { key: 'comments', regex: new RegExp(`(?:comments?|💬)\\s*${COUNT}`, 'i') },
 
     // Shares
-    { key: 'shares', regex: /([\d.]+[kmb]?)\s*(?:shares?|retweets?|reposts?)/i },
-    { key: 'shares', regex: /(?:shares?|retweets?)\s*([\d.]+[kmb]?)/i },
+    { key: 'shares', regex: new RegExp(`${COUNT}\\s*(?:shares?|retweets?|reposts?)`, 'i') },
+    { key: 'shares', regex: new RegExp(`(?:shares?|retweets?)\\s*${COUNT}`, 'i') },
 
     // Saves/Bookmarks
-    { key: 'saves', regex: /([\d.]+[kmb]?)\s*(?:saves?|bookmarks?|🔖)/i },
-    { key: 'saves', regex: /(?:saves?|bookmarks?)\s*([\d.]+[kmb]?)/i },
+    { key: 'saves', regex: new RegExp(`${COUNT}\\s*(?:saves?|bookmarks?|🔖)`, 'i') },
+    { key: 'saves', regex: new RegExp(`(?:saves?|bookmarks?)\\s*${COUNT}`, 'i') },
 
     // Followers
-    { key: 'followers', regex: /([\d.]+[kmb]?)\s*(?:followers?|subscribers?)/i },
+    { key: 'followers', regex: new RegExp(`${COUNT}\\s*(?:followers?|subscribers?)`, 'i') },
   ];
 
   for (const { key, regex } of patterns) {
@@ -183,6 +184,7 @@ export function extractMetricsFromText(text) {
       const value = parseMetricString(match[1]);
       if (value > metrics[key]) {
         metrics[key] = value;
+        confidence[key] = 'medium';
       }
     }
   }
@@ -194,16 +196,19 @@ export function extractMetricsFromText(text) {
     // If we didn't find labeled metrics, use positional
     if (metrics.likes === 0 && standalonNumbers[0]) {
       metrics.likes = parseMetricString(standalonNumbers[0]);
+      confidence.likes = 'low';
     }
     if (metrics.comments === 0 && standalonNumbers[1]) {
       metrics.comments = parseMetricString(standalonNumbers[1]);
+      confidence.comments = 'low';
     }
     if (metrics.saves === 0 && standalonNumbers[2]) {
       metrics.saves = parseMetricString(standalonNumbers[2]);
+      confidence.saves = 'low';
     }
   }
 
-  return metrics;
+  return { metrics, confidence };
 }
 
 /**
@@ -214,42 +219,13 @@ export function extractMetricsFromText(text) {
  * @returns {number}
  */
 export function calculateEngagementScore(metrics, platform = 'unknown') {
-  const { views = 0, likes = 0, comments = 0, shares = 0, saves = 0 } = metrics;
-
-  // Total engagement
-  const totalEngagement = likes + comments * 2 + shares * 3 + saves * 2;
-
-  // Platform-specific viral thresholds
-  const thresholds = {
-    tiktok: { low: 10000, mid: 100000, high: 1000000, viral: 10000000 },
-    instagram: { low: 5000, mid: 50000, high: 500000, viral: 5000000 },
-    youtube: { low: 10000, mid: 100000, high: 1000000, viral: 10000000 },
-    twitter: { low: 1000, mid: 10000, high: 100000, viral: 1000000 },
-    spotify: { low: 100000, mid: 1000000, high: 10000000, viral: 100000000 },
-    unknown: { low: 5000, mid: 50000, high: 500000, viral: 5000000 },
-  };
-
-  const t = thresholds[platform.toLowerCase()] || thresholds.unknown;
-
-  // Calculate score (1-100)
-  let score;
-  if (totalEngagement >= t.viral) {
-    score = 90 + Math.min(10, (totalEngagement / t.viral - 1) * 2);
-  } else if (totalEngagement >= t.high) {
-    score = 70 + (totalEngagement - t.high) / (t.viral - t.high) * 20;
-  } else if (totalEngagement >= t.mid) {
-    score = 40 + (totalEngagement - t.mid) / (t.high - t.mid) * 30;
-  } else if (totalEngagement >= t.low) {
-    score = 10 + (totalEngagement - t.low) / (t.mid - t.low) * 30;
-  } else {
-    score = Math.max(1, (totalEngagement / t.low) * 10);
-  }
-
-  return Math.round(Math.min(100, Math.max(1, score)));
+  // Weights and platform thresholds come from the board's scoring model
+  return scoreEngagement(metrics, undefined, platform);
 }
 
 /**
- * Calculate change percentage between two metric snapshots
+ * Calculate change percentage between two metric snapshots.
+ * Trends with metric samples get their momentum from scoreVelocity instead.
  * @param {Object} currentMetrics
  * @param {Object} previousMetrics
  * @returns {number}
@@ -257,15 +233,8 @@ export function calculateEngagementScore(metrics, platform = 'unknown') {
 export function calculateMetricChange(currentMetrics, previousMetrics) {
   if (!previousMetrics) return 0;
 
-  const currentTotal = (currentMetrics.likes || 0) +
-                       (currentMetrics.comments || 0) * 2 +
-                       (currentMetrics.shares || 0) * 3 +
-                       (currentMetrics.saves || 0) * 2;
-
-  const previousTotal = (previousMetrics.likes || 0) +
-                        (previousMetrics.comments || 0) * 2 +
-                        (previousMetrics.shares || 0) * 3 +
-                        (previousMetrics.saves || 0) * 2;
+  const currentTotal = weightedEngagement(currentMetrics);
+  const previousTotal = weightedEngagement(previousMetrics);
 
   if (previousTotal === 0) return 0;
 
@@ -307,68 +276,12 @@ export function mergeMetrics(...metricSources) {
  * a big creator with average performance.
  *
  * @param {object} metrics - { views, likes, comments, followers }
+ * @param {string} platform - Platform the metrics come from
  * @returns {number} Score from 1-100
  */
-export function calculateAttentionScore(metrics) {
-  if (!metrics) return 50;
-
-  const { views = 0, likes = 0, comments = 0, followers = 0 } = metrics;
-
-  // If no meaningful data, return default
-  if (views === 0 && likes === 0 && followers === 0) return 50;
-
-  let score = 0;
-
-  // 1. BASE SCORE from views (0-40 points)
-  // Logarithmic scale: 10K=20, 100K=27, 1M=33, 10M=40
-  if (views > 0) {
-    const viewScore = Math.min((Math.log10(views) / 7) * 40, 40);
-    score += viewScore;
-  }
-
-  // 2. ENGAGEMENT SCORE (0-30 points)
-  // Based on likes + comments relative to views
-  if (views > 0) {
-    const likeRate = likes / views;
-    const commentRate = comments / views;
-    // Typical good engagement: 3-10% likes, 0.1-1% comments
-    const engagementScore = Math.min(
-      (likeRate * 200) + (commentRate * 1000),
-      30
-    );
-    score += engagementScore;
-  } else if (likes > 0) {
-    // No views but have likes (e.g., from Last.fm listeners)
-    const likeScore = Math.min((Math.log10(likes) / 7) * 25, 25);
-    score += likeScore;
-  }
-
-  // 3. VIRALITY BONUS (0-30 points)
-  // If views >> followers, content is going viral (reaching beyond their audience)
-  if (followers > 0 && views > 0) {
-    const viralityRatio = views / followers;
-
-    if (viralityRatio > 5) {
-      // Going viral: views are 5x+ their follower count
-      const viralBonus = Math.min((viralityRatio - 5) * 3, 30);
-      score += viralBonus;
-    } else if (viralityRatio < 0.1) {
-      // Underperforming: views are less than 10% of followers
-      score -= 10;
-    }
-  } else if (followers === 0 && views > 100000) {
-    // Unknown creator with lots of views = likely viral
-    score += 15;
-  }
-
-  // 4. SMALL CREATOR BONUS (0-10 points)
-  // Reward emerging creators who are punching above their weight
-  if (followers > 0 && followers < 50000 && views > followers) {
-    score += 10;
-  }
-
-  // Clamp to 1-100
-  return Math.max(1, Math.min(100, Math.round(score)));
+export function calculateAttentionScore(metrics, platform = 'unknown') {
+  // Weights and breakpoints come from the board's scoring model
+  return scoreAttention(metrics, undefined, platform);
 }
 
 /**
@@ -378,6 +291,9 @@ export function calculateAttentionScore(metrics) {
  * Fresh posts get positive momentum (green)
  * Old posts get negative momentum (red)
  *
+ * Only a guess for new imports: once a trend has two metric samples,
+ * scoreVelocity measures its real growth rate.
+ *
  * @param {string|Date} postedAt - When the content was posted
  * @param {Object} metrics - Optional metrics for virality boost
  * @returns {number} Change percentage (-90 to +100)
@@ -413,28 +329,43 @@ export function parseMetricsFromDescription(text) {
   const metrics = {};
 
   // Match likes: "20K likes", "20,000 likes", "20k likes"
-  const likesMatch = text.match(/([\d,.]+)\s*[kKmM]?\s*likes?/i);
+  const likesMatch = text.match(new RegExp(`${COUNT}\\s*likes?`, 'i'));
   if (likesMatch) {
-    metrics.likes = parseMetricString(likesMatch[0].replace(/likes?/i, '').trim());
+    metrics.likes = parseMetricString(likesMatch[1]);
   }
 
   // Match comments: "380 comments", "1.2K comments"
-  const commentsMatch = text.match(/([\d,.]+)\s*[kKmM]?\s*comments?/i);
+  const commentsMatch = text.match(new RegExp(`${COUNT}\\s*comments?`, 'i'));
   if (commentsMatch) {
-    metrics.comments = parseMetricString(commentsMatch[0].replace(/comments?/i, '').trim());
+    metrics.comments = parseMetricString(commentsMatch[1]);
   }
 
   // Match views: "600K views", "1M views"
-  const viewsMatch = text.match(/([\d,.]+)\s*[kKmM]?\s*views?/i);
+  const viewsMatch = text.match(new RegExp(`${COUNT}\\s*views?`, 'i'));
   if (viewsMatch) {
-    metrics.views = parseMetricString(viewsMatch[0].replace(/views?/i, '').trim());
+    metrics.views = parseMetricString(viewsMatch[1]);
   }
 
   // Match plays: "1.2M plays"
-  const playsMatch = text.match(/([\d,.]+)\s*[kKmM]?\s*plays?/i);
+  const playsMatch = text.match(new RegExp(`${COUNT}\\s*plays?`, 'i'));
   if (playsMatch && !metrics.views) {
-    metrics.views = parseMetricString(playsMatch[0].replace(/plays?/i, '').trim());
+    metrics.views = parseMetricString(playsMatch[1]);
   }
 
   return metrics;
 }
+
+/**
+ * Find a post date in free text such as OCR output, e.g. "@user · 3d ago" or
+ * "Posted Dec 28"
+ * @param {string} text
+ * @returns {string|null} As from parsePostedDate
+ */
+export function extractPostedDate(text) {
+  if (!text) return null;
+  const segments = text
+    .split(/[\n·•|]/)
+    .map((segment) => segment.trim().replace(/^posted\s+(?:on\s+)?/i, ''))
+    .filter((segment) => segment && segment.length <= 30);
+  return findPostedDate(segments);
+}
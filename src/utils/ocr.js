@@ -1,35 +1,14 @@
 import Tesseract from 'tesseract.js';
+import { COUNT_PATTERN, parseCount } from '../../shared/parsing';
+
+// Capture group for a count inside a larger pattern
+const COUNT = `(${COUNT_PATTERN})`;
 
 /**
- * Parse number from string like "1.2M", "456K", "12,345", "1234"
+ * Parse number from string like "1.2M", "456K", "12,345", "1234" or "4,5 Mio."
  */
 function parseNumber(str) {
-  if (!str) return 0;
-
-  // Clean the string
-  let clean = str.replace(/,/g, '').trim();
-
-  // Handle M (millions)
-  if (clean.match(/[\d.]+\s*[Mm]/)) {
-    const num = parseFloat(clean.replace(/[Mm]/g, ''));
-    return Math.round(num * 1000000);
-  }
-
-  // Handle K (thousands)
-  if (clean.match(/[\d.]+\s*[Kk]/)) {
-    const num = parseFloat(clean.replace(/[Kk]/g, ''));
-    return Math.round(num * 1000);
-  }
-
-  // Handle B (billions)
-  if (clean.match(/[\d.]+\s*[Bb]/)) {
-    const num = parseFloat(clean.replace(/[Bb]/g, ''));
-    return Math.round(num * 1000000000);
-  }
-
-  // Plain number
-  const num = parseInt(clean, 10);
-  return isNaN(num) ? 0 : num;
+  return Math.round(parseCount(str) ?? 0);
 }
 
 /**
@@ -51,24 +30,24 @@ function extractMetricsFromText(text) {
   // Patterns to match metrics
   const patterns = [
     // Followers patterns
-    { key: 'followers', regex: /([\d.,]+[KkMmBb]?)\s*(?:followers|follower|seguidores)/i },
-    { key: 'followers', regex: /(?:followers|follower|seguidores)\s*([\d.,]+[KkMmBb]?)/i },
-    { key: 'followers', regex: /([\d.,]+[KkMmBb]?)\s*(?:subs|subscribers)/i },
+    { key: 'followers', regex: new RegExp(`${COUNT}\\s*(?:followers|follower|seguidores)`, 'i') },
+    { key: 'followers', regex: new RegExp(`(?:followers|follower|seguidores)\\s*${COUNT}`, 'i') },
+    { key: 'followers', regex: new RegExp(`${COUNT}\\s*(?:subs|subscribers)`, 'i') },
 
     // Views patterns
-    { key: 'views', regex: /([\d.,]+[KkMmBb]?)\s*(?:views|view|visualizaciones|plays)/i },
-    { key: 'views', regex: /(?:views|view|plays)\s*([\d.,]+[KkMmBb]?)/i },
+    { key: 'views', regex: new RegExp(`${COUNT}\\s*(?:views|view|visualizaciones|plays)`, 'i') },
+    { key: 'views', regex: new RegExp(`(?:views|view|plays)\\s*${COUNT}`, 'i') },
 
     // Likes patterns
-    { key: 'likes', regex: /([\d.,]+[KkMmBb]?)\s*(?:likes|like|me gusta|hearts)/i },
-    { key: 'likes', regex: /(?:likes|like)\s*([\d.,]+[KkMmBb]?)/i },
+    { key: 'likes', regex: new RegExp(`${COUNT}\\s*(?:likes|like|me gusta|hearts)`, 'i') },
+    { key: 'likes', regex: new RegExp(`(?:likes|like)\\s*${COUNT}`, 'i') },
 
     // Comments patterns
-    { key: 'comments', regex: /([\d.,]+[KkMmBb]?)\s*(?:comments|comment|comentarios)/i },
-    { key: 'comments', regex: /(?:comments|comment)\s*([\d.,]+[KkMmBb]?)/i },
+    { key: 'comments', regex: new RegExp(`${COUNT}\\s*(?:comments|comment|comentarios)`, 'i') },
+    { key: 'comments', regex: new RegExp(`(?:comments|comment)\\s*${COUNT}`, 'i') },
 
     // Shares patterns
-    { key: 'shares', regex: /([\d.,]+[KkMmBb]?)\s*(?:shares|share|reposts|repost)/i },
+    { key: 'shares', regex: new RegExp(`${COUNT}\\s*(?:shares|share|reposts|repost)`, 'i') },
   ];
 
   for (const { key, regex } of patterns) {
@@ -101,7 +80,7 @@ function extractMetricsFromText(text) {
   }
 
   // Instagram-specific: "Liked by X and Y others" pattern
-  const likedByMatch = normalized.match(/liked by.*?and\s*([\d.,]+[KkMmBb]?)\s*others/i);
+  const likedByMatch = normalized.match(new RegExp(`liked by.*?and\\s*${COUNT}\\s*others`, 'i'));
   if (likedByMatch) {
     metrics.likes = parseNumber(likedByMatch[1]) + 1;
   }
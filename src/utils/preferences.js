@@ -1,6 +1,6 @@
 // User preferences for filtering and suggestions
 
-const PREFERENCES_KEY = 'culture-heatmap-preferences';
+import { getSetting, saveSetting, SETTINGS } from './storage';
 
 export const DEFAULT_PREFERENCES = {
   filters: {
@@ -21,44 +21,39 @@ export const DEFAULT_PREFERENCES = {
 };
 
 /**
- * Load preferences from localStorage
+ * Load preferences from storage
  * @returns {Object}
  */
 export function getPreferences() {
-  const stored = localStorage.getItem(PREFERENCES_KEY);
+  const stored = getSetting(SETTINGS.preferences, null);
   if (stored) {
-    try {
-      const parsed = JSON.parse(stored);
-      // Merge with defaults to ensure all keys exist
-      return {
-        ...DEFAULT_PREFERENCES,
-        ...parsed,
-        filters: {
-          ...DEFAULT_PREFERENCES.filters,
-          ...parsed.filters,
-        },
-        platforms: {
-          ...DEFAULT_PREFERENCES.platforms,
-          ...parsed.platforms,
-        },
-        suggestions: {
-          ...DEFAULT_PREFERENCES.suggestions,
-          ...parsed.suggestions,
-        },
-      };
-    } catch {
-      return DEFAULT_PREFERENCES;
-    }
+    // Merge with defaults to ensure all keys exist
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...stored,
+      filters: {
+        ...DEFAULT_PREFERENCES.filters,
+        ...stored.filters,
+      },
+      platforms: {
+        ...DEFAULT_PREFERENCES.platforms,
+        ...stored.platforms,
+      },
+      suggestions: {
+        ...DEFAULT_PREFERENCES.suggestions,
+        ...stored.suggestions,
+      },
+    };
   }
-  return DEFAULT_PREFERENCES;
+  return structuredClone(DEFAULT_PREFERENCES);
 }
 
 /**
- * Save preferences to localStorage
+ * Save preferences to storage
  * @param {Object} preferences
  */
 export function savePreferences(preferences) {
-  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  return saveSetting(SETTINGS.preferences, preferences);
 }
 
 /**
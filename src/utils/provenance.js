@@ -0,0 +1,67 @@
+// Metric provenance: where each metric value came from, when it was captured
+// and how far it can be trusted
+
+export const METRIC_SOURCES = {
+  api: { label: 'API', confidence: 'high' },
+  scraper: { label: 'Scraper', confidence: 'high' },
+  manual: { label: 'Manual entry', confidence: 'high' },
+  spreadsheet: { label: 'Spreadsheet', confidence: 'high' },
+  description: { label: 'Link description', confidence: 'medium' },
+  ocr: { label: 'Screenshot OCR', confidence: 'medium' },
+};
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Provenance for each non-zero value in a metrics object
+ * @param {Object} metrics
+ * @param {string} source - A METRIC_SOURCES key
+ * @param {Object} options
+ * @param {string|Date} options.at - Capture time (default now)
+ * @param {Object} options.confidence - Per-metric confidence overriding the source's
+ * @returns {Object} { [metric]: { source, at, confidence } }
+ */
+export function createProvenance(metrics, source, { at = new Date(), confidence = {} } = {}) {
+  const captured = new Date(at).toISOString();
+  return Object.fromEntries(
+    Object.entries(metrics || {})
+      .filter(([, value]) => value > 0)
+      .map(([key]) => [
+        key,
+        { source, at: captured, confidence: confidence[key] || METRIC_SOURCES[source].confidence },
+      ])
+  );
+}
+
+/**
+ * Provenance for metrics after someone may have edited them. Values that match
+ * the original keep its provenance; changed or new values count as manual entry.
+ * @param {Object} metrics - The values being saved
+ * @param {Object|null} original - The values as captured
+ * @param {Object|null} provenance - The original values' provenance
+ * @param {string|Date|null} at - When the edit happened; null while still editing
+ * @returns {Object}
+ */
+export function reconcileProvenance(metrics, original, provenance, at = new Date()) {
+  return Object.fromEntries(
+    Object.entries(metrics || {})
+      .filter(([, value]) => value > 0)
+      .map(([key, value]) => {
+        if (original?.[key] === value && provenance?.[key]) return [key, provenance[key]];
+        return [
+          key,
+          { source: 'manual', at: at && new Date(at).toISOString(), confidence: METRIC_SOURCES.manual.confidence },
+        ];
+      })
+  );
+}
+
+/**
+ * Short description of one metric's provenance, e.g. "Screenshot OCR · low confidence"
+ * @param {Object} entry - { source, at, confidence }
+ * @returns {string}
+ */
+export function describeProvenance(entry) {
+  const label = METRIC_SOURCES[entry.source]?.label || entry.source;
+  return entry.confidence === 'high' ? label : `${label} · ${entry.confidence} confidence`;
+}
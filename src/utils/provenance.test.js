@@ -0,0 +1,40 @@
+// Metric provenance
+
+import { describe, expect, it } from 'vitest';
+import { createProvenance, describeProvenance, reconcileProvenance } from './provenance';
+
+const AT = '2025-01-15T12:00:00.000Z';
+
+describe('createProvenance', () => {
+  it('records the source, time and confidence of each value', () => {
+    expect(createProvenance({ views: 100, likes: 0, comments: 4 }, 'ocr', { at: AT, confidence: { comments: 'low' } })).toEqual({
+      views: { source: 'ocr', at: AT, confidence: 'medium' },
+      comments: { source: 'ocr', at: AT, confidence: 'low' },
+    });
+  });
+});
+
+describe('reconcileProvenance', () => {
+  const original = { views: 100, likes: 20 };
+  const provenance = createProvenance(original, 'ocr', { at: AT });
+
+  it('keeps provenance for unchanged values and marks edits as manual', () => {
+    const result = reconcileProvenance({ views: 100, likes: 25, comments: 3 }, original, provenance, AT);
+    expect(result).toEqual({
+      views: provenance.views,
+      likes: { source: 'manual', at: AT, confidence: 'high' },
+      comments: { source: 'manual', at: AT, confidence: 'high' },
+    });
+  });
+
+  it('leaves the time out while still editing', () => {
+    expect(reconcileProvenance({ likes: 25 }, original, provenance, null).likes.at).toBeNull();
+  });
+});
+
+describe('describeProvenance', () => {
+  it('mentions confidence only when it is not high', () => {
+    expect(describeProvenance({ source: 'api', confidence: 'high' })).toBe('API');
+    expect(describeProvenance({ source: 'ocr', confidence: 'low' })).toBe('Screenshot OCR · low confidence');
+  });
+});
@@ -0,0 +1,148 @@
+// Scheduled metric refresh: drives the background worker and folds what it
+// fetches back into the board's trends
+
+import { getRefreshPlatform } from './metricSources';
+import { getPostAge } from './metrics';
+import { createProvenance } from './provenance';
+import { getActiveScoringModel, getTrendPlatform, modelRef, scoreTrend, scoreVelocity } from './scoring';
+import { recordMetricSample, SAMPLE_METRICS } from './velocity';
+import { YOUTUBE_KEY_STORAGE } from './youtube';
+import { TIKTOK_KEY_STORAGE } from './tiktok';
+import { INSTAGRAM_KEY_STORAGE } from './instagram';
+
+const CREDENTIAL_KEYS = [YOUTUBE_KEY_STORAGE, TIKTOK_KEY_STORAGE, INSTAGRAM_KEY_STORAGE];
+
+// Refresh intervals offered in settings, in hours
+export const REFRESH_INTERVALS = [1, 3, 6, 12, 24];
+
+/**
+ * Trends with a source the worker can refresh
+ * @param {Array} trends
+ * @returns {Array}
+ */
+export function getRefreshableTrends(trends) {
+  return trends.filter((trend) => getRefreshPlatform(trend));
+}
+
+// API keys the worker's clients need; workers can't read localStorage
+function getCredentials() {
+  return Object.fromEntries(
+    CREDENTIAL_KEYS.map((key) => [key, localStorage.getItem(key)]).filter(([, value]) => value)
+  );
+}
+
+/**
+ * Start the refresh worker
+ * @param {Object} handlers
+ * @param {function} handlers.onStatus - (id, status) as each trend starts and finishes
+ * @param {function} handlers.onResults - ([{ id, metrics, source, at }]) after each run
+ * @returns {{ update: function, refresh: function, stop: function }}
+ */
+export function startMetricRefresh({ onStatus, onResults }) {
+  const worker = new Worker(new URL('../workers/metricRefresh.js', import.meta.url), {
+    type: 'module',
+  });
+  let results = [];
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      onStatus(data.id, { state: 'running' });
+    } else if (data.type === 'result') {
+      results.push(data);
+      onStatus(data.id, { state: 'ok', at: data.at, source: data.source, error: null });
+    } else if (data.type === 'failure') {
+      onStatus(data.id, { state: 'error', at: data.at, error: data.error });
+    } else if (data.type === 'done' && results.length > 0) {
+      onResults(results);
+      results = [];
+    }
+  };
+
+  return {
+    /**
+     * Send the board's trends, schedule and the current API keys
+     * @param {Array} trends
+     * @param {Object} settings - From getRefreshSettings()
+     * @param {Object} status - From getRefreshStatus(), for each trend's last attempt
+     */
+    update(trends, settings, status) {
+      worker.postMessage({ type: 'configure', settings, credentials: getCredentials() });
+      worker.postMessage({
+        type: 'trends',
+        trends: getRefreshableTrends(trends).map((trend) => ({
+          id: trend.id,
+          sourceUrl: trend.sourceUrl,
+          platform: trend.platform || null,
+          profileUrl: trend.profileUrl || null,
+          lastAttempt: status[trend.id]?.at || null,
+        })),
+      });
+    },
+    /**
+     * Refresh now, whatever the schedule
+     * @param {Array|null} ids - null for every refreshable trend
+     */
+    refresh(ids = null) {
+      worker.postMessage({ type: 'refresh', ids });
+    },
+    stop() {
+      worker.terminate();
+    },
+  };
+}
+
+/**
+ * Apply fetched metrics to trends: record a metric sample, then re-score.
+ * Trends sized by hand keep their size, and their change only follows the
+ * metrics once the samples give a growth rate.
+ * @param {Array} trends
+ * @param {Array} results - [{ id, metrics, origin, at }]
+ * @returns {Array} Updated trends
+ */
+export function applyRefreshResults(trends, results) {
+  const byId = new Map(results.map((result) => [result.id, result]));
+  const model = getActiveScoringModel();
+
+  return trends.map((trend) => {
+    const result = byId.get(trend.id);
+    if (!result) return trend;
+
+    // Sources don't all report every metric, so missing ones keep their last value
+    const metrics = { ...trend.metrics };
+    const fetched = {};
+    SAMPLE_METRICS.forEach((key) => {
+      if (result.metrics[key] > 0) fetched[key] = metrics[key] = result.metrics[key];
+    });
+    const metricProvenance = {
+      ...trend.metricProvenance,
+      ...createProvenance(fetched, result.origin, { at: result.at }),
+    };
+
+    const sampled = recordMetricSample({ ...trend, metrics, metricProvenance }, result.at);
+    if (!trend.scoringModel) {
+      const velocity = scoreVelocity(sampled.metricSamples, model, getTrendPlatform(sampled));
+      return velocity === null ? sampled : { ...sampled, change: velocity };
+    }
+
+    const scored = scoreTrend(sampled, model);
+    if (!scored) return sampled;
+    return {
+      ...sampled,
+      size: scored.size,
+      change: scored.change,
+      scoringModel: modelRef(model, scored.score),
+    };
+  });
+}
+
+/**
+ * One-line description of a trend's refresh status
+ * @param {Object} status - { state, at, lastSuccess, source, error }
+ * @returns {string}
+ */
+export function describeRefreshStatus(status) {
+  if (status.state === 'running') return 'Refreshing metrics…';
+  const when = getPostAge(status.at).ageText.toLowerCase();
+  if (status.state === 'error') return `Refresh failed ${when}: ${status.error}`;
+  return `Refreshed ${when} from ${status.source}`;
+}
@@ -0,0 +1,58 @@
+// Applying refreshed metrics to trends
+
+import { describe, expect, it } from 'vitest';
+import { setupFakeStorage } from '../test/storage';
+import { applyRefreshResults, getRefreshableTrends } from './refresh';
+import { createMetricSample } from './velocity';
+
+setupFakeStorage();
+
+const TIKTOK = 'https://www.tiktok.com/@creator/video/1';
+const START = Date.UTC(2025, 0, 15, 12);
+const at = (hours) => new Date(START + hours * 3600000).toISOString();
+
+describe('getRefreshableTrends', () => {
+  it('keeps trends with a source the worker can fetch', () => {
+    const trends = [
+      { id: 'a', sourceUrl: TIKTOK },
+      { id: 'b', sourceUrl: 'https://open.spotify.com/track/1' },
+      { id: 'c', sourceUrl: '' },
+    ];
+    expect(getRefreshableTrends(trends).map((t) => t.id)).toEqual(['a']);
+  });
+});
+
+describe('applyRefreshResults', () => {
+  const base = {
+    name: 'Saturn',
+    sourceUrl: TIKTOK,
+    size: 30,
+    change: 4,
+    metrics: { views: 1000, likes: 100, shares: 7 },
+    metricSamples: [createMetricSample({ views: 1000, likes: 100, shares: 7 }, at(0))],
+  };
+
+  it('keeps metrics the source did not report and records a sample', () => {
+    const [trend] = applyRefreshResults([{ ...base, id: 'a' }], [{ id: 'a', metrics: { views: 3000, likes: 0 }, origin: 'api', at: at(1) }]);
+    expect(trend.metrics).toEqual({ views: 3000, likes: 100, shares: 7 });
+    expect(trend.metricSamples.map((s) => s.views)).toEqual([1000, 3000]);
+    expect(trend.metricProvenance).toEqual({ views: { source: 'api', at: at(1), confidence: 'high' } });
+  });
+
+  it('keeps the size of trends sized by hand, updating their change from the growth rate', () => {
+    const [trend] = applyRefreshResults([{ ...base, id: 'a' }], [{ id: 'a', metrics: { views: 21000 }, origin: 'api', at: at(2) }]);
+    expect(trend).toMatchObject({ size: 30, change: 50 }); // Twice TikTok's 5000 views an hour
+  });
+
+  it('re-scores trends sized from their metrics', () => {
+    const scored = { ...base, id: 'a', scoringModel: { id: 'default', version: 1, score: 'attention' } };
+    const [trend] = applyRefreshResults([scored], [{ id: 'a', metrics: { views: 11000 }, origin: 'api', at: at(2) }]);
+    expect(trend.size).not.toBe(30);
+    expect(trend.scoringModel).toMatchObject({ id: 'default', name: 'Default', version: 1, score: 'attention' });
+  });
+
+  it('leaves trends without results alone', () => {
+    const trends = [{ ...base, id: 'a' }];
+    expect(applyRefreshResults(trends, [])[0]).toBe(trends[0]);
+  });
+});
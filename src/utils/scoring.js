@@ -0,0 +1,531 @@
+// Scoring models: versioned weights behind the attention score, the engagement
+// score, metric-based momentum, velocity from metric samples and how much
+// uncertain metric values count
+
+import { generateId, getScoringModels, saveScoringModels } from './storage';
+import { detectPlatform } from './platforms';
+import { calculateVelocity } from './velocity';
+
+// Platforms a model can tune separately; anything else scores as 'unknown'
+export const SCORING_PLATFORMS = ['tiktok', 'instagram', 'youtube', 'twitter', 'spotify', 'unknown'];
+
+// Weights and breakpoints the app has always used
+export const DEFAULT_WEIGHTS = {
+  attention: {
+    viewPoints: 40, // Points for views at the ceiling below
+    viewLogCeiling: 7, // log10(views) earning full view points (10M)
+    engagementPoints: 30,
+    likeRateWeight: 200,
+    commentRateWeight: 1000,
+    likeOnlyPoints: 25, // Likes without views, e.g. listeners
+    viralRatio: 5, // Views above this multiple of followers count as viral
+    viralBonusPerRatio: 3,
+    viralBonusMax: 30,
+    underperformRatio: 0.1,
+    underperformPenalty: 10,
+    unknownCreatorViews: 100000,
+    unknownCreatorBonus: 15,
+    smallCreatorFollowers: 50000,
+    smallCreatorBonus: 10,
+  },
+  engagement: {
+    likeWeight: 1,
+    commentWeight: 2,
+    shareWeight: 3,
+    saveWeight: 2,
+    low: 5000,
+    mid: 50000,
+    high: 500000,
+    viral: 5000000,
+  },
+  momentum: {
+    viewRatioScale: 100, // Views vs followers: 2x = +100%
+    viewRatioMax: 900,
+    likeRatioBaseline: 0.03, // Likes vs followers: 3% = 0
+    likeRatioScale: 2000,
+    likeRatioMax: 500,
+    engagementBaseline: 5, // Likes vs views (%): 5% = 0
+    engagementScale: 15,
+    engagementMax: 300,
+    floor: -90,
+  },
+  velocity: {
+    viewsBaseline: 1000, // Views per hour that count as 0% momentum
+    engagementBaseline: 50, // Weighted engagement per hour, when there are no views
+    scale: 50, // Momentum per doubling of the baseline rate
+    accelerationPoints: 25, // Bonus when the rate is speeding up, penalty when slowing
+    max: 300,
+    floor: -90,
+  },
+  confidence: {
+    // How much of a score's distance from neutral (size 50, change 0) is kept,
+    // by the confidence of the least certain metric behind it
+    high: 1,
+    medium: 0.85,
+    low: 0.5,
+  },
+};
+
+// Per-platform overrides in the built-in model: the old viral thresholds and
+// each platform's typical views per hour
+const DEFAULT_PLATFORM_WEIGHTS = {
+  tiktok: {
+    engagement: { low: 10000, mid: 100000, high: 1000000, viral: 10000000 },
+    velocity: { viewsBaseline: 5000 },
+  },
+  instagram: { velocity: { viewsBaseline: 2000 } },
+  youtube: {
+    engagement: { low: 10000, mid: 100000, high: 1000000, viral: 10000000 },
+    velocity: { viewsBaseline: 2000 },
+  },
+  twitter: {
+    engagement: { low: 1000, mid: 10000, high: 100000, viral: 1000000 },
+    velocity: { viewsBaseline: 1000 },
+  },
+  spotify: {
+    engagement: { low: 100000, mid: 1000000, high: 10000000, viral: 100000000 },
+    velocity: { viewsBaseline: 10000 },
+  },
+};
+
+export const DEFAULT_SCORING_MODEL = {
+  id: 'default',
+  name: 'Default',
+  version: 1,
+  createdAt: null,
+  weights: DEFAULT_WEIGHTS,
+  platforms: DEFAULT_PLATFORM_WEIGHTS,
+};
+
+// Labels for the model editor, by weight group
+export const WEIGHT_FIELDS = {
+  attention: [
+    { key: 'viewPoints', label: 'View points' },
+    { key: 'viewLogCeiling', label: 'Full points at 10^' },
+    { key: 'engagementPoints', label: 'Engagement points' },
+    { key: 'likeRateWeight', label: 'Like rate weight' },
+    { key: 'commentRateWeight', label: 'Comment rate weight' },
+    { key: 'likeOnlyPoints', label: 'Likes-only points' },
+    { key: 'viralRatio', label: 'Viral at views ÷ followers' },
+    { key: 'viralBonusPerRatio', label: 'Viral bonus per ratio' },
+    { key: 'viralBonusMax', label: 'Viral bonus max' },
+    { key: 'underperformRatio', label: 'Underperforming below' },
+    { key: 'underperformPenalty', label: 'Underperforming penalty' },
+    { key: 'unknownCreatorViews', label: 'No-follower views threshold' },
+    { key: 'unknownCreatorBonus', label: 'No-follower bonus' },
+    { key: 'smallCreatorFollowers', label: 'Small creator below' },
+    { key: 'smallCreatorBonus', label: 'Small creator bonus' },
+  ],
+  engagement: [
+    { key: 'likeWeight', label: 'Like weight' },
+    { key: 'commentWeight', label: 'Comment weight' },
+    { key: 'shareWeight', label: 'Share weight' },
+    { key: 'saveWeight', label: 'Save weight' },
+    { key: 'low', label: 'Low threshold' },
+    { key: 'mid', label: 'Mid threshold' },
+    { key: 'high', label: 'High threshold' },
+    { key: 'viral', label: 'Viral threshold' },
+  ],
+  momentum: [
+    { key: 'viewRatioScale', label: 'Views ÷ followers scale' },
+    { key: 'viewRatioMax', label: 'Views ÷ followers max' },
+    { key: 'likeRatioBaseline', label: 'Likes ÷ followers baseline' },
+    { key: 'likeRatioScale', label: 'Likes ÷ followers scale' },
+    { key: 'likeRatioMax', label: 'Likes ÷ followers max' },
+    { key: 'engagementBaseline', label: 'Engagement rate baseline %' },
+    { key: 'engagementScale', label: 'Engagement rate scale' },
+    { key: 'engagementMax', label: 'Engagement rate max' },
+    { key: 'floor', label: 'Lowest momentum' },
+  ],
+  velocity: [
+    { key: 'viewsBaseline', label: 'Baseline views / hour' },
+    { key: 'engagementBaseline', label: 'Baseline engagement / hour' },
+    { key: 'scale', label: 'Momentum per doubling' },
+    { key: 'accelerationPoints', label: 'Acceleration points' },
+    { key: 'max', label: 'Highest momentum' },
+    { key: 'floor', label: 'Lowest momentum' },
+  ],
+  confidence: [
+    { key: 'high', label: 'High confidence weight' },
+    { key: 'medium', label: 'Medium confidence weight' },
+    { key: 'low', label: 'Low confidence weight' },
+  ],
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * A model's weights for one platform, with its overrides applied
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {{ attention: Object, engagement: Object, momentum: Object }}
+ */
+export function getModelWeights(model, platform = 'unknown') {
+  const overrides = model.platforms?.[platform?.toLowerCase()] || {};
+  return Object.fromEntries(
+    Object.keys(DEFAULT_WEIGHTS).map((group) => [
+      group,
+      { ...DEFAULT_WEIGHTS[group], ...model.weights?.[group], ...overrides[group] },
+    ])
+  );
+}
+
+/**
+ * Attention score (1-100) from views, likes, comments and followers.
+ * A smaller creator with viral content scores higher than a big creator with
+ * average performance.
+ * @param {Object} metrics
+ * @param {Object} model - Defaults to the board's active model
+ * @param {string} platform
+ * @returns {number}
+ */
+export function scoreAttention(metrics, model = getActiveScoringModel(), platform = 'unknown') {
+  if (!metrics) return 50;
+
+  const { views = 0, likes = 0, comments = 0, followers = 0 } = metrics;
+  if (views === 0 && likes === 0 && followers === 0) return 50;
+
+  const w = getModelWeights(model, platform).attention;
+  let score = 0;
+
+  // Base score from views, on a log scale
+  if (views > 0) {
+    score += Math.min((Math.log10(views) / w.viewLogCeiling) * w.viewPoints, w.viewPoints);
+  }
+
+  // Engagement relative to views
+  if (views > 0) {
+    score += Math.min(
+      (likes / views) * w.likeRateWeight + (comments / views) * w.commentRateWeight,
+      w.engagementPoints
+    );
+  } else if (likes > 0) {
+    score += Math.min((Math.log10(likes) / w.viewLogCeiling) * w.likeOnlyPoints, w.likeOnlyPoints);
+  }
+
+  // Virality: reaching well beyond the creator's own audience
+  if (followers > 0 && views > 0) {
+    const viralityRatio = views / followers;
+    if (viralityRatio > w.viralRatio) {
+      score += Math.min((viralityRatio - w.viralRatio) * w.viralBonusPerRatio, w.viralBonusMax);
+    } else if (viralityRatio < w.underperformRatio) {
+      score -= w.underperformPenalty;
+    }
+  } else if (followers === 0 && views > w.unknownCreatorViews) {
+    score += w.unknownCreatorBonus;
+  }
+
+  // Emerging creators punching above their weight
+  if (followers > 0 && followers < w.smallCreatorFollowers && views > followers) {
+    score += w.smallCreatorBonus;
+  }
+
+  return clamp(Math.round(score), 1, 100);
+}
+
+/**
+ * Weighted engagement total (likes, comments, shares, saves)
+ * @param {Object} metrics
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {number}
+ */
+export function weightedEngagement(metrics, model = getActiveScoringModel(), platform = 'unknown') {
+  const w = getModelWeights(model, platform).engagement;
+  return (
+    (metrics.likes || 0) * w.likeWeight +
+    (metrics.comments || 0) * w.commentWeight +
+    (metrics.shares || 0) * w.shareWeight +
+    (metrics.saves || 0) * w.saveWeight
+  );
+}
+
+/**
+ * Engagement score (1-100) against the platform's viral thresholds
+ * @param {Object} metrics
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {number}
+ */
+export function scoreEngagement(metrics, model = getActiveScoringModel(), platform = 'unknown') {
+  const t = getModelWeights(model, platform).engagement;
+  const total = weightedEngagement(metrics, model, platform);
+
+  let score;
+  if (total >= t.viral) {
+    score = 90 + Math.min(10, (total / t.viral - 1) * 2);
+  } else if (total >= t.high) {
+    score = 70 + ((total - t.high) / (t.viral - t.high)) * 20;
+  } else if (total >= t.mid) {
+    score = 40 + ((total - t.mid) / (t.high - t.mid)) * 30;
+  } else if (total >= t.low) {
+    score = 10 + ((total - t.low) / (t.mid - t.low)) * 30;
+  } else {
+    score = Math.max(1, (total / t.low) * 10);
+  }
+
+  return Math.round(clamp(score, 1, 100));
+}
+
+/**
+ * Momentum (%) from how a post performs against its audience
+ * @param {Object} metrics
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {number}
+ */
+export function scoreMomentum(metrics, model = getActiveScoringModel(), platform = 'unknown') {
+  const { views = 0, likes = 0, followers = 0 } = metrics || {};
+  const w = getModelWeights(model, platform).momentum;
+
+  if (followers > 0) {
+    if (views > 0) {
+      // Videos: views vs followers
+      return clamp(Math.round((views / followers - 1) * w.viewRatioScale), w.floor, w.viewRatioMax);
+    }
+    if (likes > 0) {
+      // Image posts: likes vs followers
+      return clamp(
+        Math.round((likes / followers - w.likeRatioBaseline) * w.likeRatioScale),
+        w.floor,
+        w.likeRatioMax
+      );
+    }
+    return 0;
+  }
+
+  if (views > 0 && likes > 0) {
+    // No follower data: engagement rate
+    const engagementRate = (likes / views) * 100;
+    return clamp(
+      Math.round((engagementRate - w.engagementBaseline) * w.engagementScale),
+      w.floor,
+      w.engagementMax
+    );
+  }
+
+  return 0;
+}
+
+/**
+ * Momentum (%) from how fast a trend's metrics are actually growing: views per
+ * hour against the platform baseline (weighted engagement per hour when there
+ * are no views), plus a bonus or penalty for acceleration
+ * @param {Array} samples - Metric samples, oldest first
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {number|null} null when the samples don't give a rate yet
+ */
+export function scoreVelocity(samples, model = getActiveScoringModel(), platform = 'unknown') {
+  const velocity = calculateVelocity(samples);
+  if (!velocity) return null;
+
+  const w = getModelWeights(model, platform).velocity;
+  const hasViews = samples.some((sample) => sample.views > 0);
+  const rateOf = (rates) =>
+    hasViews ? rates.views : weightedEngagement(rates, model, platform);
+  const baseline = hasViews ? w.viewsBaseline : w.engagementBaseline;
+
+  const rate = rateOf(velocity.rates);
+  if (rate <= 0) return w.floor;
+
+  let momentum = Math.log2(rate / baseline) * w.scale;
+
+  if (velocity.previousRates) {
+    // -1 (stalled) to 1 (from nothing): how much the rate moved between intervals
+    const previous = rateOf(velocity.previousRates);
+    momentum += ((rate - previous) / Math.max(rate, previous)) * w.accelerationPoints;
+  }
+
+  return clamp(Math.round(momentum), w.floor, w.max);
+}
+
+/**
+ * How far a trend's metrics can be trusted, from their provenance. Metrics
+ * recorded before provenance was tracked count as high confidence.
+ * @param {Object} trend
+ * @param {Object} model
+ * @param {string} platform
+ * @returns {{ weight: number, lowConfidence: string[] }} The least certain
+ *   metric's weight, and the metrics captured with low confidence
+ */
+export function getMetricConfidence(trend, model = getActiveScoringModel(), platform = 'unknown') {
+  const w = getModelWeights(model, platform).confidence;
+  const entries = Object.entries(trend.metricProvenance || {}).filter(
+    ([key]) => trend.metrics?.[key] > 0
+  );
+  return {
+    weight: entries.reduce((min, [, entry]) => Math.min(min, w[entry.confidence] ?? 1), 1),
+    lowConfidence: entries.filter(([, entry]) => entry.confidence === 'low').map(([key]) => key),
+  };
+}
+
+/**
+ * Platform a trend's metrics come from
+ * @param {Object} trend
+ * @returns {string}
+ */
+export function getTrendPlatform(trend) {
+  const platform = trend.platform || detectPlatform(trend.sourceUrl)?.platform;
+  return SCORING_PLATFORMS.includes(platform) ? platform : 'unknown';
+}
+
+/**
+ * Size and momentum for a trend under a model. Trends keep the score they were
+ * sized with: 'engagement' (screenshot and discovery imports, which leave
+ * momentum to history) or 'attention' (metrics entered in the trend form).
+ * Momentum comes from the trend's metric samples once they give a rate.
+ * Scores from uncertain metrics are pulled towards neutral.
+ * @param {Object} trend
+ * @param {Object} model
+ * @returns {{ size: number, change: number, score: string, lowConfidence: string[] } | null}
+ *   null when the trend has no metrics
+ */
+export function scoreTrend(trend, model = getActiveScoringModel()) {
+  const metrics = trend.metrics;
+  if (!metrics || !Object.values(metrics).some((v) => v > 0)) return null;
+
+  const platform = getTrendPlatform(trend);
+  const hasReach = metrics.views > 0 || metrics.likes > 0 || metrics.followers > 0;
+  const score = trend.scoringModel?.score || (hasReach ? 'attention' : 'engagement');
+  const velocity = scoreVelocity(trend.metricSamples, model, platform);
+  const { weight, lowConfidence } = getMetricConfidence(trend, model, platform);
+  // Change from history (engagement scores without samples) isn't from these metrics
+  const weighChange = (change) => (weight < 1 ? Math.round(change * weight) : change);
+
+  if (score === 'engagement') {
+    return {
+      size: clamp(Math.round(50 + (scoreEngagement(metrics, model, platform) - 50) * weight), 1, 100),
+      change: velocity === null ? trend.change : weighChange(velocity),
+      score,
+      lowConfidence,
+    };
+  }
+  return {
+    size: clamp(Math.round(50 + (scoreAttention(metrics, model, platform) - 50) * weight), 1, 100),
+    change: weighChange(velocity ?? scoreMomentum(metrics, model, platform)),
+    score,
+    lowConfidence,
+  };
+}
+
+/**
+ * Reference to a model version, as recorded on trends
+ * @param {Object} model
+ * @param {string} score - Which score sized the trend ('attention' or 'engagement')
+ * @returns {{ id: string, name: string, version: number, score: string }}
+ */
+export function modelRef(model, score = 'attention') {
+  return { id: model.id, name: model.name, version: model.version, score };
+}
+
+// Model store
+
+/**
+ * Every saved model version for the board, plus the built-in default
+ * @returns {Array} Newest version of each model first
+ */
+export function getScoringModelVersions() {
+  const { versions } = getScoringModels();
+  return [DEFAULT_SCORING_MODEL, ...versions];
+}
+
+/**
+ * Latest version of each model
+ * @returns {Array}
+ */
+export function getLatestScoringModels() {
+  const latest = new Map();
+  getScoringModelVersions().forEach((model) => {
+    const current = latest.get(model.id);
+    if (!current || model.version > current.version) latest.set(model.id, model);
+  });
+  return [...latest.values()];
+}
+
+/**
+ * Find a model version
+ * @param {string} id
+ * @param {number} version
+ * @returns {Object | null}
+ */
+export function getScoringModel(id, version) {
+  return getScoringModelVersions().find((m) => m.id === id && m.version === version) || null;
+}
+
+/**
+ * The model the board scores with
+ * @returns {Object}
+ */
+export function getActiveScoringModel() {
+  const { active } = getScoringModels();
+  return (active && getScoringModel(active.id, active.version)) || DEFAULT_SCORING_MODEL;
+}
+
+/**
+ * Save a model. Versions are never edited in place: saving an existing model
+ * adds its next version.
+ * @param {{ id?: string, name: string, weights: Object, platforms: Object }} model
+ *   Leave out the id (or pass the default's) to start a new model
+ * @returns {Object} The saved version
+ */
+export function saveScoringModel({ id, name, weights, platforms }) {
+  const stored = getScoringModels();
+  const isNew = !id || id === DEFAULT_SCORING_MODEL.id;
+  const modelId = isNew ? generateId() : id;
+  const previous = stored.versions.filter((m) => m.id === modelId);
+
+  const version = {
+    id: modelId,
+    name: name.trim() || 'Untitled model',
+    version: previous.reduce((max, m) => Math.max(max, m.version), 0) + 1,
+    createdAt: new Date().toISOString(),
+    weights,
+    platforms,
+  };
+
+  saveScoringModels({ ...stored, versions: [...stored.versions, version] });
+  return version;
+}
+
+/**
+ * Make a model version the board's active model
+ * @param {Object} model
+ */
+export function setActiveScoringModel(model) {
+  const stored = getScoringModels();
+  saveScoringModels({ ...stored, active: { id: model.id, version: model.version } });
+}
+
+/**
+ * How each trend with metrics would score under a model
+ * @param {Array} trends
+ * @param {Object} model
+ * @returns {Array<{ trend: Object, size: number, change: number }>}
+ */
+export function previewRescore(trends, model) {
+  return trends.reduce((results, trend) => {
+    const scored = scoreTrend(trend, model);
+    if (scored) results.push({ trend, size: scored.size, change: scored.change });
+    return results;
+  }, []);
+}
+
+/**
+ * Re-score trends with a model and record it on each one it scored
+ * @param {Array} trends
+ * @param {Object} model
+ * @returns {Array} Updated trends; trends without metrics are unchanged
+ */
+export function rescoreTrends(trends, model) {
+  return trends.map((trend) => {
+    const scored = scoreTrend(trend, model);
+    if (!scored) return trend;
+    return {
+      ...trend,
+      size: scored.size,
+      change: scored.change,
+      scoringModel: modelRef(model, scored.score),
+    };
+  });
+}
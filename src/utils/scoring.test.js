@@ -0,0 +1,155 @@
+// Scoring models: the built-in weights, per-platform overrides and versioning
+
+import { describe, expect, it } from 'vitest';
+import { reloadStorage, setupFakeStorage } from '../test/storage';
+import {
+  DEFAULT_SCORING_MODEL,
+  DEFAULT_WEIGHTS,
+  getModelWeights,
+  rescoreTrends,
+  scoreAttention,
+  scoreEngagement,
+  scoreMomentum,
+  scoreTrend,
+  scoreVelocity,
+} from './scoring';
+import { createProvenance } from './provenance';
+import { createMetricSample } from './velocity';
+
+setupFakeStorage();
+
+const model = DEFAULT_SCORING_MODEL;
+
+describe('the default model', () => {
+  // Scores the app gave these posts before models existed
+  it.each([
+    [{ views: 1000000, likes: 50000, comments: 1000, followers: 100000 }, 60, 900],
+    [{ views: 40000, likes: 2000, comments: 50, followers: 20000 }, 48, 100],
+    [{ views: 5000000, likes: 100000, comments: 0, followers: 0 }, 57, -45],
+    [{ views: 2000, likes: 10, comments: 0, followers: 1000000 }, 10, -90],
+    [{ likes: 3000, followers: 20000 }, 12, 240],
+  ])('scores %j as before', (metrics, attention, momentum) => {
+    expect(scoreAttention(metrics, model)).toBe(attention);
+    expect(scoreMomentum(metrics, model)).toBe(momentum);
+  });
+
+  it.each([
+    ['unknown', 40],
+    ['tiktok', 25],
+    ['twitter', 55],
+    ['spotify', 6],
+  ])('scores engagement on %s against its old thresholds', (platform, score) => {
+    const metrics = { likes: 50000, comments: 1000, shares: 1000, saves: 500 };
+    expect(scoreEngagement(metrics, model, platform)).toBe(score);
+  });
+
+  it('gives posts without metrics a middling score', () => {
+    expect(scoreAttention(null, model)).toBe(50);
+    expect(scoreAttention({ comments: 5 }, model)).toBe(50);
+  });
+});
+
+describe('getModelWeights', () => {
+  it('layers platform overrides over the model over the defaults', () => {
+    const custom = {
+      weights: { attention: { viewPoints: 60 } },
+      platforms: { instagram: { attention: { viralRatio: 2 } } },
+    };
+    const weights = getModelWeights(custom, 'Instagram');
+
+    expect(weights.attention).toMatchObject({ viewPoints: 60, viralRatio: 2, engagementPoints: 30 });
+    expect(weights.momentum).toEqual(DEFAULT_WEIGHTS.momentum);
+    expect(getModelWeights(custom, 'tiktok').attention.viralRatio).toBe(5);
+  });
+});
+
+describe('scoreVelocity', () => {
+  const samples = (...points) =>
+    points.map(([hours, metrics]) => createMetricSample(metrics, new Date(Date.UTC(2025, 0, 1) + hours * 3600000)));
+
+  it('compares views per hour with the platform baseline', () => {
+    const growing = samples([0, { views: 0 }], [2, { views: 10000 }]);
+    expect(scoreVelocity(growing, model)).toBe(116); // 5x the 1000/hour baseline
+    expect(scoreVelocity(growing, model, 'tiktok')).toBe(0);
+  });
+
+  it('rewards speeding up', () => {
+    expect(scoreVelocity(samples([0, { views: 0 }], [1, { views: 1000 }], [2, { views: 4000 }]), model)).toBe(96);
+  });
+
+  it('uses weighted engagement when there are no views', () => {
+    expect(scoreVelocity(samples([0, { likes: 0 }], [1, { likes: 100 }]), model)).toBe(50);
+  });
+
+  it('bottoms out when growth stalls, and waits for a rate', () => {
+    expect(scoreVelocity(samples([0, { views: 500 }], [1, { views: 500 }]), model)).toBe(-90);
+    expect(scoreVelocity(samples([0, { views: 500 }]), model)).toBeNull();
+  });
+
+  it('sets momentum in scoreTrend once there is a rate', () => {
+    const metricSamples = samples([0, { views: 0 }], [2, { views: 10000 }]);
+    expect(scoreTrend({ metrics: { views: 10000 }, metricSamples }, model).change).toBe(116);
+  });
+});
+
+describe('scoreTrend', () => {
+  it('sizes trends with the score they were sized with', () => {
+    const metrics = { views: 40000, likes: 2000, comments: 50, followers: 20000 };
+    expect(scoreTrend({ metrics, change: 7 }, model)).toEqual({
+      size: 48,
+      change: 100,
+      score: 'attention',
+      lowConfidence: [],
+    });
+    expect(scoreTrend({ metrics, change: 7, scoringModel: { score: 'engagement' } }, model)).toEqual({
+      size: 4,
+      change: 7,
+      score: 'engagement',
+      lowConfidence: [],
+    });
+  });
+
+  it('uses the platform of the source URL', () => {
+    const trend = { metrics: { likes: 50000, comments: 1000 }, sourceUrl: 'https://www.tiktok.com/@a/video/1' };
+    expect(scoreTrend(trend, model).score).toBe('attention');
+    expect(scoreTrend({ ...trend, metrics: { shares: 20000 } }, model)).toMatchObject({
+      score: 'engagement',
+      size: 27,
+    });
+  });
+
+  it('pulls scores from uncertain metrics towards neutral', () => {
+    const metrics = { views: 40000, likes: 2000, comments: 50, followers: 20000 };
+    const metricProvenance = createProvenance(metrics, 'ocr', { confidence: { followers: 'low' } });
+    expect(scoreTrend({ metrics, metricProvenance }, model)).toEqual({
+      size: 49, // 48 is 2 below neutral; half of that is kept
+      change: 50,
+      score: 'attention',
+      lowConfidence: ['followers'],
+    });
+  });
+
+  it('leaves trends without metrics alone', () => {
+    const trends = [{ id: 'a', size: 30, change: 4 }, { id: 'b', size: 30, metrics: { views: 0 } }];
+    expect(rescoreTrends(trends, model)).toEqual(trends);
+  });
+});
+
+describe('model versions', () => {
+  it('adds a version on every save and scores with the active one', async () => {
+    await reloadStorage();
+    const scoring = await import('./scoring');
+
+    const first = scoring.saveScoringModel({ name: ' Reach ', weights: { attention: { viewPoints: 60 } }, platforms: {} });
+    const second = scoring.saveScoringModel({ ...first, weights: { attention: { viewPoints: 80 } } });
+    expect([first.name, first.version, second.id, second.version]).toEqual(['Reach', 1, first.id, 2]);
+    expect(scoring.getLatestScoringModels().map((m) => [m.id, m.version])).toEqual([['default', 1], [first.id, 2]]);
+
+    expect(scoring.getActiveScoringModel()).toBe(scoring.DEFAULT_SCORING_MODEL);
+    scoring.setActiveScoringModel(first);
+    expect(scoring.getActiveScoringModel()).toMatchObject({ id: first.id, version: 1 });
+
+    const [trend] = scoring.rescoreTrends([{ id: 'a', metrics: { views: 1000000 } }], scoring.getActiveScoringModel());
+    expect(trend).toMatchObject({ size: 66, scoringModel: { id: first.id, name: 'Reach', version: 1, score: 'attention' } });
+  });
+});
@@ -1,6 +1,59 @@
+import {
+  STORES,
+  openDB,
+  getRecord,
+  getAllRecords,
+  getAllByIndex,
+  getAllEntries,
+  withTransaction,
+  StorageQuotaError,
+  StorageInitError,
+} from './db';
+
+export { StorageQuotaError, StorageInitError };
+
+// Legacy localStorage keys (migrated into IndexedDB on first load)
 const TRENDS_KEY = 'culture-heatmap-trends';
 const BRANDING_KEY = 'culture-heatmap-branding';
 const CATEGORIES_KEY = 'culture-heatmap-categories';
+const HISTORY_KEY = 'culture-heatmap-history';
+const WATCHLIST_KEY = 'culture-heatmap-watchlist';
+const PREFERENCES_KEY = 'culture-heatmap-preferences';
+
+// Settings keys
+const MIGRATED_SETTING = 'migratedFromLocalStorage';
+const BOARDS_SETTING = 'boards';
+const ACTIVE_BOARD_SETTING = 'activeBoard';
+export const SETTINGS = {
+  branding: 'branding',
+  categories: 'categories',
+  trendOrder: 'trendOrder',
+  trendLinks: 'trendLinks',
+  snapshotSettings: 'snapshotSettings',
+  scoringModels: 'scoringModels',
+  refreshSettings: 'refreshSettings',
+  refreshStatus: 'refreshStatus',
+  anomalySettings: 'anomalySettings',
+  anomalyAlerts: 'anomalyAlerts',
+  watchlist: 'watchlist',
+  preferences: 'preferences',
+  undoHistory: 'undoHistory',
+};
+
+// Settings that belong to a single board rather than the whole app
+const BOARD_SETTINGS = [
+  SETTINGS.branding,
+  SETTINGS.categories,
+  SETTINGS.trendOrder,
+  SETTINGS.trendLinks,
+  SETTINGS.snapshotSettings,
+  SETTINGS.scoringModels,
+  SETTINGS.refreshSettings,
+  SETTINGS.anomalySettings,
+];
+
+export const DEFAULT_BOARD_ID = 'default';
+const DEFAULT_BOARD_NAME = 'Main';
 
 // Default placeholder categories (user will customize)
 export const DEFAULT_CATEGORIES = [
@@ -18,6 +71,25 @@ export const DEFAULT_BRANDING = {
   footerBrand: 'YOUR BRAND',
 };
 
+// How often snapshots are grouped into periods, and which period changes are
+// measured against
+export const DEFAULT_SNAPSHOT_SETTINGS = {
+  granularity: 'weekly', // 'hourly' | 'daily' | 'weekly' | 'custom'
+  customHours: 12,
+  baseline: { type: 'previous' }, // 'previous' | 'periodsAgo' (+ count) | 'fixed' (+ period)
+};
+
+// Background metric refresh
+export const DEFAULT_REFRESH_SETTINGS = {
+  enabled: false,
+  intervalHours: 6,
+};
+
+// Anomaly detection
+export const DEFAULT_ANOMALY_SETTINGS = {
+  sensitivity: 'medium', // 'low' | 'medium' | 'high'
+};
+
 // Sample trends for demo
 export const DEFAULT_TRENDS = [
   { id: '1', name: 'APT.', category: 'sounds', size: 95, change: 12.4 },
@@ -32,57 +104,810 @@ export const DEFAULT_TRENDS = [
   { id: '10', name: 'Very Demure', category: 'memes', size: 38, change: -42.7 },
 ];
 
-// Trends
-export const getTrends = () => {
-  const stored = localStorage.getItem(TRENDS_KEY);
-  if (stored) {
-    try {
-      return JSON.parse(stored);
-    } catch {
-      return DEFAULT_TRENDS;
+// In-memory caches, hydrated by initStorage() so reads stay synchronous.
+// Trends and snapshots only hold the active board.
+let activeBoardId = DEFAULT_BOARD_ID;
+let trendsCache = null;
+let settingsCache = {};
+let snapshotsCache = {};
+
+// Last persisted object per trend id, used to only write changed records
+const persistedTrends = new Map();
+
+// Ids with a record in the trends store for the active board, including writes
+// still in flight, so a trend removed before its first write lands is deleted too
+const storedTrendIds = new Set();
+
+// Trend writes run one after another so a delete can't overtake an earlier put
+let trendWrites = Promise.resolve();
+
+// Image source (object URL or data URL) -> key in the images store
+const imageKeys = new Map();
+
+const errorListeners = new Set();
+
+// A startup failure happens before anything can subscribe, so it's kept for
+// the first subscriber
+let pendingError = null;
+
+/**
+ * Subscribe to storage failures (e.g. quota exceeded, or the database failing
+ * to open at startup)
+ * @param {function} listener - Called with the Error
+ * @returns {function} Unsubscribe
+ */
+export function subscribeStorageErrors(listener) {
+  errorListeners.add(listener);
+  if (pendingError) {
+    const error = pendingError;
+    pendingError = null;
+    listener(error);
+  }
+  return () => errorListeners.delete(listener);
+}
+
+/**
+ * Await a write, report failures to subscribers
+ * @param {Promise} promise
+ * @returns {Promise<boolean>} true when the write succeeded
+ */
+async function reportErrors(promise) {
+  try {
+    await promise;
+    return true;
+  } catch (error) {
+    console.error('Storage write failed:', error);
+    errorListeners.forEach((listener) => listener(error));
+    return false;
+  }
+}
+
+function readLegacyKey(key) {
+  const stored = localStorage.getItem(key);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Settings key scoped to a board, e.g. "branding:default"
+ * @param {string} name
+ * @param {string} boardId
+ */
+function boardSettingKey(name, boardId = activeBoardId) {
+  return `${name}:${boardId}`;
+}
+
+/**
+ * Snapshot store key, e.g. "default:lx3k9a2b"
+ * @param {string} boardId
+ * @param {string} id
+ */
+function snapshotKey(boardId, id) {
+  return `${boardId}:${id}`;
+}
+
+/**
+ * Id of a snapshot record. Snapshots saved before every save was kept were
+ * stored once per ISO week and are identified by that week.
+ * @param {Object} record
+ */
+function snapshotId(record) {
+  return record.id || record.week;
+}
+
+/**
+ * Convert an inline image (data: or blob: URL) into a Blob
+ * @param {string} src
+ * @returns {Promise<Blob|null>}
+ */
+async function imageToBlob(src) {
+  try {
+    const response = await fetch(src);
+    return await response.blob();
+  } catch (error) {
+    console.warn('Could not read image for storage:', error.message);
+    return null;
+  }
+}
+
+function isInlineImage(src) {
+  return typeof src === 'string' && /^(data|blob):/.test(src);
+}
+
+/**
+ * Build the stored record for a trend. Inline images are split out as Blobs.
+ * @param {Object} trend
+ * @param {Object} options
+ * @param {string} options.boardId
+ * @param {boolean} options.reuseImage - false when the trend's stored image may
+ *   have been deleted (e.g. it was removed and is being added back)
+ * @returns {Promise<{ record: Object, blob: Blob|null, keepImage: boolean }>}
+ */
+async function prepareTrendRecord(trend, { boardId = activeBoardId, reuseImage = true } = {}) {
+  const { image, ...rest } = trend;
+  const base = { ...rest, boardId };
+
+  // Already stored under this trend's key
+  if (reuseImage && image && imageKeys.get(image) === trend.id) {
+    return { record: { ...base, image: '', imageKey: trend.id }, blob: null, keepImage: true };
+  }
+
+  if (isInlineImage(image)) {
+    const blob = await imageToBlob(image);
+    if (blob) {
+      return { record: { ...base, image: '', imageKey: trend.id }, blob, keepImage: true };
     }
+    return { record: { ...base, image: '' }, blob: null, keepImage: false };
   }
-  return DEFAULT_TRENDS;
+
+  return { record: { ...base, image: image || '' }, blob: null, keepImage: false };
+}
+
+/**
+ * Turn a stored record back into a trend with a displayable image URL
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+async function hydrateTrendRecord(record) {
+  const { imageKey, boardId: _boardId, ...trend } = record;
+  if (!imageKey) return trend;
+
+  const blob = await getRecord(STORES.images, imageKey);
+  if (!blob) return { ...trend, image: '' };
+
+  const url = URL.createObjectURL(blob);
+  imageKeys.set(url, imageKey);
+  return { ...trend, image: url };
+}
+
+/**
+ * One-time copy of the culture-heatmap-* localStorage keys into IndexedDB
+ */
+async function migrateLegacyData() {
+  const migrated = await getRecord(STORES.settings, MIGRATED_SETTING);
+  if (migrated) return;
+
+  const trends = readLegacyKey(TRENDS_KEY);
+  const history = readLegacyKey(HISTORY_KEY);
+  const settings = {
+    [boardSettingKey(SETTINGS.branding, DEFAULT_BOARD_ID)]: readLegacyKey(BRANDING_KEY),
+    [boardSettingKey(SETTINGS.categories, DEFAULT_BOARD_ID)]: readLegacyKey(CATEGORIES_KEY),
+    [SETTINGS.watchlist]: readLegacyKey(WATCHLIST_KEY),
+    [SETTINGS.preferences]: readLegacyKey(PREFERENCES_KEY),
+  };
+
+  // Images have to be converted before the transaction opens
+  const prepared = Array.isArray(trends)
+    ? await Promise.all(trends.map((t) => prepareTrendRecord(t, { boardId: DEFAULT_BOARD_ID })))
+    : [];
+
+  await withTransaction(
+    [STORES.trends, STORES.images, STORES.snapshots, STORES.settings],
+    'readwrite',
+    ([trendStore, imageStore, snapshotStore, settingsStore]) => {
+      prepared.forEach(({ record, blob }) => {
+        trendStore.put(record);
+        if (blob) imageStore.put(blob, record.imageKey);
+      });
+      if (Array.isArray(trends)) {
+        settingsStore.put(
+          trends.map((t) => t.id),
+          boardSettingKey(SETTINGS.trendOrder, DEFAULT_BOARD_ID)
+        );
+      }
+
+      if (history && typeof history === 'object') {
+        Object.entries(history).forEach(([week, snapshot]) => {
+          snapshotStore.put({
+            ...snapshot,
+            key: snapshotKey(DEFAULT_BOARD_ID, week),
+            week,
+            boardId: DEFAULT_BOARD_ID,
+          });
+        });
+      }
+
+      Object.entries(settings).forEach(([key, value]) => {
+        if (value !== null) settingsStore.put(value, key);
+      });
+
+      settingsStore.put(new Date().toISOString(), MIGRATED_SETTING);
+    }
+  );
+
+  [TRENDS_KEY, BRANDING_KEY, CATEGORIES_KEY, HISTORY_KEY, WATCHLIST_KEY, PREFERENCES_KEY]
+    .forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * One-time move of single-board data (unscoped records and settings) into
+ * the default board
+ */
+async function migrateToBoards() {
+  const boards = await getRecord(STORES.settings, BOARDS_SETTING);
+  if (boards) return;
+
+  const [trends, snapshots, settings] = await Promise.all([
+    getAllRecords(STORES.trends),
+    getAllRecords(STORES.snapshots),
+    getAllEntries(STORES.settings),
+  ]);
+
+  await withTransaction(
+    [STORES.trends, STORES.snapshots, STORES.settings],
+    'readwrite',
+    ([trendStore, snapshotStore, settingsStore]) => {
+      trends
+        .filter((t) => !t.boardId)
+        .forEach((t) => trendStore.put({ ...t, boardId: DEFAULT_BOARD_ID }));
+
+      snapshots
+        .filter((s) => !s.boardId)
+        .forEach((s) => {
+          snapshotStore.delete(s.key);
+          snapshotStore.put({
+            ...s,
+            key: snapshotKey(DEFAULT_BOARD_ID, s.key),
+            week: s.key,
+            boardId: DEFAULT_BOARD_ID,
+          });
+        });
+
+      BOARD_SETTINGS.forEach((name) => {
+        if (settings[name] !== undefined) {
+          settingsStore.put(settings[name], boardSettingKey(name, DEFAULT_BOARD_ID));
+          settingsStore.delete(name);
+        }
+      });
+
+      settingsStore.put(
+        [{ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME, createdAt: new Date().toISOString() }],
+        BOARDS_SETTING
+      );
+      settingsStore.put(DEFAULT_BOARD_ID, ACTIVE_BOARD_SETTING);
+    }
+  );
+}
+
+/**
+ * Load one board's trends and snapshots into the caches
+ * @param {string} boardId
+ */
+async function loadBoard(boardId) {
+  const [records, snapshots] = await Promise.all([
+    getAllByIndex(STORES.trends, 'boardId', boardId),
+    getAllByIndex(STORES.snapshots, 'boardId', boardId),
+  ]);
+
+  imageKeys.forEach((_key, url) => {
+    if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+  });
+  imageKeys.clear();
+  persistedTrends.clear();
+  storedTrendIds.clear();
+  records.forEach((record) => storedTrendIds.add(record.id));
+
+  activeBoardId = boardId;
+
+  snapshotsCache = {};
+  snapshots.forEach((record) => {
+    const { key: _key, boardId: _boardId, ...snapshot } = record;
+    const id = snapshotId(record);
+    snapshotsCache[id] = { ...snapshot, id };
+  });
+
+  const order = settingsCache[boardSettingKey(SETTINGS.trendOrder, boardId)];
+  if (order || records.length > 0) {
+    const byId = new Map(records.map((r) => [r.id, r]));
+    const ordered = (order || []).filter((id) => byId.has(id)).map((id) => byId.get(id));
+    const unordered = records.filter((r) => !(order || []).includes(r.id));
+    trendsCache = await Promise.all([...ordered, ...unordered].map(hydrateTrendRecord));
+    trendsCache.forEach((trend) => persistedTrends.set(trend.id, trend));
+  } else {
+    trendsCache = null;
+  }
+}
+
+/**
+ * Open the database, migrate legacy data and fill the in-memory caches.
+ * Must resolve before the app renders.
+ */
+export async function initStorage() {
+  try {
+    await openDB();
+    await migrateLegacyData();
+    await migrateToBoards();
+
+    settingsCache = await getAllEntries(STORES.settings);
+    await loadBoard(settingsCache[ACTIVE_BOARD_SETTING] || DEFAULT_BOARD_ID);
+  } catch (error) {
+    console.error('Failed to initialise storage:', error);
+    pendingError = new StorageInitError();
+  }
+}
+
+// Generic settings (watchlist, preferences)
+export const getSetting = (key, fallback) => {
+  const value = settingsCache[key] ?? fallback;
+  // Hand out copies so callers can mutate freely, as with JSON.parse before
+  return structuredClone(value);
+};
+
+export const saveSetting = (key, value) => {
+  settingsCache = { ...settingsCache, [key]: value };
+  return reportErrors(
+    withTransaction(STORES.settings, 'readwrite', (store) => store.put(value, key))
+  );
+};
+
+// Trends
+export const getTrends = () => {
+  return trendsCache || DEFAULT_TRENDS;
 };
 
+/**
+ * Persist the active board's trend list. Only records that changed since the
+ * last save are written, and removed trends are deleted along with their images.
+ * @param {Array} trends
+ * @returns {Promise<boolean>}
+ */
 export const saveTrends = (trends) => {
-  localStorage.setItem(TRENDS_KEY, JSON.stringify(trends));
+  trendsCache = trends;
+
+  const boardId = activeBoardId;
+  // Trends without a stored record are written whole, images included, even
+  // when they are the same objects as before a removal
+  const isStored = (t) => storedTrendIds.has(t.id);
+  const changed = trends.filter((t) => !isStored(t) || persistedTrends.get(t.id) !== t);
+  const added = new Set(changed.filter((t) => !isStored(t)).map((t) => t.id));
+  const ids = new Set(trends.map((t) => t.id));
+  const removed = [...storedTrendIds].filter((id) => !ids.has(id));
+  changed.forEach((t) => storedTrendIds.add(t.id));
+  removed.forEach((id) => storedTrendIds.delete(id));
+  const orderKey = boardSettingKey(SETTINGS.trendOrder, boardId);
+  const order = trends.map((t) => t.id);
+  settingsCache = { ...settingsCache, [orderKey]: order };
+
+  const write = async () => {
+    const prepared = await Promise.all(
+      changed.map((t) => prepareTrendRecord(t, { boardId, reuseImage: !added.has(t.id) }))
+    );
+
+    await withTransaction(
+      [STORES.trends, STORES.images, STORES.settings],
+      'readwrite',
+      ([trendStore, imageStore, settingsStore]) => {
+        prepared.forEach(({ record, blob, keepImage }) => {
+          trendStore.put(record);
+          if (blob) imageStore.put(blob, record.imageKey);
+          if (!keepImage) imageStore.delete(record.id);
+        });
+        removed.forEach((id) => {
+          trendStore.delete(id);
+          imageStore.delete(id);
+        });
+        settingsStore.put(order, orderKey);
+      }
+    );
+
+    // The board may have been switched while the write was in flight
+    if (boardId !== activeBoardId) return;
+    changed.forEach((trend, i) => {
+      persistedTrends.set(trend.id, trend);
+      if (prepared[i].blob) imageKeys.set(trend.image, prepared[i].record.imageKey);
+    });
+    removed.forEach((id) => persistedTrends.delete(id));
+  };
+
+  trendWrites = trendWrites.then(() => reportErrors(write()));
+  return trendWrites;
 };
 
 // Branding
-export const getBranding = () => {
-  const stored = localStorage.getItem(BRANDING_KEY);
-  if (stored) {
-    try {
-      return JSON.parse(stored);
-    } catch {
-      return DEFAULT_BRANDING;
-    }
-  }
-  return DEFAULT_BRANDING;
+export const getBranding = () =>
+  getSetting(boardSettingKey(SETTINGS.branding), DEFAULT_BRANDING);
+
+export const saveBranding = (branding) =>
+  saveSetting(boardSettingKey(SETTINGS.branding), branding);
+
+// Categories
+export const getCategories = () =>
+  getSetting(boardSettingKey(SETTINGS.categories), DEFAULT_CATEGORIES);
+
+export const saveCategories = (categories) =>
+  saveSetting(boardSettingKey(SETTINGS.categories), categories);
+
+// Trend identity links (used by history.js): merged series id -> trend id
+export const getTrendLinks = () =>
+  getSetting(boardSettingKey(SETTINGS.trendLinks), {});
+
+export const saveTrendLinks = (links) =>
+  saveSetting(boardSettingKey(SETTINGS.trendLinks), links);
+
+// Snapshot granularity and baseline (used by history.js)
+export const getSnapshotSettings = () => ({
+  ...DEFAULT_SNAPSHOT_SETTINGS,
+  ...getSetting(boardSettingKey(SETTINGS.snapshotSettings), null),
+});
+
+export const saveSnapshotSettings = (settings) =>
+  saveSetting(boardSettingKey(SETTINGS.snapshotSettings), settings);
+
+// Scoring model versions and the board's active model (used by scoring.js)
+export const getScoringModels = () =>
+  getSetting(boardSettingKey(SETTINGS.scoringModels), { versions: [], active: null });
+
+export const saveScoringModels = (models) =>
+  saveSetting(boardSettingKey(SETTINGS.scoringModels), models);
+
+// Background metric refresh schedule (used by refresh.js)
+export const getRefreshSettings = () => ({
+  ...DEFAULT_REFRESH_SETTINGS,
+  ...getSetting(boardSettingKey(SETTINGS.refreshSettings), null),
+});
+
+export const saveRefreshSettings = (settings) =>
+  saveSetting(boardSettingKey(SETTINGS.refreshSettings), settings);
+
+// Last refresh result per trend id. Not copied with the board.
+export const getRefreshStatus = () =>
+  getSetting(boardSettingKey(SETTINGS.refreshStatus), {});
+
+export const saveRefreshStatus = (status) =>
+  saveSetting(boardSettingKey(SETTINGS.refreshStatus), status);
+
+// How readily anomalies are flagged (used by anomalies.js)
+export const getAnomalySettings = () => ({
+  ...DEFAULT_ANOMALY_SETTINGS,
+  ...getSetting(boardSettingKey(SETTINGS.anomalySettings), null),
+});
+
+export const saveAnomalySettings = (settings) =>
+  saveSetting(boardSettingKey(SETTINGS.anomalySettings), settings);
+
+// Anomaly alerts inbox, newest first. Not copied with the board.
+export const getAnomalyAlerts = () =>
+  getSetting(boardSettingKey(SETTINGS.anomalyAlerts), []);
+
+export const saveAnomalyAlerts = (alerts) =>
+  saveSetting(boardSettingKey(SETTINGS.anomalyAlerts), alerts);
+
+// Undo history (used by undo.js), one per board. Not copied with the board.
+export const getUndoHistory = () =>
+  getSetting(boardSettingKey(SETTINGS.undoHistory), null);
+
+export const saveUndoHistory = (history, boardId = activeBoardId) =>
+  saveSetting(boardSettingKey(SETTINGS.undoHistory, boardId), history);
+
+// Snapshots (used by history.js): every save of the active board, keyed by id
+export const getSnapshots = () => snapshotsCache;
+
+export const saveSnapshot = (snapshot) => {
+  snapshotsCache = { ...snapshotsCache, [snapshot.id]: snapshot };
+  const record = {
+    ...snapshot,
+    key: snapshotKey(activeBoardId, snapshot.id),
+    boardId: activeBoardId,
+  };
+  return reportErrors(
+    withTransaction(STORES.snapshots, 'readwrite', (store) => store.put(record))
+  );
 };
 
-export const saveBranding = (branding) => {
-  localStorage.setItem(BRANDING_KEY, JSON.stringify(branding));
+export const deleteSnapshot = (id) => {
+  const { [id]: _removed, ...rest } = snapshotsCache;
+  snapshotsCache = rest;
+  const key = snapshotKey(activeBoardId, id);
+  return reportErrors(
+    withTransaction(STORES.snapshots, 'readwrite', (store) => store.delete(key))
+  );
 };
 
-// Categories
-export const getCategories = () => {
-  const stored = localStorage.getItem(CATEGORIES_KEY);
-  if (stored) {
-    try {
-      return JSON.parse(stored);
-    } catch {
-      return DEFAULT_CATEGORIES;
-    }
-  }
-  return DEFAULT_CATEGORIES;
+export const clearSnapshots = () => {
+  const keys = Object.keys(snapshotsCache).map((id) => snapshotKey(activeBoardId, id));
+  snapshotsCache = {};
+  return reportErrors(
+    withTransaction(STORES.snapshots, 'readwrite', (store) => {
+      keys.forEach((key) => store.delete(key));
+    })
+  );
 };
 
-export const saveCategories = (categories) => {
-  localStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories));
+// Boards
+export const getBoards = () =>
+  getSetting(BOARDS_SETTING, [{ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME }]);
+
+export const getActiveBoardId = () => activeBoardId;
+
+/**
+ * Make another board active and load its data
+ * @param {string} boardId
+ * @returns {Promise<boolean>}
+ */
+export const switchBoard = (boardId) => {
+  settingsCache = { ...settingsCache, [ACTIVE_BOARD_SETTING]: boardId };
+  return reportErrors(
+    Promise.all([
+      loadBoard(boardId),
+      withTransaction(STORES.settings, 'readwrite', (store) =>
+        store.put(boardId, ACTIVE_BOARD_SETTING)
+      ),
+    ])
+  );
+};
+
+/**
+ * Create an empty board with default categories and branding
+ * @param {string} name
+ * @returns {Promise<Object>} The new board
+ */
+export const createBoard = async (name) => {
+  const board = { id: generateId(), name: name.trim(), createdAt: new Date().toISOString() };
+  // Start empty rather than with the demo trends
+  await saveSetting(boardSettingKey(SETTINGS.trendOrder, board.id), []);
+  await saveSetting(BOARDS_SETTING, [...getBoards(), board]);
+  return board;
+};
+
+/**
+ * Rename a board
+ * @param {string} boardId
+ * @param {string} name
+ */
+export const renameBoard = (boardId, name) => {
+  const boards = getBoards().map((b) => (b.id === boardId ? { ...b, name: name.trim() } : b));
+  return saveSetting(BOARDS_SETTING, boards);
+};
+
+/**
+ * Copy a board with its trends, images, categories, branding and history
+ * @param {string} boardId
+ * @param {string} name
+ * @returns {Promise<Object|null>} The new board, or null if the copy failed
+ */
+export const duplicateBoard = async (boardId, name) => {
+  const board = { id: generateId(), name: name.trim(), createdAt: new Date().toISOString() };
+
+  const write = async () => {
+    const [records, snapshots] = await Promise.all([
+      getAllByIndex(STORES.trends, 'boardId', boardId),
+      getAllByIndex(STORES.snapshots, 'boardId', boardId),
+    ]);
+    const blobs = await Promise.all(
+      records.map((r) => (r.imageKey ? getRecord(STORES.images, r.imageKey) : null))
+    );
+
+    // Trend ids are global, so the copy gets fresh ones
+    const idMap = new Map(records.map((r) => [r.id, generateId()]));
+    const order = settingsCache[boardSettingKey(SETTINGS.trendOrder, boardId)] || [];
+    const links = settingsCache[boardSettingKey(SETTINGS.trendLinks, boardId)];
+    const copiedSettings = BOARD_SETTINGS.map((setting) => {
+      let value = settingsCache[boardSettingKey(setting, boardId)];
+      if (setting === SETTINGS.trendOrder) {
+        value = order.map((id) => idMap.get(id)).filter(Boolean);
+      } else if (setting === SETTINGS.trendLinks && links) {
+        value = Object.fromEntries(
+          Object.entries(links).map(([from, to]) => [idMap.get(from) || from, idMap.get(to) || to])
+        );
+      }
+      return [boardSettingKey(setting, board.id), value];
+    }).filter(([, value]) => value !== undefined);
+
+    await withTransaction(
+      [STORES.trends, STORES.images, STORES.snapshots, STORES.settings],
+      'readwrite',
+      ([trendStore, imageStore, snapshotStore, settingsStore]) => {
+        records.forEach((record, i) => {
+          const id = idMap.get(record.id);
+          const { imageKey: _imageKey, ...copy } = record;
+          if (blobs[i]) {
+            imageStore.put(blobs[i], id);
+            trendStore.put({ ...copy, id, boardId: board.id, imageKey: id });
+          } else {
+            trendStore.put({ ...copy, id, boardId: board.id });
+          }
+        });
+
+        snapshots.forEach((snapshot) => {
+          snapshotStore.put({
+            ...snapshot,
+            key: snapshotKey(board.id, snapshotId(snapshot)),
+            boardId: board.id,
+            trends: snapshot.trends.map((t) => ({ ...t, id: idMap.get(t.id) || t.id })),
+          });
+        });
+
+        copiedSettings.forEach(([key, value]) => settingsStore.put(value, key));
+      }
+    );
+
+    copiedSettings.forEach(([key, value]) => {
+      settingsCache = { ...settingsCache, [key]: value };
+    });
+  };
+
+  const ok = await reportErrors(write());
+  if (!ok) return null;
+  await saveSetting(BOARDS_SETTING, [...getBoards(), board]);
+  return board;
 };
 
+/**
+ * Delete a board and everything stored for it. The last board cannot be deleted.
+ * If the active board is deleted, the first remaining board becomes active.
+ * @param {string} boardId
+ * @returns {Promise<boolean>}
+ */
+export const deleteBoard = async (boardId) => {
+  const boards = getBoards();
+  if (boards.length <= 1) return false;
+
+  const remaining = boards.filter((b) => b.id !== boardId);
+
+  const write = async () => {
+    const [records, snapshots] = await Promise.all([
+      getAllByIndex(STORES.trends, 'boardId', boardId),
+      getAllByIndex(STORES.snapshots, 'boardId', boardId),
+    ]);
+
+    await withTransaction(
+      [STORES.trends, STORES.images, STORES.snapshots, STORES.settings],
+      'readwrite',
+      ([trendStore, imageStore, snapshotStore, settingsStore]) => {
+        records.forEach((record) => {
+          trendStore.delete(record.id);
+          if (record.imageKey) imageStore.delete(record.imageKey);
+        });
+        snapshots.forEach((snapshot) => snapshotStore.delete(snapshot.key));
+        [...BOARD_SETTINGS, SETTINGS.undoHistory, SETTINGS.refreshStatus, SETTINGS.anomalyAlerts].forEach((setting) =>
+          settingsStore.delete(boardSettingKey(setting, boardId))
+        );
+        settingsStore.put(remaining, BOARDS_SETTING);
+      }
+    );
+
+    const nextCache = { ...settingsCache, [BOARDS_SETTING]: remaining };
+    [...BOARD_SETTINGS, SETTINGS.undoHistory, SETTINGS.refreshStatus, SETTINGS.anomalyAlerts].forEach((setting) => {
+      delete nextCache[boardSettingKey(setting, boardId)];
+    });
+    settingsCache = nextCache;
+  };
+
+  const ok = await reportErrors(write());
+  if (ok && boardId === activeBoardId) {
+    return switchBoard(remaining[0].id);
+  }
+  return ok;
+};
+
+// Whole-project dump/restore (used by backup.js)
+
+/**
+ * Read every board, record, setting and image
+ * @returns {Promise<{ boards: Array, watchlist: Object|null, preferences: Object|null, images: Object }>}
+ *   Each board carries its branding, categories, trend links, snapshot settings, ordered
+ *   trend records and snapshots;
+ *   images maps image key -> Blob
+ */
+export async function dumpData() {
+  const [trends, snapshots, settings, images] = await Promise.all([
+    getAllRecords(STORES.trends),
+    getAllRecords(STORES.snapshots),
+    getAllEntries(STORES.settings),
+    getAllEntries(STORES.images),
+  ]);
+
+  const boards = (settings[BOARDS_SETTING] || []).map((board) => {
+    const order = settings[boardSettingKey(SETTINGS.trendOrder, board.id)] || [];
+    const boardTrends = trends
+      .filter((t) => t.boardId === board.id)
+      .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+      .map((record) => {
+        const { boardId: _boardId, ...trend } = record;
+        return trend;
+      });
+
+    return {
+      ...board,
+      branding: settings[boardSettingKey(SETTINGS.branding, board.id)] ?? null,
+      categories: settings[boardSettingKey(SETTINGS.categories, board.id)] ?? null,
+      trendLinks: settings[boardSettingKey(SETTINGS.trendLinks, board.id)] ?? null,
+      snapshotSettings: settings[boardSettingKey(SETTINGS.snapshotSettings, board.id)] ?? null,
+      scoringModels: settings[boardSettingKey(SETTINGS.scoringModels, board.id)] ?? null,
+      refreshSettings: settings[boardSettingKey(SETTINGS.refreshSettings, board.id)] ?? null,
+      anomalySettings: settings[boardSettingKey(SETTINGS.anomalySettings, board.id)] ?? null,
+      trends: boardTrends,
+      snapshots: snapshots
+        .filter((s) => s.boardId === board.id)
+        .map((record) => {
+          const { key: _key, boardId: _boardId, ...snapshot } = record;
+          return { ...snapshot, id: snapshotId(record) };
+        }),
+    };
+  });
+
+  return {
+    boards,
+    watchlist: settings[SETTINGS.watchlist] ?? null,
+    preferences: settings[SETTINGS.preferences] ?? null,
+    images,
+  };
+}
+
+/**
+ * Replace everything stored with a dump in the dumpData() shape, then reload
+ * the caches. The active board is kept if it still exists.
+ * @param {Object} data
+ * @param {Object} options
+ * @param {boolean} options.keepSettings - Only overwrite the settings the dump
+ *   carries and keep every other one, for merging into the current data
+ * @returns {Promise<boolean>}
+ */
+export async function restoreData(data, { keepSettings = false } = {}) {
+  const write = async () => {
+    const migrated = settingsCache[MIGRATED_SETTING] || new Date().toISOString();
+    const boards = data.boards.map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+    const nextActive = boards.some((b) => b.id === activeBoardId)
+      ? activeBoardId
+      : boards[0]?.id || DEFAULT_BOARD_ID;
+
+    await withTransaction(
+      [STORES.trends, STORES.images, STORES.snapshots, STORES.settings],
+      'readwrite',
+      ([trendStore, imageStore, snapshotStore, settingsStore]) => {
+        const cleared = keepSettings
+          ? [trendStore, imageStore, snapshotStore]
+          : [trendStore, imageStore, snapshotStore, settingsStore];
+        cleared.forEach((store) => store.clear());
+
+        data.boards.forEach((board) => {
+          board.trends.forEach((trend) => trendStore.put({ ...trend, boardId: board.id }));
+          board.snapshots.forEach((snapshot) => {
+            snapshotStore.put({
+              ...snapshot,
+              key: snapshotKey(board.id, snapshotId(snapshot)),
+              boardId: board.id,
+            });
+          });
+          settingsStore.put(board.trends.map((t) => t.id), boardSettingKey(SETTINGS.trendOrder, board.id));
+          if (board.branding) settingsStore.put(board.branding, boardSettingKey(SETTINGS.branding, board.id));
+          if (board.categories) settingsStore.put(board.categories, boardSettingKey(SETTINGS.categories, board.id));
+          if (board.trendLinks) settingsStore.put(board.trendLinks, boardSettingKey(SETTINGS.trendLinks, board.id));
+          if (board.snapshotSettings) {
+            settingsStore.put(board.snapshotSettings, boardSettingKey(SETTINGS.snapshotSettings, board.id));
+          }
+          if (board.scoringModels) {
+            settingsStore.put(board.scoringModels, boardSettingKey(SETTINGS.scoringModels, board.id));
+          }
+          if (board.refreshSettings) {
+            settingsStore.put(board.refreshSettings, boardSettingKey(SETTINGS.refreshSettings, board.id));
+          }
+          if (board.anomalySettings) {
+            settingsStore.put(board.anomalySettings, boardSettingKey(SETTINGS.anomalySettings, board.id));
+          }
+        });
+
+        Object.entries(data.images).forEach(([key, blob]) => imageStore.put(blob, key));
+
+        if (data.watchlist) settingsStore.put(data.watchlist, SETTINGS.watchlist);
+        if (data.preferences) settingsStore.put(data.preferences, SETTINGS.preferences);
+        settingsStore.put(boards, BOARDS_SETTING);
+        settingsStore.put(nextActive, ACTIVE_BOARD_SETTING);
+        settingsStore.put(migrated, MIGRATED_SETTING);
+      }
+    );
+
+    settingsCache = await getAllEntries(STORES.settings);
+    await loadBoard(nextActive);
+  };
+
+  return reportErrors(write());
+}
+
 // Generate unique ID
 export const generateId = () => {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -0,0 +1,156 @@
+// Storage against an in-memory IndexedDB. Each test starts from an empty
+// database; reload() reads it back the way a page load would.
+
+import { describe, expect, it, vi } from 'vitest';
+import { memoryStorage, readImage, reloadStorage as reload, setupFakeStorage } from '../test/storage';
+
+const IMAGE = 'data:text/plain;base64,aW1hZ2U='; // "image"
+
+setupFakeStorage();
+
+describe('trends', () => {
+  it('start with the demo trends', async () => {
+    const storage = await reload();
+    expect(storage.getTrends()).toBe(storage.DEFAULT_TRENDS);
+  });
+
+  it('are read back in order after a reload', async () => {
+    let storage = await reload();
+    await storage.saveTrends([
+      { id: 'b', name: 'Second', category: 'memes', size: 10, change: 1.5 },
+      { id: 'a', name: 'First', category: 'memes', size: 20, change: -2 },
+    ]);
+
+    storage = await reload();
+    expect(storage.getTrends()).toEqual([
+      { id: 'b', name: 'Second', category: 'memes', size: 10, change: 1.5, image: '' },
+      { id: 'a', name: 'First', category: 'memes', size: 20, change: -2, image: '' },
+    ]);
+  });
+
+  it('keep inline images as blobs', async () => {
+    let storage = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A', image: IMAGE }]);
+
+    storage = await reload();
+    const [trend] = storage.getTrends();
+    expect(trend.image).toMatch(/^blob:/);
+    expect(await readImage(trend.image)).toBe('image');
+  });
+
+  it('are deleted when removed before their first write finishes', async () => {
+    let storage = await reload();
+    const a = { id: 'a', name: 'A' };
+    storage.saveTrends([a, { id: 'b', name: 'B' }]);
+    await storage.saveTrends([a]);
+
+    storage = await reload();
+    expect(storage.getTrends().map((t) => t.id)).toEqual(['a']);
+  });
+
+  it('keep their image when removed and added back', async () => {
+    let storage = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A', image: IMAGE }]);
+
+    storage = await reload();
+    const [trend] = storage.getTrends();
+    await storage.saveTrends([]);
+    await storage.saveTrends([trend]);
+
+    storage = await reload();
+    expect(await readImage(storage.getTrends()[0].image)).toBe('image');
+  });
+});
+
+describe('settings', () => {
+  it('are read back after a reload', async () => {
+    let storage = await reload();
+    await storage.saveBranding({ ...storage.DEFAULT_BRANDING, title: 'MY MAP' });
+
+    storage = await reload();
+    expect(storage.getBranding().title).toBe('MY MAP');
+  });
+
+  it('are handed out as copies', async () => {
+    const storage = await reload();
+    storage.getCategories().push({ id: 'extra' });
+    expect(storage.getCategories()).toEqual(storage.DEFAULT_CATEGORIES);
+  });
+});
+
+describe('migration', () => {
+  it('moves localStorage data into IndexedDB once', async () => {
+    vi.stubGlobal('localStorage', memoryStorage({
+      'culture-heatmap-trends': JSON.stringify([{ id: 'x', name: 'Old', image: IMAGE }]),
+      'culture-heatmap-branding': JSON.stringify({ title: 'OLD MAP' }),
+    }));
+
+    let storage = await reload();
+    expect(storage.getTrends().map((t) => t.name)).toEqual(['Old']);
+    expect(storage.getBranding()).toEqual({ title: 'OLD MAP' });
+    expect(localStorage.getItem('culture-heatmap-trends')).toBeNull();
+
+    storage = await reload();
+    expect(await readImage(storage.getTrends()[0].image)).toBe('image');
+  });
+});
+
+describe('errors', () => {
+  it('report a startup failure to the first subscriber', async () => {
+    globalThis.indexedDB = undefined;
+    const storage = await reload();
+
+    const first = vi.fn();
+    const second = vi.fn();
+    storage.subscribeStorageErrors(first);
+    storage.subscribeStorageErrors(second);
+    expect(first).toHaveBeenCalledWith(expect.any(storage.StorageInitError));
+    expect(second).not.toHaveBeenCalled();
+  });
+});
+
+describe('boards', () => {
+  it('keep their own trends and settings', async () => {
+    let storage = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A' }]);
+    const board = await storage.createBoard('  Second ');
+    expect(board.name).toBe('Second');
+
+    await storage.switchBoard(board.id);
+    expect(storage.getTrends()).toEqual([]);
+    await storage.saveTrends([{ id: 'b', name: 'B' }]);
+    await storage.saveBranding({ ...storage.DEFAULT_BRANDING, title: 'SECOND' });
+
+    storage = await reload();
+    expect(storage.getActiveBoardId()).toBe(board.id);
+    expect(storage.getTrends().map((t) => t.id)).toEqual(['b']);
+
+    await storage.switchBoard(storage.DEFAULT_BOARD_ID);
+    expect(storage.getTrends().map((t) => t.id)).toEqual(['a']);
+    expect(storage.getBranding().title).toBe(storage.DEFAULT_BRANDING.title);
+  });
+
+  it('are copied with fresh trend ids and their images', async () => {
+    let storage = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A', image: IMAGE }]);
+    const copy = await storage.duplicateBoard(storage.DEFAULT_BOARD_ID, 'Copy');
+
+    await storage.switchBoard(copy.id);
+    const [trend] = storage.getTrends();
+    expect(trend.name).toBe('A');
+    expect(trend.id).not.toBe('a');
+    expect(await readImage(trend.image)).toBe('image');
+  });
+
+  it('switch to the first remaining board when the active one is deleted', async () => {
+    const storage = await reload();
+    const board = await storage.createBoard('Second');
+    await storage.switchBoard(board.id);
+    await storage.saveTrends([{ id: 'b', name: 'B' }]);
+
+    expect(await storage.deleteBoard(board.id)).toBe(true);
+    expect(storage.getActiveBoardId()).toBe(storage.DEFAULT_BOARD_ID);
+    expect(storage.getBoards().map((b) => b.id)).toEqual([storage.DEFAULT_BOARD_ID]);
+    expect(await storage.deleteBoard(storage.DEFAULT_BOARD_ID)).toBe(false);
+  });
+});
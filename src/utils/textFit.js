@@ -0,0 +1,165 @@
+// Text fitting: the largest font size at which a label fits its box, wrapping
+// onto more lines and hyphenating or truncating long words only when it must
+
+const FONT_FAMILY = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const REFERENCE_SIZE = 100; // Widths are measured once at this size and scaled
+const WIDTH_SLACK = 0.96; // The web font may not have loaded when measuring
+const MIN_HYPHEN_PART = 3; // Letters kept on either side of a hyphen
+const MIN_HYPHEN_WORD = 9; // Shorter words break only when nothing else fits
+const HYPHEN_GAIN = 1.25; // Hyphenate only for a font this much larger than whole words allow
+const ELLIPSIS = '…';
+
+// Rough em widths of bold capitals, for when there's no canvas to measure with
+const FALLBACK_WIDTHS = [
+  [/\s/, 0.28],
+  [/[IJ1!.,:;'|]/, 0.32],
+  [/[MW@%]/, 0.92],
+  [/[A-Z0-9]/, 0.68],
+];
+const FALLBACK_WIDTH = 0.62;
+
+const widths = new Map(); // `${weight}|${text}` -> width at 1px
+let context;
+
+// Measurements taken before the web font arrived are off, so start over
+if (typeof document !== 'undefined' && document.fonts) {
+  document.fonts.ready.then(() => widths.clear());
+}
+
+function getContext() {
+  if (context === undefined) {
+    context = typeof document !== 'undefined'
+      ? document.createElement('canvas').getContext('2d')
+      : null;
+  }
+  return context;
+}
+
+function measureAtOnePixel(text, weight) {
+  const ctx = getContext();
+  if (!ctx) {
+    return [...text].reduce(
+      (sum, char) => sum + (FALLBACK_WIDTHS.find(([pattern]) => pattern.test(char))?.[1] ?? FALLBACK_WIDTH),
+      0
+    );
+  }
+  ctx.font = `${weight} ${REFERENCE_SIZE}px ${FONT_FAMILY}`;
+  return ctx.measureText(text).width / REFERENCE_SIZE;
+}
+
+/**
+ * Width of a line of text in pixels
+ * @param {string} text
+ * @param {number} fontSize
+ * @param {Object} [font]
+ * @param {number} [font.weight=700]
+ * @param {number} [font.letterSpacing=0] - In em, as in CSS
+ * @param {boolean} [font.uppercase=true] - Set when the text is shown with text-transform: uppercase
+ * @returns {number}
+ */
+export function measureText(text, fontSize, { weight = 700, letterSpacing = 0, uppercase = true } = {}) {
+  const shown = uppercase ? text.toUpperCase() : text;
+  const key = `${weight}|${shown}`;
+  if (!widths.has(key)) widths.set(key, measureAtOnePixel(shown, weight));
+  return (widths.get(key) + letterSpacing * shown.length) * fontSize;
+}
+
+// Longest start of a word that fits with a hyphen after it, 0 if none does
+function findHyphenation(word, fits) {
+  for (let cut = word.length - MIN_HYPHEN_PART; cut >= MIN_HYPHEN_PART; cut--) {
+    if (fits(`${word.slice(0, cut)}-`)) return cut;
+  }
+  return 0;
+}
+
+/**
+ * Break words into lines that fit
+ * @param {Array<string>} words
+ * @param {Function} fits - Whether a line fits
+ * @param {number} minHyphenWord - Shortest word that may be hyphenated
+ * @returns {Array<string>|null} null when a word doesn't fit and can't be hyphenated
+ */
+function wrapWords(words, fits, minHyphenWord) {
+  const lines = [];
+  const queue = [...words];
+  let line = '';
+  while (queue.length > 0) {
+    const word = queue.shift();
+    const candidate = line ? `${line} ${word}` : word;
+    if (fits(candidate)) {
+      line = candidate;
+    } else if (line) {
+      lines.push(line);
+      line = '';
+      queue.unshift(word);
+    } else {
+      // A word too wide for a line of its own
+      const cut = word.length >= minHyphenWord ? findHyphenation(word, fits) : 0;
+      if (!cut) return null;
+      lines.push(`${word.slice(0, cut)}-`);
+      queue.unshift(word.slice(cut));
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Trim a line until it fits with an ellipsis after it
+function ellipsize(line, fits) {
+  let text = line.replace(/-$/, '');
+  while (text && !fits(`${text}${ELLIPSIS}`)) text = text.slice(0, -1);
+  return `${text.trimEnd()}${ELLIPSIS}`;
+}
+
+/**
+ * The largest font size at which text fits a box. Whole words are wrapped onto
+ * up to maxLines lines; long words are hyphenated when that buys a clearly
+ * larger font, and text that doesn't fit even at minSize is cut short with an
+ * ellipsis.
+ * @param {string} text
+ * @param {Object} box
+ * @param {number} box.width
+ * @param {number} box.height
+ * @param {number} box.minSize - Smallest font size, px
+ * @param {number} box.maxSize - Largest font size, px
+ * @param {number} [box.lineHeight=1.1]
+ * @param {number} [box.maxLines=3]
+ * @param {Object} [box.font] - As for measureText()
+ * @returns {{ fontSize: number, lines: Array<string>, width: number, height: number,
+ *   truncated: boolean }} width and height of the laid out text
+ */
+export function fitText(text, { width, height, minSize, maxSize, lineHeight = 1.1, maxLines = 3, font }) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const maxWidth = width * WIDTH_SLACK;
+  const lineLimit = (size) => Math.min(maxLines, Math.floor(height / (size * lineHeight)));
+  const fitter = (size) => (line) => measureText(line, size, font) <= maxWidth;
+  const result = (size, lines, truncated) => ({
+    fontSize: size,
+    lines,
+    width: Math.max(0, ...lines.map((line) => measureText(line, size, font))),
+    height: lines.length * size * lineHeight,
+    truncated,
+  });
+
+  const largest = (minHyphenWord, smallest) => {
+    for (let size = Math.floor(maxSize); size >= smallest; size--) {
+      const lines = wrapWords(words, fitter(size), minHyphenWord);
+      if (lines && lines.length <= lineLimit(size)) return result(size, lines, false);
+    }
+    return null;
+  };
+
+  const whole = largest(Infinity, minSize);
+  const hyphenated = largest(MIN_HYPHEN_WORD, whole ? Math.ceil(whole.fontSize * HYPHEN_GAIN) : minSize);
+  if (hyphenated || whole) return hyphenated || whole;
+
+  // Nothing fits: the smallest size, with whatever doesn't fit cut short
+  const fits = fitter(minSize);
+  const count = Math.max(lineLimit(minSize), 1);
+  const lines = (wrapWords(words, fits, MIN_HYPHEN_PART * 2) || [words.join(' ')]).slice(0, count);
+  return result(
+    minSize,
+    [...lines.slice(0, -1), ellipsize(lines[lines.length - 1], fits)],
+    true
+  );
+}
@@ -0,0 +1,72 @@
+// Fitting block labels to their boxes. Without a canvas (as here) widths come
+// from rough per-letter estimates.
+
+import { describe, expect, it } from 'vitest';
+import { fitText, measureText } from './textFit';
+
+describe('measureText', () => {
+  it('estimates widths of capitals without a canvas', () => {
+    expect(measureText('Saturn', 10)).toBeCloseTo(40.8); // Six wide capitals
+    expect(measureText('Saturn', 20)).toBeCloseTo(81.6);
+    expect(measureText('Hi.', 10, { uppercase: false })).toBeCloseTo(16.2);
+  });
+
+  it('adds letter spacing per character', () => {
+    expect(measureText('Saturn', 10, { letterSpacing: 0.1 })).toBeCloseTo(46.8);
+  });
+});
+
+describe('fitText', () => {
+  const fitsIn = (fit, width) => fit.lines.every((line) => measureText(line, fit.fontSize) <= width);
+
+  it('uses the largest size when the text fits', () => {
+    expect(fitText('APT.', { width: 200, height: 100, minSize: 10, maxSize: 40 })).toEqual({
+      fontSize: 40,
+      lines: ['APT.'],
+      width: expect.closeTo(94.4),
+      height: 44,
+      truncated: false,
+    });
+  });
+
+  it('wraps whole words onto more lines for a larger size', () => {
+    const fit = fitText('Very Demure Trend', { width: 120, height: 200, minSize: 10, maxSize: 60 });
+    expect(fit).toMatchObject({ fontSize: 26, lines: ['Very', 'Demure', 'Trend'], truncated: false });
+    expect(fit.height).toBeCloseTo(3 * 26 * 1.1);
+  });
+
+  it('keeps to the line limit', () => {
+    const fit = fitText('Very Demure Trend', { width: 120, height: 200, minSize: 10, maxSize: 60, maxLines: 2 });
+    expect(fit).toMatchObject({ fontSize: 15, lines: ['Very Demure', 'Trend'] });
+  });
+
+  it('hyphenates long words when that allows a clearly larger size', () => {
+    const box = { width: 100, height: 200, minSize: 8, maxSize: 40 };
+    const fit = fitText('Extraordinarily', box);
+
+    expect(fit.fontSize).toBeGreaterThanOrEqual(13); // Unbroken, it fits at 10
+    expect(fit.lines.length).toBeGreaterThan(1);
+    expect(fit.lines.slice(0, -1).every((line) => line.endsWith('-'))).toBe(true);
+    expect(fit.lines.join('').replaceAll('-', '')).toBe('Extraordinarily');
+    expect(fit.lines.every((line) => line.replace('-', '').length >= 3)).toBe(true);
+    expect(fitsIn(fit, 100)).toBe(true);
+  });
+
+  it('does not break short words', () => {
+    const fit = fitText('Demure', { width: 40, height: 200, minSize: 8, maxSize: 40 });
+    expect(fit).toMatchObject({ fontSize: 8, lines: ['Demure'], truncated: false });
+  });
+
+  it('cuts text short with an ellipsis when nothing fits', () => {
+    const fit = fitText('The quick brown fox jumps over the lazy dog', {
+      width: 60,
+      height: 12,
+      minSize: 10,
+      maxSize: 20,
+    });
+    expect(fit).toMatchObject({ fontSize: 10, truncated: true });
+    expect(fit.lines).toHaveLength(1);
+    expect(fit.lines[0]).toMatch(/^The .*…$/);
+    expect(fitsIn(fit, 60)).toBe(true);
+  });
+});
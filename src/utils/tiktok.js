@@ -2,7 +2,7 @@
 // Popular APIs: "TikTok Data API", "Tiktok API", "TikTok Scraper"
 // Cost: ~$15-30/month depending on usage
 
-const TIKTOK_KEY_STORAGE = 'culture-heatmap-tiktok-rapidapi';
+export const TIKTOK_KEY_STORAGE = 'culture-heatmap-tiktok-rapidapi';
 const RAPIDAPI_HOST = 'tiktok-api23.p.rapidapi.com'; // One of the popular TikTok APIs
 
 /**
@@ -0,0 +1,323 @@
+// Time-lapse export: turns captured snapshot frames into a video or animated GIF
+
+import { encodeGif } from './gif';
+import { formatPeriod } from './history';
+
+const FONT = "'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif";
+const ACCENT = '#00FF66';
+
+export const TIMELAPSE_FORMATS = [
+  { id: 'mp4', label: 'MP4', extension: 'mp4', mimeTypes: ['video/mp4;codecs=avc1', 'video/mp4'] },
+  {
+    id: 'webm',
+    label: 'WebM',
+    extension: 'webm',
+    mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+  },
+  { id: 'gif', label: 'GIF', extension: 'gif', hint: 'half size' },
+];
+
+export const TIMELAPSE_TRANSITIONS = [
+  { id: 'cut', label: 'Cut' },
+  { id: 'crossfade', label: 'Crossfade' },
+  { id: 'slide', label: 'Slide' },
+];
+
+export const DEFAULT_TIMELAPSE_OPTIONS = {
+  format: 'webm',
+  frameDuration: 1.5, // seconds each period stays on screen
+  transition: 'crossfade',
+  transitionDuration: 0.5, // seconds
+  intro: true,
+  outro: true,
+};
+
+const VIDEO_FPS = 30;
+const GIF_FPS = 12;
+const GIF_SCALE = 0.5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Recorder mime type for a video format, or null when the browser can't record it
+ * @param {string} formatId
+ * @returns {string | null}
+ */
+export function getSupportedMimeType(formatId) {
+  const format = TIMELAPSE_FORMATS.find((f) => f.id === formatId);
+  if (!format?.mimeTypes || typeof MediaRecorder === 'undefined') return null;
+  return format.mimeTypes.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Whether this browser can produce a format. GIFs are encoded in script, so
+ * they always work.
+ * @param {string} formatId
+ * @returns {boolean}
+ */
+export function isFormatSupported(formatId) {
+  return formatId === 'gif' || getSupportedMimeType(formatId) !== null;
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Draw the period a frame shows in its top-right corner
+ * @param {HTMLCanvasElement} canvas - Captured heatmap, drawn on in place
+ * @param {string} periodKey
+ * @returns {HTMLCanvasElement}
+ */
+export function stampPeriod(canvas, periodKey) {
+  const ctx = canvas.getContext('2d');
+  const label = formatPeriod(periodKey).toUpperCase();
+
+  ctx.font = `700 18px ${FONT}`;
+  const textWidth = ctx.measureText(label).width;
+  const x = canvas.width - 30 - textWidth - 24;
+
+  ctx.fillStyle = ACCENT;
+  ctx.fillRect(x, 16, textWidth + 24, 32);
+  ctx.fillStyle = '#000000';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x + 12, 33);
+
+  return canvas;
+}
+
+/**
+ * Branded title card for the start or end of a time-lapse
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} branding
+ * @param {{ heading: string, subheading?: string, detail?: string }} text
+ * @returns {HTMLCanvasElement}
+ */
+export function createCard(width, height, branding, { heading, subheading, detail }) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const centerY = height / 2;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `700 96px ${FONT}`;
+  ctx.fillText(heading.toUpperCase(), width / 2, centerY - 40, width - 120);
+
+  if (subheading) {
+    ctx.fillStyle = '#888888';
+    ctx.font = `400 32px ${FONT}`;
+    ctx.fillText(subheading, width / 2, centerY + 40, width - 120);
+  }
+
+  if (detail) {
+    ctx.fillStyle = ACCENT;
+    ctx.font = `600 28px ${FONT}`;
+    ctx.fillText(detail.toUpperCase(), width / 2, centerY + 110, width - 120);
+  }
+
+  // Brand line, matching the heatmap footer
+  ctx.fillStyle = '#222222';
+  ctx.fillRect(0, height - 80, width, 1);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `600 22px ${FONT}`;
+  ctx.fillText(branding.footerBrand || '', width / 2, height - 40);
+
+  return canvas;
+}
+
+/**
+ * Plan the time-lapse: hold each frame, with transitions between them
+ * @param {HTMLCanvasElement[]} frames - Cards and stamped heatmap captures, in order
+ * @param {Object} options - See DEFAULT_TIMELAPSE_OPTIONS
+ * @returns {Array<{ from: HTMLCanvasElement, to?: HTMLCanvasElement, transition?: string, duration: number }>}
+ *   Durations in ms
+ */
+export function buildSequence(frames, options) {
+  const hold = Math.max(0.1, Number(options.frameDuration) || 0) * 1000;
+  const fade = Math.max(0, Number(options.transitionDuration) || 0) * 1000;
+  const segments = [];
+
+  frames.forEach((frame, i) => {
+    segments.push({ from: frame, duration: hold });
+    const next = frames[i + 1];
+    if (next && options.transition !== 'cut' && fade > 0) {
+      segments.push({ from: frame, to: next, transition: options.transition, duration: fade });
+    }
+  });
+
+  return segments;
+}
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/**
+ * Draw one moment of a segment
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} segment
+ * @param {number} progress - 0 to 1 through the segment
+ */
+function drawSegment(ctx, segment, progress) {
+  const { width, height } = ctx.canvas;
+  const t = easeInOut(Math.min(1, Math.max(0, progress)));
+
+  ctx.globalAlpha = 1;
+  if (!segment.to) {
+    ctx.drawImage(segment.from, 0, 0, width, height);
+    return;
+  }
+
+  if (segment.transition === 'slide') {
+    ctx.drawImage(segment.from, -t * width, 0, width, height);
+    ctx.drawImage(segment.to, (1 - t) * width, 0, width, height);
+    return;
+  }
+
+  ctx.drawImage(segment.from, 0, 0, width, height);
+  ctx.globalAlpha = t;
+  ctx.drawImage(segment.to, 0, 0, width, height);
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * Record the sequence in real time with MediaRecorder
+ * @param {Array} segments - From buildSequence
+ * @param {{ width: number, height: number, mimeType: string, onProgress?: Function }} options
+ * @returns {Promise<Blob>}
+ */
+export async function encodeVideo(segments, { width, height, mimeType, onProgress }) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(VIDEO_FPS);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  drawSegment(ctx, segments[0], 0);
+  recorder.start();
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < segment.duration) {
+      drawSegment(ctx, segment, elapsed / segment.duration);
+      await wait(1000 / VIDEO_FPS);
+      elapsed = performance.now() - start;
+    }
+    onProgress?.((i + 1) / segments.length);
+  }
+
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach((track) => track.stop());
+
+  return new Blob(chunks, { type: mimeType.split(';')[0] });
+}
+
+/**
+ * Encode the sequence as an animated GIF at half size
+ * @param {Array} segments - From buildSequence
+ * @param {{ width: number, height: number, onProgress?: Function }} options
+ * @returns {Promise<Blob>}
+ */
+export async function encodeGifSequence(segments, { width, height, onProgress }) {
+  const canvas = createCanvas(Math.round(width * GIF_SCALE), Math.round(height * GIF_SCALE));
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const frames = [];
+
+  const capture = (segment, progress, delay) => {
+    drawSegment(ctx, segment, progress);
+    frames.push({ imageData: ctx.getImageData(0, 0, canvas.width, canvas.height), delay });
+  };
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (!segment.to) {
+      capture(segment, 0, segment.duration);
+    } else {
+      const steps = Math.max(2, Math.round((segment.duration / 1000) * GIF_FPS));
+      for (let step = 1; step <= steps; step++) {
+        capture(segment, step / (steps + 1), segment.duration / steps);
+      }
+    }
+    onProgress?.((i + 1) / segments.length / 2);
+    // Let the progress message paint between frames
+    await wait(0);
+  }
+
+  const blob = encodeGif(frames);
+  onProgress?.(1);
+  return blob;
+}
+
+/**
+ * Build and encode a time-lapse
+ * @param {Array<{ period: string, canvas: HTMLCanvasElement }>} captures - Oldest first
+ * @param {Object} options - See DEFAULT_TIMELAPSE_OPTIONS
+ * @param {{ width: number, height: number, branding: Object, onProgress?: Function }} context
+ * @returns {Promise<Blob>}
+ */
+export async function createTimelapse(captures, options, { width, height, branding, onProgress }) {
+  const frames = captures.map(({ period, canvas }) => stampPeriod(canvas, period));
+
+  if (options.intro) {
+    const first = captures[0].period;
+    const last = captures[captures.length - 1].period;
+    const range = first === last ? formatPeriod(first) : `${formatPeriod(first)} – ${formatPeriod(last)}`;
+    frames.unshift(
+      createCard(width, height, branding, {
+        heading: branding.title,
+        subheading: branding.subtitle,
+        detail: range,
+      })
+    );
+  }
+
+  if (options.outro) {
+    frames.push(
+      createCard(width, height, branding, {
+        heading: branding.footerBrand || branding.title,
+        subheading: branding.context,
+      })
+    );
+  }
+
+  const segments = buildSequence(frames, options);
+
+  if (options.format === 'gif') {
+    return encodeGifSequence(segments, { width, height, onProgress });
+  }
+
+  const mimeType = getSupportedMimeType(options.format);
+  if (!mimeType) throw new Error(`This browser can't record ${options.format.toUpperCase()} video.`);
+  return encodeVideo(segments, { width, height, mimeType, onProgress });
+}
+
+/**
+ * Trigger a download for a generated file
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,31 @@
+// Time-lapse planning
+
+import { describe, expect, it } from 'vitest';
+import { buildSequence } from './timelapse';
+
+describe('buildSequence', () => {
+  const frames = ['intro', 'w1', 'w2'];
+
+  it('holds each frame with a transition to the next', () => {
+    const segments = buildSequence(frames, { frameDuration: 1.5, transition: 'crossfade', transitionDuration: 0.5 });
+    expect(segments).toEqual([
+      { from: 'intro', duration: 1500 },
+      { from: 'intro', to: 'w1', transition: 'crossfade', duration: 500 },
+      { from: 'w1', duration: 1500 },
+      { from: 'w1', to: 'w2', transition: 'crossfade', duration: 500 },
+      { from: 'w2', duration: 1500 },
+    ]);
+  });
+
+  it.each([
+    ['cut', 0.5],
+    ['crossfade', 0],
+  ])('only holds frames with a %s of %ss', (transition, transitionDuration) => {
+    const segments = buildSequence(frames, { frameDuration: 1, transition, transitionDuration });
+    expect(segments.map((s) => s.from)).toEqual(frames);
+  });
+
+  it('holds frames for at least a tenth of a second', () => {
+    expect(buildSequence(['a'], { frameDuration: 0 })).toEqual([{ from: 'a', duration: 100 }]);
+  });
+});
@@ -0,0 +1,264 @@
+// Undo/redo history for trend, category and branding edits.
+// Each board keeps its own history, persisted so it survives a reload.
+
+import { getActiveBoardId, getUndoHistory, saveUndoHistory } from './storage';
+
+const MAX_ENTRIES = 50;
+
+// Consecutive edits with the same label within this window become one entry
+// (e.g. typing into the branding fields)
+const COALESCE_MS = 2000;
+
+let past = [];
+let future = [];
+
+// Object URLs created when restoring persisted images
+let ownUrls = [];
+
+// Image URL -> Promise<Blob|null>, so each image is only read once
+const blobCache = new Map();
+
+const listeners = new Set();
+
+// Writes are chained so they land in the order they were made
+let pendingWrite = Promise.resolve();
+
+/**
+ * Subscribe to history changes
+ * @param {function} listener - Called with getUndoState()
+ * @returns {function} Unsubscribe
+ */
+export function subscribeUndo(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Labels of the next undo/redo steps, or null when there is nothing to do
+ * @returns {{ undoLabel: string | null, redoLabel: string | null }}
+ */
+export function getUndoState() {
+  return {
+    undoLabel: past[past.length - 1]?.label ?? null,
+    redoLabel: future[future.length - 1]?.label ?? null,
+  };
+}
+
+function notify() {
+  const state = getUndoState();
+  listeners.forEach((listener) => listener(state));
+}
+
+/**
+ * Only the trends that differ between two lists, plus the order
+ * @param {Array} trends
+ * @param {Set<string>} ids
+ */
+function trendPatch(trends, ids) {
+  const byId = new Map(trends.map((t) => [t.id, t]));
+  const patch = {};
+  ids.forEach((id) => {
+    patch[id] = byId.get(id) || null;
+  });
+  return { order: trends.map((t) => t.id), trends: patch };
+}
+
+/**
+ * Apply a trend patch on top of the current list
+ * @param {Array} current
+ * @param {{ order: string[], trends: Object }} patch
+ * @returns {Array}
+ */
+function applyTrendPatch(current, patch) {
+  const byId = new Map(current.map((t) => [t.id, t]));
+  Object.entries(patch.trends).forEach(([id, trend]) => {
+    if (trend) byId.set(id, trend);
+    else byId.delete(id);
+  });
+
+  const ordered = patch.order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+  const rest = [...byId.values()].filter((t) => !patch.order.includes(t.id));
+  return [...ordered, ...rest];
+}
+
+/**
+ * Record an edit so it can be undone. Clears the redo stack.
+ * @param {'trends'|'categories'|'branding'} kind
+ * @param {string} label - Shown in the undo/redo button titles
+ * @param {any} before - Value before the edit
+ * @param {any} after - Value after the edit
+ */
+export function recordChange(kind, label, before, after) {
+  const now = Date.now();
+  const last = past[past.length - 1];
+  let entry;
+
+  if (kind === 'trends') {
+    const prevById = new Map(before.map((t) => [t.id, t]));
+    const changedIds = new Set();
+    after.forEach((t) => {
+      if (prevById.get(t.id) !== t) changedIds.add(t.id);
+    });
+    before.forEach((t) => {
+      if (!after.some((n) => n.id === t.id)) changedIds.add(t.id);
+    });
+    const reordered = before.map((t) => t.id).join() !== after.map((t) => t.id).join();
+    if (changedIds.size === 0 && !reordered) return;
+
+    entry = {
+      kind,
+      label,
+      at: now,
+      before: trendPatch(before, changedIds),
+      after: trendPatch(after, changedIds),
+    };
+  } else if (
+    last &&
+    last.kind === kind &&
+    last.label === label &&
+    now - last.at < COALESCE_MS &&
+    future.length === 0
+  ) {
+    past = [...past.slice(0, -1), { ...last, at: now, after }];
+  } else {
+    entry = { kind, label, at: now, before, after };
+  }
+
+  if (entry) past = [...past, entry].slice(-MAX_ENTRIES);
+  future = [];
+  persist();
+  notify();
+}
+
+/**
+ * Work out the state after stepping through the history
+ * @param {Object} entry
+ * @param {'before'|'after'} side
+ * @param {{ trends: Array, categories: Array, branding: Object }} current
+ */
+function resolve(entry, side, current) {
+  const value = entry.kind === 'trends'
+    ? applyTrendPatch(current.trends, entry[side])
+    : entry[side];
+  return { kind: entry.kind, label: entry.label, value };
+}
+
+/**
+ * Step back one edit
+ * @param {{ trends: Array, categories: Array, branding: Object }} current
+ * @returns {{ kind: string, label: string, value: any } | null} The state to apply
+ */
+export function undo(current) {
+  const entry = past[past.length - 1];
+  if (!entry) return null;
+
+  past = past.slice(0, -1);
+  future = [...future, entry];
+  persist();
+  notify();
+  return resolve(entry, 'before', current);
+}
+
+/**
+ * Re-apply the last undone edit
+ * @param {{ trends: Array, categories: Array, branding: Object }} current
+ * @returns {{ kind: string, label: string, value: any } | null} The state to apply
+ */
+export function redo(current) {
+  const entry = future[future.length - 1];
+  if (!entry) return null;
+
+  future = future.slice(0, -1);
+  past = [...past, entry];
+  persist();
+  notify();
+  return resolve(entry, 'after', current);
+}
+
+/**
+ * Every trend referenced by a list of entries
+ * @param {Array} entries
+ */
+function entryTrends(entries) {
+  return entries
+    .filter((entry) => entry.kind === 'trends')
+    .flatMap((entry) => [
+      ...Object.values(entry.before.trends),
+      ...Object.values(entry.after.trends),
+    ])
+    .filter(Boolean);
+}
+
+function readBlob(url) {
+  if (!blobCache.has(url)) {
+    blobCache.set(
+      url,
+      fetch(url)
+        .then((response) => response.blob())
+        .catch(() => null)
+    );
+  }
+  return blobCache.get(url);
+}
+
+/**
+ * Save the history for the active board. Object URLs do not survive a reload,
+ * so the images they point at are stored alongside as Blobs.
+ */
+function persist() {
+  const boardId = getActiveBoardId();
+  const entries = { past, future };
+
+  // Start reading now, before a board switch can revoke the URLs
+  const reads = new Map();
+  entryTrends([...past, ...future]).forEach((trend) => {
+    if (trend.image?.startsWith('blob:')) reads.set(trend.image, readBlob(trend.image));
+  });
+
+  pendingWrite = pendingWrite.then(async () => {
+    const images = {};
+    for (const [url, read] of reads) {
+      images[url] = await read;
+    }
+    await saveUndoHistory({ ...entries, images }, boardId);
+  });
+}
+
+/**
+ * Load the active board's history. Call after the board's trends are loaded.
+ */
+export async function loadUndoHistory() {
+  await pendingWrite;
+
+  ownUrls.forEach((url) => URL.revokeObjectURL(url));
+  ownUrls = [];
+  blobCache.clear();
+
+  const stored = getUndoHistory();
+  past = stored?.past || [];
+  future = stored?.future || [];
+
+  // Point restored trends at fresh object URLs for their stored images
+  const urls = new Map();
+  Object.entries(stored?.images || {}).forEach(([oldUrl, blob]) => {
+    if (!blob) return;
+    const url = URL.createObjectURL(blob);
+    urls.set(oldUrl, url);
+    blobCache.set(url, Promise.resolve(blob));
+    ownUrls.push(url);
+  });
+
+  [...past, ...future]
+    .filter((entry) => entry.kind === 'trends')
+    .forEach((entry) => {
+      [entry.before.trends, entry.after.trends].forEach((patch) => {
+        Object.entries(patch).forEach(([id, trend]) => {
+          if (trend?.image?.startsWith('blob:')) {
+            patch[id] = { ...trend, image: urls.get(trend.image) || '' };
+          }
+        });
+      });
+    });
+
+  notify();
+}
@@ -0,0 +1,95 @@
+// Undo/redo history, persisted through an in-memory IndexedDB
+
+import { describe, expect, it } from 'vitest';
+import { readImage, reloadStorage, setupFakeStorage } from '../test/storage';
+
+const IMAGE = 'data:text/plain;base64,aW1hZ2U='; // "image"
+
+setupFakeStorage();
+
+// Storage and undo as after a page load
+async function reload() {
+  const storage = await reloadStorage();
+  const undo = await import('./undo');
+  await undo.loadUndoHistory();
+  return { storage, undo };
+}
+
+// Apply an edit the way the app does: record it, then save it
+function edit(storage, undo, label, next) {
+  undo.recordChange('trends', label, storage.getTrends(), next);
+  return storage.saveTrends(next);
+}
+
+// Undo the last edit the way the app does
+function step(storage, undo, direction) {
+  const result = undo[direction]({ trends: storage.getTrends() });
+  return storage.saveTrends(result.value);
+}
+
+describe('trend edits', () => {
+  it('are undone and redone in order', async () => {
+    const { storage, undo } = await reload();
+    const a = { id: 'a', name: 'A', size: 10 };
+    await storage.saveTrends([a]);
+    await edit(storage, undo, 'Add B', [a, { id: 'b', name: 'B' }]);
+    await edit(storage, undo, 'Edit A', [{ ...a, size: 20 }, storage.getTrends()[1]]);
+
+    expect(undo.getUndoState()).toEqual({ undoLabel: 'Edit A', redoLabel: null });
+    await step(storage, undo, 'undo');
+    expect(storage.getTrends()).toEqual([a, { id: 'b', name: 'B' }]);
+    await step(storage, undo, 'undo');
+    expect(storage.getTrends()).toEqual([a]);
+    expect(undo.getUndoState()).toEqual({ undoLabel: null, redoLabel: 'Add B' });
+
+    await step(storage, undo, 'redo');
+    expect(storage.getTrends().map((t) => t.id)).toEqual(['a', 'b']);
+  });
+
+  it('skip edits that change nothing and clear the redo stack', async () => {
+    const { storage, undo } = await reload();
+    const trends = [{ id: 'a', name: 'A' }];
+    await storage.saveTrends(trends);
+    undo.recordChange('trends', 'Nothing', trends, [...trends]);
+    expect(undo.getUndoState().undoLabel).toBeNull();
+
+    await edit(storage, undo, 'Delete A', []);
+    await step(storage, undo, 'undo');
+    await edit(storage, undo, 'Add C', [...storage.getTrends(), { id: 'c', name: 'C' }]);
+    expect(undo.getUndoState()).toEqual({ undoLabel: 'Add C', redoLabel: null });
+  });
+
+  it('survive a reload', async () => {
+    let { storage, undo } = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A' }]);
+    await edit(storage, undo, 'Rename A', [{ id: 'a', name: 'Renamed' }]);
+
+    ({ storage, undo } = await reload());
+    expect(undo.getUndoState().undoLabel).toBe('Rename A');
+    await step(storage, undo, 'undo');
+    expect(storage.getTrends()[0].name).toBe('A');
+  });
+
+  it('bring back a deleted trend with its image, for good', async () => {
+    let { storage, undo } = await reload();
+    await storage.saveTrends([{ id: 'a', name: 'A', image: IMAGE }]);
+
+    ({ storage, undo } = await reload());
+    await edit(storage, undo, 'Delete A', []);
+    await step(storage, undo, 'undo');
+
+    ({ storage, undo } = await reload());
+    expect(await readImage(storage.getTrends()[0].image)).toBe('image');
+  });
+});
+
+describe('branding edits', () => {
+  it('made in quick succession are undone together', async () => {
+    const { undo } = await reload();
+    undo.recordChange('branding', 'Edit branding', { title: 'A' }, { title: 'AB' });
+    undo.recordChange('branding', 'Edit branding', { title: 'AB' }, { title: 'ABC' });
+
+    expect(undo.undo({}).value).toEqual({ title: 'A' });
+    expect(undo.getUndoState()).toEqual({ undoLabel: null, redoLabel: 'Edit branding' });
+  });
+});
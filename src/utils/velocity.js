@@ -0,0 +1,111 @@
+// Metric samples: raw metric totals recorded over time, and the growth rates between them
+
+export const SAMPLE_METRICS = ['views', 'likes', 'comments', 'shares', 'saves', 'followers'];
+
+// Oldest samples are dropped past this many
+export const MAX_METRIC_SAMPLES = 100;
+
+// Samples closer together than this are too noisy to measure a rate from
+const MIN_SAMPLE_GAP_HOURS = 0.25;
+
+const HOUR = 1000 * 60 * 60;
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR;
+
+/**
+ * A sample of a metrics object at a point in time
+ * @param {Object} metrics
+ * @param {string|Date} at
+ * @returns {Object} { at, views, likes, comments, shares, saves, followers }
+ */
+export function createMetricSample(metrics, at = new Date()) {
+  const sample = { at: new Date(at).toISOString() };
+  SAMPLE_METRICS.forEach((key) => {
+    sample[key] = Number(metrics?.[key]) || 0;
+  });
+  return sample;
+}
+
+const sameValues = (a, b) => SAMPLE_METRICS.every((key) => a[key] === b[key]);
+
+/**
+ * Add a sample to a series, oldest first. Metrics that haven't moved since the
+ * last sample are not recorded again.
+ * @param {Array} samples
+ * @param {Object} metrics
+ * @param {string|Date} at
+ * @returns {Array} A new series, or the same one when nothing was added
+ */
+export function appendMetricSample(samples = [], metrics, at = new Date()) {
+  if (!metrics || !SAMPLE_METRICS.some((key) => metrics[key] > 0)) return samples;
+
+  const sample = createMetricSample(metrics, at);
+  const last = samples[samples.length - 1];
+  if (last && sameValues(last, sample)) return samples;
+
+  return [...samples, sample]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-MAX_METRIC_SAMPLES);
+}
+
+/**
+ * Record a trend's current metrics in its sample series
+ * @param {Object} trend
+ * @param {string|Date} at
+ * @returns {Object} The trend, with metricSamples updated when its metrics changed
+ */
+export function recordMetricSample(trend, at = new Date()) {
+  const samples = trend.metricSamples || [];
+  const next = appendMetricSample(samples, trend.metrics, at);
+  return next === samples ? trend : { ...trend, metricSamples: next };
+}
+
+// Latest sample at least the minimum gap older than `sample`
+function findEarlierSample(samples, sample) {
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (hoursBetween(samples[i].at, sample.at) >= MIN_SAMPLE_GAP_HOURS) return samples[i];
+  }
+  return null;
+}
+
+// Growth per hour of each metric between two samples; totals never shrink, so
+// corrections downwards count as no growth
+function ratesBetween(from, to) {
+  const hours = hoursBetween(from.at, to.at);
+  return Object.fromEntries(
+    SAMPLE_METRICS.map((key) => [key, Math.max(0, to[key] - from[key]) / hours])
+  );
+}
+
+/**
+ * Growth rates from a trend's metric samples
+ * @param {Array} samples - Oldest first
+ * @returns {Object|null} { rates, previousRates, acceleration, hours, from, to }
+ *   Rates are per hour over the latest interval. previousRates and acceleration
+ *   (change in rate per hour) need a third sample, and are null without one.
+ *   null when there aren't two samples far enough apart.
+ */
+export function calculateVelocity(samples) {
+  if (!samples || samples.length < 2) return null;
+
+  const latest = samples[samples.length - 1];
+  const from = findEarlierSample(samples, latest);
+  if (!from) return null;
+
+  const rates = ratesBetween(from, latest);
+  const hours = hoursBetween(from.at, latest.at);
+
+  let previousRates = null;
+  let acceleration = null;
+  const before = findEarlierSample(samples, from);
+  if (before) {
+    previousRates = ratesBetween(before, from);
+    // Rates apply at the middle of their interval
+    const gap = (hours + hoursBetween(before.at, from.at)) / 2;
+    acceleration = Object.fromEntries(
+      SAMPLE_METRICS.map((key) => [key, (rates[key] - previousRates[key]) / gap])
+    );
+  }
+
+  return { rates, previousRates, acceleration, hours, from: from.at, to: latest.at };
+}
@@ -0,0 +1,95 @@
+// Metric samples and the growth rates between them
+
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_METRIC_SAMPLES,
+  appendMetricSample,
+  calculateVelocity,
+  createMetricSample,
+  recordMetricSample,
+} from './velocity';
+
+const START = Date.UTC(2025, 0, 15, 12);
+
+// A sample taken some hours after START
+const at = (hours) => new Date(START + hours * 3600000);
+const sample = (hours, metrics) => createMetricSample(metrics, at(hours));
+
+describe('metric samples', () => {
+  it('record every sampled metric, zero when missing', () => {
+    expect(sample(0, { views: '1200', likes: 30, shares: 4 })).toEqual({
+      at: '2025-01-15T12:00:00.000Z',
+      views: 1200,
+      likes: 30,
+      comments: 0,
+      shares: 4,
+      saves: 0,
+      followers: 0,
+    });
+  });
+
+  it('are added in time order and only when the metrics moved', () => {
+    const samples = [sample(0, { views: 100 }), sample(2, { views: 300 })];
+
+    expect(appendMetricSample(samples, { views: 300 }, at(3))).toBe(samples);
+    expect(appendMetricSample(samples, null, at(3))).toBe(samples);
+    expect(appendMetricSample(samples, { views: 0 }, at(3))).toBe(samples);
+    expect(appendMetricSample(samples, { views: 200 }, at(1)).map((s) => s.views)).toEqual([100, 200, 300]);
+  });
+
+  it('keep only the most recent ones', () => {
+    let samples = [];
+    for (let i = 1; i <= MAX_METRIC_SAMPLES + 5; i++) {
+      samples = appendMetricSample(samples, { views: i }, at(i));
+    }
+    expect(samples).toHaveLength(MAX_METRIC_SAMPLES);
+    expect(samples[0].views).toBe(6);
+  });
+
+  it('are recorded on a trend only when its metrics changed', () => {
+    const trend = { id: 'a', metrics: { views: 100 }, metricSamples: [sample(0, { views: 100 })] };
+    expect(recordMetricSample(trend, at(1))).toBe(trend);
+    expect(recordMetricSample({ ...trend, metrics: { views: 150 } }, at(1)).metricSamples).toHaveLength(2);
+  });
+});
+
+describe('calculateVelocity', () => {
+  it('measures growth per hour over the latest interval', () => {
+    const velocity = calculateVelocity([sample(0, { views: 1000, likes: 10 }), sample(2, { views: 11000, likes: 50 })]);
+    expect(velocity).toMatchObject({
+      rates: { views: 5000, likes: 20, shares: 0 },
+      previousRates: null,
+      acceleration: null,
+      hours: 2,
+      from: at(0).toISOString(),
+      to: at(2).toISOString(),
+    });
+  });
+
+  it('measures acceleration once there are three samples', () => {
+    const velocity = calculateVelocity([
+      sample(0, { views: 0 }),
+      sample(1, { views: 1000 }),
+      sample(3, { views: 9000 }),
+    ]);
+    expect(velocity.previousRates.views).toBe(1000);
+    expect(velocity.rates.views).toBe(4000);
+    expect(velocity.acceleration.views).toBe(2000); // 3000 more per hour, 1.5 hours apart
+  });
+
+  it('skips samples too close together to measure', () => {
+    expect(calculateVelocity([sample(0, { views: 100 }), sample(0.1, { views: 900 })])).toBeNull();
+
+    const velocity = calculateVelocity([sample(0, { views: 0 }), sample(1.9, { views: 500 }), sample(2, { views: 1000 })]);
+    expect(velocity).toMatchObject({ hours: 2, rates: { views: 500 }, previousRates: null });
+  });
+
+  it('counts corrected-down totals as no growth', () => {
+    expect(calculateVelocity([sample(0, { views: 1000 }), sample(1, { views: 800 })]).rates.views).toBe(0);
+  });
+
+  it('needs two samples', () => {
+    expect(calculateVelocity([sample(0, { views: 100 })])).toBeNull();
+    expect(calculateVelocity(undefined)).toBeNull();
+  });
+});
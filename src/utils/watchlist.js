@@ -1,6 +1,6 @@
 // Watchlist management for tracking keywords and topics
 
-const WATCHLIST_KEY = 'culture-heatmap-watchlist';
+import { getSetting, saveSetting, SETTINGS } from './storage';
 
 /**
  * Default watchlist structure
@@ -14,15 +14,7 @@ const DEFAULT_WATCHLIST = {
  * Get watchlist from storage
  */
 export function getWatchlist() {
-  const stored = localStorage.getItem(WATCHLIST_KEY);
-  if (stored) {
-    try {
-      return JSON.parse(stored);
-    } catch {
-      return DEFAULT_WATCHLIST;
-    }
-  }
-  return DEFAULT_WATCHLIST;
+  return getSetting(SETTINGS.watchlist, DEFAULT_WATCHLIST);
 }
 
 /**
@@ -30,7 +22,7 @@ export function getWatchlist() {
  */
 export function saveWatchlist(watchlist) {
   watchlist.lastUpdated = new Date().toISOString();
-  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+  return saveSetting(SETTINGS.watchlist, watchlist);
 }
 
 /**
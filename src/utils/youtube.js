@@ -2,7 +2,7 @@
 // Requires free API key from Google Cloud Console
 
 const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
-const YOUTUBE_KEY_STORAGE = 'culture-heatmap-youtube-key';
+export const YOUTUBE_KEY_STORAGE = 'culture-heatmap-youtube-key';
 
 /**
  * Get stored YouTube API key
@@ -0,0 +1,102 @@
+// Background metric refresh. Re-fetches each trend's metrics on the board's
+// schedule and posts the results back to the app, so slow APIs and the scraper
+// never block the page.
+//
+// In:  { type: 'configure', settings, credentials }
+//      { type: 'trends', trends: [{ id, sourceUrl, platform, profileUrl, lastAttempt }] }
+//      { type: 'refresh', ids } - refresh now; ids null for every trend
+// Out: { type: 'progress', id }
+//      { type: 'result', id, metrics, source, origin, at }
+//      { type: 'failure', id, error, at }
+//      { type: 'done' } - after each run that refreshed anything
+
+import { fetchTrendMetrics } from '../utils/metricSources';
+
+const TICK_INTERVAL = 60 * 1000;
+const REQUEST_GAP = 1500; // Between trends, to stay inside API rate limits
+const HOUR = 1000 * 60 * 60;
+
+// The API clients read their keys from localStorage, which workers don't have.
+// The app sends the keys with each configure message.
+const credentials = new Map();
+self.localStorage = {
+  getItem: (key) => credentials.get(key) ?? null,
+  setItem: (key, value) => credentials.set(key, String(value)),
+  removeItem: (key) => credentials.delete(key),
+};
+
+let settings = { enabled: false, intervalHours: 6 };
+let jobs = [];
+let running = false;
+let pending; // Refresh asked for during a run: null for every trend, or ids
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isDue = (job) =>
+  !job.lastAttempt || Date.now() - new Date(job.lastAttempt) >= settings.intervalHours * HOUR;
+
+/**
+ * Refresh trends one at a time
+ * @param {Array|null|undefined} ids - Trends to refresh now (null for all), or
+ *   undefined for the ones the schedule says are due
+ */
+async function run(ids) {
+  if (running) {
+    if (ids !== undefined) {
+      pending = ids === null || pending === null ? null : [...(pending || []), ...ids];
+    }
+    return;
+  }
+
+  const due = ids === undefined
+    ? (settings.enabled ? jobs.filter(isDue) : [])
+    : jobs.filter((job) => ids === null || ids.includes(job.id));
+  if (due.length === 0) return;
+
+  running = true;
+  for (const [i, { id }] of due.entries()) {
+    // Trends removed during the run are skipped
+    const job = jobs.find((j) => j.id === id);
+    if (!job) continue;
+
+    self.postMessage({ type: 'progress', id });
+    const at = new Date().toISOString();
+    job.lastAttempt = at;
+    try {
+      const { metrics, source, origin } = await fetchTrendMetrics(job);
+      self.postMessage({ type: 'result', id, metrics, source, origin, at });
+    } catch (error) {
+      self.postMessage({ type: 'failure', id, error: error.message, at });
+    }
+    if (i < due.length - 1) await wait(REQUEST_GAP);
+  }
+  running = false;
+  self.postMessage({ type: 'done' });
+
+  if (pending !== undefined) {
+    const next = pending;
+    pending = undefined;
+    run(next);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'configure') {
+    settings = data.settings;
+    credentials.clear();
+    Object.entries(data.credentials).forEach(([key, value]) => credentials.set(key, value));
+    run();
+  } else if (data.type === 'trends') {
+    // Keep attempts made since the app last saved its status
+    const previous = new Map(jobs.map((job) => [job.id, job.lastAttempt]));
+    jobs = data.trends.map((trend) => {
+      const attempts = [previous.get(trend.id), trend.lastAttempt].filter(Boolean).sort();
+      return { ...trend, lastAttempt: attempts.pop() || null };
+    });
+    run();
+  } else if (data.type === 'refresh') {
+    run(data.ids);
+  }
+};
+
+setInterval(() => run(), TICK_INTERVAL);